@@ -0,0 +1,660 @@
+// accounts.js
+// Several IndiaMART seller logins side by side. Profiles come from
+// List/accounts.json; the first one is the primary account and keeps the
+// single-account layout (default session, List/, Reports/), so an install
+// without the file runs exactly as before. Every other account gets its own
+// session partition, List/<id>/ and Reports/<id>/. Each account, the primary
+// one included, runs a Leads window, scraper, matchers, click budget,
+// auto-login and Message Centre of its own (createAccountSession). The lead
+// database, buyer index, selector profile, shadow mode and service-area
+// rules stay shared.
+//
+// List/accounts.json:
+//   { "accounts": [
+//       { "id": "main", "label": "Niyati Main", "mobile": "98xxxxxxxx" },
+//       { "id": "pune", "label": "Pune Unit",   "mobile": "97xxxxxxxx" } ] }
+// A missing mobile falls back to INDIAMART_MOBILE_<ID> (INDIAMART_MOBILE for
+// the primary account).
+
+const fs = require("node:fs");
+const path = require("node:path");
+const { BrowserWindow } = require("electron");
+const { createStatusWatcher } = require("./statuswatcher");
+const { createAutoLogin } = require("./autologin");
+const { createProductScraper } = require("./productScraper");
+const { createMatchClicker } = require("./matchclicker");
+const { createKeywordMatcher } = require("./keywordmatcher");
+const { createMessageCentre } = require("./messagecentre");
+const { createLeadCrm } = require("./leadcrm");
+const { createClickBudget } = require("./clickbudget");
+const { injectVisibilityMonitor } = require("./visibility-monitor");
+const { keywordHit } = require("./fuzzy");
+
+// Ids start with a letter so "/setref 10" or "/otp 1234" never read as one
+const ID_RE = /^[a-z][a-z0-9_-]{0,19}$/;
+const normId = (s) => String(s || "").trim().toLowerCase();
+const normSpace = (s) => String(s || "").trim().replace(/\s+/g, " ");
+const toTitle = (s) => normSpace(s).toLowerCase().split(" ").map(w => w ? w[0].toUpperCase() + w.slice(1) : "").join(" ");
+const esc = (s) => String(s || "").replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+
+function createAccountRegistry({
+  file = path.join(__dirname, "List", "accounts.json"),
+  baseDir = __dirname,
+  env = process.env,
+  log = () => {}
+} = {}) {
+
+  let raw = [];
+  try {
+    const j = JSON.parse(fs.readFileSync(file, "utf8"));
+    raw = Array.isArray(j) ? j : Array.isArray(j?.accounts) ? j.accounts : [];
+  } catch (e) {
+    if (e.code !== "ENOENT") log("error", `Accounts: ${path.basename(file)} unreadable, running single-account – ${e.message}`);
+  }
+
+  function buildProfile(id, r, primary) {
+    const envMobile = env[`INDIAMART_MOBILE_${id.toUpperCase().replace(/-/g, "_")}`];
+    const listDir = primary ? path.join(baseDir, "List") : path.join(baseDir, "List", id);
+    return Object.freeze({
+      id,
+      label: normSpace(r.label).slice(0, 40) || id,
+      primary,
+      mobile: String(r.mobile || envMobile || (primary ? env.INDIAMART_MOBILE : "") || "").trim(),
+      partition: primary ? null : `persist:niyati-${id}`,
+      listDir,
+      reportsDir: primary ? path.join(baseDir, "Reports") : path.join(baseDir, "Reports", id),
+      // null keeps productScraper's userData/Niyati/refresh_state.json
+      stateFile: primary ? null : path.join(listDir, "refresh_state.json")
+    });
+  }
+
+  const profiles = [];
+  for (const r of raw) {
+    const id = normId(r?.id);
+    if (!ID_RE.test(id)) { log("error", `Accounts: skipped invalid id "${r?.id ?? ""}"`); continue; }
+    if (profiles.some(p => p.id === id)) { log("error", `Accounts: skipped duplicate id "${id}"`); continue; }
+    profiles.push(buildProfile(id, r, profiles.length === 0));
+  }
+  if (!profiles.length) profiles.push(buildProfile("main", {}, true));
+  if (profiles.length > 1) log("info", `Accounts: ${profiles.map(p => p.id).join(", ")}`);
+
+  const byId = new Map(profiles.map(p => [p.id, p]));
+
+  return {
+    list: () => [...profiles],
+    get: (id) => byId.get(normId(id)) || null,
+    primary: () => profiles[0],
+    isMulti: () => profiles.length > 1
+  };
+}
+
+// Runs one account, the primary one too. Keeps its login/network/refresh
+// state to itself; onChange() fires whenever that state or the lists change
+// so the Manager can be updated. The primary account's logs and Telegram
+// messages carry no account name, like the single-account app.
+function createAccountSession({
+  profile,
+  leadsUrl,
+  mcUrl,
+  webPreferences = {},
+  shouldShow = () => true,
+  hostProbe = async () => true,
+  parent = null,
+  db = null,
+  selectors = null,
+  isShadow = () => false,
+  checkLocation = null,
+  dayKey = undefined,
+  nowHHMM = undefined,
+  onLead = () => {},
+  emit = () => {},
+  handoff = undefined,
+  buyers = null,
+  send = async () => {},
+  // (bytes, filename, caption, type) – documents such as a lead's .vcf
+  sendFile = null,
+  onChange = () => {},
+  log = () => {}
+}) {
+  if (!profile) throw new Error("accountSession: needs a profile");
+  const alog = profile.primary ? log : (level, msg) => log(level, `[${profile.id}] ${msg}`);
+  // Every Telegram message from another account names it first; type picks
+  // the chats it is routed to (chatroles.js)
+  const notify = (type) => (text, extra = {}) => {
+    const head = profile.primary ? "" : extra.parse_mode === "HTML" ? `👤 <b>${esc(profile.label)}</b>\n` : `👤 ${profile.label}\n`;
+    return Promise.resolve(send(`${head}${text}`, extra, type)).catch(e => alog("error", `notify failed: ${e?.message || e}`));
+  };
+  // Lead buttons name the account; the primary one's carry none
+  const account = profile.primary ? null : profile.id;
+  const changed = (what = "state") => { try { onChange(what); } catch {} };
+
+  const F_PRODUCTS = path.join(profile.listDir, "products.json");
+  const F_KEYWORDS = path.join(profile.listDir, "keywords.json");
+  const F_PRODUCTS_LOG = path.join(profile.reportsDir, "products_log.json");
+  // Kept in List/ so the daily report's cleanup never empties it
+  const crm = createLeadCrm({ file: path.join(profile.listDir, "lead_pipeline.json"), dayKey, onChange: () => changed("crm"), log: alog });
+  // Each login spends its own BuyLead credits, so each gets its own caps
+  const budget = createClickBudget({ file: path.join(profile.listDir, "click_budget.json"), dayKey, nowHHMM, onAlert: notify("alert"), log: alog });
+  const CLICK_WINDOW_MS = 30 * 60 * 1000;
+  const OFFLINE_CODES = new Set([-106, -105, -118]);
+
+  let win = null, scraper = null, matcher = null, kwMatcher = null, watcher = null, autoLogin = null, mc = null;
+  let isLoggedIn = null, suspendedByAuth = false, online = true, reloading = false, stopped = false;
+  let reloadTimer = null, unstickTimer = null;
+  // Auto-refresh asked for before the page finished loading
+  let pendingStartMs = null;
+  const extras = { lastScrapedProduct: null, lastKeywordMatchProduct: null };
+  let clickTimes = [];
+
+  const readList = (f) => {
+    try { const a = JSON.parse(fs.readFileSync(f, "utf8")); return Array.isArray(a) ? a : []; }
+    catch { return []; }
+  };
+  const writeList = (f, arr) => {
+    try {
+      fs.mkdirSync(path.dirname(f), { recursive: true });
+      fs.writeFileSync(f, JSON.stringify(arr, null, 2), "utf8");
+      return true;
+    } catch (e) {
+      alog("error", `Lists: write failed (${path.basename(f)}) – ${e.message}`);
+      return false;
+    }
+  };
+
+  const listProducts = () => readList(F_PRODUCTS);
+  const listKeywords = () => readList(F_KEYWORDS);
+
+  function saveProducts(arr) {
+    const list = Array.isArray(arr) ? arr : [];
+    const ok = scraper ? scraper.setProducts(list) : writeList(F_PRODUCTS, list);
+    changed("lists");
+    return ok;
+  }
+
+  function saveKeywords(arr) {
+    const ok = writeList(F_KEYWORDS, Array.isArray(arr) ? arr : []);
+    changed("lists");
+    return ok;
+  }
+
+  function addProduct(name) {
+    name = toTitle(name);
+    if (!name) return false;
+    const arr = listProducts();
+    if (!arr.some(v => v.toLowerCase() === name.toLowerCase())) arr.push(name);
+    alog("info", `Lists: product added – ${name}`);
+    return saveProducts(arr);
+  }
+
+  function deleteProduct(name) {
+    const arr = listProducts();
+    const key = String(name || "").toLowerCase();
+    const next = arr.filter(v => v.toLowerCase() !== key);
+    alog("info", `Lists: product deleted – ${name}`);
+    return saveProducts(next) && next.length !== arr.length;
+  }
+
+  function addKeyword(kw) {
+    kw = normSpace(kw).toLowerCase();
+    if (!kw) return false;
+    const arr = listKeywords();
+    if (!arr.includes(kw)) arr.push(kw);
+    alog("info", `Lists: keyword added – ${kw}`);
+    return saveKeywords(arr);
+  }
+
+  function deleteKeyword(kw) {
+    kw = normSpace(kw).toLowerCase();
+    const arr = listKeywords();
+    const next = arr.filter(v => v !== kw);
+    alog("info", `Lists: keyword deleted – ${kw}`);
+    return saveKeywords(next) && next.length !== arr.length;
+  }
+
+  function countClicksLast(ms = CLICK_WINDOW_MS) {
+    const now = Date.now();
+    clickTimes = clickTimes.filter(t => now - t <= ms).slice(-1000);
+    return clickTimes.length;
+  }
+
+  // products_log.json stamps are IST "YYYY-MM-DD HH:mm:ss"
+  function countNewProductsLast(ms = CLICK_WINDOW_MS) {
+    const now = Date.now();
+    let n = 0;
+    for (const r of readList(F_PRODUCTS_LOG)) {
+      const s = String(r?.timestamp || r?.time || "");
+      const t = /^\d{4}-\d{2}-\d{2}T/.test(s) ? Date.parse(s) : Date.parse(s.replace(" ", "T") + "+05:30");
+      if (Number.isFinite(t) && now - t <= ms) n++;
+    }
+    return n;
+  }
+
+  function firstKeywordMatch(items) {
+    const kws = listKeywords().map(s => String(s || "").toLowerCase()).filter(Boolean);
+    for (const it of items || []) {
+      const title = String(it.title || it.product || "");
+      if (title && kws.some(kw => keywordHit(kw, title))) return it.product || it.title;
+    }
+    return null;
+  }
+
+  function finishLoad(wc, ms) {
+    return new Promise((resolve) => {
+      const done = (ok) => {
+        clearTimeout(t);
+        try { wc.off("did-finish-load", onOk); wc.off("did-fail-load", onErr); } catch {}
+        resolve(ok);
+      };
+      const onOk = () => done(true), onErr = () => done(false);
+      const t = setTimeout(() => done(false), ms);
+      wc.once("did-finish-load", onOk);
+      wc.once("did-fail-load", onErr);
+    });
+  }
+
+  async function reload(reason = "manual") {
+    if (!win || win.isDestroyed() || reloading || !online) return false;
+    reloading = true;
+    const wc = win.webContents;
+    try {
+      alog("start", `Leads:reload → ${reason}`);
+      try { wc.stop(); } catch {}
+      try { watcher?.setReloading(true); } catch {}
+      wc.reloadIgnoringCache();
+      if (await finishLoad(wc, 10000)) return true;
+      alog("info", "reload soft timeout – hard nav");
+      if (!online) return false;
+      wc.loadURL(leadsUrl);
+      return await finishLoad(wc, 12000);
+    } finally {
+      try { watcher?.setReloading(false); } catch {}
+      reloading = false;
+    }
+  }
+
+  function requestReload(reason) {
+    if (reloadTimer || !online) return;
+    reloadTimer = setTimeout(() => { reloadTimer = null; reload(reason).catch(() => {}); }, 200);
+  }
+
+  function pause(reason) {
+    try {
+      scraper?.disableAutoReload?.(reason);
+      scraper?.disable?.();
+      alog("stop", `Scraper paused – ${reason}`);
+    } catch (e) {
+      alog("error", `Pause scraper failed: ${e?.message || e}`);
+    }
+  }
+
+  function resumeIfAllowed() {
+    if (!scraper || stopped) return;
+    try {
+      scraper.enable();
+      const st = scraper.getReloadState() || {};
+      if (st.userWantedAutoRefresh && !st.enabled && online && isLoggedIn !== false) {
+        scraper.enableAutoReload(st.intervalMs || 7000, () => watcher?.setReloading(true));
+        alog("start", "Scraper resumed");
+      }
+    } catch (e) {
+      alog("error", `Resume scraper failed: ${e?.message || e}`);
+    }
+  }
+
+  function setNetworkOnline(flag) {
+    if (online === !!flag) return;
+    online = !!flag;
+    if (online) resumeIfAllowed(); else pause("network offline");
+    alog("info", `Network ${online ? "online" : "offline"}`);
+    changed();
+  }
+
+  function wireModules() {
+    scraper = createProductScraper({
+      win,
+      url: leadsUrl,
+      delayMs: 3000,
+      maxItems: 50,
+      db,
+      selectors,
+      reportsDir: profile.reportsDir,
+      listDir: profile.listDir,
+      stateFile: profile.stateFile,
+      log: alog,
+      onItems: async (items, cycleId) => {
+        extras.lastScrapedProduct = items?.[0] ? (items[0].product || items[0].title || null) : null;
+        try {
+          const kwHit = firstKeywordMatch(items);
+          if (kwHit) extras.lastKeywordMatchProduct = kwHit;
+        } catch {}
+        try { matcher?.processCycle(items, cycleId); }
+        catch (e) { alog("error", "matcher error: " + (e?.message || e)); }
+        try { kwMatcher?.processCycle(items, cycleId).catch(err => alog("error", "kwMatcher error: " + (err?.message || err))); }
+        catch (e) { alog("error", "kwMatcher invoke error: " + (e?.message || e)); }
+      }
+    });
+
+    matcher = createMatchClicker({
+      win,
+      log: alog,
+      onClick: ({ index, title }) => {
+        clickTimes.push(Date.now());
+        (async () => {
+          try { await mc?.enqueue?.({ reason: `#list${index} ${title}` }); }
+          catch (e) { alog("error", "MC enqueue failed: " + e.message); }
+          try { await reload("post-click"); }
+          catch (e) { alog("error", "post-click refresh failed: " + e.message); }
+        })();
+      },
+      getProducts: () => scraper.getProducts(),
+      db,
+      budget,
+      isShadow,
+      checkLocation,
+      selectors,
+      reportsDir: profile.reportsDir,
+      emit,
+      send: notify("match")
+    });
+
+    kwMatcher = createKeywordMatcher({
+      keywordsFile: F_KEYWORDS,
+      reportsDir: profile.reportsDir,
+      account,
+      log: alog,
+      db,
+      emit,
+      send: notify("match")
+    });
+
+    if (pendingStartMs) {
+      scraper.enableAutoReload(pendingStartMs, () => watcher?.setReloading(true));
+      alog("start", `Auto-refresh started (queued) @ ${Math.round(pendingStartMs / 1000)}s`);
+      pendingStartMs = null;
+    }
+    resumeIfAllowed();
+    changed();
+    alog("info", "Leads setup complete");
+  }
+
+  function createWindow() {
+    win = new BrowserWindow({
+      title: profile.primary ? "Leads" : `Leads – ${profile.label}`,
+      show: false,
+      width: 1280,
+      height: 720,
+      webPreferences: { ...webPreferences, partition: profile.partition }
+    });
+    if (profile.primary) win.maximize();
+    const wc = win.webContents;
+    wc.setMaxListeners(0);
+    win.loadURL(leadsUrl);
+    const own = win;
+    win.on("closed", () => { if (win === own) win = null; });
+    // A hidden window gets its timers throttled, which stalls the refresh
+    win.on("show", () => alog("info", "✅ Leads window is now visible (no throttling)"));
+    win.on("hide", () => alog("warning", "⚠️ Leads window hidden - timers may be throttled!"));
+
+    wc.on("did-start-loading", () => {
+      clearTimeout(unstickTimer);
+      unstickTimer = setTimeout(() => {
+        try { watcher?.setReloading(false); } catch {}
+        alog("info", "Failsafe: clearing inReload (12s)");
+      }, 12000);
+    });
+    wc.on("did-finish-load", () => {
+      clearTimeout(unstickTimer);
+      try { watcher?.setReloading(false); } catch {}
+      alog("info", "Leads page loaded");
+      setTimeout(() => {
+        if (!win || win.isDestroyed()) return;
+        if (shouldShow()) win.show();
+        try { injectVisibilityMonitor(win); }
+        catch (e) { alog("error", `Visibility monitor injection failed: ${e.message}`); }
+      }, 500);
+    });
+    wc.on("did-fail-load", (_e, code, desc, _url, isMainFrame) => {
+      clearTimeout(unstickTimer);
+      if (OFFLINE_CODES.has(code)) setNetworkOnline(false);
+      if (isMainFrame) {
+        alog("error", `Leads: did-fail-load ${code} ${desc}`);
+        requestReload("did-fail-load");
+      }
+    });
+    wc.on("render-process-gone", (_e, d) => {
+      alog("error", `Leads: render-process-gone (${d?.reason || "unknown"})`);
+      requestReload("render-process-gone");
+    });
+    win.once("ready-to-show", () => {
+      try { if (shouldShow()) win.show(); } catch {}
+      wireModules();
+    });
+  }
+
+  function start() {
+    stopped = false;
+    try { fs.mkdirSync(profile.listDir, { recursive: true }); } catch {}
+    try { fs.mkdirSync(profile.reportsDir, { recursive: true }); } catch {}
+    createWindow();
+
+    watcher = createStatusWatcher({
+      win,
+      selector: "#selsout",
+      checkEveryMs: 1200,
+      hostProbe,
+      onLogin: () => {
+        isLoggedIn = true;
+        suspendedByAuth = false;
+        alog("auth", "Login detected");
+        autoLogin?.cancel?.();
+        resumeIfAllowed();
+        changed();
+      },
+      onLogout: () => {
+        isLoggedIn = false;
+        suspendedByAuth = true;
+        alog("auth", "Logout detected");
+        pause("logout");
+        changed();
+        requestReload("logout");
+        setTimeout(() => {
+          if (!stopped && isLoggedIn === false && autoLogin && !autoLogin.running) autoLogin.start();
+        }, 3000);
+      },
+      onOffline: () => setNetworkOnline(false),
+      onOnline: () => setNetworkOnline(true),
+      onError: e => alog("error", `Watcher error: ${e?.message || e}`)
+    });
+    watcher.start();
+
+    autoLogin = createAutoLogin({
+      win,
+      mobile: profile.mobile,
+      maxAttempts: 3,
+      resendCooldownMs: 30000,
+      selectors,
+      log: alog,
+      notify: msg => { notify("login")(msg); },
+      onSuccess: () => {
+        alog("auth", "Auto-login SUCCESS");
+        isLoggedIn = true;
+        suspendedByAuth = false;
+        resumeIfAllowed();
+        changed();
+      },
+      onFail: () => {
+        alog("error", "Auto-login FAILED");
+        suspendedByAuth = true;
+        changed();
+      }
+    });
+
+    mc = createMessageCentre({
+      log: alog,
+      url: mcUrl,
+      parent,
+      windowOptions: {
+        title: profile.primary ? "Message Centre" : `Message Centre – ${profile.label}`,
+        width: 1200,
+        height: 800,
+        show: false,
+        backgroundColor: "#0f0f10",
+        autoHideMenuBar: true
+      },
+      autoClose: true,
+      db,
+      selectors,
+      reportsDir: profile.reportsDir,
+      partition: profile.partition,
+      account,
+      crm,
+      onLead,
+      emit,
+      handoff,
+      buyers,
+      send: notify("lead"),
+      sendFile: sendFile && ((bytes, name, caption) => sendFile(bytes, name, profile.primary ? caption : `👤 ${profile.label}\n${caption}`, "lead"))
+    });
+  }
+
+  function stop() {
+    stopped = true;
+    clearTimeout(reloadTimer);
+    clearTimeout(unstickTimer);
+    reloadTimer = null;
+    try { watcher?.stop(); } catch {}
+    try { scraper?.disableAutoReload?.("quit"); scraper?.disable?.(); } catch {}
+  }
+
+  // Tray "Leads Restart": a fresh window with everything wired to it again
+  function restart() {
+    stop();
+    try { autoLogin?.cancel?.(); } catch {}
+    try { if (win && !win.isDestroyed()) win.destroy(); } catch {}
+    win = null;
+    scraper = matcher = kwMatcher = null;
+    start();
+  }
+
+  // Daily cleanup: the light reset keeps what the modules persist, the deep
+  // one (after the reports were archived) wipes their memory too
+  function reset() {
+    try { scraper?.resetLog?.(); } catch (e) { alog("error", `ProductScraper reset failed: ${e.message}`); }
+    for (const [name, m] of [["MatchClicker", matcher], ["KeywordMatcher", kwMatcher], ["MessageCentre", mc]]) {
+      try {
+        m?.reset?.();
+        if (m) alog("info", `✓ ${name} reset`);
+      } catch (e) { alog("error", `${name} reset failed: ${e.message}`); }
+    }
+    countClicksLast();
+  }
+
+  async function deepReset() {
+    try { scraper?.resetLog?.(); } catch (e) { alog("error", `ProductScraper reset failed: ${e.message}`); }
+    for (const [name, m] of [["MatchClicker", matcher], ["KeywordMatcher", kwMatcher], ["MessageCentre", mc]]) {
+      try {
+        await m?.deepReset?.();
+        if (m) alog("info", `✓ ${name} deep reset`);
+      } catch (e) { alog("error", `${name} deep reset failed: ${e.message}`); }
+    }
+    clickTimes = [];
+    extras.lastScrapedProduct = null;
+    extras.lastKeywordMatchProduct = null;
+  }
+
+  const getState = () => ({
+    ...(scraper?.getReloadState?.() || {}),
+    isLoggedIn,
+    suspendedByAuth,
+    isNetworkOnline: online
+  });
+
+  async function getStatusInfo() {
+    let latest = null;
+    try { latest = readList(path.join(profile.reportsDir, "messagecentre_log.json"))[0] || null; } catch {}
+    return {
+      state: scraper?.getReloadState?.() || {},
+      isLoggedIn,
+      isNetworkOnline: online,
+      lastScrapedProduct: extras.lastScrapedProduct,
+      lastKeywordMatchProduct: extras.lastKeywordMatchProduct,
+      newProducts: countNewProductsLast(),
+      clicksLast30: countClicksLast(),
+      shadowSummary: matcher?.getShadowSummary?.() || null,
+      latest
+    };
+  }
+
+  async function screenshot({ stayHidden = false, quality = 88, rect } = {}) {
+    if (!win || win.isDestroyed()) return null;
+    const wasHidden = !win.isVisible();
+    try {
+      if (wasHidden && !stayHidden) { win.show(); await new Promise(r => setTimeout(r, 300)); }
+      return (await win.capturePage(rect)).toJPEG(quality);
+    } catch (e) {
+      alog("error", `screenshot failed: ${e.message}`);
+      return null;
+    } finally {
+      if (wasHidden && !stayHidden) try { win.hide(); } catch {}
+    }
+  }
+
+  return {
+    profile,
+    budget,
+    start,
+    stop,
+    restart,
+    reset,
+    deepReset,
+    reload,
+    setNetworkOnline,
+    getWindow: () => win,
+    getState,
+    getStatusInfo,
+    screenshot,
+    // Before the page has loaded the start is queued for wireModules
+    enableAuto(ms) {
+      if (!scraper) {
+        pendingStartMs = ms;
+        alog("info", `Auto-refresh queued @ ${Math.round(ms / 1000)}s`);
+        changed();
+        return true;
+      }
+      scraper.enableAutoReload(ms, () => watcher?.setReloading(true));
+      alog("start", `Auto-refresh started @ ${Math.round(ms / 1000)}s`);
+      changed();
+      return true;
+    },
+    disableAuto(reason = "stop") {
+      pendingStartMs = null;
+      if (!scraper) return false;
+      scraper.disableAutoReload(reason);
+      scraper.disable();
+      changed();
+      return true;
+    },
+    listProducts,
+    listKeywords,
+    saveProducts,
+    saveKeywords,
+    addProduct,
+    deleteProduct,
+    addKeyword,
+    deleteKeyword,
+    isLoggedIn: () => isLoggedIn === true,
+    startAutoLogin: () => { if (!autoLogin) return false; autoLogin.start(); return true; },
+    injectOtp: (code) => !!autoLogin?.injectOtp?.(code),
+    requestResend: () => { if (!autoLogin) return false; autoLogin.requestResend(); return true; },
+    runMessageCentre: (reason = "manual") => mc?.enqueue?.({ reason }),
+    // Lead rows behind the Telegram buttons (leadactions.js)
+    getLead: (kind, serial) => (kind === "kw" ? kwMatcher?.getMatch?.(serial) : mc ? mc.getLead(serial) : crm.get(serial)) || null,
+    markLead: (kind, serial, id, info) => (kind === "kw" ? kwMatcher?.markMatch?.(serial, id, info) : mc ? mc.markLead(serial, id, info) : crm.mark(serial, id, info)) || null,
+    muteKeyword: (kw, ms) => !!kwMatcher?.muteKeyword?.(kw, ms),
+    getShadowSummary: () => matcher?.getShadowSummary?.() || { count: 0, top: [] },
+    countLoggedProducts: () => readList(F_PRODUCTS_LOG).length,
+    crm
+  };
+}
+
+module.exports = { createAccountRegistry, createAccountSession };
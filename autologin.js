@@ -6,6 +6,8 @@ const rand = (a,b)=>Math.floor(Math.random()*(b-a+1))+a;
 const sleep = (ms)=>new Promise(r=>setTimeout(r,ms));
 const delay1to4 = ()=>sleep(rand(DELAY_MIN_MS,DELAY_MAX_MS));
 
+const { createSelectorProfile, PAGE_HELPERS } = require("./selectors");
+
 // ✅ Constants for loop protection
 const MAX_POLL_ITERATIONS = 600; // 10 minutes at 1s/iteration
 
@@ -17,19 +19,24 @@ function createAutoLogin({
   onFail = () => {},
   mobile,
   maxAttempts = 3,
-  resendCooldownMs = 30000
+  resendCooldownMs = 30000,
+  selectors = null,
+  humanDelay = delay1to4
 } = {}) {
 
+  // Selector-profile field names (selectors.js); helpers below take these
   const SEL = {
-    mob: "#mobNo",
-    loginBtn: "#root > div.loginPage.reactLogin > div.row.bannerRow > div > div:nth-child(5) > div > div.banner-cta > button",
-    reqOtp: "#reqOtpMobBtn",
-    otp1: "#first", otp2: "#second", otp3: "#third", otp4: "#fourth_num",
-    otp5: "#fifth", otp6: "#sixth",
-    submitOtp: "#sbmtbtnOtp",
-    otpErr: "#otp_verify_err",
-    loggedIn: "#selsout"
+    mob: "login.mobile",
+    loginBtn: "login.button",
+    reqOtp: "login.requestOtp",
+    otp1: "login.otp1", otp2: "login.otp2", otp3: "login.otp3", otp4: "login.otp4",
+    otp5: "login.otp5", otp6: "login.otp6",
+    submitOtp: "login.submitOtp",
+    otpErr: "login.otpError",
+    loggedIn: "login.loggedIn"
   };
+  const profile = selectors || createSelectorProfile({ log });
+  const cands = (field) => JSON.stringify(profile.get(field));
 
   let running = false;
   let externalOtp = null;
@@ -51,17 +58,27 @@ function createAutoLogin({
     return win.webContents.executeJavaScript(js, true);
   }
 
-  async function waitForSelector(sel, timeoutMs=15000){
+  const snapshot = () => execJS("document.documentElement.outerHTML");
+
+  async function findVia(field){
+    const via = await execJS(`(function(){ ${PAGE_HELPERS} return __sel.find(${cands(field)}).via; })()`);
+    return typeof via === "number" ? via : -1;
+  }
+
+  // A timeout here counts as a miss for selector-drift detection
+  async function waitForSelector(field, timeoutMs=15000){
     const start = Date.now();
     while (Date.now() - start < timeoutMs) {
       if (!running || !(await isAlive())) return false;
       try { 
-        if (await execJS(`!!document.querySelector(${JSON.stringify(sel)})`)) return true; 
+        const via = await findVia(field);
+        if (via >= 0) { profile.record(field, via); return true; } 
       } catch (e) { 
         try { log("error", `waitForSelector: ${e?.message||e}`); } catch {} 
       }
       await sleep(250);
     }
+    try { profile.record(field, -1, { snapshot }); } catch {}
     return false;
   }
 
@@ -78,10 +95,11 @@ function createAutoLogin({
     }
   }
 
-  async function typeValue(sel, value){
+  async function typeValue(field, value){
     return execJS(`
       (function(){
-        const el = document.querySelector(${JSON.stringify(sel)});
+        ${PAGE_HELPERS}
+        const el = __sel.find(${cands(field)}).el;
         if(!el) return false;
         el.focus();
         el.value = ${JSON.stringify(value)};
@@ -92,10 +110,11 @@ function createAutoLogin({
     `);
   }
 
-  async function clickSel(sel){
+  async function clickSel(field){
     return execJS(`
       (function(){
-        const el = document.querySelector(${JSON.stringify(sel)});
+        ${PAGE_HELPERS}
+        const el = __sel.find(${cands(field)}).el;
         if (!el || el.disabled) return false;
         el.click();
         return true;
@@ -103,12 +122,15 @@ function createAutoLogin({
     `);
   }
 
-  async function readText(sel){
-    return execJS(`(function(){const el=document.querySelector(${JSON.stringify(sel)}); return el?(el.textContent||el.innerText||"").trim():null; })();`);
+  async function readText(field){
+    return execJS(`(function(){ ${PAGE_HELPERS} const el=__sel.find(${cands(field)}).el; return el?(el.textContent||el.innerText||"").trim():null; })();`);
   }
 
-  async function exists(sel){ 
-    return !!(await execJS(`!!document.querySelector(${JSON.stringify(sel)})`)); 
+  // Absence is a normal answer here (not logged in, no OTP error), so only hits are recorded
+  async function exists(field){ 
+    const via = await findVia(field);
+    if (via >= 0) { try { profile.record(field, via); } catch {} }
+    return via >= 0; 
   }
 
   async function getOtpSelectors(){
@@ -201,8 +223,9 @@ function createAutoLogin({
         // ✅ Check if user manually filled OTP
         const filled = await execJS(`
           (function(){
-            const getV = (s)=> (document.querySelector(s)?.value||"").trim();
-            const sels = [${[SEL.otp1, SEL.otp2, SEL.otp3, SEL.otp4, SEL.otp5, SEL.otp6].map(s=>JSON.stringify(s)).join(",")}].filter(Boolean);
+            ${PAGE_HELPERS}
+            const getV = (c)=> (__sel.find(c).el?.value||"").trim();
+            const sels = [${[SEL.otp1, SEL.otp2, SEL.otp3, SEL.otp4, SEL.otp5, SEL.otp6].map(cands).join(",")}];
             const vals = sels.map(getV).filter(Boolean);
             return vals.join("");
           })();
@@ -249,7 +272,7 @@ function createAutoLogin({
     const cfg = String(mobile ?? process.env.INDIAMART_MOBILE ?? "").trim();
     if (cfg) return cfg;
     try {
-      const inPage = await execJS(`(document.querySelector(${JSON.stringify(SEL.mob)})?.value||"").trim()`);
+      const inPage = await execJS(`(function(){ ${PAGE_HELPERS} return (__sel.find(${cands(SEL.mob)}).el?.value||"").trim(); })()`);
       return inPage || "";
     } catch { return ""; }
   }
@@ -259,7 +282,7 @@ function createAutoLogin({
     const tag = `🎯Attempt ${attempts}/${maxAttempts}`;
 
     await hardReloadAndWait(); 
-    await delay1to4();
+    await humanDelay();
     log("info", `${tag}:🔄 Page Hard Reloaded`); 
     notify(`${tag}: 🔄 Page Hard Reloaded`);
 
@@ -292,7 +315,7 @@ function createAutoLogin({
     }
 
     const a1 = await typeValue(SEL.mob, MOBILE); 
-    await delay1to4();
+    await humanDelay();
     log(a1?"info":"error", `${tag}:📱 Fill mobile ${a1?"OK":"FAIL"} (${maskMobile(MOBILE)})`);
     notify(`${tag}: 📱 Mobile ${a1?"Filled":"Missing"}`);
 
@@ -302,7 +325,7 @@ function createAutoLogin({
       return false; 
     }
     const a2 = await clickSel(SEL.loginBtn); 
-    await delay1to4();
+    await humanDelay();
     log(a2?"info":"error", `${tag}:🟢 Click login ${a2?"OK":"FAIL"}`); 
     notify(`${tag}: 🟢 Click Login ${a2?"OK":"FAIL"}`);
 
@@ -312,7 +335,7 @@ function createAutoLogin({
       return false; 
     }
     const a3 = await clickSel(SEL.reqOtp); 
-    await delay1to4();
+    await humanDelay();
     log(a3?"info":"error", `${tag}:🔢 Request OTP ${a3?"OK":"FAIL"}`); 
     notify(`${tag}:🔢 Request OTP ${a3?"OK":"FAIL"}`);
 
@@ -342,7 +365,7 @@ function createAutoLogin({
         return false; 
       }
       const sub = await clickSel(SEL.submitOtp); 
-      await delay1to4();
+      await humanDelay();
       log(sub?"info":"error", `${tag}: Submit OTP ${sub?"OK":"FAIL"}`); 
       notify(`${tag}: 📤 Submit OTP ${sub?"OK":"FAIL"}`);
 
@@ -0,0 +1,133 @@
+// buyerindex.js
+// Who has written to us before? LeadStore only merges rows with the same
+// product + buyer name + mobile, and is emptied at every daily archive, so a
+// buyer asking about a second product, or coming back next week, reads as a
+// stranger. This index keys every Message Centre enquiry on the buyer's
+// normalised mobile (phone.js), email and GSTIN, across the SQLite lead
+// store – or, when that is closed, Reports/ plus every reports_archive/<stamp>/
+// – and answers "Returning buyer – 3 previous enquiries (last: 12 Oct, Belt
+// Conveyor)" for a new lead.
+//
+// One enquiry is one product on one day, so a lead that is read again, or
+// merged with more details later, never counts against itself.
+
+const fsp = require("node:fs/promises");
+const fs = require("node:fs");
+const path = require("node:path");
+const { parseTs } = require("./leaddb");
+const { parsePhone, phoneKey } = require("./phone");
+
+const LOG_FILE = "messagecentre_log.json";
+const TZ = "Asia/Kolkata";
+const IST_OFFSET_MS = 5.5 * 60 * 60 * 1000;
+
+const clean = (v) => { const s = String(v ?? "").trim(); return s === "---" ? "" : s; };
+const norm = (s) => clean(s).replace(/\s+/g, " ").toLowerCase();
+
+// Identity keys of a row: "m:<phone.js key>", "e:<email>", "g:<GSTIN>".
+// Only complete, valid numbers count (a masked "98XXXXXX12" is shared by
+// many buyers); "+tag" mail aliases are folded away.
+function identityKeys(r = {}) {
+  const keys = [];
+  const mobile = r.mobile || r.mobile10 || "";
+  if (parsePhone(mobile).check === "ok") keys.push(`m:${phoneKey(mobile)}`);
+  const e = norm(r.email).replace(/\+[^@]*@/, "@");
+  if (/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(e)) keys.push(`e:${e}`);
+  const g = clean(r.gstin).toUpperCase().replace(/[^0-9A-Z]/g, "");
+  if (g.length === 15) keys.push(`g:${g}`);
+  return keys;
+}
+
+const tsOf = (r) => Number(r.ts_ms) || parseTs(r.ts || r.timestamp) || 0;
+const dayOf = (ms) => new Date(ms + IST_OFFSET_MS).toISOString().slice(0, 10);
+const enquiryKey = (r, ms = tsOf(r)) => `${dayOf(ms)}|${norm(r.product)}`;
+
+// { count, lastAt, lastProduct } -> "Returning buyer – 3 previous enquiries
+// (last: 12 Oct, Belt Conveyor)"
+function describeReturning(info) {
+  if (!info?.count) return "";
+  const when = info.lastAt ? new Date(info.lastAt).toLocaleDateString("en-IN", { day: "numeric", month: "short", timeZone: TZ }) : "";
+  const last = [when, info.lastProduct].filter(Boolean).join(", ");
+  return `Returning buyer – ${info.count} previous ${info.count === 1 ? "enquiry" : "enquiries"}${last ? ` (last: ${last})` : ""}`;
+}
+
+function createBuyerIndex({
+  db = null,
+  reportsDir = path.join(__dirname, "Reports"),
+  archiveDir = path.join(__dirname, "reports_archive"),
+  log = () => {}
+} = {}) {
+  // identity key -> Map(enquiry key -> { at, product, buyer })
+  const byKey = new Map();
+  let building = null;
+
+  function add(r) {
+    if (!r || typeof r !== "object") return false;
+    const keys = identityKeys(r);
+    if (!keys.length || !clean(r.product)) return false;
+    const at = tsOf(r) || Date.now();
+    const ek = enquiryKey(r, at);
+    const entry = { at, product: clean(r.product), buyer: clean(r.buyer) };
+    for (const k of keys) {
+      if (!byKey.has(k)) byKey.set(k, new Map());
+      const m = byKey.get(k);
+      // Earliest sighting wins, so a re-read never moves an enquiry forward
+      if (!m.has(ek) || m.get(ek).at > at) m.set(ek, entry);
+    }
+    return true;
+  }
+
+  async function readRows(file) {
+    try {
+      const raw = (await fsp.readFile(file, "utf8")).trim();
+      if (!raw) return [];
+      const j = JSON.parse(raw);
+      return Array.isArray(j) ? j : [];
+    } catch { return []; }
+  }
+
+  async function build() {
+    let n = 0;
+    if (db?.enabled) {
+      for (const r of db.all("lead")) if (add(r)) n++;
+    } else {
+      const dirs = [reportsDir];
+      try {
+        for (const d of fs.readdirSync(archiveDir, { withFileTypes: true })) {
+          if (d.isDirectory()) dirs.push(path.join(archiveDir, d.name));
+        }
+      } catch {}
+      for (const dir of dirs) {
+        for (const r of await readRows(path.join(dir, LOG_FILE))) if (add(r)) n++;
+      }
+    }
+    log("info", `Buyers: indexed ${n} enquiries from ${byKey.size} buyer key(s)${db?.enabled ? "" : " (report files)"}`);
+  }
+
+  const ready = () => (building ||= build().catch(e => log("error", `Buyers: index failed – ${e.message}`)));
+
+  // Earlier enquiries by the same mobile, email or GSTIN, not counting the
+  // row's own (same product, same day). null for a first-time buyer.
+  async function lookup(r) {
+    await ready();
+    const own = enquiryKey(r, tsOf(r) || Date.now());
+    const seen = new Map();
+    for (const k of identityKeys(r)) {
+      for (const [ek, e] of byKey.get(k) || []) if (ek !== own) seen.set(ek, e);
+    }
+    if (!seen.size) return null;
+    const list = [...seen.values()].sort((a, b) => b.at - a.at);
+    return { count: list.length, lastAt: list[0].at, lastProduct: list[0].product, products: [...new Set(list.map(e => e.product))].slice(0, 5) };
+  }
+
+  // lookup() for a fresh LeadStore row, then remember it
+  async function check(r) {
+    const info = await lookup(r);
+    add(r);
+    return info;
+  }
+
+  return { ready, add, lookup, check, size: () => byKey.size };
+}
+
+module.exports = { createBuyerIndex, identityKeys, describeReturning };
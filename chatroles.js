@@ -0,0 +1,124 @@
+// chatroles.js
+// Which Telegram chats the bot answers and what each may do. Chats come from
+// List/telegram_chats.json, each with a role:
+//   admin    – every command
+//   operator – product/keyword lists, auto-refresh, /lead and /remind only
+//   viewer   – receives notifications, runs no commands
+// "routes" maps each notification type to roles, "all" or chat ids. Types
+// left out use DEFAULT_ROUTES. Without the file TELEGRAM_CHAT_ID is the only
+// chat, an admin, and receives everything as before; when set it is always
+// kept as an admin so a bad file cannot lock the owner out.
+//
+// List/telegram_chats.json:
+//   { "chats": [
+//       { "id": 123456789,      "role": "admin",    "label": "Owner" },
+//       { "id": -1001234567890, "role": "viewer",   "label": "Sales group" },
+//       { "id": 555000111,      "role": "operator", "label": "Desk" } ],
+//     "routes": { "lead": ["admin", -1001234567890], "error": ["admin"] } }
+
+const fs = require("node:fs");
+const path = require("node:path");
+
+const ROLES = ["admin", "operator", "viewer"];
+
+// lead: Message Centre buyer details · match: product/keyword clicks ·
+// login: auto-login/OTP · report: status, digests, exports · alert: budget
+// and instance warnings · error: selector drift and failures · system: app
+// start/stop
+const DEFAULT_ROUTES = Object.freeze({
+  lead: ["all"],
+  match: ["all"],
+  login: ["admin"],
+  report: ["admin"],
+  alert: ["admin"],
+  error: ["admin"],
+  system: ["admin"]
+});
+const TYPES = Object.keys(DEFAULT_ROUTES);
+
+// Everything an operator may run; admins run all, viewers nothing
+const OPERATOR_COMMANDS = new Set([
+  "help", "ping", "accounts",
+  "startref", "stopref", "setref", "startrefresh", "stoprefresh", "setrefresh",
+  "addprod", "delprod", "prodlist", "addproduct", "deleteproduct", "productlist",
+  "addkey", "delkey", "keylist", "addkeyword", "deletekeyword", "keywordlist",
+  "lead", "remind"
+]);
+
+const normSpace = (s) => String(s || "").trim().replace(/\s+/g, " ");
+const chatKey = (id) => String(id ?? "").trim();
+
+function createChatRoles({
+  file = path.join(__dirname, "List", "telegram_chats.json"),
+  chatId = null,
+  log = () => {}
+} = {}) {
+
+  let cfg = {};
+  if (file) {
+    try {
+      const j = JSON.parse(fs.readFileSync(file, "utf8"));
+      cfg = Array.isArray(j) ? { chats: j } : (j && typeof j === "object" ? j : {});
+    } catch (e) {
+      if (e.code !== "ENOENT") log("error", `Telegram chats: ${path.basename(file)} unreadable – ${e.message}`);
+    }
+  }
+
+  const chats = new Map();
+  for (const c of Array.isArray(cfg.chats) ? cfg.chats : []) {
+    const id = chatKey(c?.id);
+    const role = String(c?.role || "").trim().toLowerCase();
+    if (!/^-?\d{1,20}$/.test(id)) { log("error", `Telegram chats: skipped invalid id "${c?.id ?? ""}"`); continue; }
+    if (!ROLES.includes(role)) { log("error", `Telegram chats: skipped ${id}, unknown role "${c?.role ?? ""}"`); continue; }
+    if (chats.has(id)) { log("error", `Telegram chats: skipped duplicate id ${id}`); continue; }
+    chats.set(id, Object.freeze({ id, role, label: normSpace(c.label).slice(0, 40) || id }));
+  }
+  const owner = chatKey(chatId);
+  if (owner && chats.get(owner)?.role !== "admin") {
+    if (chats.has(owner)) log("warning", `Telegram chats: TELEGRAM_CHAT_ID ${owner} kept as admin`);
+    chats.set(owner, Object.freeze({ id: owner, role: "admin", label: chats.get(owner)?.label || "Owner" }));
+  }
+
+  const routes = {};
+  for (const type of TYPES) {
+    const r = cfg.routes?.[type];
+    routes[type] = Array.isArray(r) ? r.map(x => String(x).trim().toLowerCase()) : [...DEFAULT_ROUTES[type]];
+  }
+  for (const type of Object.keys(cfg.routes || {})) {
+    if (!TYPES.includes(type)) log("warning", `Telegram chats: unknown route type "${type}" ignored`);
+  }
+
+  const roleOf = (id) => chats.get(chatKey(id))?.role || null;
+
+  // cmd is the cleaned command name, without the slash
+  const canRun = (id, cmd) => {
+    const role = roleOf(id);
+    if (role === "admin") return true;
+    if (role === "operator") return OPERATOR_COMMANDS.has(String(cmd || "").toLowerCase());
+    return false;
+  };
+
+  // Chat ids a notification of this type goes to; unknown types count as
+  // "system"
+  const recipients = (type) => {
+    const targets = routes[type] || routes.system;
+    const out = new Set();
+    for (const t of targets) {
+      for (const c of chats.values()) {
+        if (t === "all" || t === c.role || t === c.id) out.add(c.id);
+      }
+    }
+    return [...out];
+  };
+
+  return {
+    roleOf,
+    canRun,
+    recipients,
+    byRole: (role) => [...chats.values()].filter(c => c.role === role).map(c => c.id),
+    list: () => [...chats.values()],
+    getState: () => ({ chats: [...chats.values()], routes: { ...routes } })
+  };
+}
+
+module.exports = { createChatRoles, OPERATOR_COMMANDS, ROLES, TYPES };
@@ -0,0 +1,198 @@
+// clickbudget.js
+// Every contact click spends an IndiaMART BuyLead credit. This caps clicks per
+// product and per day and blocks them in quiet hours. Limits and today's
+// counters live in the account's List/click_budget.json (List/<id>/ for
+// the other accounts) so restarts and the 08:00/20:00 deep resets don't
+// hand out a fresh budget.
+
+const fs = require("node:fs");
+const path = require("node:path");
+
+const { ruleKey } = require("./matchclicker");
+
+// Caps and counters are kept by base phrase, so "conveyor belt -used @2"
+// shares "conveyor belt"'s and editing the flags keeps today's count
+const norm = (s) => ruleKey(String(s || "").trim());
+const toMin = (hhmm) => { const [h, m] = String(hhmm).split(":").map(Number); return h * 60 + m; };
+const pad2 = (n) => String(n).padStart(2, "0");
+
+const byKey = (o) => o && typeof o === "object" ? Object.fromEntries(Object.entries(o).map(([k, v]) => [norm(k), v])) : {};
+
+const DEFAULT_LIMITS = Object.freeze({
+  globalDaily: 0,        // 0 = unlimited
+  perProductDefault: 0,  // 0 = unlimited
+  perProduct: {},        // { "<product base phrase, lowercased>": n }
+  quiet: []              // ["23:00-07:00", ...] in DAILY_TZ
+});
+
+// "23:00-07:00", "23.00-07.00", "2300-0700", "23-7" -> "23:00-07:00"
+function parseWindow(s) {
+  const m = /^(\d{1,2})(?:[:.]?(\d{2}))?\s*-\s*(\d{1,2})(?:[:.]?(\d{2}))?$/.exec(String(s || "").trim());
+  if (!m) return null;
+  const [h1, m1, h2, m2] = [m[1], m[2] || "0", m[3], m[4] || "0"].map(Number);
+  if (h1 > 23 || h2 > 24 || m1 > 59 || m2 > 59) return null;
+  return `${pad2(h1)}:${pad2(m1)}-${pad2(h2 % 24)}:${pad2(m2)}`;
+}
+
+function inWindow(win, hhmm) {
+  const [a, b] = win.split("-").map(toMin);
+  const t = toMin(hhmm);
+  return a <= b ? (t >= a && t < b) : (t >= a || t < b); // wraps past midnight
+}
+
+function createClickBudget({
+  file = path.join(__dirname, "List", "click_budget.json"),
+  dayKey = () => new Date().toISOString().slice(0, 10),
+  nowHHMM = () => new Date().toTimeString().slice(0, 5),
+  onAlert = () => {},
+  log = () => {}
+} = {}) {
+
+  let limits = { ...DEFAULT_LIMITS, perProduct: {} };
+  let usage = { day: dayKey(), total: 0, perProduct: {}, alerted: [] };
+
+  try {
+    const j = JSON.parse(fs.readFileSync(file, "utf8"));
+    if (j?.limits && typeof j.limits === "object") {
+      limits = {
+        globalDaily: Math.max(0, Number(j.limits.globalDaily) || 0),
+        perProductDefault: Math.max(0, Number(j.limits.perProductDefault) || 0),
+        perProduct: byKey(j.limits.perProduct),
+        quiet: Array.isArray(j.limits.quiet) ? j.limits.quiet.map(parseWindow).filter(Boolean) : []
+      };
+    }
+    if (j?.usage && typeof j.usage === "object") {
+      usage = {
+        day: String(j.usage.day || ""),
+        total: Number(j.usage.total) || 0,
+        perProduct: byKey(j.usage.perProduct),
+        alerted: Array.isArray(j.usage.alerted) ? j.usage.alerted : []
+      };
+    }
+  } catch {}
+
+  function save() {
+    try {
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      fs.writeFileSync(file, JSON.stringify({ limits, usage }, null, 2), "utf8");
+      return true;
+    } catch (e) {
+      log("error", `ClickBudget: save failed – ${e.message}`);
+      return false;
+    }
+  }
+
+  function rollover() {
+    const today = dayKey();
+    if (usage.day === today) return;
+    log("info", `ClickBudget: new day ${today} (yesterday ${usage.total} click(s))`);
+    usage = { day: today, total: 0, perProduct: {}, alerted: [] };
+    save();
+  }
+
+  const productLimit = (key) => {
+    const own = limits.perProduct[key];
+    return own !== undefined ? Math.max(0, Number(own) || 0) : limits.perProductDefault;
+  };
+
+  function alertOnce(id, text) {
+    if (usage.alerted.includes(id)) return;
+    usage.alerted.push(id);
+    save();
+    log("warning", `ClickBudget: ${text}`);
+    try { onAlert(text); } catch {}
+  }
+
+  // -> { ok: true } or { ok: false, reason }
+  function check(product) {
+    rollover();
+    const now = nowHHMM();
+    const quiet = limits.quiet.find(w => inWindow(w, now));
+    if (quiet) return { ok: false, reason: `quiet hours ${quiet}` };
+
+    if (limits.globalDaily && usage.total >= limits.globalDaily) {
+      alertOnce("global", `🛑 Daily click budget exhausted (${usage.total}/${limits.globalDaily}) – auto-contact paused until tomorrow`);
+      return { ok: false, reason: `daily cap ${limits.globalDaily} reached` };
+    }
+
+    const key = norm(product);
+    const cap = productLimit(key);
+    const used = usage.perProduct[key] || 0;
+    if (cap && used >= cap) {
+      alertOnce(`p:${key}`, `🛑 Click budget exhausted for "${product}" (${used}/${cap}) – skipping it until tomorrow`);
+      return { ok: false, reason: `product cap ${cap} reached` };
+    }
+    return { ok: true };
+  }
+
+  function record(product) {
+    rollover();
+    const key = norm(product);
+    usage.total += 1;
+    usage.perProduct[key] = (usage.perProduct[key] || 0) + 1;
+    save();
+
+    const cap = productLimit(key);
+    if (cap && usage.perProduct[key] >= cap) {
+      alertOnce(`p:${key}`, `🛑 Click budget exhausted for "${product}" (${usage.perProduct[key]}/${cap}) – skipping it until tomorrow`);
+    }
+    if (limits.globalDaily && usage.total >= limits.globalDaily) {
+      alertOnce("global", `🛑 Daily click budget exhausted (${usage.total}/${limits.globalDaily}) – auto-contact paused until tomorrow`);
+    }
+  }
+
+  // Editing – each returns false on bad input
+  function setGlobal(n) {
+    const v = Number(n);
+    if (!Number.isInteger(v) || v < 0) return false;
+    limits.globalDaily = v;
+    usage.alerted = usage.alerted.filter(a => a !== "global");
+    return save();
+  }
+
+  function setDefault(n) {
+    const v = Number(n);
+    if (!Number.isInteger(v) || v < 0) return false;
+    limits.perProductDefault = v;
+    usage.alerted = usage.alerted.filter(a => a === "global");
+    return save();
+  }
+
+  // n === null removes the override so the default applies again
+  function setProduct(product, n) {
+    const key = norm(product);
+    if (!key) return false;
+    if (n === null) {
+      delete limits.perProduct[key];
+    } else {
+      const v = Number(n);
+      if (!Number.isInteger(v) || v < 0) return false;
+      limits.perProduct[key] = v;
+    }
+    usage.alerted = usage.alerted.filter(a => a !== `p:${key}`);
+    return save();
+  }
+
+  function setQuiet(windows) {
+    const list = (Array.isArray(windows) ? windows : []).map(parseWindow);
+    if (list.some(w => !w)) return false;
+    limits.quiet = list;
+    return save();
+  }
+
+  function getState() {
+    rollover();
+    const now = nowHHMM();
+    return {
+      day: usage.day,
+      now,
+      quietNow: limits.quiet.find(w => inWindow(w, now)) || null,
+      limits: JSON.parse(JSON.stringify(limits)),
+      usage: { total: usage.total, perProduct: { ...usage.perProduct } }
+    };
+  }
+
+  return { check, record, setGlobal, setDefault, setProduct, setQuiet, getState, parseWindow };
+}
+
+module.exports = { createClickBudget, parseWindow };
@@ -0,0 +1,238 @@
+// digest.js
+// Daily digest for the 08:00/20:00 slot: what came in since the last reset,
+// summarised from the current Reports/*.json working files. Produces a
+// Telegram HTML message and a standalone HTML page saved next to the logs.
+
+const fsp = require("node:fs/promises");
+const path = require("node:path");
+const { parseTs } = require("./leaddb");
+const { keywordHit } = require("./fuzzy");
+
+const IST_OFFSET_MS = 5.5 * 60 * 60 * 1000;
+const TOP_PRODUCTS = 10;
+const TOP_PLACES = 5;
+const TOP_KEYWORDS = 10;
+const TOP_HOURS = 3;
+const MAX_OVERDUE = 20;
+
+const esc = (s) => String(s ?? "").replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+const norm = (s) => String(s || "").trim().replace(/\s+/g, " ").toLowerCase();
+const pad2 = (n) => String(n).padStart(2, "0");
+const pct = (n, d) => d ? `${Math.round((n / d) * 100)}%` : "—";
+
+function tally(map, key, n = 1) {
+  if (!key) return;
+  map.set(key, (map.get(key) || 0) + n);
+}
+
+const topOf = (map, n) => [...map.entries()].sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0])).slice(0, n);
+
+// composeLoc writes "City, State" (or just the raw location as a fallback)
+function splitLoc(loc) {
+  const parts = String(loc || "").split(",").map(s => s.trim()).filter(Boolean);
+  if (!parts.length) return { city: "", state: "" };
+  if (parts.length === 1) return { city: parts[0], state: "" };
+  return { city: parts[0], state: parts[parts.length - 1] };
+}
+
+const istHour = (ms) => new Date(ms + IST_OFFSET_MS).getUTCHours();
+
+// matchclick.json also holds rows that were never clicked: "fail" (button
+// missing) and "rejected" (location rules). Rows from before statuses were
+// logged are clicks; anything else is not counted.
+const clickStatus = (r) => String(r.status ?? "").trim().toLowerCase() || "ok";
+
+function createDigest({
+  reportsDir = path.join(__dirname, "Reports"),
+  outDir = reportsDir,
+  log = () => {}
+} = {}) {
+
+  async function readRows(name) {
+    try {
+      const raw = (await fsp.readFile(path.join(reportsDir, name), "utf8")).trim();
+      if (!raw) return [];
+      const j = JSON.parse(raw);
+      return Array.isArray(j) ? j.filter(r => r && typeof r === "object") : [];
+    } catch { return []; }
+  }
+
+  async function collect({ keywords = [] } = {}) {
+    const [products, kwRows, clicks, leads] = await Promise.all([
+      readRows("products_log.json"),
+      readRows("keyword_matches.json"),
+      readRows("matchclick.json"),
+      readRows("messagecentre_log.json"),
+    ]);
+
+    // Leads per product: successful clicks grouped by the products.json entry
+    const perProduct = new Map();
+    let ok = 0, fail = 0, rejected = 0;
+    for (const r of clicks) {
+      const status = clickStatus(r);
+      if (status === "ok") {
+        ok++;
+        tally(perProduct, norm(r.matched ?? r.Matched) || "(unknown)");
+      } else if (status === "fail") {
+        fail++;
+      } else if (status === "rejected") {
+        rejected++;
+      }
+    }
+
+    const cities = new Map(), states = new Map();
+    for (const r of products) {
+      const { city, state } = splitLoc(r.location);
+      tally(cities, city);
+      tally(states, state);
+    }
+
+    const kwList = [...new Set((keywords || []).map(k => String(k || "").trim().toLowerCase()).filter(Boolean))];
+    const perKeyword = new Map();
+    for (const r of kwRows) {
+      const title = r.title || r.name;
+      for (const kw of kwList) if (keywordHit(kw, title)) tally(perKeyword, kw);
+    }
+
+    // Busiest hours by new postings, with clicks alongside
+    const hours = Array.from({ length: 24 }, () => ({ products: 0, clicks: 0 }));
+    for (const r of products) {
+      const t = parseTs(r.timestamp ?? r.ts);
+      if (t) hours[istHour(t)].products++;
+    }
+    for (const r of clicks) {
+      const t = parseTs(r.timestamp ?? r.ts);
+      if (t && clickStatus(r) === "ok") hours[istHour(t)].clicks++;
+    }
+    const busiest = hours
+      .map((h, hour) => ({ hour, ...h }))
+      .filter(h => h.products || h.clicks)
+      .sort((a, b) => (b.products + b.clicks) - (a.products + a.clicks) || a.hour - b.hour)
+      .slice(0, TOP_HOURS);
+
+    return {
+      totals: {
+        products: products.length,
+        keywordHits: kwRows.length,
+        clicks: ok,
+        clickAttempts: ok + fail,
+        clicksOk: ok,
+        clicksFail: fail,
+        clicksRejected: rejected,
+        mcLeads: leads.length
+      },
+      perProduct: topOf(perProduct, TOP_PRODUCTS),
+      cities: topOf(cities, TOP_PLACES),
+      states: topOf(states, TOP_PLACES),
+      perKeyword: topOf(perKeyword, TOP_KEYWORDS),
+      busiest
+    };
+  }
+
+  const hourLabel = (h) => `${pad2(h)}:00–${pad2((h + 1) % 24)}:00`;
+
+  function toTelegram(stats, label, when) {
+    const t = stats.totals;
+    const list = (rows, empty = "—") => rows.length
+      ? rows.map(([k, n], i) => `${i + 1}. ${esc(k)} – <b>${n}</b>`).join("\n")
+      : empty;
+
+    return [
+      `📰 <b>${esc(label)} Digest</b> · ${esc(when)}`,
+      "",
+      `📦 Products: <b>${t.products}</b> · 🔑 Keyword Hits: <b>${t.keywordHits}</b> · 💬 MC Leads: <b>${t.mcLeads}</b>`,
+      `🖱️ Clicks: <b>${t.clicksOk}</b> ok / <b>${t.clicksFail}</b> failed (${pct(t.clicksOk, t.clickAttempts)} success)`,
+      ...(t.clicksRejected ? [`📍 Rejected by location rules: <b>${t.clicksRejected}</b>`] : []),
+      "",
+      "🧩 <b>Leads per Product</b>",
+      list(stats.perProduct),
+      "",
+      "🏙️ <b>Top Cities</b>",
+      list(stats.cities),
+      "",
+      "🗺️ <b>Top States</b>",
+      list(stats.states),
+      "",
+      "🔑 <b>Keyword Hits</b>",
+      list(stats.perKeyword),
+      "",
+      "⏰ <b>Busiest Hours (IST)</b>",
+      stats.busiest.length
+        ? stats.busiest.map(h => `${hourLabel(h.hour)} – ${h.products} products, ${h.clicks} clicks`).join("\n")
+        : "—",
+      ...(stats.overdue.length ? [
+        "",
+        `📅 <b>Overdue Follow-ups</b> (${stats.overdue.length})`,
+        ...stats.overdue.slice(0, MAX_OVERDUE).map(l => `#${l.id}${l.account ? ` [${esc(l.account)}]` : ""} ${esc(l.buyer || "?")} – ${esc(l.product || "?")} · due ${esc(l.followUp)}${l.assignee ? ` · ${esc(l.assignee)}` : ""}`),
+        ...(stats.overdue.length > MAX_OVERDUE ? [`… and ${stats.overdue.length - MAX_OVERDUE} more – /lead for the list`] : [])
+      ] : []),
+    ].join("\n");
+  }
+
+  function toPage(stats, label, when) {
+    const t = stats.totals;
+    const table = (title, head, rows) => `
+<section><h2>${esc(title)}</h2>${rows.length ? `
+<table><thead><tr>${head.map(h => `<th>${esc(h)}</th>`).join("")}</tr></thead><tbody>
+${rows.map(r => `<tr>${r.map(c => `<td>${esc(c)}</td>`).join("")}</tr>`).join("\n")}
+</tbody></table>` : `<p class="empty">No data</p>`}</section>`;
+
+    return `<!doctype html>
+<html lang="en"><head><meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>Niyati ${esc(label)} Digest – ${esc(when)}</title>
+<style>
+body{font:14px/1.45 system-ui,-apple-system,Segoe UI,Roboto,sans-serif;margin:24px;color:#1d2330;background:#f6f7fb}
+h1{font-size:20px;margin:0 0 4px}.sub{color:#667;margin:0 0 18px}
+.cards{display:flex;flex-wrap:wrap;gap:10px;margin-bottom:18px}
+.card{background:#fff;border-radius:8px;padding:10px 14px;box-shadow:0 1px 3px rgba(0,0,0,.08);min-width:120px}
+.card b{display:block;font-size:20px}
+section{background:#fff;border-radius:8px;padding:12px 16px;margin-bottom:14px;box-shadow:0 1px 3px rgba(0,0,0,.08)}
+h2{font-size:15px;margin:0 0 8px}table{border-collapse:collapse;width:100%}
+th,td{text-align:left;padding:4px 8px;border-bottom:1px solid #eceef3}td:last-child,th:last-child{text-align:right}
+.empty{color:#99a}
+</style></head><body>
+<h1>Niyati ${esc(label)} Digest</h1>
+<p class="sub">${esc(when)} (IST)</p>
+<div class="cards">
+<div class="card"><b>${t.products}</b>Products</div>
+<div class="card"><b>${t.keywordHits}</b>Keyword hits</div>
+<div class="card"><b>${t.mcLeads}</b>MC leads</div>
+<div class="card"><b>${t.clicksOk} / ${t.clickAttempts}</b>Clicks ok (${pct(t.clicksOk, t.clickAttempts)})</div>
+<div class="card"><b>${t.clicksRejected}</b>Rejected (location)</div>
+</div>
+${table("Leads per product", ["Product", "Leads"], stats.perProduct)}
+${table("Top cities", ["City", "Products"], stats.cities)}
+${table("Top states", ["State", "Products"], stats.states)}
+${table("Keyword hits", ["Keyword", "Hits"], stats.perKeyword)}
+${table("Busiest hours", ["Hour (IST)", "Products", "Clicks"], stats.busiest.map(h => [hourLabel(h.hour), h.products, h.clicks]))}
+${stats.overdue.length ? table("Overdue follow-ups", ["Lead", "Buyer", "Product", "Status", "Assignee", "Due"],
+    stats.overdue.map(l => [`#${l.id}${l.account ? ` [${l.account}]` : ""}`, l.buyer, l.product, l.status, l.assignee || "—", l.followUp])) : ""}
+</body></html>
+`;
+  }
+
+  // Collects, formats and saves Reports/digest_<stamp>.html. overdue: open
+  // pipeline leads past their follow-up date (leadcrm.js), which live in
+  // List/ rather than the Reports/ working files
+  async function build(label, { keywords = [], when = "", overdue = [] } = {}) {
+    const stats = { ...(await collect({ keywords })), overdue: Array.isArray(overdue) ? overdue : [] };
+    const d = new Date();
+    const stamp = `${d.getFullYear()}-${pad2(d.getMonth() + 1)}-${pad2(d.getDate())}_${pad2(d.getHours())}${pad2(d.getMinutes())}`;
+    const tag = String(label || "").replace(/[^a-zA-Z0-9]/g, "");
+    let file = path.join(outDir, `digest_${stamp}${tag ? "_" + tag : ""}.html`);
+    try {
+      await fsp.mkdir(outDir, { recursive: true });
+      await fsp.writeFile(file, toPage(stats, label, when), "utf8");
+      log("info", `Digest: ${label} saved ${path.basename(file)}`);
+    } catch (e) {
+      log("error", `Digest: save failed – ${e.message}`);
+      file = null;
+    }
+    return { stats, text: toTelegram(stats, label, when), file };
+  }
+
+  return { collect, build };
+}
+
+module.exports = { createDigest };
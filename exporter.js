@@ -0,0 +1,430 @@
+// exporter.js
+// Converts the report logs into CSV files and a multi-sheet XLSX workbook so
+// the sales team can open them on a phone or in Excel. The XLSX writer is
+// self-contained (zlib + a minimal zip container), no extra dependency.
+
+const fs = require("node:fs");
+const fsp = require("node:fs/promises");
+const path = require("node:path");
+const zlib = require("node:zlib");
+const { parseTs } = require("./leaddb");
+const { gstFields } = require("./gstin");
+const { parsePhone, phoneFields } = require("./phone");
+
+const IST_OFFSET_MS = 5.5 * 60 * 60 * 1000;
+const EXPORT_KEEP_DAYS = 14;
+
+const clean = (v) => { const s = String(v ?? "").trim(); return s === "---" ? "" : s; };
+const pad2 = (n) => String(n).padStart(2, "0");
+
+// "YYYY-MM-DD HH:mm:ss" in IST regardless of the machine timezone
+function fmtIST(ms) {
+  if (!ms) return "";
+  const d = new Date(ms + IST_OFFSET_MS);
+  return `${d.getUTCFullYear()}-${pad2(d.getUTCMonth() + 1)}-${pad2(d.getUTCDate())} ${pad2(d.getUTCHours())}:${pad2(d.getUTCMinutes())}:${pad2(d.getUTCSeconds())}`;
+}
+
+const fmtPhone = (v) => parsePhone(v).e164 || clean(v);
+
+// ---------------------------------------------------------------
+// Column definitions. Getters accept both JSON log rows and leaddb rows.
+// ---------------------------------------------------------------
+const tsOf = (r) => r.ts_ms || parseTs(r.timestamp ?? r.ts);
+const intOf = (v) => { const n = parseInt(v, 10); return Number.isFinite(n) ? n : null; };
+const numOf = (v) => { const n = parseFloat(v); return Number.isFinite(n) ? n : null; };
+const yes = (v) => (v === true ? "yes" : "");
+
+// Scraped BuyLead fields: top level in products_log.json, JSON in leaddb "details"
+const det = (r) => {
+  if (typeof r.details !== "string") return r;
+  try { return JSON.parse(r.details) || {}; } catch { return {}; }
+};
+
+const KINDS = Object.freeze({
+  leads: {
+    file: "messagecentre_log.json",
+    dbKind: "lead",
+    sheet: "MC Leads",
+    columns: [
+      { header: "Serial", type: "int", get: r => intOf(r.serial) },
+      { header: "Captured (IST)", type: "datetime", get: tsOf },
+      { header: "Product", type: "text", get: r => clean(r.product) },
+      { header: "Buyer", type: "text", get: r => clean(r.buyer) },
+      { header: "Company", type: "text", get: r => clean(r.company) },
+      { header: "Mobile", type: "phone", get: r => clean(r.mobile) },
+      { header: "Phone Type", type: "text", get: r => phoneFields(r).phoneType },
+      { header: "Phone Check", type: "text", get: r => phoneFields(r).phoneCheck },
+      { header: "Email", type: "text", get: r => clean(r.email) },
+      { header: "GSTIN", type: "text", get: r => clean(r.gstin) },
+      // Decoded again, so SQLite rows (no gst columns) get them too
+      { header: "GST State", type: "text", get: r => gstFields(r).gstState },
+      { header: "PAN", type: "text", get: r => gstFields(r).gstPan },
+      { header: "GST Check", type: "text", get: r => gstFields(r).gstCheck },
+      { header: "Address", type: "text", get: r => clean(r.address) },
+      { header: "Lead Time", type: "text", get: r => clean(r.lead_time ?? r.time) },
+    ]
+  },
+  keywords: {
+    file: "keyword_matches.json",
+    dbKind: "keyword",
+    sheet: "Keyword Matches",
+    columns: [
+      { header: "Serial", type: "int", get: r => intOf(r.serial) },
+      { header: "Matched (IST)", type: "datetime", get: tsOf },
+      { header: "Title", type: "text", get: r => clean(r.title ?? r.name) },
+      { header: "Location", type: "text", get: r => clean(r.location) },
+    ]
+  },
+  products: {
+    file: "products_log.json",
+    dbKind: "product",
+    sheet: "Products",
+    columns: [
+      { header: "Serial", type: "int", get: r => intOf(r.serial) },
+      { header: "Scraped (IST)", type: "datetime", get: tsOf },
+      { header: "Title", type: "text", get: r => clean(r.title ?? r.name) },
+      { header: "Location", type: "text", get: r => clean(r.location) },
+      { header: "Quantity", type: "int", get: r => numOf(det(r).quantity) },
+      { header: "Unit", type: "text", get: r => clean(det(r).quantityUnit) },
+      { header: "Order Value Min (₹)", type: "int", get: r => numOf(det(r).orderValueMin) },
+      { header: "Order Value Max (₹)", type: "int", get: r => numOf(det(r).orderValueMax) },
+      { header: "GST Verified", type: "text", get: r => yes(det(r).gstVerified) },
+      { header: "Mobile Verified", type: "text", get: r => yes(det(r).mobileVerified) },
+      { header: "Member Since", type: "text", get: r => clean(det(r).memberSince) },
+      { header: "Posted", type: "text", get: r => clean(det(r).postedAgo) },
+    ]
+  },
+  clicks: {
+    file: "matchclick.json",
+    dbKind: "click",
+    sheet: "Match Clicks",
+    columns: [
+      { header: "Clicked (IST)", type: "datetime", get: tsOf },
+      { header: "Title", type: "text", get: r => clean(r.title) },
+      { header: "List #", type: "int", get: r => intOf(r.list_idx ?? r.index) },
+      { header: "Matched Product", type: "text", get: r => clean(r.matched ?? r.Matched) },
+      { header: "Status", type: "text", get: r => clean(r.status) },
+      { header: "Reason", type: "text", get: r => clean(r.reason) },
+    ]
+  }
+});
+
+const KIND_NAMES = Object.keys(KINDS);
+
+// ---------------------------------------------------------------
+// CSV
+// ---------------------------------------------------------------
+// Buyer-typed text starting with = + - @ would open in Excel as a formula
+// ("=HYPERLINK(…)"); a leading ' keeps it text. Number and date columns are
+// ours and pass through, phones are written so they can't start one.
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+function csvCell(v, type = "text") {
+  let s = String(v ?? "");
+  if (type === "text" && FORMULA_START.test(s)) s = `'${s}`;
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+// "91 9876543210": no "+" for Excel to read as a formula, and the space keeps
+// it text so the country code isn't summed into a number
+function csvPhone(v) {
+  const p = parsePhone(v);
+  return p.e164 ? `${p.cc} ${p.national}` : clean(v).replace(/^[=+\-@\s]+/, "");
+}
+
+function cellText(col, v, csv = false) {
+  if (v === null || v === undefined || v === "") return "";
+  if (col.type === "datetime") return fmtIST(v);
+  if (col.type === "phone") return csv ? csvPhone(v) : fmtPhone(v);
+  return String(v);
+}
+
+function toCSV(kind, rows) {
+  const { columns } = KINDS[kind];
+  const lines = [columns.map(c => csvCell(c.header)).join(",")];
+  for (const r of rows) {
+    lines.push(columns.map(c => csvCell(cellText(c, c.get(r), true), c.type)).join(","));
+  }
+  // BOM so Excel opens UTF-8 (Devanagari, ₹) correctly
+  return "﻿" + lines.join("\r\n") + "\r\n";
+}
+
+// ---------------------------------------------------------------
+// XLSX
+// ---------------------------------------------------------------
+const xmlEsc = (s) => String(s ?? "")
+  .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, "")
+  .replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+
+function colName(i) {
+  let s = "";
+  for (let n = i + 1; n > 0; n = Math.floor((n - 1) / 26)) s = String.fromCharCode(65 + ((n - 1) % 26)) + s;
+  return s;
+}
+
+// Excel serial date for an instant, expressed in IST wall-clock time
+const excelDate = (ms) => (ms + IST_OFFSET_MS) / 86400000 + 25569;
+
+// Style ids in styles.xml below: 0 default, 1 header (bold), 2 IST datetime
+function sheetXml(columns, rows) {
+  const out = ['<?xml version="1.0" encoding="UTF-8" standalone="yes"?>',
+    '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">',
+    '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>',
+    "<cols>"];
+  columns.forEach((c, i) => {
+    const w = c.type === "datetime" ? 20 : c.type === "int" ? 8 : c.type === "phone" ? 15 : 28;
+    out.push(`<col min="${i + 1}" max="${i + 1}" width="${w}" customWidth="1"/>`);
+  });
+  out.push("</cols><sheetData>");
+
+  out.push('<row r="1">' + columns.map((c, i) =>
+    `<c r="${colName(i)}1" t="inlineStr" s="1"><is><t>${xmlEsc(c.header)}</t></is></c>`).join("") + "</row>");
+
+  rows.forEach((r, ri) => {
+    const rn = ri + 2;
+    const cells = [];
+    columns.forEach((c, ci) => {
+      const v = c.get(r);
+      if (v === null || v === undefined || v === "") return;
+      const ref = `${colName(ci)}${rn}`;
+      if (c.type === "datetime") cells.push(`<c r="${ref}" s="2"><v>${excelDate(v)}</v></c>`);
+      else if (c.type === "int") cells.push(`<c r="${ref}"><v>${Number(v)}</v></c>`);
+      // Phones stay text so Excel neither drops the + nor switches to 9.87E+09
+      else cells.push(`<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${xmlEsc(cellText(c, v))}</t></is></c>`);
+    });
+    out.push(`<row r="${rn}">${cells.join("")}</row>`);
+  });
+
+  out.push("</sheetData>");
+  if (rows.length) out.push(`<autoFilter ref="A1:${colName(columns.length - 1)}${rows.length + 1}"/>`);
+  out.push("</worksheet>");
+  return out.join("");
+}
+
+const STYLES_XML = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+  '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+  '<numFmts count="1"><numFmt numFmtId="164" formatCode="yyyy-mm-dd hh:mm:ss"/></numFmts>' +
+  '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>' +
+  '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>' +
+  '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+  '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+  '<cellXfs count="3">' +
+  '<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>' +
+  '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/>' +
+  '<xf numFmtId="164" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>' +
+  "</cellXfs></styleSheet>";
+
+const sheetName = (s) => String(s).replace(/[\[\]:*?\/\\]/g, " ").slice(0, 31) || "Sheet";
+
+function buildXlsx(sheets) {
+  const files = [];
+  const ctSheets = sheets.map((_, i) =>
+    `<Override PartName="/xl/worksheets/sheet${i + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`).join("");
+  files.push(["[Content_Types].xml", '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+    '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+    '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+    '<Default Extension="xml" ContentType="application/xml"/>' +
+    '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+    '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+    ctSheets + "</Types>"]);
+  files.push(["_rels/.rels", '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+    '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+    '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+    "</Relationships>"]);
+  files.push(["xl/workbook.xml", '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+    '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"><sheets>' +
+    sheets.map((s, i) => `<sheet name="${xmlEsc(sheetName(s.name))}" sheetId="${i + 1}" r:id="rId${i + 1}"/>`).join("") +
+    "</sheets></workbook>"]);
+  files.push(["xl/_rels/workbook.xml.rels", '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+    '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+    sheets.map((_, i) => `<Relationship Id="rId${i + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet${i + 1}.xml"/>`).join("") +
+    `<Relationship Id="rId${sheets.length + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>` +
+    "</Relationships>"]);
+  files.push(["xl/styles.xml", STYLES_XML]);
+  sheets.forEach((s, i) => files.push([`xl/worksheets/sheet${i + 1}.xml`, sheetXml(s.columns, s.rows)]));
+  return zip(files);
+}
+
+// ---------------------------------------------------------------
+// Minimal zip container (deflate, no zip64) – enough for report workbooks
+// ---------------------------------------------------------------
+const CRC_TABLE = (() => {
+  const t = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = (c & 1) ? (0xEDB88320 ^ (c >>> 1)) : (c >>> 1);
+    t[n] = c >>> 0;
+  }
+  return t;
+})();
+
+function crc32(buf) {
+  let c = 0xFFFFFFFF;
+  for (let i = 0; i < buf.length; i++) c = CRC_TABLE[(c ^ buf[i]) & 0xFF] ^ (c >>> 8);
+  return (c ^ 0xFFFFFFFF) >>> 0;
+}
+
+function zip(entries) {
+  const locals = [], centrals = [];
+  let offset = 0;
+  const d = new Date();
+  const dosTime = (d.getHours() << 11) | (d.getMinutes() << 5) | Math.floor(d.getSeconds() / 2);
+  const dosDate = ((d.getFullYear() - 1980) << 9) | ((d.getMonth() + 1) << 5) | d.getDate();
+
+  for (const [name, content] of entries) {
+    const nameBuf = Buffer.from(name, "utf8");
+    const raw = Buffer.isBuffer(content) ? content : Buffer.from(String(content), "utf8");
+    const data = zlib.deflateRawSync(raw);
+    const crc = crc32(raw);
+
+    const lh = Buffer.alloc(30);
+    lh.writeUInt32LE(0x04034b50, 0);
+    lh.writeUInt16LE(20, 4);
+    lh.writeUInt16LE(0x0800, 6);          // UTF-8 names
+    lh.writeUInt16LE(8, 8);               // deflate
+    lh.writeUInt16LE(dosTime, 10);
+    lh.writeUInt16LE(dosDate, 12);
+    lh.writeUInt32LE(crc, 14);
+    lh.writeUInt32LE(data.length, 18);
+    lh.writeUInt32LE(raw.length, 22);
+    lh.writeUInt16LE(nameBuf.length, 26);
+    lh.writeUInt16LE(0, 28);
+    locals.push(lh, nameBuf, data);
+
+    const ch = Buffer.alloc(46);
+    ch.writeUInt32LE(0x02014b50, 0);
+    ch.writeUInt16LE(20, 4);
+    ch.writeUInt16LE(20, 6);
+    ch.writeUInt16LE(0x0800, 8);
+    ch.writeUInt16LE(8, 10);
+    ch.writeUInt16LE(dosTime, 12);
+    ch.writeUInt16LE(dosDate, 14);
+    ch.writeUInt32LE(crc, 16);
+    ch.writeUInt32LE(data.length, 20);
+    ch.writeUInt32LE(raw.length, 24);
+    ch.writeUInt16LE(nameBuf.length, 28);
+    ch.writeUInt32LE(offset, 42);
+    centrals.push(ch, nameBuf);
+
+    offset += lh.length + nameBuf.length + data.length;
+  }
+
+  const cdSize = centrals.reduce((n, b) => n + b.length, 0);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(entries.length, 8);
+  end.writeUInt16LE(entries.length, 10);
+  end.writeUInt32LE(cdSize, 12);
+  end.writeUInt32LE(offset, 16);
+  return Buffer.concat([...locals, ...centrals, end]);
+}
+
+// ---------------------------------------------------------------
+// Factory
+// ---------------------------------------------------------------
+function createExporter({
+  db = null,
+  reportsDir = path.join(__dirname, "Reports"),
+  archiveDir = path.join(__dirname, "reports_archive"),
+  outDir = path.join(reportsDir, "exports"),
+  log = () => {}
+} = {}) {
+
+  async function readRows(file) {
+    try {
+      const raw = (await fsp.readFile(file, "utf8")).trim();
+      if (!raw) return [];
+      const j = JSON.parse(raw);
+      return Array.isArray(j) ? j.filter(r => r && typeof r === "object") : [];
+    } catch { return []; }
+  }
+
+  // Rows for [fromMs, toMs) – from leaddb when open, otherwise from the
+  // current JSON plus every archive folder.
+  async function rowsInRange(kind, fromMs, toMs) {
+    const def = KINDS[kind];
+    if (db?.enabled) return db.all(def.dbKind, { fromMs, toMs });
+
+    const dirs = [reportsDir];
+    try {
+      for (const d of fs.readdirSync(archiveDir, { withFileTypes: true })) {
+        if (d.isDirectory()) dirs.push(path.join(archiveDir, d.name));
+      }
+    } catch {}
+    const out = [];
+    for (const dir of dirs) {
+      for (const r of await readRows(path.join(dir, def.file))) {
+        const t = tsOf(r);
+        if (t >= fromMs && t < toMs) out.push(r);
+      }
+    }
+    return out.sort((a, b) => tsOf(b) - tsOf(a));
+  }
+
+  async function pruneOld() {
+    try {
+      const cutoff = Date.now() - EXPORT_KEEP_DAYS * 86400000;
+      for (const name of await fsp.readdir(outDir)) {
+        const p = path.join(outDir, name);
+        const st = await fsp.stat(p);
+        if (st.isFile() && st.mtimeMs < cutoff) await fsp.unlink(p);
+      }
+    } catch {}
+  }
+
+  async function writeExport(dataByKind, basename) {
+    await fsp.mkdir(outDir, { recursive: true });
+    const files = [];
+    const sheets = [];
+    const counts = {};
+    for (const kind of KIND_NAMES) {
+      const rows = dataByKind[kind];
+      if (!rows) continue;
+      counts[kind] = rows.length;
+      sheets.push({ name: KINDS[kind].sheet, columns: KINDS[kind].columns, rows });
+      if (!rows.length) continue;
+      const csv = path.join(outDir, `${basename}_${kind}.csv`);
+      await fsp.writeFile(csv, toCSV(kind, rows), "utf8");
+      files.push(csv);
+    }
+    if (sheets.some(s => s.rows.length)) {
+      const xlsx = path.join(outDir, `${basename}.xlsx`);
+      await fsp.writeFile(xlsx, buildXlsx(sheets));
+      files.unshift(xlsx);
+    }
+    pruneOld().catch(() => {});
+    log("info", `Export: ${basename} → ${files.length} file(s) ${JSON.stringify(counts)}`);
+    return { files, counts };
+  }
+
+  const stampOf = (d = new Date()) =>
+    `${d.getFullYear()}-${pad2(d.getMonth() + 1)}-${pad2(d.getDate())}_${pad2(d.getHours())}${pad2(d.getMinutes())}`;
+
+  // Export of the current Reports/*.json working files (the daily slot)
+  async function exportCurrent(tag = "") {
+    const data = {};
+    for (const kind of KIND_NAMES) data[kind] = await readRows(path.join(reportsDir, KINDS[kind].file));
+    const suffix = String(tag || "").replace(/[^a-zA-Z0-9]/g, "");
+    return writeExport(data, `niyati_${stampOf()}${suffix ? "_" + suffix : ""}`);
+  }
+
+  // Ad-hoc export for `kinds` between two IST calendar days (inclusive)
+  async function exportRange({ kinds = KIND_NAMES, fromDay, toDay = fromDay } = {}) {
+    const fromMs = Date.parse(`${fromDay}T00:00:00+05:30`);
+    const toMs = Date.parse(`${toDay}T00:00:00+05:30`) + 86400000;
+    if (!Number.isFinite(fromMs) || !Number.isFinite(toMs) || toMs <= fromMs) {
+      throw new Error("Invalid date range");
+    }
+    const data = {};
+    for (const kind of kinds) {
+      if (!KINDS[kind]) throw new Error(`Unknown export kind: ${kind}`);
+      data[kind] = await rowsInRange(kind, fromMs, toMs);
+    }
+    const label = kinds.length === KIND_NAMES.length ? "all" : kinds.join("-");
+    return writeExport(data, `niyati_${label}_${fromDay}_to_${toDay}`);
+  }
+
+  return { exportCurrent, exportRange, toCSV, buildXlsx };
+}
+
+module.exports = { createExporter, KIND_NAMES, fmtIST };
@@ -0,0 +1,234 @@
+// fuzzy.js
+// Optional tolerant matching for product rules and keywords. Buyers write
+// "conveyer", "convayor" or "कन्वेयर बेल्ट"; an entry flagged with @fuzzy is
+// compared after Devanagari→Latin transliteration, a spelling-variant
+// dictionary (List/variants.json) and a per-token edit-distance budget.
+// Entries without the flag keep their exact behaviour.
+
+const fs = require("node:fs");
+const path = require("node:path");
+
+// ---------------------------------------------------------------
+// Devanagari → Latin
+// ---------------------------------------------------------------
+const DEV_VOWELS = {
+  "अ": "a", "आ": "a", "इ": "i", "ई": "i", "उ": "u", "ऊ": "u", "ऋ": "ri",
+  "ए": "e", "ऐ": "ai", "ओ": "o", "औ": "au", "ऑ": "o", "ऍ": "e"
+};
+const DEV_MATRAS = {
+  "ा": "a", "ि": "i", "ी": "i", "ु": "u", "ू": "u", "ृ": "ri",
+  "े": "e", "ै": "ai", "ो": "o", "ौ": "au", "ॉ": "o", "ॅ": "e"
+};
+const DEV_CONSONANTS = {
+  "क": "k", "ख": "kh", "ग": "g", "घ": "gh", "ङ": "n",
+  "च": "ch", "छ": "chh", "ज": "j", "झ": "jh", "ञ": "n",
+  "ट": "t", "ठ": "th", "ड": "d", "ढ": "dh", "ण": "n",
+  "त": "t", "थ": "th", "द": "d", "ध": "dh", "न": "n",
+  "प": "p", "फ": "ph", "ब": "b", "भ": "bh", "म": "m",
+  "य": "y", "र": "r", "ल": "l", "व": "v", "ळ": "l",
+  "श": "sh", "ष": "sh", "स": "s", "ह": "h",
+  "क़": "q", "ख़": "kh", "ग़": "g", "ज़": "z", "ड़": "r", "ढ़": "rh", "फ़": "f", "य़": "y"
+};
+const DEV_SIGNS = { "ं": "n", "ँ": "n", "ः": "h" };
+const VIRAMA = "्";
+const NUKTA = "़";
+const DEV_RANGE = /[ऀ-ॿ]/;
+
+function transliterate(input) {
+  const s = String(input || "").normalize("NFC");
+  if (!DEV_RANGE.test(s)) return s;
+  const chars = Array.from(s);
+  let out = "";
+
+  for (let i = 0; i < chars.length; i++) {
+    let ch = chars[i];
+    if (chars[i + 1] === NUKTA && DEV_CONSONANTS[ch + NUKTA]) { ch += NUKTA; i++; }
+
+    if (DEV_CONSONANTS[ch]) {
+      out += DEV_CONSONANTS[ch];
+      let next = chars[i + 1];
+      if (next === NUKTA) { i++; next = chars[i + 1]; }
+      if (next === VIRAMA) { i++; continue; }
+      if (DEV_MATRAS[next]) continue;
+      // Inherent "a", dropped at the end of a word (बेल्ट → belt, not belta)
+      if (next && DEV_RANGE.test(next) && next !== "।" && next !== "॥") out += "a";
+      continue;
+    }
+    if (DEV_MATRAS[ch]) { out += DEV_MATRAS[ch]; continue; }
+    if (DEV_VOWELS[ch]) { out += DEV_VOWELS[ch]; continue; }
+    if (DEV_SIGNS[ch]) { out += DEV_SIGNS[ch]; continue; }
+    if (ch === VIRAMA || ch === NUKTA) continue;
+    if (ch === "।" || ch === "॥") { out += " "; continue; }
+    const code = ch.charCodeAt(0);
+    if (code >= 0x0966 && code <= 0x096F) { out += String(code - 0x0966); continue; }
+    out += ch;
+  }
+  return out;
+}
+
+// ---------------------------------------------------------------
+// Normalisation, phonetic key, edit distance
+// ---------------------------------------------------------------
+const tokenize = (s) => transliterate(s).toLowerCase()
+  .replace(/[^\p{L}\p{N}]+/gu, " ").trim().split(/\s+/).filter(Boolean);
+
+// Collapses the spellings Hinglish titles swap freely: c/k/q, w/v, ph/f,
+// aspirated consonants, a/o/u and e/i/y, doubled letters, plural endings.
+// keepVowels leaves the vowels alone, for words too short to tell apart by
+// consonants alone (bag/bug, pin/pen).
+function phoneticKey(w, keepVowels = false) {
+  let k = String(w || "").toLowerCase().replace(/(.)\1+/g, "$1");
+  if (k.length > 3) k = k.replace(/(?:es|s|e)$/, "");
+  return k
+    .replace(/ph/g, "f")
+    .replace(/ck/g, "k")
+    .replace(/c(?!h)/g, "k")
+    .replace(/q/g, "k")
+    .replace(/x/g, "ks")
+    .replace(/w/g, "v")
+    .replace(/z/g, "j")
+    .replace(/([kgcjtdpb])h/g, "$1")
+    .replace(/[aou]/g, (v) => keepVowels ? v : "a")
+    .replace(/[eiy]/g, (v) => keepVowels ? v : "i")
+    .replace(/(.)\1+/g, "$1");
+}
+
+function editDistance(a, b, max = Infinity) {
+  if (a === b) return 0;
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const cur = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      cur[j] = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+      if (cur[j] < rowMin) rowMin = cur[j];
+    }
+    if (rowMin > max) return max + 1;
+    prev = cur;
+  }
+  return prev[b.length];
+}
+
+// Typos allowed for a token of this length, capped by the entry's @fuzzyN.
+// Short words only match exactly or by sound (belt ≠ bolt).
+const tolerance = (len, cap = 2) => Math.min(cap, len <= 4 ? 0 : len <= 7 ? 1 : 2);
+const SHORT_WORD = 4;
+
+function tokenMatches(want, have, wantKey, haveKey, maxEdits) {
+  if (want === have) return true;
+  // A short word's sound must keep its vowels: bag ≠ bug, pin ≠ pen
+  if (Math.min(want.length, have.length) <= SHORT_WORD) {
+    if (phoneticKey(want, true) === phoneticKey(have, true)) return true;
+  } else if (wantKey === haveKey) return true;
+  const tol = tolerance(want.length, maxEdits);
+  return tol > 0 && editDistance(want, have, tol) <= tol;
+}
+
+// ---------------------------------------------------------------
+// Spelling variants: { "conveyor": ["conveyer", "convayor", "कन्वेयर"] }
+// ---------------------------------------------------------------
+const DEFAULT_VARIANTS = Object.freeze({
+  conveyor: ["conveyer", "convayor", "conveyar", "convyor", "कन्वेयर"],
+  belt: ["belts", "bealt", "बेल्ट"],
+  machine: ["machin", "mashine", "machien", "मशीन"],
+  pipe: ["पाइप"],
+  pvc: ["पीवीसी"],
+  motor: ["मोटर"],
+  pump: ["पंप"]
+});
+
+function buildVariantMap(dict) {
+  const map = new Map();
+  for (const [canon, list] of Object.entries(dict || {})) {
+    const c = tokenize(canon).join(" ");
+    if (!c) continue;
+    for (const v of [canon, ...(Array.isArray(list) ? list : [])]) {
+      const key = tokenize(v).join(" ");
+      if (key && !key.includes(" ")) map.set(key, c);
+    }
+  }
+  return map;
+}
+
+function createVariantStore(file = path.join(__dirname, "List", "variants.json")) {
+  let cache = buildVariantMap(DEFAULT_VARIANTS);
+  let mtime = -1;
+  return function get() {
+    try {
+      const st = fs.statSync(file);
+      if (st.mtimeMs !== mtime) {
+        const user = JSON.parse(fs.readFileSync(file, "utf8"));
+        cache = buildVariantMap({ ...DEFAULT_VARIANTS, ...(user && typeof user === "object" ? user : {}) });
+        mtime = st.mtimeMs;
+      }
+    } catch {
+      if (mtime !== -1) { cache = buildVariantMap(DEFAULT_VARIANTS); mtime = -1; }
+    }
+    return cache;
+  };
+}
+
+const defaultVariants = createVariantStore();
+
+// ---------------------------------------------------------------
+// Entry flags and matching
+// ---------------------------------------------------------------
+// @fuzzy = default tolerance, @fuzzy0 = transliteration/variants/sound only,
+// @fuzzy1 = at most one typo per word
+const FUZZY_FLAG = /(?:^|\s)@fuzzy([0-2])?(?=\s|$)/i;
+
+// "conveyor belt @fuzzy" -> { text: "conveyor belt", fuzzy: { maxEdits: 2 } }
+function splitFuzzyFlag(entry) {
+  const s = String(entry || "");
+  const m = FUZZY_FLAG.exec(s);
+  if (!m) return { text: s.trim(), fuzzy: null };
+  return {
+    text: s.replace(FUZZY_FLAG, " ").replace(/\s+/g, " ").trim(),
+    fuzzy: { maxEdits: m[1] !== undefined ? Number(m[1]) : 2 }
+  };
+}
+
+const canonTokens = (s, variants) => tokenize(s).map(t => variants.get(t) || t);
+
+// Returns the title words that matched `phrase` (in order, adjacent), or null
+function fuzzyFind(phrase, title, { maxEdits = 2, variants = defaultVariants() } = {}) {
+  const want = canonTokens(phrase, variants);
+  if (!want.length) return null;
+  const words = tokenize(title);
+  const have = words.map(t => variants.get(t) || t);
+  const wantKeys = want.map(phoneticKey);
+  const haveKeys = have.map(phoneticKey);
+
+  for (let i = 0; i + want.length <= have.length; i++) {
+    let ok = true;
+    for (let j = 0; j < want.length && ok; j++) {
+      ok = tokenMatches(want[j], have[i + j], wantKeys[j], haveKeys[i + j], maxEdits);
+    }
+    if (ok) return words.slice(i, i + want.length).join(" ");
+  }
+  return null;
+}
+
+// keywordmatcher's exact normalisation, kept here so every caller agrees
+const normTitle = (s) => String(s || "").toLowerCase().replace(/\s+/g, " ").replace(/[^\p{L}\p{N} ]+/gu, "").trim();
+
+// One keyword entry against one title: substring as before, or fuzzyFind
+function keywordHit(entry, title, opts = {}) {
+  const { text, fuzzy } = splitFuzzyFlag(entry);
+  const kw = text.toLowerCase();
+  if (!kw) return false;
+  if (!fuzzy) return normTitle(title).includes(kw);
+  return !!fuzzyFind(kw, title, { ...opts, maxEdits: fuzzy.maxEdits });
+}
+
+module.exports = {
+  transliterate,
+  phoneticKey,
+  editDistance,
+  splitFuzzyFlag,
+  fuzzyFind,
+  keywordHit,
+  createVariantStore,
+  normTitle
+};
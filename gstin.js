@@ -0,0 +1,165 @@
+// gstin.js
+// GSTIN checks for captured leads. A GSTIN is
+//   SS PPPPPPPPPP E Z C
+//   state code · PAN of the holder · entity number · "Z" · check character
+// checkGstin() validates the mod-36 check character, decodes the state and
+// PAN (and what kind of holder the PAN's 4th letter says it is), and compares
+// the GST state with the state named in the lead's address. A bad checksum or
+// a state that doesn't match is worth a second look before quoting: typed-in
+// or borrowed GSTINs are a common sign of a fake buyer.
+
+const CHARS = "0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ";
+const SHAPE = /^[0-9]{2}[A-Z]{5}[0-9]{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/;
+
+// GST state codes (CBIC list), with the spellings addresses commonly use
+const STATES = Object.freeze({
+  "01": ["Jammu and Kashmir", "jammu & kashmir", "j&k"],
+  "02": ["Himachal Pradesh"],
+  "03": ["Punjab"],
+  "04": ["Chandigarh"],
+  "05": ["Uttarakhand", "uttaranchal"],
+  "06": ["Haryana"],
+  "07": ["Delhi", "new delhi", "nct of delhi"],
+  "08": ["Rajasthan"],
+  "09": ["Uttar Pradesh"],
+  "10": ["Bihar"],
+  "11": ["Sikkim"],
+  "12": ["Arunachal Pradesh"],
+  "13": ["Nagaland"],
+  "14": ["Manipur"],
+  "15": ["Mizoram"],
+  "16": ["Tripura"],
+  "17": ["Meghalaya"],
+  "18": ["Assam"],
+  "19": ["West Bengal"],
+  "20": ["Jharkhand"],
+  "21": ["Odisha", "orissa"],
+  "22": ["Chhattisgarh", "chattisgarh"],
+  "23": ["Madhya Pradesh"],
+  "24": ["Gujarat"],
+  "26": ["Dadra and Nagar Haveli and Daman and Diu", "dadra and nagar haveli", "dadra & nagar haveli", "daman and diu", "daman & diu", "silvassa"],
+  "27": ["Maharashtra"],
+  "29": ["Karnataka"],
+  "30": ["Goa"],
+  "31": ["Lakshadweep"],
+  "32": ["Kerala"],
+  "33": ["Tamil Nadu"],
+  "34": ["Puducherry", "pondicherry"],
+  "35": ["Andaman and Nicobar Islands", "andaman & nicobar", "andaman and nicobar"],
+  "36": ["Telangana"],
+  "37": ["Andhra Pradesh"],
+  "38": ["Ladakh"],
+  "97": ["Other Territory"],
+  "99": ["Centre Jurisdiction"]
+});
+// Old codes still printed on some registrations
+const OLD_CODES = Object.freeze({ "25": "26", "28": "37" });
+
+// 4th letter of a PAN
+const PAN_HOLDERS = Object.freeze({
+  P: "Individual", C: "Company", H: "HUF", F: "Firm / LLP", A: "Association of Persons",
+  T: "Trust", B: "Body of Individuals", L: "Local Authority", J: "Artificial Juridical Person", G: "Government"
+});
+
+const norm = (s) => ` ${String(s || "").toLowerCase().replace(/&/g, " and ").replace(/[^a-z0-9]+/g, " ").trim()} `;
+
+const STATE_KEYS = Object.entries(STATES)
+  .flatMap(([code, names]) => names.map(n => ({ code, key: norm(n) })));
+
+// First two PIN digits that belong to one state only. Prefixes shared by
+// neighbours (24/26 UP–Uttarakhand, 40 Maharashtra–Goa, 80–85 Bihar–Jharkhand
+// …) are left out: no answer beats a wrong one.
+const PIN_STATES = Object.freeze({
+  "11": "07", "12": "06", "13": "06", "14": "03", "15": "03", "17": "02", "18": "01",
+  "20": "09", "21": "09", "22": "09", "23": "09", "25": "09", "27": "09", "28": "09",
+  "30": "08", "31": "08", "32": "08", "33": "08", "34": "08",
+  "36": "24", "37": "24", "38": "24",
+  "41": "27", "42": "27", "43": "27", "44": "27",
+  "45": "23", "46": "23", "47": "23", "48": "23", "49": "22",
+  "56": "29", "57": "29", "58": "29", "59": "29",
+  "61": "33", "62": "33", "63": "33", "64": "33",
+  "67": "32", "69": "32",
+  "70": "19", "71": "19", "72": "19",
+  "75": "21", "76": "21", "77": "21"
+});
+
+function checkChar(first14) {
+  let sum = 0;
+  for (let i = 0; i < 14; i++) {
+    const v = CHARS.indexOf(first14[i]) * (i % 2 ? 2 : 1);
+    sum += Math.floor(v / 36) + (v % 36);
+  }
+  return CHARS[(36 - (sum % 36)) % 36];
+}
+
+// State code of a free-text address, or "" when unsure. Only the last part
+// before the PIN and "India" counts ("Delhi Road, Meerut" names no state);
+// without a state name there, the PIN's first two digits decide.
+function stateInAddress(address) {
+  let text = String(address || "").trim();
+  let pin = "";
+  for (let prev = null; prev !== text;) {
+    prev = text;
+    text = text.replace(/[\s,.;:()\-–]+$/, "").replace(/\bindia$/i, "")
+      .replace(/\b(\d{3})\s?(\d{3})$/, (m, a, b) => { pin ||= a + b; return ""; })
+      .replace(/\b(?:pin\s*code|pincode|pin)$/i, "");
+  }
+  const last = norm(text.split(/,|\s[-–]\s|\n/).pop());
+  const named = STATE_KEYS.find(s => last === s.key || last.endsWith(s.key))?.code || "";
+  const byPin = PIN_STATES[pin.slice(0, 2)] || "";
+  if (named && byPin && named !== byPin) return "";
+  return named || byPin;
+}
+
+const stateName = (code) => STATES[OLD_CODES[code] || code]?.[0] || "";
+
+// -> { gstin, valid, reason, stateCode, state, pan, holder, addressState,
+//      stateMatch (true / false / null when the address names no state) }
+function checkGstin(raw, { address = "" } = {}) {
+  const gstin = String(raw || "").toUpperCase().replace(/[^0-9A-Z]/g, "");
+  const out = { gstin, valid: false, reason: "", stateCode: "", state: "", pan: "", holder: "", addressState: "", stateMatch: null };
+  if (!gstin) return { ...out, reason: "missing" };
+  if (!SHAPE.test(gstin)) return { ...out, reason: "not a GSTIN" };
+
+  out.stateCode = gstin.slice(0, 2);
+  out.state = stateName(out.stateCode);
+  out.pan = gstin.slice(2, 12);
+  out.holder = PAN_HOLDERS[gstin[5]] || "";
+  if (!out.state) out.reason = `unknown state code ${out.stateCode}`;
+  else if (checkChar(gstin) !== gstin[14]) out.reason = "checksum fails";
+  else out.valid = true;
+
+  const addr = stateInAddress(address);
+  if (addr) {
+    out.addressState = stateName(addr);
+    const gst = OLD_CODES[out.stateCode] || out.stateCode;
+    // Centre and "other territory" registrations can sit anywhere
+    out.stateMatch = gst === "97" || gst === "99" || !out.state ? null : gst === addr;
+  }
+  return out;
+}
+
+// Row fields for LeadStore: gstState, gstPan, gstCheck ("ok" | "invalid" |
+// "mismatch" | "" without a GSTIN)
+function gstFields(row = {}) {
+  const c = checkGstin(row.gstin, { address: row.address });
+  if (!c.gstin) return { gstState: "", gstPan: "", gstCheck: "" };
+  return {
+    gstState: c.state,
+    gstPan: c.pan,
+    gstCheck: !c.valid ? "invalid" : c.stateMatch === false ? "mismatch" : "ok"
+  };
+}
+
+// Telegram suffix for the GSTIN line: "✅ Gujarat · PAN AAACP1234F (Company)"
+// or a ⚠️ warning
+function describeGstin(c) {
+  if (!c?.gstin) return "";
+  if (c.reason === "not a GSTIN") return "⚠️ not a valid GSTIN";
+  const pan = c.pan ? ` · PAN ${c.pan}${c.holder ? ` (${c.holder})` : ""}` : "";
+  if (!c.valid) return `⚠️ ${c.reason}${c.state ? ` · ${c.state}` : ""}${pan}`;
+  if (c.stateMatch === false) return `⚠️ GST state ${c.state}, address in ${c.addressState}${pan}`;
+  return `✅ ${c.state}${pan}`;
+}
+
+module.exports = { checkGstin, gstFields, describeGstin, stateInAddress, checkChar, STATES };
@@ -0,0 +1,160 @@
+// handoff.js
+// WhatsApp-ready lead hand-off. Message templates with {buyer}, {product},
+// {city} and {company} placeholders become wa.me click-to-chat links with the
+// text filled in, and a lead row becomes a .vcf contact card the Telegram
+// notification carries, so the buyer is saved to a phone in one tap.
+//
+// List/whatsapp_templates.json (edits apply without a restart):
+//   { "vcard": true,
+//     "templates": [
+//       { "name": "Intro", "text": "Namaste {buyer} ji, thanks for your enquiry for {product}." },
+//       { "name": "Visit", "text": "Hello {buyer}, we deliver {product}[ in {city}] – may we call you?" } ] }
+
+const fs = require("node:fs");
+const path = require("node:path");
+const { parsePhone } = require("./phone");
+
+const DEFAULT_TEMPLATES = Object.freeze([
+  Object.freeze({ name: "Intro", text: "Hello {buyer}, thank you for your IndiaMART enquiry for {product}. When would be a good time to discuss your requirement?" })
+]);
+const MAX_TEMPLATES = 5;
+const MAX_TEXT = 1000;
+
+const clean = (s) => { const v = String(s ?? "").trim(); return v === "---" ? "" : v; };
+
+// Town from a Message Centre address: "Plot 4, MG Road, Pune, Maharashtra -
+// 411001, India" -> "Pune" (the part before the state, pin codes dropped)
+function cityOf(address) {
+  const parts = clean(address).split(",")
+    .map(s => s.replace(/\b\d{6}\b/g, "").replace(/[\s\-–]+$/, "").replace(/^[\s\-–]+/, "").trim())
+    .filter(s => s && !/^\d+$/.test(s) && !/^india$/i.test(s));
+  if (!parts.length) return "";
+  return parts.length === 1 ? parts[0] : parts[parts.length - 2];
+}
+
+// Blank placeholders disappear along with the space before them; a part in
+// [brackets] goes too when one of its placeholders is blank:
+//   "Hello {buyer}, we deliver {product}[ in {city}]."
+function renderTemplate(text, row = {}) {
+  const vals = {
+    buyer: clean(row.buyer),
+    product: clean(row.product),
+    company: clean(row.company),
+    city: clean(row.city) || cityOf(row.address)
+  };
+  return String(text || "")
+    .replace(/\s*\[([^\[\]]*)\]/g, (m, inner) =>
+      [...inner.matchAll(/\{(\w+)\}/g)].every(([, k]) => vals[k.toLowerCase()]) ? m.replace(/\[([^\[\]]*)\]/, "$1") : "")
+    .replace(/\s*\{(buyer|product|city|company)\}/gi, (m, k) => {
+      const v = vals[k.toLowerCase()];
+      return v ? m.replace(/\{\w+\}/, v) : "";
+    })
+    .replace(/\s+([,.!?])/g, "$1")
+    .replace(/[ \t]{2,}/g, " ")
+    .trim();
+}
+
+// "" for numbers WhatsApp can't reach: masked, broken, landline
+const waLink = (mobile, text = "") => {
+  const { wa } = parsePhone(mobile);
+  if (!wa) return "";
+  return `https://wa.me/${wa}` + (text ? `?text=${encodeURIComponent(text)}` : "");
+};
+
+// vCard 3.0 text values escape \ , ; and newlines
+const vEsc = (s) => String(s || "").replace(/\\/g, "\\\\").replace(/,/g, "\\,").replace(/;/g, "\\;").replace(/\r?\n/g, "\\n");
+// Lines over 75 octets fold with CRLF + space
+function fold(line) {
+  const out = [];
+  let cur = "", bytes = 0;
+  for (const ch of line) {
+    const n = Buffer.byteLength(ch);
+    if (bytes + n > 75) { out.push(cur); cur = " "; bytes = 1; }
+    cur += ch; bytes += n;
+  }
+  out.push(cur);
+  return out.join("\r\n");
+}
+
+// row: a LeadStore row (plus lead, its pipeline number). null without a
+// dialable phone number or email to save
+function buildVCard(row = {}) {
+  const ph = parsePhone(row.mobile), email = clean(row.email);
+  if (!ph.e164 && !email) return null;
+  const buyer = clean(row.buyer), company = clean(row.company), product = clean(row.product);
+  const fn = buyer || company || ph.e164 || email;
+  const words = buyer.split(/\s+/).filter(Boolean);
+  const family = words.length > 1 ? words.pop() : "";
+  const note = [
+    product && `IndiaMART enquiry: ${product}`,
+    row.lead && `Lead #${row.lead}`,
+    clean(row.gstin) && `GSTIN ${clean(row.gstin)}`,
+    clean(row.time) && `Received ${clean(row.time)}`
+  ].filter(Boolean).join(" · ");
+  const address = clean(row.address), city = cityOf(address);
+  const lines = [
+    "BEGIN:VCARD",
+    "VERSION:3.0",
+    `FN:${vEsc(fn)}`,
+    `N:${vEsc(family)};${vEsc(words.join(" "))};;;`,
+    company && `ORG:${vEsc(company)}`,
+    ph.e164 && `TEL;TYPE=${ph.type === "mobile" ? "CELL" : "WORK"}:${ph.e164}`,
+    email && `EMAIL;TYPE=INTERNET:${vEsc(email)}`,
+    address && `ADR;TYPE=WORK:;;${vEsc(address)};${vEsc(city)};;;India`,
+    note && `NOTE:${vEsc(note)}`,
+    "END:VCARD"
+  ].filter(Boolean);
+  return lines.map(fold).join("\r\n") + "\r\n";
+}
+
+const vcardName = (row = {}) => {
+  const who = (clean(row.buyer) || clean(row.company) || parsePhone(row.mobile).national || "buyer")
+    .replace(/[^\p{L}\p{N}]+/gu, "_").replace(/^_+|_+$/g, "").slice(0, 40) || "buyer";
+  return `${row.lead ? `lead${row.lead}_` : ""}${who}.vcf`;
+};
+
+function createHandoff({
+  file = path.join(__dirname, "List", "whatsapp_templates.json"),
+  log = () => {}
+} = {}) {
+  let cache = { mtime: -1, templates: DEFAULT_TEMPLATES, vcard: true };
+
+  // Re-read only when the file changed; a bad file keeps the last good one
+  function config() {
+    let mtime = 0;
+    try { mtime = fs.statSync(file).mtimeMs; } catch {}
+    if (mtime === cache.mtime) return cache;
+    if (!mtime) return (cache = { mtime, templates: DEFAULT_TEMPLATES, vcard: true });
+    try {
+      const j = JSON.parse(fs.readFileSync(file, "utf8"));
+      const list = (Array.isArray(j) ? j : j?.templates || [])
+        .map((t, i) => typeof t === "string" ? { name: `Msg ${i + 1}`, text: t } : t)
+        .filter(t => t && String(t.text || "").trim())
+        .slice(0, MAX_TEMPLATES)
+        .map((t, i) => ({ name: String(t.name || `Msg ${i + 1}`).trim().slice(0, 20), text: String(t.text).trim().slice(0, MAX_TEXT) }));
+      cache = { mtime, templates: list.length ? list : DEFAULT_TEMPLATES, vcard: j?.vcard !== false };
+    } catch (e) {
+      log("error", `WhatsApp templates: ${path.basename(file)} unreadable – ${e.message}`);
+      cache = { ...cache, mtime };
+    }
+    return cache;
+  }
+
+  return {
+    templates: () => config().templates.map(t => ({ ...t })),
+    // [{ name, url }] – one pre-filled chat per template; [] without a
+    // WhatsApp-able number
+    links(row = {}) {
+      if (!parsePhone(row.mobile).wa) return [];
+      return config().templates.map(t => ({ name: t.name, url: waLink(row.mobile, renderTemplate(t.text, row)) }));
+    },
+    // { filename, text } or null (switched off, or nothing to save)
+    vcard(row = {}) {
+      if (!config().vcard) return null;
+      const text = buildVCard(row);
+      return text ? { filename: vcardName(row), text } : null;
+    }
+  };
+}
+
+module.exports = { createHandoff, renderTemplate, waLink, buildVCard, cityOf, DEFAULT_TEMPLATES };
@@ -5,11 +5,19 @@
 const fs = require("node:fs");
 const fsp = require("node:fs/promises");
 const path = require("node:path");
+const { keywordHit } = require("./fuzzy");
+const { leadKeyboard } = require("./leadactions");
 
 function createKeywordMatcher({
   keywordsFile = path.join(__dirname, "List", "keywords.json"),
+  mutesFile = path.join(path.dirname(keywordsFile), "keyword_mutes.json"),
   log  = () => {},
-  send = async (_text, _extra = {}) => {}
+  send = async (_text, _extra = {}) => {},
+  // Structured copy of each new match for notifier.js
+  emit = () => {},
+  db = null,
+  reportsDir = path.join(__dirname, "Reports"),
+  account = null
 } = {}) {
 
   const norm = s => String(s||"").trim().replace(/\s+/g," ").toLowerCase();
@@ -82,16 +90,45 @@ function createKeywordMatcher({
     return (city || state) ? [city, state].filter(Boolean).join(", ") : (fb || "");
   };
 
-  const buildFancyMessage = (title, loc)=>{
+  const buildFancyMessage = (title, loc, row = null)=>{
     const lines = [ "✨ Keyword Matched", `🛒 ${escHtml(title)}` ];
     if (loc) lines.push(`📍 ${escHtml(loc)}`);
+    const markup = row && leadKeyboard({ kind: "kw", serial: Number(row.serial), account, actions: row.actions });
     return { 
       text: lines.join("\n"), 
-      extra:{ parse_mode:"HTML", disable_web_page_preview:true } 
+      extra:{ parse_mode:"HTML", disable_web_page_preview:true, ...(markup ? { reply_markup: markup } : {}) } 
     };
   };
 
-  const OUTPUT_DIR = path.join(__dirname, "Reports");
+  // Keywords muted from Telegram ("Mute this keyword 24h"): keyword -> until ms
+  const mutes = new Map();
+  try {
+    const j = JSON.parse(fs.readFileSync(mutesFile, "utf8"));
+    for (const [kw, until] of Object.entries(j || {})) {
+      if (Number(until) > Date.now()) mutes.set(kw, Number(until));
+    }
+  } catch {}
+
+  const isMuted = (kw) => {
+    const until = mutes.get(kw);
+    if (!until) return false;
+    if (until > Date.now()) return true;
+    mutes.delete(kw);
+    return false;
+  };
+
+  const saveMutes = async () => {
+    try {
+      await fsp.mkdir(path.dirname(mutesFile), { recursive: true });
+      const tmp = mutesFile + ".tmp";
+      await fsp.writeFile(tmp, JSON.stringify(Object.fromEntries(mutes), null, 2), "utf8");
+      await fsp.rename(tmp, mutesFile);
+    } catch (e) {
+      try { log("error", `Keyword Mutes Write Failed: ${e.message}`); } catch {}
+    }
+  };
+
+  const OUTPUT_DIR = reportsDir;
   const MATCH_JSON = path.join(OUTPUT_DIR, "keyword_matches.json");
   
   // ✅ Ensure directory exists
@@ -157,12 +194,13 @@ function createKeywordMatcher({
   // ✅ FIX #11: RACE CONDITION FIXED with locking
   let writeLock = Promise.resolve();
   
-  const persistIfNew = async (name, location) => {
+  // Resolves to the new row, or false when it was already stored
+  const persistIfNew = async (name, location, keyword = "") => {
     // Wait for any pending writes
     await writeLock;
     
     // Create new write lock
-    writeLock = (async () => {
+    const job = (async () => {
       const key = `${norm(name)}|${norm(location)}`;
       
       // ✅ Atomic check-and-set
@@ -173,12 +211,15 @@ function createKeywordMatcher({
       
       try {
         const ts = tsNoMs();
-        jsonRows.unshift({ 
+        const row = { 
           serial: serialCounter, 
           timestamp: ts, 
           name, 
-          location 
-        });
+          location,
+          keyword
+        };
+        jsonRows.unshift(row);
+        try { db?.addKeywordMatch?.(row); } catch {}
         
         // ✅ Rotate if too large
         if (jsonRows.length > ARCHIVE_THRESHOLD) {
@@ -204,15 +245,16 @@ function createKeywordMatcher({
         await writeJson();
         serialCounter += 1;
         try { log("info", `persist(keyword): + "${name}"${location?` [${location}]`:""}`); } catch {}
-        return true;
+        return row;
       } catch (e) {
         // Rollback on error
         persistedKeys.delete(key);
         throw e;
       }
     })();
+    writeLock = job;
     
-    return await writeLock;
+    return await job;
   };
 
   let lastCycleMatches = new Set();
@@ -235,7 +277,7 @@ function createKeywordMatcher({
       await initialize();
       
       // ✅ ASYNC keyword reading (non-blocking)
-      const keywords = await readKeywords();
+      const keywords = (await readKeywords()).filter(kw => !isMuted(kw));
       
       if (!Array.isArray(items)) items = [];
       if (keywords.length === 0) { 
@@ -250,20 +292,21 @@ function createKeywordMatcher({
         if (!raw) continue;
         const t = normTitle(raw);
         
-        let hasMatch = false;
+        let hit = "";
         for (const kw of keywords) {
-          if (kw && t.includes(kw)) {
-            hasMatch = true;
+          // Plain keywords stay a substring test; "@fuzzy" ones go through fuzzy.js
+          if (kw && (kw.includes("@fuzzy") ? keywordHit(kw, raw) : t.includes(kw))) {
+            hit = kw;
             break;
           }
         }
         
-        if (!hasMatch) continue;
+        if (!hit) continue;
 
         if (!currentMatched.has(t)) {
           currentMatched.add(t);
           const loc = composeLocation(it);
-          currentMeta.set(t, { title: raw, location: loc });
+          currentMeta.set(t, { title: raw, location: loc, keyword: hit });
           try { log("info", `KeywordMatch: "${raw}"${loc?` [${loc}]`:""}`); } catch {}
         }
       }
@@ -272,15 +315,25 @@ function createKeywordMatcher({
       const sendPromises = [];
       
       for (const key of currentMatched) {
-        const meta = currentMeta.get(key) || { title: key, location: "" };
+        const meta = currentMeta.get(key) || { title: key, location: "", keyword: "" };
 
         const dedupeKey = `${norm(meta.title)}|${norm(meta.location)}`;
-        if (!lastCycleMatches.has(key) && !persistedKeys.has(dedupeKey)) {
-          const { text, extra } = buildFancyMessage(meta.title, meta.location);
-          
-          // ✅ Send async and collect promises
+        const isNew = !lastCycleMatches.has(key) && !persistedKeys.has(dedupeKey);
+
+        // ✅ Persist async (non-blocking)
+        const persisted = persistIfNew(meta.title, meta.location, meta.keyword).catch(e => {
+          log("error", `Persist Failed: ${e.message}`);
+          return false;
+        });
+
+        if (isNew) {
+          // ✅ Send async and collect promises; the stored row's serial goes
+          // into the buttons
           const sendPromise = (async () => {
             try { 
+              const row = await persisted;
+              const { text, extra } = buildFancyMessage(meta.title, meta.location, row);
+              try { emit("match", { serial: row?.serial ?? null, title: meta.title, location: meta.location || "", keyword: meta.keyword || "" }); } catch {}
               await Promise.resolve(send(text, extra)); 
               sent += 1; 
             }
@@ -291,11 +344,6 @@ function createKeywordMatcher({
           
           sendPromises.push(sendPromise);
         }
-
-        // ✅ Persist async (non-blocking)
-        persistIfNew(meta.title, meta.location).catch(e => {
-          log("error", `Persist Failed: ${e.message}`);
-        });
       }
       
       // ✅ Wait for all sends to complete
@@ -315,9 +363,30 @@ function createKeywordMatcher({
     }
   }
 
+  const getMatch = (serial) => jsonRows.find(r => Number(r?.serial) === Number(serial)) || null;
+
   return { 
     processCycle,
     refreshKeywordsCache, // ✅ NEW: Manual cache refresh
+    getMatch,
+    // Telegram button state (leadactions.js); info null clears the action
+    markMatch: (serial, id, info) => {
+      const r = getMatch(serial);
+      if (!r) return null;
+      r.actions = { ...(r.actions || {}) };
+      if (info) r.actions[id] = info; else delete r.actions[id];
+      writeLock = writeLock.catch(() => {}).then(writeJson);
+      return r;
+    },
+    muteKeyword: (kw, ms) => {
+      const key = String(kw || "").trim().toLowerCase();
+      if (!key || !(ms > 0)) return false;
+      mutes.set(key, Date.now() + ms);
+      saveMutes();
+      try { log("info", `KeywordMatcher: "${key}" muted for ${Math.round(ms / 3600000)}h`); } catch {}
+      return true;
+    },
+    getMutes: () => Object.fromEntries([...mutes].filter(([kw]) => isMuted(kw))),
     reset: () => {
       lastCycleMatches.clear();
       try { log("info", "KeywordMatcher: Reset (light) Complete"); } catch {}
@@ -0,0 +1,139 @@
+// leadactions.js
+// Inline buttons under "New Lead" (messagecentre.js) and "Keyword Matched"
+// (keywordmatcher.js) Telegram messages. Each tap is stored on the lead's
+// record – the pipeline (leadcrm.js) for Message Centre leads, keyword_matches
+// .json for keyword matches – under actions, and the message's keyboard is
+// redrawn to show it. Button data: la:<action>:<mc|kw>:<serial>[:<account>]
+// (max 64 bytes); for mc the serial is the pipeline lead number.
+
+const { PAGE_HELPERS } = require("./selectors");
+
+const MUTE_MS = 24 * 60 * 60 * 1000;
+
+// key: callback letter · id: row.actions field
+const ACTIONS = Object.freeze([
+  { key: "c", id: "contacted",    label: "☎️ Mark contacted",        done: "✅ Contacted" },
+  { key: "x", id: "not_relevant", label: "🚫 Not relevant",          done: "✅ Not relevant" },
+  { key: "p", id: "product",      label: "➕ Add product from title", done: "✅ Product added" },
+  { key: "m", id: "muted",        label: "🔕 Mute this keyword 24h", done: "✅ Keyword muted" },
+  { key: "s", id: "screenshot",   label: "📸 Screenshot card",       done: "📸 Screenshot card" }
+]);
+const BY_KEY = Object.fromEntries(ACTIONS.map(a => [a.key, a]));
+// Contacted and not relevant are one verdict; setting either clears the other
+const EXCLUSIVE = { contacted: "not_relevant", not_relevant: "contacted" };
+
+const DATA_RE = /^la:([cxpms]):(mc|kw):(\d{1,9})(?::([a-z][a-z0-9_-]{0,19}))?$/;
+
+const nowTS = () => new Date().toISOString().replace("T", " ").slice(0, 19);
+const normTitle = (s) => String(s || "").toLowerCase().replace(/\s+/g, " ").trim();
+// A lead title as a plain product rule: -, +, @ and brackets mean something
+// to the product matcher
+const productFromTitle = (s) => String(s || "").replace(/[-+@()]/g, " ").replace(/\s+/g, " ").trim().slice(0, 80);
+
+function leadKeyboard({ kind, serial, account = null, actions = {} }) {
+  if (!(serial > 0)) return null;
+  const btn = (key) => {
+    const a = BY_KEY[key];
+    return { text: actions?.[a.id] ? a.done : a.label, callback_data: `la:${key}:${kind}:${serial}${account ? ":" + account : ""}` };
+  };
+  const rows = [[btn("c"), btn("x")], kind === "kw" ? [btn("p"), btn("m")] : [btn("p")], [btn("s")]];
+  return { inline_keyboard: rows };
+}
+
+function parseLeadCallback(data) {
+  const m = DATA_RE.exec(String(data || ""));
+  return m ? { action: BY_KEY[m[1]], kind: m[2], serial: Number(m[3]), account: m[4] || null } : null;
+}
+
+// Bounds of the BuyLead card whose title matches, scrolled into view; null
+// when it has left the page
+async function findCardRect(win, title, selectors, max = 40) {
+  if (!win || win.isDestroyed?.()) return null;
+  const S = selectors?.pick?.(["buylead.title", "buylead.card"]) || null;
+  if (!S) return null;
+  return win.webContents.executeJavaScript(`(function(S, want, max){
+    ${PAGE_HELPERS}
+    const norm = s => String(s || "").toLowerCase().replace(/\\s+/g, " ").trim();
+    for (let i = 1; i <= max; i++) {
+      const t = __sel.find(S["buylead.title"], { i }).el;
+      if (!t || norm(t.textContent) !== want) continue;
+      const card = __sel.find(S["buylead.card"], { i }).el || t;
+      try { card.scrollIntoView({ block: "center" }); } catch {}
+      const r = card.getBoundingClientRect();
+      if (!r.width || !r.height) return null;
+      return { x: Math.max(0, Math.floor(r.left)), y: Math.max(0, Math.floor(r.top)), width: Math.ceil(r.width), height: Math.ceil(r.height) };
+    }
+    return null;
+  })(${JSON.stringify(S)}, ${JSON.stringify(normTitle(title))}, ${Number(max)})`, true).catch(() => null);
+}
+
+// target(account) -> { getLead(kind, serial), markLead(kind, serial, id, info|null),
+//   addProduct(title), muteKeyword(kw, ms), screenshotCard(title) } or null
+function createLeadActions({ target, log = () => {} }) {
+
+  const who = (from) => (from?.username ? "@" + from.username : from?.first_name || String(from?.id || ""));
+
+  // ctx comes from telegram.js onCallback; false when the data is not ours
+  async function handle(ctx) {
+    const p = parseLeadCallback(ctx.data);
+    if (!p) return false;
+    const t = target(p.account);
+    const row = t?.getLead?.(p.kind, p.serial);
+    if (!row) { await ctx.answer("⌛ This lead is no longer on record."); return true; }
+
+    const { action, kind, serial, account } = p;
+    const title = kind === "kw" ? row.name : row.product;
+    const info = { at: nowTS(), by: who(ctx.from) };
+    const mark = (id, v) => t.markLead(kind, serial, id, v);
+    let reply = "";
+
+    try {
+      if (action.id === "contacted" || action.id === "not_relevant") {
+        if (row.actions?.[action.id]) {
+          reply = `Already marked by ${row.actions[action.id].by || "someone"}`;
+        } else {
+          mark(action.id, info);
+          mark(EXCLUSIVE[action.id], null);
+          reply = action.done;
+        }
+      } else if (action.id === "product") {
+        const name = productFromTitle(title);
+        if (!name) reply = "❌ This lead has no title.";
+        else if (row.actions?.product) reply = "Product already added";
+        else if (t.addProduct(name)) { mark("product", { ...info, name }); reply = `➕ Product added: ${name}`; }
+        else reply = "❌ Couldn't add the product.";
+      } else if (action.id === "muted") {
+        const kw = row.keyword;
+        if (kind !== "kw" || !kw) reply = "❌ No keyword on this match.";
+        else {
+          const until = Date.now() + MUTE_MS;
+          t.muteKeyword(kw, MUTE_MS);
+          mark("muted", { ...info, keyword: kw, until: new Date(until).toISOString() });
+          reply = `🔕 "${kw}" muted for 24h`;
+        }
+      } else if (action.id === "screenshot") {
+        const buf = title ? await t.screenshotCard(title) : null;
+        if (!buf) reply = "📭 Card is no longer on the Leads page.";
+        else {
+          await ctx.sendPhoto(buf, { caption: `📸 ${title}`, filename: "card.jpg" });
+          mark("screenshot", info);
+          reply = "📸 Sent";
+        }
+      }
+    } catch (e) {
+      log("error", `Lead action ${action.id} on ${kind}#${serial} failed: ${e.message}`);
+      reply = "❌ " + e.message;
+    }
+
+    await ctx.answer(reply);
+    const fresh = t.getLead(kind, serial) || row;
+    const markup = leadKeyboard({ kind, serial, account, actions: fresh.actions });
+    if (markup) await ctx.editMarkup(markup);
+    log("info", `Lead action: ${action.id} on ${kind}#${serial}${account ? ` [${account}]` : ""} by ${info.by}`);
+    return true;
+  }
+
+  return { handle };
+}
+
+module.exports = { createLeadActions, leadKeyboard, parseLeadCallback, findCardRect, ACTIONS, MUTE_MS };
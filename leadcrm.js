@@ -0,0 +1,347 @@
+// leadcrm.js
+// Lead pipeline for buyers captured by the Message Centre: new → contacted →
+// quoted → won/lost, with a quote, notes, an assignee and a follow-up date.
+// messagecentre_log.json is archived and emptied at every daily report, so
+// the pipeline keeps its own List/lead_pipeline.json; each LeadStore row
+// carries the lead number ("lead") that /lead and the Manager table use.
+// Telegram button taps (leadactions.js) are kept here under "actions" too.
+
+const fs = require("node:fs");
+const path = require("node:path");
+const { parsePhone, phoneKey } = require("./phone");
+
+const STATUSES = ["new", "contacted", "quoted", "won", "lost"];
+const CLOSED = new Set(["won", "lost"]);
+const RANK = { new: 0, contacted: 1, quoted: 2, won: 3, lost: 3 };
+const STATUS_ICON = { new: "🆕", contacted: "☎️", quoted: "💬", won: "🏆", lost: "❌" };
+
+const MAX_NOTES = 50;
+const MAX_HISTORY = 50;
+// Closed leads beyond this many are dropped, oldest first
+const MAX_CLOSED = 2000;
+
+const esc = (s) => String(s ?? "").replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+const normSpace = (s) => String(s || "").trim().replace(/\s+/g, " ");
+const keyOf = (r) => [normSpace(r.product).toLowerCase(), normSpace(r.buyer).toLowerCase(), phoneKey(r.mobile)].join("|");
+const pad2 = (n) => String(n).padStart(2, "0");
+const nowTS = () => {
+  const d = new Date();
+  return `${d.getFullYear()}-${pad2(d.getMonth() + 1)}-${pad2(d.getDate())} ${pad2(d.getHours())}:${pad2(d.getMinutes())}:${pad2(d.getSeconds())}`;
+};
+
+const MULT = { k: 1e3, l: 1e5, lac: 1e5, lakh: 1e5, cr: 1e7, crore: 1e7 };
+// "1.2L", "50k", "2cr", "Rs.75000", "1,20,000" -> rupees
+function parseAmount(s) {
+  const m = /^(?:rs\.?|inr)?\s*(\d[\d,]*(?:\.\d+)?)\s*(k|l|lac|lakh|cr|crore)?$/i.exec(String(s || "").trim());
+  if (!m) return null;
+  const n = parseFloat(m[1].replace(/,/g, ""));
+  return Number.isFinite(n) ? Math.round(n * (MULT[String(m[2] || "").toLowerCase()] || 1)) : null;
+}
+const fmtINR = (n) => n >= 1e7 ? `₹${+(n / 1e7).toFixed(2)}Cr` : n >= 1e5 ? `₹${+(n / 1e5).toFixed(2)}L` : n >= 1e3 ? `₹${+(n / 1e3).toFixed(1)}k` : `₹${n}`;
+
+const addDays = (day, n) => {
+  const d = new Date(`${day}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + n);
+  return d.toISOString().slice(0, 10);
+};
+
+// "2026-10-21", "21-10-2026", "21-10" (this year), "today", "tomorrow",
+// "3d"/"+3d", "1w" -> YYYY-MM-DD; "none"/"clear" -> ""; null when unreadable
+function parseFollowUp(s, today) {
+  const t = String(s || "").trim().toLowerCase();
+  if (t === "none" || t === "clear") return "";
+  if (t === "today") return today;
+  if (t === "tomorrow") return addDays(today, 1);
+  let m = /^\+?(\d{1,3})\s*([dw])$/.exec(t);
+  if (m) return addDays(today, Number(m[1]) * (m[2] === "w" ? 7 : 1));
+  let y, mo, d;
+  if ((m = /^(\d{4})-(\d{1,2})-(\d{1,2})$/.exec(t))) [y, mo, d] = [m[1], m[2], m[3]];
+  else if ((m = /^(\d{1,2})[-.](\d{1,2})(?:[-.](\d{4}))?$/.exec(t))) [y, mo, d] = [m[3] || today.slice(0, 4), m[2], m[1]];
+  else return null;
+  const out = `${y}-${pad2(mo)}-${pad2(d)}`;
+  const chk = new Date(`${out}T00:00:00Z`);
+  return !Number.isNaN(chk.getTime()) && chk.toISOString().slice(0, 10) === out ? out : null;
+}
+
+function createLeadCrm({
+  file = path.join(__dirname, "List", "lead_pipeline.json"),
+  dayKey = () => new Date().toISOString().slice(0, 10),
+  onChange = () => {},
+  log = () => {}
+} = {}) {
+
+  let leads = [];
+  let nextId = 1;
+  try {
+    const j = JSON.parse(fs.readFileSync(file, "utf8"));
+    if (Array.isArray(j?.leads)) leads = j.leads.filter(l => l && Number(l.id) > 0);
+    nextId = Math.max(Number(j?.nextId) || 1, ...leads.map(l => Number(l.id) + 1));
+  } catch (e) {
+    if (e.code !== "ENOENT") log("error", `CRM: ${path.basename(file)} unreadable – ${e.message}`);
+  }
+  const byKey = new Map(leads.map(l => [keyOf(l), l]));
+
+  let saveTimer = null;
+  function writeNow() {
+    clearTimeout(saveTimer);
+    saveTimer = null;
+    try {
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      const tmp = file + ".tmp";
+      fs.writeFileSync(tmp, JSON.stringify({ nextId, leads }, null, 2));
+      fs.renameSync(tmp, file);
+    } catch (e) {
+      log("error", `CRM: save failed – ${e.message}`);
+    }
+  }
+  function save() {
+    clearTimeout(saveTimer);
+    saveTimer = setTimeout(writeNow, 100);
+  }
+  const changed = (lead) => { save(); try { onChange(lead); } catch {} };
+
+  function prune() {
+    const closed = leads.filter(l => CLOSED.has(l.status));
+    if (closed.length <= MAX_CLOSED) return;
+    const drop = new Set(closed.sort((a, b) => String(a.statusAt).localeCompare(String(b.statusAt))).slice(0, closed.length - MAX_CLOSED));
+    leads = leads.filter(l => !drop.has(l));
+    for (const l of drop) byKey.delete(keyOf(l));
+  }
+
+  const get = (id) => leads.find(l => l.id === Number(id)) || null;
+
+  // Called for every LeadStore row the Message Centre saves; the same buyer
+  // and product keep their lead number and gain any newly read details
+  function track(row) {
+    const key = keyOf(row || {});
+    if (key === "||") return null;
+    const cur = byKey.get(key);
+    if (cur) {
+      let filled = false;
+      for (const f of ["mobile", "email", "company", "gstin", "address"]) {
+        if (!cur[f] && row[f]) { cur[f] = row[f]; filled = true; }
+      }
+      if (filled) changed(cur);
+      return cur;
+    }
+    const at = nowTS();
+    const lead = {
+      id: nextId++,
+      createdAt: at,
+      product: row.product || "",
+      buyer: row.buyer || "",
+      mobile: row.mobile || "",
+      company: row.company || "",
+      email: row.email || "",
+      gstin: row.gstin || "",
+      address: row.address || "",
+      status: "new",
+      statusAt: at,
+      quote: null,
+      assignee: "",
+      followUp: "",
+      notes: [],
+      history: [{ at, by: "", status: "new" }],
+      actions: {}
+    };
+    leads.unshift(lead);
+    byKey.set(key, lead);
+    prune();
+    changed(lead);
+    log("info", `CRM: lead #${lead.id} – ${lead.buyer || "?"} / ${lead.product || "?"}`);
+    return lead;
+  }
+
+  const setStatus = (lead, status, by) => {
+    if (lead.status === status) return;
+    lead.status = status;
+    lead.statusAt = nowTS();
+    lead.history = [...lead.history, { at: lead.statusAt, by, status }].slice(-MAX_HISTORY);
+    if (CLOSED.has(status)) lead.followUp = "";
+  };
+  const addNote = (lead, text, by) => {
+    const t = normSpace(text).slice(0, 500);
+    if (t) lead.notes = [...lead.notes, { at: nowTS(), by, text: t }].slice(-MAX_NOTES);
+  };
+
+  // patch: { status, reopen, quote, note, assignee, followUp } – followUp as
+  // typed ("tomorrow", "21-10") and quote as "1.2L" or a number
+  function update(id, patch = {}, by = "") {
+    const lead = get(id);
+    if (!lead) return { ok: false, error: `No lead #${id}` };
+    const p = { ...patch };
+
+    if (p.reopen) {
+      if (!CLOSED.has(lead.status)) return { ok: false, error: `Lead #${id} is still open` };
+      p.status = "contacted";
+    } else if (p.status != null) {
+      p.status = String(p.status).toLowerCase();
+      if (!STATUSES.includes(p.status)) return { ok: false, error: `Unknown status "${p.status}" – use ${STATUSES.join(", ")}` };
+      if (CLOSED.has(lead.status) && p.status !== lead.status) return { ok: false, error: `Lead #${id} is already ${lead.status} – reopen it first` };
+      if (RANK[p.status] < RANK[lead.status]) return { ok: false, error: `Lead #${id} is already ${lead.status}` };
+    }
+    let quote;
+    if (p.quote != null && p.quote !== "") {
+      const value = typeof p.quote === "number" ? Math.round(p.quote) : parseAmount(p.quote);
+      if (!(value > 0)) return { ok: false, error: `Can't read the amount "${p.quote}" – e.g. 1.2L, 50k, 75000` };
+      quote = { value, text: fmtINR(value) };
+    }
+    let followUp;
+    if (p.followUp != null) {
+      followUp = parseFollowUp(p.followUp, dayKey());
+      if (followUp === null) return { ok: false, error: `Can't read the date "${p.followUp}" – e.g. 2026-10-21, 21-10, tomorrow, 3d` };
+    }
+
+    if (p.status) setStatus(lead, p.status, by);
+    if (quote) lead.quote = quote;
+    if (p.assignee != null) lead.assignee = /^(none|clear)$/i.test(String(p.assignee).trim()) ? "" : normSpace(p.assignee).slice(0, 40);
+    if (followUp !== undefined && !CLOSED.has(lead.status)) lead.followUp = followUp;
+    if (p.note) addNote(lead, p.note, by);
+    changed(lead);
+    return { ok: true, lead };
+  }
+
+  // Button state from leadactions.js; "Mark contacted" moves a new lead on
+  // and "Not relevant" closes it as lost
+  function mark(id, action, info) {
+    const lead = get(id);
+    if (!lead) return null;
+    lead.actions = { ...(lead.actions || {}) };
+    if (info) lead.actions[action] = info; else delete lead.actions[action];
+    if (info && action === "contacted" && lead.status === "new") setStatus(lead, "contacted", info.by || "");
+    if (info && action === "not_relevant" && !CLOSED.has(lead.status)) {
+      setStatus(lead, "lost", info.by || "");
+      addNote(lead, "Not relevant", info.by || "");
+    }
+    changed(lead);
+    return lead;
+  }
+
+  const isOverdue = (l, today = dayKey()) => !CLOSED.has(l.status) && !!l.followUp && l.followUp < today;
+
+  // filter: "open" (default), "all", "overdue" or a status
+  function list({ filter = "open", limit = 200 } = {}) {
+    const today = dayKey();
+    const f = String(filter || "open").toLowerCase();
+    const pick = f === "all" ? () => true
+      : f === "overdue" ? (l) => isOverdue(l, today)
+      : STATUSES.includes(f) ? (l) => l.status === f
+      : (l) => !CLOSED.has(l.status);
+    return leads.filter(pick).slice(0, Math.max(1, limit)).map(l => ({ ...l, overdue: isOverdue(l, today) }));
+  }
+
+  const overdue = () => {
+    const today = dayKey();
+    return leads.filter(l => isOverdue(l, today)).sort((a, b) => a.followUp.localeCompare(b.followUp));
+  };
+
+  function summary() {
+    const counts = Object.fromEntries(STATUSES.map(s => [s, 0]));
+    for (const l of leads) counts[l.status] = (counts[l.status] || 0) + 1;
+    const today = dayKey();
+    return {
+      counts,
+      open: leads.filter(l => !CLOSED.has(l.status)).length,
+      overdue: leads.filter(l => isOverdue(l, today)).length,
+      dueToday: leads.filter(l => !CLOSED.has(l.status) && l.followUp === today).length,
+      quotedValue: leads.filter(l => l.status === "quoted" && l.quote?.value).reduce((s, l) => s + l.quote.value, 0)
+    };
+  }
+
+  return {
+    track,
+    get,
+    update,
+    mark,
+    list,
+    overdue,
+    summary,
+    isOverdue,
+    today: dayKey,
+    flush: () => { if (saveTimer) writeNow(); }
+  };
+}
+
+// ----- Telegram ------------------------------------------------------------
+
+const statusLabel = (l) => `${STATUS_ICON[l.status] || ""} ${l.status[0].toUpperCase()}${l.status.slice(1)}${l.quote ? ` (${l.quote.text})` : ""}`;
+
+function formatLeadCard(l, today) {
+  const ph = parsePhone(l.mobile);
+  const due = l.followUp ? `📅 <b>Follow-up:</b> ${esc(l.followUp)}${!CLOSED.has(l.status) && l.followUp < today ? " ⚠️ overdue" : ""}` : "";
+  return [
+    `📇 <b>Lead #${l.id}</b> · ${statusLabel(l)}`,
+    l.product && `✨ <b>${esc(l.product)}</b>`,
+    l.buyer && `👤 ${esc(l.buyer)}${l.company ? ` · 🏢 ${esc(l.company)}` : ""}`,
+    ph.display && `${ph.type === "landline" ? "☎️" : "📞"} ${esc(ph.display)}${ph.check !== "ok" ? ` ⚠️ ${esc(ph.reason)}` : ""}`,
+    l.assignee && `🧑‍💼 <b>Assignee:</b> ${esc(l.assignee)}`,
+    due,
+    ...l.notes.slice(-3).map(n => `📝 ${esc(n.text)}${n.by ? ` – ${esc(n.by)}` : ""} <i>${esc(String(n.at).slice(0, 16))}</i>`),
+    `🕓 Captured ${esc(String(l.createdAt).slice(0, 16))}`
+  ].filter(Boolean).join("\n");
+}
+
+const lineOf = (l) => `#${l.id} ${STATUS_ICON[l.status] || ""} ${esc(l.buyer || "?")} – ${esc(l.product || "?")}${l.followUp ? ` · 📅 ${esc(l.followUp)}` : ""}`;
+
+function formatPipeline(crm) {
+  const s = crm.summary();
+  const recent = crm.list({ filter: "open", limit: 10 });
+  return [
+    "📇 <b>Lead Pipeline</b>",
+    STATUSES.map(st => `${STATUS_ICON[st]} ${s.counts[st]}`).join(" · "),
+    ...(s.quotedValue ? [`💬 Quoted: <b>${fmtINR(s.quotedValue)}</b>`] : []),
+    `📅 Due today: <b>${s.dueToday}</b> · ⚠️ Overdue: <b>${s.overdue}</b>`,
+    "",
+    recent.length ? "<b>Open leads</b>" : "No open leads.",
+    ...recent.map(lineOf),
+    "",
+    "Use: /lead 42 · /lead 42 quoted 1.2L · /lead 42 note called back · /lead 42 assign Ravi · /lead 42 follow tomorrow"
+  ].join("\n");
+}
+
+// "/lead", "/lead 42", "/lead 42 quoted 1.2L sent on mail", "/lead 42 lost
+// price too high", "/lead 42 note …", "/lead 42 assign Ravi",
+// "/lead 42 follow 3d", "/lead 42 reopen"
+function runLeadCommand(crm, text, { by = "", today } = {}) {
+  if (!crm) return { ok: false, text: "❌ Lead tracking unavailable." };
+  const [idTok, verbTok = "", ...rest] = normSpace(text).split(" ");
+  if (!idTok) return { ok: true, text: formatPipeline(crm) };
+  const id = Number(String(idTok).replace(/^#/, ""));
+  if (!Number.isInteger(id) || id < 1) return { ok: false, text: "❌ Use: /lead <number> [status|note|assign|follow] …" };
+  const day = today || crm.today();
+  if (!crm.get(id)) return { ok: false, text: `❌ No lead #${id}` };
+
+  const verb = verbTok.toLowerCase();
+  let tail = rest.join(" ");
+  let patch;
+  if (!verb) patch = null;
+  else if (STATUSES.includes(verb)) {
+    patch = { status: verb };
+    if (verb === "quoted" && rest.length && parseAmount(rest[0]) !== null) {
+      patch.quote = rest[0];
+      tail = rest.slice(1).join(" ");
+    }
+    if (tail) patch.note = tail;
+  } else if (verb === "reopen") patch = { reopen: true, ...(tail ? { note: tail } : {}) };
+  else if (verb === "note") patch = { note: tail };
+  else if (verb === "assign") patch = { assignee: tail || "none" };
+  else if (verb === "follow" || verb === "followup") patch = { followUp: tail || "none" };
+  else return { ok: false, text: `❌ Unknown action "${esc(verbTok)}" – use ${STATUSES.join(", ")}, reopen, note, assign or follow` };
+
+  if (patch) {
+    if ("note" in patch && !patch.note && verb === "note") return { ok: false, text: "❌ Use: /lead 42 note <text>" };
+    const r = crm.update(id, patch, by);
+    if (!r.ok) return { ok: false, text: "❌ " + esc(r.error) };
+  }
+  return { ok: true, text: (patch ? "✅ Saved\n" : "") + formatLeadCard(crm.get(id), day) };
+}
+
+module.exports = {
+  createLeadCrm,
+  runLeadCommand,
+  formatLeadCard,
+  formatPipeline,
+  parseAmount,
+  parseFollowUp,
+  STATUSES
+};
@@ -0,0 +1,453 @@
+// leaddb.js
+// Embedded SQLite lead store. Every scraped product, keyword hit, match click
+// and Message Centre lead is appended here so history survives the
+// 08:00/20:00 archive-and-truncate of the Reports/*.json working files.
+
+const fs = require("node:fs");
+const path = require("node:path");
+
+const SCHEMA_VERSION = 3;
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS meta (
+    key   TEXT PRIMARY KEY,
+    value TEXT
+  );
+
+  CREATE TABLE IF NOT EXISTS products (
+    id       INTEGER PRIMARY KEY AUTOINCREMENT,
+    serial   INTEGER,
+    ts       TEXT NOT NULL,
+    ts_ms    INTEGER NOT NULL,
+    title    TEXT NOT NULL,
+    location TEXT NOT NULL DEFAULT '',
+    source   TEXT NOT NULL DEFAULT 'live',
+    details  TEXT NOT NULL DEFAULT '{}',
+    UNIQUE (title, location, ts)
+  );
+  CREATE INDEX IF NOT EXISTS idx_products_title ON products (title COLLATE NOCASE);
+  CREATE INDEX IF NOT EXISTS idx_products_ts    ON products (ts_ms);
+
+  CREATE TABLE IF NOT EXISTS keyword_matches (
+    id       INTEGER PRIMARY KEY AUTOINCREMENT,
+    serial   INTEGER,
+    ts       TEXT NOT NULL,
+    ts_ms    INTEGER NOT NULL,
+    title    TEXT NOT NULL,
+    location TEXT NOT NULL DEFAULT '',
+    source   TEXT NOT NULL DEFAULT 'live',
+    UNIQUE (title, location, ts)
+  );
+  CREATE INDEX IF NOT EXISTS idx_kw_title ON keyword_matches (title COLLATE NOCASE);
+  CREATE INDEX IF NOT EXISTS idx_kw_ts    ON keyword_matches (ts_ms);
+
+  CREATE TABLE IF NOT EXISTS clicks (
+    id       INTEGER PRIMARY KEY AUTOINCREMENT,
+    ts       TEXT NOT NULL,
+    ts_ms    INTEGER NOT NULL,
+    title    TEXT NOT NULL,
+    list_idx INTEGER,
+    matched  TEXT NOT NULL DEFAULT '',
+    status   TEXT NOT NULL DEFAULT '',
+    reason   TEXT NOT NULL DEFAULT '',
+    source   TEXT NOT NULL DEFAULT 'live',
+    UNIQUE (title, list_idx, ts)
+  );
+  CREATE INDEX IF NOT EXISTS idx_clicks_product ON clicks (matched COLLATE NOCASE);
+  CREATE INDEX IF NOT EXISTS idx_clicks_ts      ON clicks (ts_ms);
+
+  CREATE TABLE IF NOT EXISTS mc_leads (
+    id        INTEGER PRIMARY KEY AUTOINCREMENT,
+    serial    INTEGER,
+    ts        TEXT NOT NULL,
+    ts_ms     INTEGER NOT NULL,
+    product   TEXT NOT NULL DEFAULT '',
+    buyer     TEXT NOT NULL DEFAULT '',
+    mobile    TEXT NOT NULL DEFAULT '',
+    mobile10  TEXT NOT NULL DEFAULT '',
+    email     TEXT NOT NULL DEFAULT '',
+    company   TEXT NOT NULL DEFAULT '',
+    gstin     TEXT NOT NULL DEFAULT '',
+    address   TEXT NOT NULL DEFAULT '',
+    lead_time TEXT NOT NULL DEFAULT '',
+    source    TEXT NOT NULL DEFAULT 'live',
+    UNIQUE (product, buyer, mobile10, lead_time)
+  );
+  CREATE INDEX IF NOT EXISTS idx_leads_product ON mc_leads (product COLLATE NOCASE);
+  CREATE INDEX IF NOT EXISTS idx_leads_buyer   ON mc_leads (buyer COLLATE NOCASE);
+  CREATE INDEX IF NOT EXISTS idx_leads_mobile  ON mc_leads (mobile10);
+  CREATE INDEX IF NOT EXISTS idx_leads_ts      ON mc_leads (ts_ms);
+
+  CREATE TABLE IF NOT EXISTS imports (
+    file      TEXT PRIMARY KEY,
+    size      INTEGER,
+    mtime_ms  INTEGER,
+    rows      INTEGER,
+    at        TEXT
+  );
+`;
+
+// Columns added after a release; CREATE TABLE IF NOT EXISTS won't touch an
+// existing leads.db, so these are ALTERed in when missing.
+const MIGRATIONS = [
+  { version: 2, table: "clicks", column: "reason", ddl: "TEXT NOT NULL DEFAULT ''" },
+  { version: 3, table: "products", column: "details", ddl: "TEXT NOT NULL DEFAULT '{}'" }
+];
+
+function migrate(db, log) {
+  for (const m of MIGRATIONS) {
+    const cols = db.prepare(`PRAGMA table_info(${m.table})`).all().map(c => c.name);
+    if (cols.includes(m.column)) continue;
+    db.exec(`ALTER TABLE ${m.table} ADD COLUMN ${m.column} ${m.ddl}`);
+    log("info", `LeadDB: migrated to v${m.version} (${m.table}.${m.column})`);
+  }
+}
+
+// Legacy JSON file name → importer kind
+const LEGACY_FILES = Object.freeze({
+  "products_log.json": "product",
+  "keyword_matches.json": "keyword",
+  "matchclick.json": "click",
+  "messagecentre_log.json": "lead",
+});
+
+const last10 = (m) => String(m || "").replace(/\D/g, "").slice(-10);
+const str = (v) => (v == null ? "" : String(v));
+
+// Report rows use "YYYY-MM-DD HH:mm:ss" without a zone; the app runs in IST.
+function parseTs(s) {
+  if (!s) return 0;
+  const raw = String(s);
+  if (/^\d{4}-\d{2}-\d{2}T.*(Z|[+-]\d{2}:?\d{2})$/.test(raw)) {
+    const t = Date.parse(raw);
+    return Number.isFinite(t) ? t : 0;
+  }
+  const m = /^(\d{4}-\d{2}-\d{2})[ T](\d{2}:\d{2}(?::\d{2})?)/.exec(raw);
+  if (m) {
+    const t = Date.parse(`${m[1]}T${m[2].length === 5 ? m[2] + ":00" : m[2]}+05:30`);
+    return Number.isFinite(t) ? t : 0;
+  }
+  const t = Date.parse(raw);
+  return Number.isFinite(t) ? t : 0;
+}
+
+const nowTS = () => {
+  const d = new Date(), p = n => String(n).padStart(2, "0");
+  return `${d.getFullYear()}-${p(d.getMonth() + 1)}-${p(d.getDate())} ${p(d.getHours())}:${p(d.getMinutes())}:${p(d.getSeconds())}`;
+};
+
+// Returned when better-sqlite3 is missing or the file cannot be opened, so
+// callers never have to null-check the store.
+function disabledStore(reason) {
+  const noop = () => false;
+  return {
+    enabled: false,
+    reason,
+    addProduct: noop,
+    addKeywordMatch: noop,
+    addClick: noop,
+    upsertLead: noop,
+    importLegacy: () => ({ files: 0, rows: 0 }),
+    all: () => [],
+    search: () => [],
+    getStats: () => ({ enabled: false, reason }),
+    close: () => {}
+  };
+}
+
+function createLeadDb({
+  dir = __dirname,
+  file = path.join(dir, "Reports", "leads.db"),
+  log = () => {}
+} = {}) {
+  let Database;
+  try {
+    Database = require("better-sqlite3");
+  } catch (e) {
+    log("error", `LeadDB: better-sqlite3 unavailable – ${e.message}`);
+    return disabledStore("driver missing");
+  }
+
+  let db;
+  try {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    db = new Database(file);
+    db.pragma("journal_mode = WAL");
+    db.pragma("synchronous = NORMAL");
+    db.exec(SCHEMA);
+    migrate(db, log);
+    db.prepare("INSERT OR REPLACE INTO meta (key, value) VALUES ('schema_version', ?)").run(String(SCHEMA_VERSION));
+  } catch (e) {
+    log("error", `LeadDB: open failed (${path.basename(file)}) – ${e.message}`);
+    try { db?.close(); } catch {}
+    return disabledStore("open failed");
+  }
+
+  const stmt = {
+    product: db.prepare(`INSERT OR IGNORE INTO products (serial, ts, ts_ms, title, location, source, details)
+                         VALUES (@serial, @ts, @ts_ms, @title, @location, @source, @details)`),
+    keyword: db.prepare(`INSERT OR IGNORE INTO keyword_matches (serial, ts, ts_ms, title, location, source)
+                         VALUES (@serial, @ts, @ts_ms, @title, @location, @source)`),
+    click: db.prepare(`INSERT OR IGNORE INTO clicks (ts, ts_ms, title, list_idx, matched, status, reason, source)
+                       VALUES (@ts, @ts_ms, @title, @list_idx, @matched, @status, @reason, @source)`),
+    leadInsert: db.prepare(`INSERT OR IGNORE INTO mc_leads
+                              (serial, ts, ts_ms, product, buyer, mobile, mobile10, email, company, gstin, address, lead_time, source)
+                            VALUES (@serial, @ts, @ts_ms, @product, @buyer, @mobile, @mobile10, @email, @company, @gstin, @address, @lead_time, @source)`),
+    // Merge only fills blanks, mirroring LeadStore.mergeFill
+    leadFill: db.prepare(`UPDATE mc_leads SET
+                            email   = CASE WHEN email   = '' THEN @email   ELSE email   END,
+                            company = CASE WHEN company = '' THEN @company ELSE company END,
+                            gstin   = CASE WHEN gstin   = '' THEN @gstin   ELSE gstin   END,
+                            address = CASE WHEN address = '' THEN @address ELSE address END,
+                            lead_time = CASE WHEN lead_time = '' THEN @lead_time ELSE lead_time END
+                          WHERE product = @product AND buyer = @buyer AND mobile10 = @mobile10
+                            AND (lead_time = @lead_time OR lead_time = '')`),
+    importSeen: db.prepare("SELECT size, mtime_ms FROM imports WHERE file = ?"),
+    importMark: db.prepare(`INSERT OR REPLACE INTO imports (file, size, mtime_ms, rows, at)
+                            VALUES (?, ?, ?, ?, ?)`),
+  };
+
+  const guard = (label, fn) => {
+    try { return fn(); }
+    catch (e) { log("error", `LeadDB: ${label} failed – ${e.message}`); return false; }
+  };
+
+  const productParams = (r, source) => {
+    const ts = str(r.timestamp || r.time) || nowTS();
+    return {
+      serial: Number.isFinite(parseInt(r.serial, 10)) ? parseInt(r.serial, 10) : null,
+      ts, ts_ms: parseTs(ts),
+      title: str(r.name || r.title).trim(),
+      location: str(r.location).trim(),
+      source
+    };
+  };
+
+  // Scraped BuyLead fields (leadfields.js) beyond name/location, as JSON
+  const BASE_KEYS = new Set(["serial", "timestamp", "time", "name", "title", "location"]);
+  const detailsJSON = (r) => {
+    const out = {};
+    for (const [k, v] of Object.entries(r)) if (!BASE_KEYS.has(k) && v !== undefined) out[k] = v;
+    return JSON.stringify(out);
+  };
+
+  const clickParams = (r, source) => {
+    const ts = str(r.timestamp) || nowTS();
+    const idx = parseInt(r.index, 10);
+    return {
+      ts, ts_ms: parseTs(ts),
+      title: str(r.title).trim(),
+      list_idx: Number.isFinite(idx) ? idx : null,
+      // Older matchclick.json rows carry "Matched" instead of "matched"
+      matched: str(r.matched ?? r.Matched).trim(),
+      status: str(r.status),
+      // Why a row was not clicked (location rules)
+      reason: str(r.reason),
+      source
+    };
+  };
+
+  const leadParams = (r, source) => {
+    const ts = str(r.timestamp) || nowTS();
+    const clean = (v) => { const s = str(v).trim(); return s === "---" ? "" : s; };
+    return {
+      serial: Number.isFinite(parseInt(r.serial, 10)) ? parseInt(r.serial, 10) : null,
+      ts, ts_ms: parseTs(ts),
+      product: clean(r.product),
+      buyer: clean(r.buyer),
+      mobile: clean(r.mobile),
+      mobile10: last10(r.mobile),
+      email: clean(r.email),
+      company: clean(r.company),
+      gstin: clean(r.gstin),
+      address: clean(r.address),
+      lead_time: clean(r.time),
+      source
+    };
+  };
+
+  function addProduct(row, source = "live") {
+    return guard("addProduct", () => {
+      const p = { ...productParams(row || {}, source), details: detailsJSON(row || {}) };
+      return p.title ? stmt.product.run(p).changes > 0 : false;
+    });
+  }
+
+  function addKeywordMatch(row, source = "live") {
+    return guard("addKeywordMatch", () => {
+      const p = productParams(row || {}, source);
+      return p.title ? stmt.keyword.run(p).changes > 0 : false;
+    });
+  }
+
+  function addClick(row, source = "live") {
+    return guard("addClick", () => {
+      const p = clickParams(row || {}, source);
+      return p.title ? stmt.click.run(p).changes > 0 : false;
+    });
+  }
+
+  function upsertLead(row, source = "live") {
+    return guard("upsertLead", () => {
+      const p = leadParams(row || {}, source);
+      if (!p.product && !p.buyer && !p.mobile10) return false;
+      if (stmt.leadInsert.run(p).changes > 0) return true;
+      return stmt.leadFill.run(p).changes > 0;
+    });
+  }
+
+  const importRows = db.transaction((kind, rows, source) => {
+    let n = 0;
+    for (const r of rows) {
+      if (!r || typeof r !== "object") continue;
+      let ok = false;
+      if (kind === "product") ok = addProduct(r, source);
+      else if (kind === "keyword") ok = addKeywordMatch(r, source);
+      else if (kind === "click") ok = addClick(r, source);
+      else if (kind === "lead") ok = upsertLead(r, source);
+      if (ok) n++;
+    }
+    return n;
+  });
+
+  function importFile(filePath, kind, source) {
+    let st;
+    try { st = fs.statSync(filePath); } catch { return null; }
+    const seen = stmt.importSeen.get(filePath);
+    if (seen && seen.size === st.size && seen.mtime_ms === Math.floor(st.mtimeMs)) return null;
+
+    let rows = [];
+    try {
+      const raw = fs.readFileSync(filePath, "utf8").trim();
+      if (raw) {
+        const j = JSON.parse(raw);
+        if (Array.isArray(j)) rows = j;
+      }
+    } catch (e) {
+      log("error", `LeadDB: import skipped ${path.basename(filePath)} – ${e.message}`);
+      return null;
+    }
+
+    const n = importRows(kind, rows, source);
+    stmt.importMark.run(filePath, st.size, Math.floor(st.mtimeMs), n, nowTS());
+    return n;
+  }
+
+  // One-time importer for the legacy Reports/*.json files and every
+  // reports_archive/<stamp>/ folder. Files already imported (same size and
+  // mtime) are skipped, so calling this on every start is cheap.
+  function importLegacy({
+    reportsDir = path.join(dir, "Reports"),
+    archiveDir = path.join(dir, "reports_archive")
+  } = {}) {
+    const targets = [];
+    for (const name of Object.keys(LEGACY_FILES)) {
+      targets.push({ file: path.join(reportsDir, name), kind: LEGACY_FILES[name], source: "import:current" });
+    }
+    let stamps = [];
+    try {
+      stamps = fs.readdirSync(archiveDir, { withFileTypes: true })
+        .filter(d => d.isDirectory())
+        .map(d => d.name)
+        .sort();
+    } catch {}
+    for (const stamp of stamps) {
+      for (const name of Object.keys(LEGACY_FILES)) {
+        targets.push({ file: path.join(archiveDir, stamp, name), kind: LEGACY_FILES[name], source: `import:${stamp}` });
+      }
+    }
+
+    let files = 0, rows = 0;
+    for (const t of targets) {
+      const n = guard(`import ${path.basename(t.file)}`, () => importFile(t.file, t.kind, t.source));
+      if (n === null || n === false) continue;
+      files += 1;
+      rows += n;
+    }
+    if (files) log("info", `LeadDB: imported ${rows} row(s) from ${files} legacy file(s)`);
+    return { files, rows };
+  }
+
+  const TABLES = Object.freeze({
+    product: "products",
+    keyword: "keyword_matches",
+    click: "clicks",
+    lead: "mc_leads"
+  });
+
+  // Raw read access for reporting modules: rows of one kind, newest first,
+  // optionally bounded by a [fromMs, toMs) window.
+  function all(kind, { fromMs = 0, toMs = Number.MAX_SAFE_INTEGER, limit = -1 } = {}) {
+    const table = TABLES[kind];
+    if (!table) return [];
+    return guard(`all(${kind})`, () =>
+      db.prepare(`SELECT * FROM ${table} WHERE ts_ms >= ? AND ts_ms < ? ORDER BY ts_ms DESC, id DESC LIMIT ?`)
+        .all(fromMs, toMs, limit)
+    ) || [];
+  }
+
+  const likeEsc = (s) => String(s).replace(/[\\%_]/g, (c) => "\\" + c);
+
+  // Substring search across every table. `text` matches titles, buyer names,
+  // companies and GSTINs; `digits` (last 10 of a phone number) matches mobiles.
+  function search({ text = "", digits = "", limit = 500 } = {}) {
+    const q = text ? `%${likeEsc(text)}%` : null;
+    const dq = digits ? `%${likeEsc(digits)}%` : null;
+    if (!q && !dq) return [];
+    const p = { q, dq, limit };
+    return guard("search", () => {
+      const out = [];
+      for (const r of db.prepare(`SELECT * FROM mc_leads
+          WHERE (@q IS NOT NULL AND (product LIKE @q ESCAPE '\\' OR buyer LIKE @q ESCAPE '\\'
+                 OR company LIKE @q ESCAPE '\\' OR gstin LIKE @q ESCAPE '\\'))
+             OR (@dq IS NOT NULL AND mobile10 LIKE @dq ESCAPE '\\')
+          ORDER BY ts_ms DESC LIMIT @limit`).all(p)) {
+        out.push({ kind: "lead", ...r });
+      }
+      if (q) {
+        for (const [kind, table] of [["product", "products"], ["keyword", "keyword_matches"], ["click", "clicks"]]) {
+          for (const r of db.prepare(`SELECT * FROM ${table} WHERE title LIKE @q ESCAPE '\\'
+              ORDER BY ts_ms DESC LIMIT @limit`).all({ q, limit })) {
+            out.push({ kind, ...r });
+          }
+        }
+      }
+      return out;
+    }) || [];
+  }
+
+  function getStats() {
+    return guard("getStats", () => {
+      const count = (t) => db.prepare(`SELECT COUNT(*) AS n FROM ${t}`).get().n;
+      return {
+        enabled: true,
+        file: path.basename(file),
+        products: count("products"),
+        keywordMatches: count("keyword_matches"),
+        clicks: count("clicks"),
+        leads: count("mc_leads"),
+        importedFiles: count("imports")
+      };
+    }) || { enabled: true };
+  }
+
+  function close() {
+    try { db.close(); } catch {}
+  }
+
+  return {
+    enabled: true,
+    db,
+    addProduct,
+    addKeywordMatch,
+    addClick,
+    upsertLead,
+    importLegacy,
+    all,
+    search,
+    getStats,
+    close
+  };
+}
+
+module.exports = { createLeadDb, parseTs };
@@ -0,0 +1,184 @@
+// leadfields.js
+// Parses the extra BuyLead card details – quantity, probable order value,
+// member since, GST / mobile verified badges and posting age – out of the
+// card's visible text. The scraper hands us innerText plus badge titles; the
+// markup changes too often to pin each field to an XPath.
+
+const UNIT_WORDS = "(?:square|sq\\.?|cubic|cu\\.?|metric|running)\\s+[a-z]+|[a-z]+(?:\\.)?";
+
+const MULT = { k: 1e3, thousand: 1e3, lakh: 1e5, lakhs: 1e5, lac: 1e5, lacs: 1e5, l: 1e5, crore: 1e7, crores: 1e7, cr: 1e7 };
+
+const num = (s) => {
+  const n = parseFloat(String(s || "").replace(/,/g, ""));
+  return Number.isFinite(n) ? n : null;
+};
+const amount = (n, unit) => (n === null ? null : Math.round(n * (MULT[String(unit || "").toLowerCase()] || 1)));
+
+// Text of one "Label : value" field, up to the next separator
+function field(text, label) {
+  const m = new RegExp(`\\b${label}\\b\\s*[:\\-–]?\\s*([^|\\n]+)`, "i").exec(text);
+  return m ? m[1].trim() : "";
+}
+
+function parseQuantity(text) {
+  const m = new RegExp(`\\b(?:quantity|qty)\\b\\s*[:\\-–]?\\s*([\\d,]+(?:\\.\\d+)?)\\s*(${UNIT_WORDS})?`, "i").exec(text);
+  if (!m) return { quantity: null, quantityUnit: "" };
+  return { quantity: num(m[1]), quantityUnit: String(m[2] || "").toLowerCase().replace(/\.$/, "") };
+}
+
+// "Rs. 50,000 to 1,00,000", "₹ 1 to 2 Lakh", "Upto ₹ 5,000", "Above Rs 10 Lakh"
+function parseOrderValue(text) {
+  const raw = field(text, "(?:probable\\s+)?order\\s+value");
+  if (!raw) return { orderValue: "", orderValueMin: null, orderValueMax: null };
+  const cur = "(?:rs\\.?|inr|₹)?\\s*";
+  const unit = "(k|thousand|lakhs?|lacs?|crores?|cr|l)?\\b";
+  const range = new RegExp(`${cur}([\\d,.]+)\\s*${unit}\\s*(?:to|-|–)\\s*${cur}([\\d,.]+)\\s*${unit}`, "i").exec(raw);
+  if (range) {
+    const u2 = range[4] || "";
+    // "1 to 2 Lakh" shares the unit; "50,000 to 1 Lakh" does not
+    const lo = num(range[1]);
+    const u1 = range[2] || (lo !== null && lo < 1000 && !range[1].includes(",") ? u2 : "");
+    return {
+      orderValue: raw,
+      orderValueMin: amount(lo, u1),
+      orderValueMax: amount(num(range[3]), u2)
+    };
+  }
+  const one = new RegExp(`(upto|up to|below|less than|above|more than|over)?\\s*${cur}([\\d,.]+)\\s*${unit}`, "i").exec(raw);
+  if (!one) return { orderValue: raw, orderValueMin: null, orderValueMax: null };
+  const v = amount(num(one[2]), one[3]);
+  const dir = String(one[1] || "").toLowerCase();
+  if (/upto|up to|below|less/.test(dir)) return { orderValue: raw, orderValueMin: null, orderValueMax: v };
+  if (/above|more|over/.test(dir)) return { orderValue: raw, orderValueMin: v, orderValueMax: null };
+  return { orderValue: raw, orderValueMin: v, orderValueMax: v };
+}
+
+const MONTHS = ["jan", "feb", "mar", "apr", "may", "jun", "jul", "aug", "sep", "oct", "nov", "dec"];
+
+// "3 Years", "6 Months", "Jan 2019", "2019" -> months on IndiaMART
+function parseMemberSince(text, now = new Date()) {
+  const raw = field(text, "member\\s+since");
+  if (!raw) return { memberSince: "", memberMonths: null };
+  let m = /(\d+)\s*(?:\+\s*)?(years?|yrs?|months?|mons?)/i.exec(raw);
+  if (m) {
+    const n = parseInt(m[1], 10);
+    return { memberSince: raw, memberMonths: /^y/i.test(m[2]) ? n * 12 : n };
+  }
+  m = /(?:([a-z]{3})[a-z]*\.?\s+)?((?:19|20)\d{2})/i.exec(raw);
+  if (m) {
+    const mon = m[1] ? Math.max(0, MONTHS.indexOf(m[1].toLowerCase())) : 0;
+    const months = (now.getFullYear() - parseInt(m[2], 10)) * 12 + (now.getMonth() - mon);
+    return { memberSince: raw, memberMonths: Math.max(0, months) };
+  }
+  return { memberSince: raw, memberMonths: null };
+}
+
+const UNIT_MINS = { sec: 0, second: 0, min: 1, minute: 1, hr: 60, hour: 60, day: 1440, week: 10080, month: 43200 };
+
+function parsePostedAgo(text) {
+  if (/\bjust\s+now\b/i.test(text)) return { postedAgo: "just now", postedMins: 0 };
+  const m = /(\d+)\s*(secs?|seconds?|mins?|minutes?|hrs?|hours?|days?|weeks?|months?)\s+ago\b/i.exec(text);
+  if (m) {
+    const unit = m[2].toLowerCase().replace(/s$/, "");
+    return { postedAgo: m[0], postedMins: parseInt(m[1], 10) * (UNIT_MINS[unit] ?? 1) };
+  }
+  if (/\byesterday\b/i.test(text)) return { postedAgo: "yesterday", postedMins: 1440 };
+  return { postedAgo: "", postedMins: null };
+}
+
+// "GST Verified", "Verified Mobile" – but not "GST No: not verified" or
+// "Mobile unverified". The nearest "verified" after the label decides; the
+// "verified <label>" order is only read when the label is not followed by one.
+const NOT = "(not\\s+|non[-\\s]?|un)?";
+function verified(text, what) {
+  const after = new RegExp(`\\b${what}\\b[^|\\n]{0,24}?\\b${NOT}verified\\b`, "i").exec(text);
+  if (after) return !after[1];
+  const before = new RegExp(`\\b${NOT}verified\\b[^|\\n]{0,12}?\\b${what}\\b`, "i").exec(text);
+  return !!before && !before[1];
+}
+
+function parseLeadFields(text, now = new Date()) {
+  const t = String(text || "");
+  return {
+    ...parseQuantity(t),
+    ...parseOrderValue(t),
+    ...parseMemberSince(t, now),
+    gstVerified: verified(t, "gst(?:in)?"),
+    mobileVerified: verified(t, "mobile(?:\\s+number)?"),
+    ...parsePostedAgo(t)
+  };
+}
+
+// Only the fields that were actually found, for logs and products_log.json
+function pickFound(f) {
+  const out = {};
+  for (const [k, v] of Object.entries(f || {})) {
+    if (v === null || v === "" || v === false || v === undefined) continue;
+    out[k] = v;
+  }
+  return out;
+}
+
+const fmtINR = (n) => n >= 1e7 ? `${+(n / 1e7).toFixed(2)}Cr` : n >= 1e5 ? `${+(n / 1e5).toFixed(2)}L` : n >= 1e3 ? `${+(n / 1e3).toFixed(1)}k` : String(n);
+
+// "500 piece · ₹50k–1L · GST✓ · 2 hrs ago"
+function describe(f) {
+  const parts = [];
+  if (f.quantity !== null && f.quantity !== undefined) parts.push(`${f.quantity}${f.quantityUnit ? " " + f.quantityUnit : ""}`);
+  if (f.orderValueMin || f.orderValueMax) {
+    const a = f.orderValueMin ? fmtINR(f.orderValueMin) : "";
+    const b = f.orderValueMax ? fmtINR(f.orderValueMax) : "";
+    parts.push(`₹${a && b && a !== b ? `${a}–${b}` : a ? (b ? a : a + "+") : "≤" + b}`);
+  }
+  if (f.gstVerified) parts.push("GST✓");
+  if (f.mobileVerified) parts.push("Mobile✓");
+  if (f.memberMonths !== null && f.memberMonths !== undefined) parts.push(`member ${f.memberMonths >= 12 ? Math.floor(f.memberMonths / 12) + "y" : f.memberMonths + "m"}`);
+  if (f.postedAgo) parts.push(f.postedAgo);
+  return parts.join(" · ");
+}
+
+// ---------------------------------------------------------------
+// Match criteria for product rules (see matchclicker compileRule):
+//   @qty2  @value50k  @value1l  @gst  @mobile  @member12  @member2y  @fresh30
+// ---------------------------------------------------------------
+const CRITERION = /^@(qty|value|gst|mobile|member|fresh)(\d+(?:\.\d+)?)?([kly]|cr)?$/i;
+
+function parseCriterion(tok) {
+  const m = CRITERION.exec(String(tok || ""));
+  if (!m) return null;
+  const kind = m[1].toLowerCase();
+  const n = m[2] !== undefined ? parseFloat(m[2]) : null;
+  const suffix = String(m[3] || "").toLowerCase();
+  if ((kind === "qty" || kind === "value" || kind === "fresh") && n === null) return null;
+  if (kind === "value") return { kind, min: amount(n, suffix === "l" ? "lakh" : suffix), label: tok };
+  if (kind === "member") return { kind, min: n === null ? 1 : suffix === "y" ? n * 12 : n, label: tok };
+  return { kind, min: n, label: tok };
+}
+
+// -> { ok, why } ; a field the card did not show counts as not met
+function checkCriterion(c, f = {}) {
+  switch (c.kind) {
+    case "qty":
+      if (f.quantity === null || f.quantity === undefined) return { ok: false, why: "quantity unknown" };
+      return f.quantity >= c.min ? { ok: true, why: `qty ${f.quantity}≥${c.min}` } : { ok: false, why: `qty ${f.quantity}<${c.min}` };
+    case "value": {
+      const top = f.orderValueMax ?? f.orderValueMin;
+      if (top === null || top === undefined) return { ok: false, why: "order value unknown" };
+      return top >= c.min ? { ok: true, why: `value ₹${fmtINR(top)}≥₹${fmtINR(c.min)}` } : { ok: false, why: `value ₹${fmtINR(top)}<₹${fmtINR(c.min)}` };
+    }
+    case "gst":
+      return f.gstVerified ? { ok: true, why: "GST verified" } : { ok: false, why: "GST not verified" };
+    case "mobile":
+      return f.mobileVerified ? { ok: true, why: "mobile verified" } : { ok: false, why: "mobile not verified" };
+    case "member":
+      if (f.memberMonths === null || f.memberMonths === undefined) return { ok: false, why: "member since unknown" };
+      return f.memberMonths >= c.min ? { ok: true, why: `member ${f.memberMonths}m` } : { ok: false, why: `member ${f.memberMonths}m<${c.min}m` };
+    case "fresh":
+      if (f.postedMins === null || f.postedMins === undefined) return { ok: false, why: "posting age unknown" };
+      return f.postedMins <= c.min ? { ok: true, why: `posted ${f.postedMins}m ago` } : { ok: false, why: `posted ${f.postedMins}m>${c.min}m ago` };
+    default:
+      return { ok: true, why: "" };
+  }
+}
+
+module.exports = { parseLeadFields, pickFound, describe, parseCriterion, checkCriterion };
@@ -0,0 +1,155 @@
+// leadsearch.js
+// Full-text lookup over captured leads: "did we already get a lead from this
+// buyer or mobile last week?". Uses the SQLite lead store when it is open and
+// falls back to scanning Reports/*.json plus every reports_archive/<stamp>/.
+
+const fs = require("node:fs");
+const fsp = require("node:fs/promises");
+const path = require("node:path");
+
+const REPORT_FILES = Object.freeze({
+  "messagecentre_log.json": "lead",
+  "products_log.json": "product",
+  "keyword_matches.json": "keyword",
+  "matchclick.json": "click",
+});
+
+const DEFAULT_PAGE_SIZE = 5;
+const MAX_RESULTS = 500;
+
+const last10 = (m) => String(m || "").replace(/\D/g, "").slice(-10);
+const norm = (s) => String(s || "").trim().replace(/\s+/g, " ").toLowerCase();
+const clean = (v) => { const s = String(v ?? "").trim(); return s === "---" ? "" : s; };
+
+// Split a raw query into the text part and, when it looks like a phone
+// number, the digits to compare against the last 10 of stored mobiles.
+function parseQuery(raw) {
+  const text = norm(raw);
+  const digits = String(raw || "").replace(/\D/g, "");
+  const isPhone = digits.length >= 4 && /^[\d\s+()-]+$/.test(String(raw || "").trim());
+  return { text: isPhone ? "" : text, digits: isPhone ? digits.slice(-10) : "" };
+}
+
+// Common shape for every result, whatever table or file it came from
+function toHit(kind, r, source = "") {
+  if (kind === "lead") {
+    return {
+      kind,
+      ts: clean(r.ts || r.timestamp),
+      product: clean(r.product),
+      buyer: clean(r.buyer),
+      company: clean(r.company),
+      mobile: clean(r.mobile),
+      email: clean(r.email),
+      gstin: clean(r.gstin),
+      address: clean(r.address),
+      time: clean(r.lead_time ?? r.time),
+      source: r.source || source
+    };
+  }
+  return {
+    kind,
+    ts: clean(r.ts || r.timestamp),
+    product: clean(r.title || r.name),
+    address: clean(r.location),
+    matched: clean(r.matched ?? r.Matched),
+    // match clicks: "ok", "fail" or "rejected" (with the location rule's
+    // reason); rows from before statuses were logged are clicks
+    status: kind === "click" ? clean(r.status).toLowerCase() || "ok" : clean(r.status),
+    reason: clean(r.reason),
+    time: clean(r.ts || r.timestamp),
+    source: r.source || source
+  };
+}
+
+function hitMatches(hit, { text, digits }) {
+  if (digits) return hit.kind === "lead" && last10(hit.mobile).includes(digits);
+  if (!text) return false;
+  const fields = hit.kind === "lead"
+    ? [hit.product, hit.buyer, hit.company, hit.gstin]
+    : [hit.product];
+  return fields.some(f => norm(f).includes(text));
+}
+
+const hitKey = (h) => [h.kind, h.ts, norm(h.product), norm(h.buyer), last10(h.mobile)].join("|");
+
+function createLeadSearch({
+  db = null,
+  reportsDir = path.join(__dirname, "Reports"),
+  archiveDir = path.join(__dirname, "reports_archive"),
+  log = () => {}
+} = {}) {
+
+  async function readRows(file) {
+    try {
+      const raw = (await fsp.readFile(file, "utf8")).trim();
+      if (!raw) return [];
+      const j = JSON.parse(raw);
+      return Array.isArray(j) ? j : [];
+    } catch { return []; }
+  }
+
+  async function scanFiles(q) {
+    const dirs = [{ dir: reportsDir, source: "current" }];
+    try {
+      const stamps = fs.readdirSync(archiveDir, { withFileTypes: true })
+        .filter(d => d.isDirectory()).map(d => d.name).sort().reverse();
+      for (const s of stamps) dirs.push({ dir: path.join(archiveDir, s), source: `archive:${s}` });
+    } catch {}
+
+    const hits = [];
+    for (const { dir, source } of dirs) {
+      for (const [name, kind] of Object.entries(REPORT_FILES)) {
+        for (const r of await readRows(path.join(dir, name))) {
+          if (!r || typeof r !== "object") continue;
+          const hit = toHit(kind, r, source);
+          if (hitMatches(hit, q)) hits.push(hit);
+          if (hits.length >= MAX_RESULTS) return hits;
+        }
+      }
+    }
+    return hits;
+  }
+
+  // Leads first, then newest first within each kind
+  const KIND_ORDER = { lead: 0, click: 1, keyword: 2, product: 3 };
+  const byRelevance = (a, b) =>
+    (KIND_ORDER[a.kind] - KIND_ORDER[b.kind]) || String(b.ts).localeCompare(String(a.ts));
+
+  async function search(raw, { page = 1, pageSize = DEFAULT_PAGE_SIZE } = {}) {
+    const q = parseQuery(raw);
+    if (!q.text && !q.digits) return { query: String(raw || ""), total: 0, page: 1, pages: 0, results: [] };
+
+    let hits;
+    if (db?.enabled) {
+      hits = db.search({ text: q.text, digits: q.digits, limit: MAX_RESULTS })
+        .map(r => toHit(r.kind, r));
+    } else {
+      hits = await scanFiles(q);
+    }
+
+    const seen = new Set();
+    hits = hits.filter(h => {
+      const k = hitKey(h);
+      if (seen.has(k)) return false;
+      seen.add(k);
+      return true;
+    }).sort(byRelevance);
+
+    const size = Math.max(1, Math.min(50, Number(pageSize) || DEFAULT_PAGE_SIZE));
+    const pages = Math.ceil(hits.length / size);
+    const p = Math.max(1, Math.min(pages || 1, Number(page) || 1));
+    log("info", `Search: "${String(raw).slice(0, 60)}" → ${hits.length} hit(s)`);
+    return {
+      query: String(raw || ""),
+      total: hits.length,
+      page: p,
+      pages,
+      results: hits.slice((p - 1) * size, p * size)
+    };
+  }
+
+  return { search };
+}
+
+module.exports = { createLeadSearch, parseQuery };
@@ -0,0 +1,187 @@
+// locationrules.js
+// Service-area filter for auto-contact. List/locations.json holds allow/deny
+// lists of states and cities, per product or as a default. A product is
+// named by its base phrase: "conveyor belt" also covers the products.json
+// entry "conveyor belt -used @2".
+//
+//   {
+//     "default":  { "allowStates": ["gujarat", "maharashtra"] },
+//     "products": { "conveyor belt": { "denyCities": ["surat"], "unknown": "deny" } },
+//     "aliases":  { "vadodara": ["baroda"] }
+//   }
+//
+// Cities and states match by name after alias resolution (Bangalore/
+// Bengaluru, Gurgaon/Gurugram, Baroda…) and nothing looser: Jaipur/Raipur
+// and Karnal/Kurnool are one letter apart and hundreds of km apart. Add
+// other spellings to "aliases".
+
+const fs = require("node:fs");
+const path = require("node:path");
+const { ruleKey } = require("./matchclicker");
+
+const norm = (s) => String(s || "").toLowerCase().replace(/[^\p{L}\p{N} ]+/gu, " ").replace(/\s+/g, " ").trim();
+
+const DEFAULT_ALIASES = Object.freeze({
+  // cities
+  "mumbai": ["bombay", "navi mumbai", "new mumbai"],
+  "bengaluru": ["bangalore", "banglore", "bengalooru"],
+  "ahmedabad": ["ahmadabad", "amdavad"],
+  "hyderabad": ["hydrabad"],
+  "visakhapatnam": ["vizag", "vishakhapatnam"],
+  "vijayawada": ["bezawada"],
+  "gurugram": ["gurgaon"],
+  "kolkata": ["calcutta"],
+  "chennai": ["madras"],
+  "vadodara": ["baroda"],
+  "pune": ["poona"],
+  "prayagraj": ["allahabad"],
+  "thiruvananthapuram": ["trivandrum"],
+  "kochi": ["cochin"],
+  "mysuru": ["mysore"],
+  "mangaluru": ["mangalore"],
+  "belagavi": ["belgaum"],
+  "new delhi": ["delhi ncr"],
+  // states
+  "odisha": ["orissa"],
+  "uttarakhand": ["uttaranchal"],
+  "puducherry": ["pondicherry"],
+  "maharashtra": ["mh", "maharastra"],
+  "gujarat": ["gj", "gujrat"],
+  "rajasthan": ["rj"],
+  "karnataka": ["ka"],
+  "tamil nadu": ["tn", "tamilnadu"],
+  "uttar pradesh": ["up"],
+  "madhya pradesh": ["mp"],
+  "andhra pradesh": ["ap"],
+  "west bengal": ["wb"],
+  "delhi": ["dl", "nct of delhi"],
+  "haryana": ["hr"],
+  "punjab": ["pb"],
+  "telangana": ["ts"]
+});
+
+function buildAliasMap(dict) {
+  const map = new Map();
+  for (const [canon, list] of Object.entries(dict || {})) {
+    const c = norm(canon);
+    if (!c) continue;
+    map.set(c, c);
+    for (const a of Array.isArray(list) ? list : []) {
+      const k = norm(a);
+      if (k) map.set(k, c);
+    }
+  }
+  return map;
+}
+
+// composeLoc falls back to a single "location" string; split it the same way
+function placeOf(item) {
+  let city = norm(item?.city), state = norm(item?.state);
+  if (!city && !state && item?.location) {
+    const parts = String(item.location).split(",").map(norm).filter(Boolean);
+    city = parts[0] || "";
+    state = parts.length > 1 ? parts[parts.length - 1] : "";
+  }
+  return { city, state };
+}
+
+function createLocationRules({
+  file = path.join(__dirname, "List", "locations.json"),
+  log = () => {}
+} = {}) {
+
+  let cfg = { default: null, products: {}, aliases: buildAliasMap(DEFAULT_ALIASES) };
+  let mtime = -1;
+
+  function compileRule(r) {
+    if (!r || typeof r !== "object") return null;
+    const list = (v) => (Array.isArray(v) ? v : []).map(norm).filter(Boolean);
+    return {
+      allowStates: list(r.allowStates),
+      allowCities: list(r.allowCities),
+      denyStates: list(r.denyStates),
+      denyCities: list(r.denyCities),
+      unknown: String(r.unknown || "allow").toLowerCase() === "deny" ? "deny" : "allow"
+    };
+  }
+
+  function load() {
+    let st;
+    try {
+      st = fs.statSync(file);
+    } catch {
+      if (mtime !== -1) {
+        cfg = { default: null, products: {}, aliases: buildAliasMap(DEFAULT_ALIASES) };
+        mtime = -1;
+      }
+      return;
+    }
+    if (st.mtimeMs === mtime) return;
+    mtime = st.mtimeMs;
+
+    try {
+      const j = JSON.parse(fs.readFileSync(file, "utf8"));
+      const products = {};
+      for (const [name, r] of Object.entries(j?.products || {})) {
+        const rule = compileRule(r);
+        if (rule) products[norm(ruleKey(name))] = rule;
+      }
+      cfg = {
+        default: compileRule(j?.default),
+        products,
+        aliases: buildAliasMap({ ...DEFAULT_ALIASES, ...(j?.aliases && typeof j.aliases === "object" ? j.aliases : {}) })
+      };
+      log("info", `LocationRules: loaded (${Object.keys(products).length} product rule(s)${cfg.default ? " + default" : ""})`);
+    } catch (e) {
+      // Keep the last good rules while the file is being edited
+      log("error", `LocationRules: load failed, keeping previous rules – ${e.message}`);
+    }
+  }
+
+  const canon = (place) => cfg.aliases.get(place) || place;
+
+  function inList(place, list) {
+    if (!place) return null;
+    const p = canon(place);
+    return list.find(x => canon(x) === p) || null;
+  }
+
+  // -> { ok: true } or { ok: false, reason }
+  function evaluate(product, item) {
+    load();
+    const rule = cfg.products[norm(ruleKey(product))] || cfg.default;
+    if (!rule) return { ok: true };
+
+    const { city, state } = placeOf(item);
+    const where = [city, state].filter(Boolean).join(", ") || "unknown location";
+
+    if (!city && !state) {
+      return rule.unknown === "deny" ? { ok: false, reason: "location unknown" } : { ok: true };
+    }
+    const deniedCity = inList(city, rule.denyCities);
+    if (deniedCity) return { ok: false, reason: `denied city (${where})` };
+    const deniedState = inList(state, rule.denyStates);
+    if (deniedState) return { ok: false, reason: `denied state (${where})` };
+
+    if (rule.allowStates.length || rule.allowCities.length) {
+      // Some listings carry only a city; the city list still decides
+      if (inList(state, rule.allowStates) || inList(city, rule.allowCities)) return { ok: true };
+      return { ok: false, reason: `outside service area (${where})` };
+    }
+    return { ok: true };
+  }
+
+  function getState() {
+    load();
+    return {
+      file,
+      default: cfg.default,
+      products: { ...cfg.products },
+      aliases: cfg.aliases.size
+    };
+  }
+
+  return { evaluate, getState };
+}
+
+module.exports = { createLocationRules };
@@ -0,0 +1,299 @@
+// mailer.js
+// Email sink for notifier.js, for managers who don't use Telegram. Three
+// kinds of mail, each recipient picks theirs ("subscribe") and optionally the
+// accounts they care about:
+//   status – the /status report (startup, every 30 min, on demand)
+//   report – the 08:00/20:00 digest with the report files attached
+//   lead   – every Message Centre lead as it is read (also match / click)
+// Every mail is written to the outbox (List/outbox/<name>/<id>.eml + .json)
+// before it is sent, so report files can be archived right away and mail
+// survives a network outage or a restart; the oldest is retried first with
+// backoff. A 5xx answer (other than bad credentials) drops the mail, and so
+// does a server that can't encrypt the login ("requireTLS": false allows a
+// plain one, e.g. a relay on the LAN).
+//
+// List/notifiers.json:
+//   { "kind": "email", "name": "mail",
+//     "smtp": { "host": "smtp.gmail.com", "port": 587,
+//               "user": "$NOTIFY_SMTP_USER", "pass": "$NOTIFY_SMTP_PASS" },
+//     "from": "Niyati Alerts <alerts@example.com>",
+//     "recipients": [
+//       { "to": "owner@example.com", "subscribe": ["status", "report", "lead"] },
+//       { "to": "pune.sales@example.com", "subscribe": ["lead"], "accounts": ["pune"] } ] }
+
+const fs = require("node:fs");
+const path = require("node:path");
+const crypto = require("node:crypto");
+const { sendMail, buildMessage, addrOf, isAddr } = require("./smtp");
+const { describeReturning } = require("./buyerindex");
+const { parsePhone } = require("./phone");
+
+const TOPICS = ["status", "report", "lead", "match", "click"];
+const DEFAULT_TOPICS = ["status", "report", "lead"];
+const BACKOFF_BASE_MS = 30 * 1000;
+const BACKOFF_MAX_MS = 60 * 60 * 1000;
+const MAX_QUEUE = 200;
+const MAX_AGE_MS = 3 * 24 * 60 * 60 * 1000;
+const MAX_ATTACH_BYTES = 20 * 1024 * 1024;
+
+const escHtml = (s) => String(s ?? "").replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+// Telegram HTML (b, i, code, a) is plain HTML with newlines for line breaks
+const mailHtml = (tgHtml) =>
+  `<!doctype html><html><body><div style="font-family:Segoe UI,Arial,sans-serif;font-size:14px;white-space:pre-wrap">${tgHtml}</div></body></html>`;
+const plainOf = (tgHtml) => String(tgHtml || "")
+  .replace(/<a\s+href="([^"]*)"[^>]*>(.*?)<\/a>/gi, (_, href, t) => href === t ? t : `${t} (${href})`)
+  .replace(/<[^>]+>/g, "")
+  .replace(/&lt;/g, "<").replace(/&gt;/g, ">").replace(/&quot;/g, '"').replace(/&amp;/g, "&");
+
+const LEAD_FIELDS = [["product", "Product"], ["buyer", "Name"], ["company", "Company"], ["mobile", "Mobile"],
+  ["email", "Email"], ["gstin", "GSTIN"], ["address", "Address"], ["time", "Time"]];
+
+// notifier event -> { subject, html } (html in the Telegram flavour)
+function formatEvent(event) {
+  const d = event.data || {};
+  const acct = event.account ? ` [${event.account}]` : "";
+  if (event.type === "lead") {
+    const head = `${d.update ? "Updated lead" : "New lead"}${d.lead ? ` #${d.lead}` : ""}`;
+    const ph = parsePhone(d.mobile);
+    const lines = [`<b>${escHtml(head)}</b>${escHtml(acct)}`, ""];
+    if (d.returning?.count) lines.push(`<i>${escHtml(describeReturning(d.returning))}</i>`, "");
+    for (const [k, label] of LEAD_FIELDS) if (d[k]) lines.push(`<b>${label}:</b> ${escHtml(d[k])}`);
+    if (d.gstCheck === "invalid") lines.push("⚠️ <b>GSTIN does not validate</b>");
+    if (d.gstCheck === "mismatch") lines.push(`⚠️ <b>GSTIN registered in ${escHtml(d.gstState)}, not the address state</b>`);
+    if (ph.check && ph.check !== "ok") lines.push(`⚠️ <b>Phone ${ph.check === "masked" ? "masked by IndiaMART" : escHtml(ph.reason)}</b>`);
+    if (ph.wa) lines.push("", `<a href="https://wa.me/${ph.wa}">WhatsApp ${ph.e164}</a>`);
+    return { subject: `${head}${acct} – ${d.buyer || d.company || "buyer"} · ${d.product || "product"}`, html: lines.join("\n") };
+  }
+  const title = event.type === "match" ? `Keyword match: ${d.keyword || ""}` : `Click ${d.status || ""}`;
+  const lines = [`<b>${escHtml(title)}</b>${escHtml(acct)}`, ""];
+  for (const [k, v] of Object.entries(d)) if (v !== "" && v != null) lines.push(`<b>${escHtml(k)}:</b> ${escHtml(v)}`);
+  return { subject: `${title}${acct} – ${d.title || d.product || ""}`.replace(/ – $/, ""), html: lines.join("\n") };
+}
+
+function createMailer({
+  name = "email",
+  smtp = {},
+  from = "",
+  recipients = [],
+  primary = "",
+  subjectPrefix = "Niyati",
+  outboxDir = path.join(__dirname, "List", "outbox", name),
+  transport = sendMail,
+  now = () => Date.now(),
+  setTimer = setTimeout,
+  clearTimer = clearTimeout,
+  maxQueue = MAX_QUEUE,
+  maxAgeMs = MAX_AGE_MS,
+  log = () => {}
+}) {
+  if (!smtp.host) throw new Error(`email ${name}: smtp.host missing`);
+  const sender = from || smtp.from || smtp.user;
+  if (!isAddr(sender)) throw new Error(`email ${name}: "from" must be an email address`);
+  const port = Number(smtp.port) || 587;
+
+  const subs = [];
+  for (const r of recipients) {
+    const to = (Array.isArray(r?.to) ? r.to : [r?.to]).map(s => String(s || "").trim()).filter(Boolean);
+    const bad = to.filter(a => !isAddr(a));
+    if (bad.length) log("error", `Email ${name}: skipped invalid address(es) ${bad.join(", ")}`);
+    const topics = (Array.isArray(r?.subscribe) && r.subscribe.length ? r.subscribe : DEFAULT_TOPICS).map(s => String(s).toLowerCase());
+    const unknown = topics.filter(t => !TOPICS.includes(t));
+    if (unknown.length) log("warning", `Email ${name}: unknown subscription(s) ${unknown.join(", ")} ignored`);
+    const good = to.filter(isAddr);
+    if (!good.length) continue;
+    subs.push({
+      to: good,
+      topics: new Set(topics.filter(t => TOPICS.includes(t))),
+      accounts: Array.isArray(r?.accounts) && r.accounts.length ? new Set(r.accounts.map(a => String(a).toLowerCase())) : null
+    });
+  }
+  if (!subs.length) throw new Error(`email ${name}: no valid recipients`);
+
+  // Addresses subscribed to topic for this account ("" = primary)
+  function audience(topic, account = "") {
+    const acct = String(account || primary || "").toLowerCase();
+    const out = new Set();
+    for (const s of subs) {
+      if (!s.topics.has(topic)) continue;
+      if (s.accounts && !s.accounts.has(acct)) continue;
+      for (const a of s.to) out.add(a);
+    }
+    return [...out];
+  }
+
+  // ---------- outbox ----------
+  const metaPath = (id) => path.join(outboxDir, `${id}.json`);
+  const emlPath = (id) => path.join(outboxDir, `${id}.eml`);
+
+  let queue = [];
+  try {
+    for (const f of fs.readdirSync(outboxDir)) {
+      if (!f.endsWith(".json")) continue;
+      try {
+        const m = JSON.parse(fs.readFileSync(path.join(outboxDir, f), "utf8"));
+        if (m?.id && fs.existsSync(emlPath(m.id))) queue.push(m);
+        else fs.rmSync(path.join(outboxDir, f), { force: true });
+      } catch (e) {
+        log("error", `Email ${name}: outbox ${f} unreadable – ${e.message}`);
+      }
+    }
+    queue.sort((a, b) => a.firstAt - b.firstAt || (a.seq || 0) - (b.seq || 0));
+  } catch (e) {
+    if (e.code !== "ENOENT") log("error", `Email ${name}: outbox unreadable – ${e.message}`);
+  }
+
+  let timer = null, flushing = false, stopped = false, seq = queue.reduce((n, m) => Math.max(n, m.seq || 0), 0);
+  const stats = { sent: 0, failed: 0, dropped: 0, lastError: "", lastOkAt: null };
+
+  const saveMeta = (m) => {
+    try { fs.writeFileSync(metaPath(m.id), JSON.stringify(m, null, 2)); }
+    catch (e) { log("error", `Email ${name}: outbox save failed – ${e.message}`); }
+  };
+  const remove = (m) => {
+    for (const p of [metaPath(m.id), emlPath(m.id)]) try { fs.rmSync(p, { force: true }); } catch {}
+  };
+
+  const backoff = (attempts) => Math.min(BACKOFF_MAX_MS, BACKOFF_BASE_MS * 2 ** Math.max(0, attempts - 1));
+
+  function schedule() {
+    if (timer) { clearTimer(timer); timer = null; }
+    if (stopped || !queue.length) return;
+    timer = setTimer(() => { timer = null; flush(); }, Math.max(0, queue[0].nextAt - now()), `email:${name}`);
+  }
+
+  // Oldest first; stops at the first failure that is worth retrying
+  async function flush() {
+    if (flushing || stopped) return;
+    flushing = true;
+    try {
+      while (queue.length && queue[0].nextAt <= now() && !stopped) {
+        const m = queue[0];
+        if (now() - m.firstAt > maxAgeMs) {
+          queue.shift(); remove(m); stats.dropped++;
+          log("error", `Email ${name}: gave up on "${m.subject}" after ${m.attempts} attempts – ${m.lastError}`);
+          continue;
+        }
+        try {
+          const message = fs.readFileSync(emlPath(m.id), "utf8");
+          const r = await transport({ ...smtp, port, from: sender, to: m.to, message });
+          queue.shift(); remove(m);
+          stats.sent++;
+          stats.lastOkAt = now();
+          if (r?.rejected?.length) log("warning", `Email ${name}: ${r.rejected.join(", ")} refused "${m.subject}"`);
+          log("info", `Email ${name}: sent "${m.subject}" to ${m.to.length} recipient(s)`);
+        } catch (e) {
+          stats.failed++;
+          stats.lastError = e.message;
+          if (e.retry === false || e.code === "ENOENT") {
+            queue.shift(); remove(m); stats.dropped++;
+            log("error", `Email ${name}: "${m.subject}" refused – ${e.message}`);
+            continue;
+          }
+          m.attempts++;
+          m.lastError = e.message;
+          m.nextAt = now() + backoff(m.attempts);
+          saveMeta(m);
+          log("warning", `Email ${name}: "${m.subject}" failed (${e.message}) – retry in ${Math.round((m.nextAt - now()) / 1000)}s`);
+          break;
+        }
+      }
+    } finally {
+      flushing = false;
+      schedule();
+    }
+  }
+
+  // Builds the message now (attachments are read at once) and queues it
+  function enqueue(topic, to, { subject, html = "", text = "", files = [] }) {
+    const attachments = [];
+    const skipped = [];
+    let total = 0;
+    for (const f of files) {
+      try {
+        const content = fs.readFileSync(f);
+        if (total + content.length > MAX_ATTACH_BYTES) { skipped.push(path.basename(f)); continue; }
+        total += content.length;
+        attachments.push({ filename: path.basename(f), content });
+      } catch (e) {
+        log("error", `Email ${name}: attachment ${path.basename(f)} – ${e.message}`);
+      }
+    }
+    if (skipped.length) html += `\n\n<i>Not attached (over ${MAX_ATTACH_BYTES / 1048576} MB): ${escHtml(skipped.join(", "))}</i>`;
+
+    const at = now();
+    const id = `${at}-${crypto.randomBytes(4).toString("hex")}`;
+    const fullSubject = `${subjectPrefix ? subjectPrefix + " • " : ""}${subject}`;
+    const eml = buildMessage({
+      from: sender, to, subject: fullSubject, id,
+      text: text || plainOf(html), html: mailHtml(html), attachments, date: new Date(at)
+    });
+    const m = { id, seq: ++seq, topic, to, subject: fullSubject, firstAt: at, nextAt: at, attempts: 0, lastError: "" };
+    try {
+      fs.mkdirSync(outboxDir, { recursive: true });
+      fs.writeFileSync(emlPath(id), eml);
+      saveMeta(m);
+    } catch (e) {
+      log("error", `Email ${name}: outbox write failed – ${e.message}`);
+      return null;
+    }
+    queue.push(m);
+    if (queue.length > maxQueue) {
+      const over = queue.splice(0, queue.length - maxQueue);
+      over.forEach(remove);
+      stats.dropped += over.length;
+      log("error", `Email ${name}: outbox full, dropped ${over.length} oldest mail(s)`);
+    }
+    // Straight out unless older mail is still waiting for its retry
+    if (queue[0] === m) flush();
+    else schedule();
+    return m;
+  }
+
+  // status/report mail; resolves once the mail is in the outbox
+  async function mail(topic, msg, { account = "" } = {}) {
+    if (stopped) return null;
+    const to = audience(topic, account);
+    if (!to.length) return null;
+    return enqueue(topic, to, msg);
+  }
+
+  async function deliver(event) {
+    if (stopped) return false;
+    const to = audience(event.type, event.account);
+    if (!to.length) return false;
+    return !!enqueue(event.type, to, formatEvent(event));
+  }
+
+  return {
+    name,
+    kind: "email",
+    accepts: (type) => subs.some(s => s.topics.has(type)),
+    deliver,
+    mail,
+    start() {
+      stopped = false;
+      if (queue.length) log("info", `Email ${name}: ${queue.length} mail(s) waiting in the outbox`);
+      schedule();
+    },
+    stop() {
+      stopped = true;
+      if (timer) { clearTimer(timer); timer = null; }
+    },
+    // Retry now, ignoring backoff (/notify retry)
+    retryNow() {
+      for (const m of queue) m.nextAt = now();
+      return flush();
+    },
+    getState: () => ({
+      name,
+      kind: "email",
+      target: `${smtp.host}:${port} → ${new Set(subs.flatMap(s => s.to.map(addrOf))).size} recipient(s)`,
+      events: TOPICS.filter(t => subs.some(s => s.topics.has(t))),
+      queued: queue.length,
+      nextRetryAt: queue[0]?.nextAt || null,
+      ...stats
+    })
+  };
+}
+
+module.exports = { createMailer, formatEvent, TOPICS };
@@ -21,9 +21,6 @@ app.on('child-process-gone', (_event, details) => {
   }
 });
 
-let pendingStartMs = null;
-let pendingResume = false;
-
 const fs = require("node:fs");
 const fsp = require("node:fs/promises");
 const path = require("path");
@@ -65,7 +62,11 @@ if (String(process.env.QUIET ?? "1") === "1") {
       'LOCK_ON_START',
       'DAILY_TZ',
       'DAILY_REPORT_TIMES',
-      'DAILY_CATCHUP_MINS'
+      'DAILY_CATCHUP_MINS',
+      'REMINDER_SCHEDULE',
+      'INDIAMART_BASE_URL',
+      'LEADS_URL',
+      'MC_URL'
     ]);
     
     const env = fs.readFileSync(envPath, "utf8");
@@ -81,8 +82,9 @@ if (String(process.env.QUIET ?? "1") === "1") {
       
       const [, key, rawValue] = m;
       
-      // ✅ Only allow whitelisted variables
-      if (!ALLOWED_ENV_VARS.has(key)) {
+      // ✅ Only allow whitelisted variables; NOTIFY_* hold tokens and secrets
+      // that List/notifiers.json refers to as "$NOTIFY_…"
+      if (!ALLOWED_ENV_VARS.has(key) && !/^NOTIFY_[A-Z0-9_]+$/.test(key)) {
         console.warn(`⚠️  Ignoring unknown env var: ${key}`);
         continue;
       }
@@ -111,15 +113,25 @@ if (String(process.env.QUIET ?? "1") === "1") {
   }
 })();
 
-const { createStatusWatcher } = require("./statuswatcher");
 const { createTelegramClient, buildDefaultCommands } = require("./telegram");
-const { createAutoLogin } = require("./autologin");
-const { createProductScraper } = require("./productScraper");
-const { createMessageCentre } = require("./messagecentre");
-const { createMatchClicker } = require("./matchclicker");
-const { createKeywordMatcher } = require("./keywordmatcher");
+const { createSelectorProfile } = require("./selectors");
 const { createLockScreen } = require("./lockscreen");
-const { injectVisibilityMonitor } = require("./visibility-monitor");
+const { createLeadDb } = require("./leaddb");
+const { createLeadSearch } = require("./leadsearch");
+const { createExporter, KIND_NAMES: EXPORT_KINDS } = require("./exporter");
+const { createDigest } = require("./digest");
+const { createShadowMode } = require("./shadow");
+const { createLocationRules } = require("./locationrules");
+const { createAccountRegistry, createAccountSession } = require("./accounts");
+const { createChatRoles } = require("./chatroles");
+const { createLeadActions, findCardRect } = require("./leadactions");
+const { runLeadCommand } = require("./leadcrm");
+const { createReminders } = require("./reminders");
+const { createHandoff } = require("./handoff");
+const { createBuyerIndex, describeReturning } = require("./buyerindex");
+const { checkGstin, describeGstin } = require("./gstin");
+const { parsePhone, phoneLine } = require("./phone");
+const { createNotifier } = require("./notifier");
 
 const EXISTS = fs.existsSync;
 const REPORTS_DIR = path.join(__dirname, "Reports");
@@ -268,19 +280,19 @@ function startTimerHealthCheck() {
       log("warning", `⚠️ Timer throttling detected! Expected ~30s, got ${Math.round(elapsed/1000)}s`);
       log("warning", "This indicates window sleep/throttling occurred");
       
-      try {
-        if (winLeads && !winLeads.isDestroyed()) {
-          if (!winLeads.isVisible()) {
+      for (const win of leadsWindows()) {
+        try {
+          if (!win.isVisible()) {
             log("warning", "Leads window is hidden - attempting to show");
-            winLeads.show();
+            win.show();
           }
-          if (winLeads.isMinimized()) {
+          if (win.isMinimized()) {
             log("warning", "Leads window is minimized - attempting to restore");
-            winLeads.restore();
+            win.restore();
           }
+        } catch (e) {
+          log("error", `Health check recovery failed: ${e.message}`);
         }
-      } catch (e) {
-        log("error", `Health check recovery failed: ${e.message}`);
       }
     }
   }, TIMER_HEALTH_CHECK_MS, 'timerHealthCheck');
@@ -300,64 +312,69 @@ function startWindowHealthCheck() {
   if (windowHealthCheckInterval) return;
   
   windowHealthCheckInterval = _safeSetInterval(() => {
+    for (const sess of accountSessions.values()) checkLeadsWindow(sess);
+  }, 60000, 'windowHealthCheck');
+}
+
+function checkLeadsWindow(sess) {
+  try {
+    const win = sess.getWindow();
+    // ✅ Check if window exists first
+    if (!win || win.isDestroyed()) {
+      log("debug", "Leads window destroyed during health check");
+      return;
+    }
+    
+    // ✅ Take atomic snapshot of window state
+    const snapshot = {
+      visible: null,
+      minimized: null,
+      focused: null,
+      destroyed: null
+    };
+    
     try {
-      // ✅ Check if window exists first
-      if (!winLeads || winLeads.isDestroyed()) {
-        log("debug", "Leads window destroyed during health check");
+      snapshot.destroyed = win.isDestroyed();
+      if (snapshot.destroyed) {
+        log("warning", "Leads window destroyed, cannot check state");
         return;
       }
       
-      // ✅ Take atomic snapshot of window state
-      const snapshot = {
-        visible: null,
-        minimized: null,
-        focused: null,
-        destroyed: null
-      };
-      
+      snapshot.visible = win.isVisible();
+      snapshot.minimized = win.isMinimized();
+      snapshot.focused = win.isFocused();
+    } catch (e) {
+      log("error", `Failed to get window state: ${e.message}`);
+      return;
+    }
+    
+    // ✅ Log state if hidden or minimized
+    if (!snapshot.visible || snapshot.minimized) {
+      log("debug", `Leads window state: visible=${snapshot.visible}, minimized=${snapshot.minimized}, focused=${snapshot.focused}`);
+    }
+    
+    // ✅ Auto-recovery with error handling
+    if (!snapshot.visible && shouldShowWindows() && !lockScreen?.isLocked?.()) {
       try {
-        snapshot.destroyed = winLeads.isDestroyed();
-        if (snapshot.destroyed) {
-          log("warning", "Leads window destroyed, cannot check state");
-          return;
-        }
-        
-        snapshot.visible = winLeads.isVisible();
-        snapshot.minimized = winLeads.isMinimized();
-        snapshot.focused = winLeads.isFocused();
+        log("info", "Auto-recovery: Showing hidden Leads window");
+        win.show();
       } catch (e) {
-        log("error", `Failed to get window state: ${e.message}`);
-        return;
-      }
-      
-      // ✅ Log state if hidden or minimized
-      if (!snapshot.visible || snapshot.minimized) {
-        log("debug", `Leads window state: visible=${snapshot.visible}, minimized=${snapshot.minimized}, focused=${snapshot.focused}`);
-      }
-      
-      // ✅ Auto-recovery with error handling
-      if (!snapshot.visible && shouldShowWindows() && !lockScreen?.isLocked?.()) {
-        try {
-          log("info", "Auto-recovery: Showing hidden Leads window");
-          winLeads.show();
-        } catch (e) {
-          log("error", `Failed to show window: ${e.message}`);
-        }
+        log("error", `Failed to show window: ${e.message}`);
       }
-      
-      if (snapshot.minimized && productScraper?.getReloadState?.()?.enabled) {
-        try {
-          log("info", "Auto-recovery: Restoring minimized Leads window");
-          winLeads.restore();
-        } catch (e) {
-          log("error", `Failed to restore window: ${e.message}`);
-        }
+    }
+    
+    if (snapshot.minimized && sess.getState().enabled) {
+      try {
+        log("info", "Auto-recovery: Restoring minimized Leads window");
+        win.restore();
+      } catch (e) {
+        log("error", `Failed to restore window: ${e.message}`);
       }
-      
-    } catch (e) {
-      log("error", `Window health check error: ${e.message}`);
     }
-  }, 60000, 'windowHealthCheck');
+    
+  } catch (e) {
+    log("error", `Window health check error: ${e.message}`);
+  }
 }
 
 function stopWindowHealthCheck() {
@@ -382,91 +399,28 @@ const validateArray = (arr, maxLen = 1000) => {
   return arr;
 };
 
-function parseProductTs(s) {
-  try {
-    if (!s) return 0;
-    if (/^\d{4}-\d{2}-\d{2}T/.test(String(s))) {
-      const t = Date.parse(String(s));
-      return Number.isFinite(t) ? t : 0;
-    }
-    const t = Date.parse(String(s).replace(' ', 'T') + '+05:30');
-    return Number.isFinite(t) ? t : 0;
-  } catch { return 0; }
-}
-
-// ✅ FIX #4: ASYNC file reading with caching
-let productsLogCache = { data: null, timestamp: 0 };
-const CACHE_TTL_MS = 5000; // Cache for 5 seconds
-
-async function countNewProductsLast(ms = 30 * 60 * 1000) {
-  try {
-    const now = Date.now();
-    
-    // ✅ Use cache if fresh
-    if (productsLogCache.data && (now - productsLogCache.timestamp) < CACHE_TTL_MS) {
-      const arr = productsLogCache.data;
-      let n = 0;
-      for (const r of arr) {
-        const t = parseProductTs(r && (r.timestamp || r.time));
-        if (t && (now - t) <= ms) n++;
-      }
-      return n;
-    }
-    
-    // ✅ ASYNC read
-    const p = path.join(REPORTS_DIR, "products_log.json");
-    if (!fs.existsSync(p)) return 0;
-    
-    const raw = await fsp.readFile(p, "utf8");
-    const arr = JSON.parse(raw);
-    
-    if (!Array.isArray(arr)) return 0;
-    
-    // ✅ Update cache
-    productsLogCache = {
-      data: arr,
-      timestamp: now
-    };
-    
-    let n = 0;
-    for (const r of arr) {
-      const t = parseProductTs(r && (r.timestamp || r.time));
-      if (t && (now - t) <= ms) n++;
-    }
-    return n;
-  } catch { 
-    return 0; 
-  }
-}
-
-// ✅ Sync version for initialization only (used once at startup)
-function countNewProductsLastSync(ms = 30 * 60 * 1000) {
-  try {
-    const p = path.join(REPORTS_DIR, "products_log.json");
-    const raw = fs.readFileSync(p, "utf8");
-    const arr = JSON.parse(raw);
-    if (!Array.isArray(arr)) return 0;
-    const now = Date.now();
-    let n = 0;
-    for (const r of arr) {
-      const t = parseProductTs(r && (r.timestamp || r.time));
-      if (t && (now - t) <= ms) n++;
-    }
-    return n;
-  } catch { return 0; }
-}
-
 const SEND_FILES = [
   path.join(REPORTS_DIR, "messagecentre_log.json"),
   path.join(REPORTS_DIR, "keyword_matches.json"),
   path.join(REPORTS_DIR, "products_log.json"),
   path.join(REPORTS_DIR, "matchclick.json"),
 ];
-const CLEANUP_FILES = [...SEND_FILES];
-const LEADS_DEFAULT_URL = "https://seller.indiamart.com/bltxn/?pref=recent";
-
-let winLeads, winManager, autoLogin, productScraper, watcher, mc, matcher, kwMatcher, tg;
-let isLoggedIn = null, isNetworkOnline = true, suspendedByAuth = false;
+const SHADOW_FILE = path.join(REPORTS_DIR, "shadow_matches.json");
+const CLEANUP_FILES = [...SEND_FILES, SHADOW_FILE];
+// INDIAMART_BASE_URL points every seller page at another host (e.g. the mock
+// site in test/helpers/mockSeller.js); LEADS_URL / MC_URL override single pages.
+const SELLER_BASE_URL = String(process.env.INDIAMART_BASE_URL || "https://seller.indiamart.com").replace(/\/+$/, "");
+const LEADS_DEFAULT_URL = process.env.LEADS_URL || `${SELLER_BASE_URL}/bltxn/?pref=recent`;
+const MC_URL = process.env.MC_URL || `${SELLER_BASE_URL}/messagecentre/`;
+
+let winManager, tg, leadDb, leadSearch, exporter, digest, shadowMode, locationRules, selectorProfile, reminders, notifier, handoff, buyerIndex;
+// Confirmed by the Manager's net:status reports; each account also tracks its own
+let isNetworkOnline = true;
+// Every profile from List/accounts.json, the primary one included, runs in a
+// createAccountSession instance, keyed by id
+let accounts = null;
+let chatRoles = null;
+const accountSessions = new Map();
 let tray = null;
 let lockScreen = null;
 
@@ -474,6 +428,10 @@ const DAILY_TZ = process.env.DAILY_TZ || "Asia/Kolkata";
 const DAILY_REPORT_TIMES = (process.env.DAILY_REPORT_TIMES || "08:00,20:00")
   .split(",").map(s => s.trim()).filter(Boolean);
 const DAILY_CATCHUP_MINS = parseInt(String(process.env.DAILY_CATCHUP_MINS ?? "120"), 10) || 120;
+// Call-back reminders for each newly captured lead (reminders.js); "" turns
+// the automatic ones off, /remind still works
+const REMINDER_SCHEDULE = String(process.env.REMINDER_SCHEDULE ?? "+2h,tomorrow 10.00")
+  .split(",").map(s => s.trim()).filter(Boolean);
 
 let dailyTimer = null;
 
@@ -623,86 +581,10 @@ async function clearPersistAsync() {
 const START_LOCK = String(process.env.LOCK_ON_START ?? "1") === "1";
 const shouldShowWindows = () => !(lockScreen?.isLocked?.() || START_LOCK);
 
-const statusExtras = { 
-  cycleId:null, 
-  lastScrapedProduct:null, 
-  lastKeywordMatchProduct:null, 
-  cycleNewCount:0, 
-  cycleClicks:0 
-};
-
-// ✅ FIX: Use sync read only at startup, then cache
-let productsLogCount = (function(){ 
-  try { 
-    const f=require("node:path").join(__dirname,"Reports","products_log.json"); 
-    const d=require("node:fs").readFileSync(f,"utf-8"); 
-    const j=JSON.parse(d); 
-    return Array.isArray(j)?j.length:0; 
-  } catch { return 0; } 
-})();
-
-async function _readProductsLogCountAsync(){ 
-  try { 
-    const f=require("node:path").join(__dirname,"Reports","products_log.json"); 
-    const d=await fsp.readFile(f,"utf-8"); 
-    const j=JSON.parse(d); 
-    return Array.isArray(j)?j.length:0; 
-  } catch { return 0; } 
-}
-
-function _readProductsLogCount(){ 
-  try { 
-    const f=require("node:path").join(__dirname,"Reports","products_log.json"); 
-    const d=require("node:fs").readFileSync(f,"utf-8"); 
-    const j=JSON.parse(d); 
-    return Array.isArray(j)?j.length:0; 
-  } catch { return 0; } 
-}
-
-let unstickTimer = null, waitLoadPromise = null, queuedReload = null;
-
-function requestReload(reason){
-  if (isNetworkOnline === false) { 
-    log("debug", `skip reload – offline (${reason})`); 
-    return; 
-  }
-
 // ===== END OF PART 1 (Line 450) =====
 // Continue with Part 2...
 // ===== PART 2 (Lines 451-900) =====
-// Request Reload, Logging, State Management, File Operations
-
-  
-  if (queuedReload) return;
-  queuedReload = _safeSetTimeout(() => {
-    queuedReload = null;
-    if (isNetworkOnline === false) { 
-      log("debug","skip reload dispatch – offline"); 
-      return; 
-    }
-    try { safeReloadLeads(reason).catch(()=>{}); } catch {}
-  }, 200, 'requestReload');
-}
-
-function waitForFinishOnce(wc, timeoutMs=10000){
-  if (waitLoadPromise) return waitLoadPromise;
-  waitLoadPromise = new Promise((resolve,reject)=>{
-    const onOk=()=>{cleanup();resolve();}, 
-          onErr=(e)=>{cleanup();reject(e instanceof Error?e:new Error(String(e)));};
-    const cleanup=()=>{ 
-      clearTimeout(t); 
-      try{wc.off("did-finish-load",onOk);}catch{} 
-      try{wc.off("did-fail-load",onErr);}catch{} 
-      try{wc.off("render-process-gone",onErr);}catch{} 
-      waitLoadPromise=null; 
-    };
-    wc.once("did-finish-load", onOk); 
-    wc.once("did-fail-load", onErr); 
-    wc.once("render-process-gone", onErr);
-    const t=setTimeout(()=>{cleanup();reject(new Error("timeout"));},timeoutMs);
-  });
-  return waitLoadPromise;
-}
+// Logging, State Management, File Operations
 
 const log = (level, msg) => { 
   const p = { t: Date.now(), level, msg:`LM: ${msg}` }; 
@@ -722,11 +604,6 @@ const webPrefs = () => ({
   preload: path.join(__dirname,"preload.js") 
 });
 
-const onShow = (w, cb) => w.once("ready-to-show", ()=>{ 
-  try{ if (shouldShowWindows()) w.show(); }catch{} 
-  cb?.(); 
-});
-
 const pad2=n=>String(n).padStart(2,"0");
 const fmtDate=(d=new Date())=>`${pad2(d.getDate())}-${pad2(d.getMonth()+1)}-${d.getFullYear()} ${pad2(d.getHours())}:${pad2(d.getMinutes())}`;
 const fmtHMS=(d=new Date())=>`${pad2(d.getHours())}:${pad2(d.getMinutes())}:${pad2(d.getSeconds())}`;
@@ -740,55 +617,6 @@ const fmtDur=(ms)=>{
 };
 const fmtMB=(b)=>`${Math.round((Number(b)||0)/(1024*1024))} MB`;
 
-const CLICK_WINDOW_MS = 30 * 60 * 1000;
-const MAX_CLICK_HISTORY = 1000;
-let clickTimes = [];
-
-function countClicksLast(ms = CLICK_WINDOW_MS) {
-  const now = Date.now();
-  while (clickTimes.length && now - clickTimes[0] > ms) {
-    clickTimes.shift();
-  }
-  if (clickTimes.length > MAX_CLICK_HISTORY) {
-    clickTimes.splice(0, clickTimes.length - MAX_CLICK_HISTORY);
-  }
-  return clickTimes.length;
-}
-
-// ✅ FIX: Make async
-let keywordsCache = { data: null, timestamp: 0 };
-const KEYWORDS_CACHE_TTL = 5000;
-
-async function loadKeywordsAsync() {
-  const now = Date.now();
-  if (keywordsCache.data && (now - keywordsCache.timestamp) < KEYWORDS_CACHE_TTL) {
-    return keywordsCache.data;
-  }
-  
-  try {
-    const data = await fsp.readFile(F_KEYWORDS, "utf8");
-    const arr = JSON.parse(data);
-    const result = Array.isArray(arr) ? arr : [];
-    keywordsCache = { data: result, timestamp: now };
-    return result;
-  } catch {
-    return keywordsCache.data || [];
-  }
-}
-
-async function findFirstKeywordMatch(items){ 
-  try{
-    const kws = (await loadKeywordsAsync()).map(s=>String(s||"").toLowerCase()).filter(Boolean);
-    if(!kws.length) return null;
-    for (const it of items||[]) {
-      const title = String(it.title || it.product || "").toLowerCase(); 
-      if(!title) continue;
-      for (const kw of kws) if (title.includes(kw)) return it.product || it.title || null;
-    }
-  } catch{} 
-  return null; 
-}
-
 const APP_START_TS = Date.now();
 
 // ✅ Safe default state
@@ -826,77 +654,70 @@ function validateState(state) {
   }
 }
 
-const buildState = () => {
+const primaryAccountId = () => accounts?.primary?.().id || null;
+
+const primarySession = () => accountSessions.get(primaryAccountId()) || null;
+
+// Session of the named account; no id or an unknown one is the primary account
+const accountSession = (id) => (id && accountSessions.get(String(id).toLowerCase())) || primarySession();
+
+// Leads windows of every account that has one open
+const leadsWindows = () => [...accountSessions.values()].map(s => s.getWindow()).filter(w => w && !w.isDestroyed());
+
+const buildAccountState = (s) => ({ ...validateState(s.getState()), account: s.profile.id });
+
+const buildState = (account) => {
+  const sess = accountSession(account);
   try {
-    const rs = productScraper?.getReloadState?.() || {};
-    return validateState({
-      ...rs,
-      isLoggedIn,
-      suspendedByAuth,
-      isNetworkOnline
-    });
+    return sess ? buildAccountState(sess) : { ...DEFAULT_STATE, account: primaryAccountId() };
   } catch (e) {
     log("error", `buildState error: ${e.message}`);
-    return { ...DEFAULT_STATE, isLoggedIn, suspendedByAuth, isNetworkOnline };
+    return { ...DEFAULT_STATE, account: sess?.profile.id || primaryAccountId() };
   }
 };
 
-const broadcast = ()=>{ 
-  const s=buildState(); 
-  try{ 
-    winManager?.webContents?.send("refresh:state",s); 
-    winManager?.webContents?.send("leads:state",s);
-  }catch{} 
-};
+// Lead pipeline (leadcrm.js) of the named account
+const crmFor = (account) => accountSession(account)?.crm || null;
 
-// ✅ FIX: ASYNC readLatestMC with caching
-let mcCache = { data: null, timestamp: 0 };
-const MC_CACHE_TTL = 3000;
+// Reminders name non-primary accounts only; "" is the primary account. An
+// account since removed has no pipeline at all.
+const reminderAccount = (account) => {
+  const sess = accountSession(account);
+  return sess && !sess.profile.primary ? sess.profile.id : "";
+};
+const reminderCrm = (r) => (r.account ? accountSessions.get(r.account) : primarySession())?.crm || null;
 
-async function readLatestMC(){ 
-  const now = Date.now();
-  
-  // Use cache if fresh
-  if (mcCache.data && (now - mcCache.timestamp) < MC_CACHE_TTL) {
-    return mcCache.data;
-  }
-  
-  try { 
-    const p=path.join(REPORTS_DIR,"messagecentre_log.json"); 
-    if(!EXISTS(p)) return null;
-    
-    const raw = await fsp.readFile(p, "utf8");
-    const arr = JSON.parse(raw);
-    const result = Array.isArray(arr) && arr[0] || null;
-    
-    mcCache = { data: result, timestamp: now };
-    return result;
-  } catch { 
-    return null; 
-  } 
+// State/list pushes; the Manager keeps the ones for the account it is
+// showing. The primary account's lists go to the Manager's localStorage.
+function broadcastAccount(s, what = "state"){
+  try {
+    if (what === "lists") {
+      const lists = { products: s.listProducts(), keywords: s.listKeywords() };
+      if (s.profile.primary) updateManagerLists(lists).catch(()=>{});
+      else winManager?.webContents?.send("lists:state", { account: s.profile.id, ...lists });
+    } else if (what === "crm") {
+      winManager?.webContents?.send("crm:state", { account: s.profile.primary ? null : s.profile.id });
+    } else {
+      winManager?.webContents?.send("refresh:state", buildAccountState(s));
+    }
+  } catch {}
 }
 
-// Sync version for backwards compatibility (use sparingly)
-function readLatestMCSync(){ 
-  try { 
-    const p=path.join(REPORTS_DIR,"messagecentre_log.json"); 
-    if(!EXISTS(p)) return null; 
-    const arr=JSON.parse(fs.readFileSync(p,"utf8")); 
-    return Array.isArray(arr) && arr[0] || null; 
-  } catch { return null; } 
-}
+const broadcast = () => { for (const s of accountSessions.values()) broadcastAccount(s); };
 
 function fmtLeadHTML(label,r){
-  const last10=v=>String(v||"").replace(/\D/g,"").slice(-10);
-  const ph=last10(r.mobile), wa = ph ? `https://wa.me/91${ph}`:"";
+  const ph=parsePhone(r.mobile), wa = ph.wa ? `https://wa.me/${ph.wa}`:"";
+  const chats=(handoff?.links?.(r) || []).map(l => `<a href="${esc(l.url)}">${esc(l.name)}</a>`);
   const maps=r.address?`https://www.google.com/maps/search/?api=1&query=${encodeURIComponent(r.address)}`:"";
+  const gst=r.gstin?describeGstin(checkGstin(r.gstin,{address:r.address})):"";
   return [label,
+    r.returning?.count&&`♻️ <b>${esc(describeReturning(r.returning))}</b>`,
     r.product&&`✨ <b>${esc(r.product)}</b>`,
     r.buyer&&`👤 <b>Name:</b> ${esc(r.buyer)}`,
     r.company&&`🏢 <b>Company:</b> ${esc(r.company)}`,
-    ph&&`📞 <b>Mobile:</b> +91${ph}`,
-    wa&&`💬 <b>WhatsApp:</b> <a href="${wa}">${esc(wa)}</a>`,
-    r.gstin&&`🧾 <b>GSTIN:</b> ${esc(r.gstin)}`,
+    phoneLine(ph,esc),
+    wa&&`💬 <b>WhatsApp:</b> <a href="${wa}">${esc(wa)}</a>${chats.length ? " · "+chats.join(" · ") : ""}`,
+    r.gstin&&`🧾 <b>GSTIN:</b> ${esc(r.gstin)}${gst?` · ${esc(gst)}`:""}`,
     r.email&&`✉️ <b>Email:</b> ${esc(r.email)}`,
     r.address&&`📍 <b>Address:</b> ${esc(r.address)}`,
     maps&&`🗺️ <a href="${maps}">Open in Maps</a>`,
@@ -904,44 +725,158 @@ function fmtLeadHTML(label,r){
   ].filter(Boolean).join("\n");
 }
 
+const SEARCH_LABELS = Object.freeze({
+  lead: "📨 <b>Message Centre</b>",
+  click: "🖱️ <b>Clicked</b>",
+  keyword: "✨ <b>Keyword Match</b>",
+  product: "📦 <b>Scraped</b>"
+});
+
+// Match-click rows that were not clicked keep their own label
+const CLICK_LABELS = Object.freeze({
+  fail: "⚠️ <b>Click Failed</b>",
+  rejected: "📍 <b>Rejected (location)</b>"
+});
+
+function fmtSearchHit(hit, n){
+  const src = /^(archive|import):\d/.test(hit.source||"") ? ` · <i>${esc(hit.source.replace(/^\w+:/,"archive "))}</i>` : "";
+  const label = (hit.kind === "click" && CLICK_LABELS[hit.status]) || SEARCH_LABELS[hit.kind] || "📄";
+  const why = hit.kind === "click" && hit.reason ? ` – ${esc(hit.reason)}` : "";
+  return fmtLeadHTML(`${n}. ${label}${why}${src}`, hit);
+}
+
+const FIND_PAGE_SIZE = 5;
+
+async function findLeads(query, page=1){
+  const res = await leadSearch?.search?.(query, { page, pageSize: FIND_PAGE_SIZE });
+  if (!res || !res.total) return `🔎 No leads found for <b>${esc(query)}</b>`;
+  const offset = (res.page - 1) * FIND_PAGE_SIZE;
+  const head = `🔎 <b>${esc(query)}</b> – ${res.total} result(s), page ${res.page}/${res.pages}`;
+  const body = res.results.map((h, i) => fmtSearchHit(h, offset + i + 1)).join("\n\n");
+  const next = res.page < res.pages ? `\n\n➡️ Next: /find ${esc(query)} -p${res.page + 1}` : "";
+  return `${head}\n\n${body}${next}`;
+}
+
+const DAY_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+// /export <kind> <from> <to> – kind is one of EXPORT_KINDS or "all",
+// days are IST calendar dates, <to> defaults to <from>, both default to today
+async function exportReports(kind="all", from="", to=""){
+  const k = String(kind || "all").toLowerCase();
+  if (k !== "all" && !EXPORT_KINDS.includes(k)) {
+    return `❌ Unknown kind. Use: all, ${EXPORT_KINDS.join(", ")}`;
+  }
+  const fromDay = from || _todayKey();
+  const toDay = to || fromDay;
+  if (!DAY_RE.test(fromDay) || !DAY_RE.test(toDay)) return "❌ Dates must be YYYY-MM-DD";
+  if (toDay < fromDay) return "❌ End date is before start date";
+
+  const { files, counts } = await exporter.exportRange({
+    kinds: k === "all" ? EXPORT_KINDS : [k], fromDay, toDay
+  });
+  const summary = Object.entries(counts).map(([n, c]) => `${n}: ${c}`).join(", ");
+  if (!files.length) return `ℹ️ Nothing to export for ${fromDay} → ${toDay} (${summary})`;
+  for (const pth of files) {
+    try {
+      await tg?.sendFile?.(pth, `Niyati • ${path.basename(pth)} • ${fmtDate()}`);
+    } catch (e) {
+      log("error", `Export send failed: ${path.basename(pth)} – ${e.message}`);
+    }
+  }
+  return `📤 Exported ${fromDay} → ${toDay} (${summary})`;
+}
+
+// account: id from List/accounts.json; empty means the primary account
+function fmtBudget(account=""){
+  const sess = accountSession(account);
+  const st = sess?.budget?.getState?.();
+  if (!st) return "❌ Click budget not available";
+  const { limits, usage } = st;
+  const cap = (n) => n ? String(n) : "∞";
+  const products = Object.keys({ ...limits.perProduct, ...usage.perProduct }).sort();
+  const who = accounts?.isMulti?.() ? ` · 👤 ${esc(sess.profile.label)}` : "";
+  const lines = [
+    `💳 <b>Click Budget</b>${who} · ${esc(st.day)} (${esc(DAILY_TZ)} ${esc(st.now)})`,
+    `🌐 Today: <b>${usage.total}</b> / ${cap(limits.globalDaily)}`,
+    `📦 Per product default: ${cap(limits.perProductDefault)}`,
+    `🌙 Quiet hours: ${limits.quiet.length ? esc(limits.quiet.join(", ")) : "none"}${st.quietNow ? " – <b>active now</b>" : ""}`,
+  ];
+  if (products.length) {
+    lines.push("", "🧩 <b>Products</b>");
+    for (const k of products) {
+      const own = limits.perProduct[k];
+      lines.push(`• ${esc(k)} – ${usage.perProduct[k] || 0} / ${cap(own !== undefined ? own : limits.perProductDefault)}`);
+    }
+  }
+  return lines.join("\n");
+}
+
+const fmtAuth = (v) => (v===true)?"Logged IN":(v===false?"Logged OUT":"Unknown");
+const fmtRefresh = (st) => st.enabled?`Running @${Math.round((st.intervalMs||7000)/1000)}s`:"Stopped";
+
 // ✅ FIX: Make async version
-async function buildStatus(){
+// account: id from List/accounts.json; empty means the primary account
+async function buildStatus(account=""){
+  const sess = accountSession(account);
+  const info = (await sess?.getStatusInfo()) || {};
   const up=fmtDur(Date.now()-APP_START_TS), 
         mem=process.memoryUsage?.().rss??0, 
-        st=productScraper?.getReloadState?.()||{};
-  const auth=(isLoggedIn===true)?"Logged IN":(isLoggedIn===false?"Logged OUT":"Unknown");
-  const refresh=st.enabled?`Running @${Math.round((st.intervalMs||7000)/1000)}s`:"Stopped";
-  const net=isNetworkOnline?"Online":"Offline";
-  const lastScraped=statusExtras.lastScrapedProduct||"—";
-  const lastKWMatch=statusExtras.lastKeywordMatchProduct||"—";
+        st=info.state||{};
+  const net=info.isNetworkOnline?"Online":"Offline";
+  const lastScraped=info.lastScrapedProduct||"—";
+  const lastKWMatch=info.lastKeywordMatchProduct||"—";
+  const multi=!!accounts?.isMulti?.();
+  const profile=sess?.profile;
   
-  // ✅ Use async version
-  const newCount = await countNewProductsLast();
-  
-  const clickCount=statusExtras.cycleClicks||0;
-  const last30=countClicksLast();
   const head=[
-    "🛰️ <b>Status</b>",
+    `🛰️ <b>Status</b>${multi && profile ? ` · 👤 ${esc(profile.label)}` : ""}`,
     `⏱️ <b>Uptime:</b> ${esc(up)}`,
     `🧮 <b>Memory (RSS):</b> ${esc(fmtMB(mem))}`,
-    `🔐 <b>Auth:</b> ${esc(auth)}`,
-    `🔄 <b>Refresh:</b> ${esc(refresh)}`,
+    `🔐 <b>Auth:</b> ${esc(fmtAuth(info.isLoggedIn))}`,
+    `🔄 <b>Refresh:</b> ${esc(fmtRefresh(st))}`,
     `🌐 <b>Network:</b> ${esc(net)}`,
     `📦 <b>Last Scraped Product:</b> ${esc(lastScraped)}`,
     `🔑 <b>Last Keyword Match Product:</b> ${esc(lastKWMatch)}`,
-    `🆕 <b>New Products (Last 30 Min):</b> ${esc(String(newCount))}`,
-    `🕧 <b>Clicks (last 30 min):</b> ${esc(String(last30))}`,
-  ].join("\n");
+    `🆕 <b>New Products (Last 30 Min):</b> ${esc(String(info.newProducts))}`,
+    `🕧 <b>Clicks (last 30 min):</b> ${esc(String(info.clicksLast30))}`,
+  ];
+  const sst = shadowMode?.getState?.();
+  if (sst && (sst.global || sst.products.length)) {
+    const sum = info.shadowSummary || { count: 0, top: [] };
+    const scope = sst.global ? "ALL products" : sst.products.join(", ");
+    const top = sum.top.length ? ` · top: ${sum.top.map(([n, c]) => `${n} (${c})`).join(", ")}` : "";
+    head.push(`🕶️ <b>Shadow Mode:</b> ${esc(scope)} – ${sum.count} would-be click(s)${esc(top)}`);
+  }
+  const bst = sess?.budget?.getState?.();
+  if (bst) {
+    head.push(`💳 <b>Clicks Today:</b> ${bst.usage.total} / ${bst.limits.globalDaily || "∞"}${bst.quietNow ? " (quiet hours)" : ""}`);
+  }
+  // The primary report lists the other accounts in one line each
+  if (multi && profile?.primary) {
+    head.push("", "👥 <b>Accounts</b>");
+    for (const a of listAccounts()) {
+      head.push(`• <code>${esc(a.id)}</code> ${esc(a.label)} – ${esc(fmtAuth(a.isLoggedIn))}, ${esc(fmtRefresh(a))}`);
+    }
+  }
+  const headText = head.join("\n");
   
-  const latest = await readLatestMC();
-  return head + (latest ? "\n\n"+fmtLeadHTML("🆕 <b>Latest Message Centre</b>", latest) : "\n\nℹ️ No Message Centre entries yet.");
+  const latest = info.latest;
+  return headText + (latest ? "\n\n"+fmtLeadHTML("🆕 <b>Latest Message Centre</b>", latest) : "\n\nℹ️ No Message Centre entries yet.");
+}
+
+function listAccounts(){
+  return (accounts?.list?.() || []).map(p => {
+    const st = accountSessions.get(p.id)?.getState() || {};
+    return { id: p.id, label: p.label, primary: p.primary, isLoggedIn: st.isLoggedIn, enabled: !!st.enabled, intervalMs: st.intervalMs };
+  });
 }
 
-async function sendStatusReport(tag="30-min"){ 
+async function sendStatusReport(tag="30-min", account=""){ 
   try{ 
-    const status = await buildStatus();
-    await tg?.send?.(status,{parse_mode:"HTML",disable_web_page_preview:true}); 
-    log("info",`Reports: status (${tag}) sent`);
+    const status = await buildStatus(account);
+    await tg?.notify?.("report", status,{parse_mode:"HTML",disable_web_page_preview:true}); 
+    await notifier?.mail?.("status", { subject: `Status (${tag}) · ${fmtDate()}`, html: status }, { account });
+    log("info",`Reports: status (${tag}${account ? ` · ${account}` : ""}) sent`);
   } catch(e){ 
     log("error",`Reports: status send failed – ${e.message}`);
   } 
@@ -961,82 +896,6 @@ function scheduleEvery30Min(){
   }, Math.max(1000, ms), 'scheduleEvery30Min');
 }
 
-// ✅ FIX: ASYNC file operations with caching
-const LIST_DIR=path.join(__dirname,"List");
-const F_PRODUCTS=path.join(LIST_DIR,"products.json");
-const F_KEYWORDS=path.join(__dirname,"List","keywords.json");
-const normSpace=s=>String(s||"").trim().replace(/\s+/g," ");
-const toTitle=s=>normSpace(s).toLowerCase().split(" ").map(w=>w?w[0].toUpperCase()+w.slice(1):"").join(" ");
-
-// Sync versions (only used at startup)
-const readJSON=(f,fb)=>{ try { return JSON.parse(fs.readFileSync(f,"utf8")); } catch { return fb; } };
-const writeJSON=(f,d)=>{ 
-  try { 
-    fs.mkdirSync(path.dirname(f),{recursive:true}); 
-    fs.writeFileSync(f, JSON.stringify(d,null,2),"utf8"); 
-    return true; 
-  } catch { return false; } 
-};
-
-// ✅ NEW: Async versions
-const readJSONAsync = async (f, fb) => {
-  try {
-    const data = await fsp.readFile(f, "utf8");
-    return JSON.parse(data);
-  } catch {
-    return fb;
-  }
-};
-
-const writeJSONAsync = async (f, d) => {
-  try {
-    await fsp.mkdir(path.dirname(f), { recursive: true });
-    await fsp.writeFile(f, JSON.stringify(d, null, 2), "utf8");
-    return true;
-  } catch {
-    return false;
-  }
-};
-
-// Caching for products/keywords
-let productsCache = { data: null, timestamp: 0 };
-let keywordsFileCache = { data: null, timestamp: 0 };
-const FILE_CACHE_TTL = 5000;
-
-const loadProducts=()=>Array.isArray(readJSON(F_PRODUCTS,[]))?readJSON(F_PRODUCTS,[]):[];
-const loadKeywords=()=>Array.isArray(readJSON(F_KEYWORDS,[]))?readJSON(F_KEYWORDS,[]):[];
-
-async function loadProductsAsync() {
-  const now = Date.now();
-  if (productsCache.data && (now - productsCache.timestamp) < FILE_CACHE_TTL) {
-    return productsCache.data;
-  }
-  
-  const data = await readJSONAsync(F_PRODUCTS, []);
-  const result = Array.isArray(data) ? data : [];
-  productsCache = { data: result, timestamp: now };
-  return result;
-}
-
-const saveProducts=a=>writeJSON(F_PRODUCTS,Array.isArray(a)?a:[]);
-const saveKeywords=a=>writeJSON(F_KEYWORDS,Array.isArray(a)?a:[]);
-
-async function saveProductsAsync(a) {
-  const result = await writeJSONAsync(F_PRODUCTS, Array.isArray(a) ? a : []);
-  if (result) {
-    productsCache = { data: a, timestamp: Date.now() };
-  }
-  return result;
-}
-
-async function saveKeywordsAsync(a) {
-  const result = await writeJSONAsync(F_KEYWORDS, Array.isArray(a) ? a : []);
-  if (result) {
-    keywordsCache = { data: a, timestamp: Date.now() };
-  }
-  return result;
-}
-
 async function updateManagerLists({products:prodList,keywords:keyList}={}){
   if (!winManager) return false;
   const setK=(k,v)=>`localStorage.setItem(${JSON.stringify(k)}, ${JSON.stringify(JSON.stringify(v))});`;
@@ -1044,92 +903,6 @@ async function updateManagerLists({products:prodList,keywords:keyList}={}){
   try { return await winManager.webContents.executeJavaScript(js, true); } catch { return false; }
 }
 
-function addProduct(name){ 
-  name=toTitle(name); 
-  if(!name) return false; 
-  const arr=loadProducts(); 
-  if(!arr.some(v=>v.toLowerCase()===name.toLowerCase())) arr.push(name); 
-  const ok=saveProducts(arr);
-  try { productScraper?.setProducts?.(arr); } catch {}
-  updateManagerLists({products:arr}).catch(()=>{}); 
-  log("info",`Lists: product added – ${name}`); 
-  return ok; 
-}
-
-function deleteProduct(name){ 
-  const arr=loadProducts(); 
-  const key=String(name||"").toLowerCase(); 
-  const next=arr.filter(v=>v.toLowerCase()!==key); 
-  const ok=saveProducts(next);
-  try { productScraper?.setProducts?.(next); } catch {}
-  updateManagerLists({products:next}).catch(()=>{}); 
-  log("info",`Lists: product deleted – ${name}`); 
-  return ok && next.length!==arr.length; 
-}
-
-function addKeyword(kw){ 
-  kw=normSpace(kw).toLowerCase(); 
-  if(!kw) return false; 
-  const arr=loadKeywords(); 
-  if(!arr.includes(kw)) arr.push(kw); 
-  const ok=saveKeywords(arr); 
-  updateManagerLists({keywords:arr}).catch(()=>{}); 
-  log("info",`Lists: keyword added – ${kw}`); 
-  return ok; 
-}
-
-function deleteKeyword(kw){ 
-  kw=normSpace(kw).toLowerCase(); 
-  const arr=loadKeywords(); 
-  const next=arr.filter(v=>v!==kw); 
-  const ok=saveKeywords(next); 
-  updateManagerLists({keywords:next}).catch(()=>{}); 
-  log("info",`Lists: keyword deleted – ${kw}`); 
-  return ok && next.length!==arr.length; 
-}
-
-let leadsReloading=false;
-
-async function safeReloadLeads(reason="manual"){
-  if (!winLeads || leadsReloading) return false;
-  leadsReloading = true;
-  try {
-    if (isNetworkOnline === false) { 
-      log("info", `safeReload ignored – offline (${reason})`); 
-      leadsReloading=false; 
-      return false; 
-    }
-    log("start",`Leads:safeReload → ${reason}`);
-    const wc = winLeads.webContents;
-    try{ wc.stop(); }catch{}
-    try{ watcher?.setReloading(true);}catch{}
-    wc.reloadIgnoringCache();
-    try {
-      await waitForFinishOnce(wc, 10000);
-      log("info","safeReload soft OK");
-      return true;
-    } catch(e) {
-      log("info",`safeReload soft timeout – hard nav (${e.message})`);
-      if (isNetworkOnline === false) { 
-        log("info","hard nav skipped – offline"); 
-        return false; 
-      }
-      wc.loadURL(LEADS_DEFAULT_URL);
-      try {
-        await waitForFinishOnce(wc, 12000);
-        log("info","safeReload hard OK");
-        return true;
-      } catch(e2) {
-        log("error",`safeReload hard failed – ${e2.message || e2}`);
-        return false;
-      }
-    }
-  } finally { 
-    try{ watcher?.setReloading(false);}catch{} 
-    leadsReloading=false; 
-  }
-}
-
 async function archiveAndTruncate(files, tag=""){ 
   try {
     const ts=new Date(), 
@@ -1156,42 +929,8 @@ async function resetReportsMemory() {
   try {
     log("start", "Memory reset: Starting comprehensive cleanup");
     
-    // ✅ ProductScraper
-    if (productScraper && typeof productScraper.resetLog === 'function') {
-      productScraper.resetLog();
-      log("info", "✓ ProductScraper reset");
-    }
-    productsLogCount = 0;
-    
-    // ✅ MatchClicker - light reset (keeps persistent data)
-    if (matcher && typeof matcher.reset === 'function') {
-      const beforeStats = matcher.getStats ? matcher.getStats() : {};
-      matcher.reset();
-      log("info", `✓ MatchClicker reset - was: ${JSON.stringify(beforeStats)}`);
-    }
-    
-    // ✅ KeywordMatcher - light reset
-    if (kwMatcher && typeof kwMatcher.reset === 'function') {
-      const beforeStats = kwMatcher.getStats ? kwMatcher.getStats() : {};
-      kwMatcher.reset();
-      log("info", `✓ KeywordMatcher reset - was: ${JSON.stringify(beforeStats)}`);
-    }
-    
-    // ✅ MessageCentre - light reset
-    if (mc && typeof mc.reset === 'function') {
-      const beforeStats = mc.getStats ? mc.getStats() : {};
-      mc.reset();
-      log("info", `✓ MessageCentre reset - was: ${JSON.stringify(beforeStats)}`);
-    }
-    
-    // Global counters
-    clickTimes = clickTimes.slice(-MAX_CLICK_HISTORY);
-    
-    // Clear caches
-    productsLogCache = { data: null, timestamp: 0 };
-    mcCache = { data: null, timestamp: 0 };
-    productsCache = { data: null, timestamp: 0 };
-    keywordsCache = { data: null, timestamp: 0 };
+    // Light reset of the primary account's modules (keeps persistent data)
+    primarySession()?.reset();
     
     log("info", "✅ Memory reset complete - all modules cleaned");
   } catch (e) {
@@ -1204,45 +943,8 @@ async function deepResetAllMemory() {
   try {
     log("start", "Deep reset: Starting FULL memory wipe");
     
-    // Products
-    if (productScraper?.resetLog) {
-      productScraper.resetLog();
-      log("info", "✓ ProductScraper deep reset");
-    }
-    
-    // MatchClicker
-    if (matcher?.deepReset) {
-      await matcher.deepReset();
-      log("info", "✓ MatchClicker deep reset");
-    }
-    
-    // KeywordMatcher
-    if (kwMatcher?.deepReset) {
-      await kwMatcher.deepReset();
-      log("info", "✓ KeywordMatcher deep reset");
-    }
-    
-    // MessageCentre
-    if (mc?.deepReset) {
-      await mc.deepReset();
-      log("info", "✓ MessageCentre deep reset");
-    }
-    
-    // Global state
-    productsLogCount = 0;
-    clickTimes = [];
-    statusExtras.cycleId = null;
-    statusExtras.lastScrapedProduct = null;
-    statusExtras.lastKeywordMatchProduct = null;
-    statusExtras.cycleNewCount = 0;
-    statusExtras.cycleClicks = 0;
-    
-    // Clear all caches
-    productsLogCache = { data: null, timestamp: 0 };
-    mcCache = { data: null, timestamp: 0 };
-    productsCache = { data: null, timestamp: 0 };
-    keywordsCache = { data: null, timestamp: 0 };
-    keywordsFileCache = { data: null, timestamp: 0 };
+    // Primary account's modules
+    await primarySession()?.deepReset();
     
     log("info", "✅ Deep reset complete - ALL memory wiped");
 
@@ -1256,12 +958,45 @@ async function deepResetAllMemory() {
   }
 }
 
+// Open pipeline leads past their follow-up date, every account
+function overdueFollowUps(){
+  const out = [];
+  for (const p of accounts?.list?.() || []) {
+    try {
+      const crm = accountSessions.get(p.id)?.crm;
+      for (const l of crm?.overdue?.() || []) out.push({ ...l, account: accounts.isMulti() ? p.id : "" });
+    } catch (e) { log("error", `Overdue follow-ups (${p.id}): ${e.message}`); }
+  }
+  return out.sort((a, b) => a.followUp.localeCompare(b.followUp));
+}
+
 async function sendDailyReports(whenLabel){ 
   try {
-    const toSend=SEND_FILES.filter(EXISTS);
+    // XLSX workbook + per-log CSVs; raw JSON only if the export itself fails
+    let toSend=[];
+    try {
+      toSend=(await exporter?.exportCurrent?.(whenLabel))?.files || [];
+    } catch(e){
+      log("error",`Report export failed: ${e.message} – sending raw JSON`);
+      toSend=SEND_FILES.filter(EXISTS);
+    }
     log("start",`Reports: ${whenLabel} – preparing (${toSend.length} files)`);
+    let dg=null;
+    try {
+      dg=await digest?.build?.(whenLabel, { keywords: primarySession()?.listKeywords() || [], when: fmtDate(), overdue: overdueFollowUps() });
+      if (dg?.text) await tg?.notify?.("report", dg.text,{parse_mode:"HTML",disable_web_page_preview:true});
+    } catch(e){
+      log("error",`Digest failed: ${e.message}`);
+    }
+    // Email gets the digest and every file in one mail; the outbox keeps its
+    // own copy, so the archive below can go ahead
+    await notifier?.mail?.("report", {
+      subject: `${whenLabel} – Reports · ${fmtDate()}`,
+      html: dg?.text || `📤 ${esc(whenLabel)} – Reports (${toSend.length} files)`,
+      files: [dg?.file, ...toSend].filter(Boolean)
+    });
     if (toSend.length) {
-      tg?.send?.(`📤 ${whenLabel} – Reports (${toSend.length} files)`).catch(()=>{});
+      tg?.notify?.("report", `📤 ${whenLabel} – Reports (${toSend.length} files)`).catch(()=>{});
       for (const pth of toSend) { 
         try { 
           await tg?.sendFile?.(pth, `Niyati • ${path.basename(pth)} • ${fmtDate()}`); 
@@ -1271,7 +1006,7 @@ async function sendDailyReports(whenLabel){
         } 
       }
     } else { 
-      tg?.send?.(`ℹ️ ${whenLabel}: No report files to send.`).catch(()=>{}); 
+      tg?.notify?.("report", `ℹ️ ${whenLabel}: No report files to send.`).catch(()=>{}); 
     }
       // Skip archive + deep reset when invoked manually (/runreports)
     if (String(whenLabel).toLowerCase() !== "manual") {
@@ -1294,51 +1029,22 @@ catch(e){
 async function gentleMemoryCleanup(reason=""){ 
   try {
     log("start",`Cleanup: Memory cleanup starting${reason?` (${reason})`:""}`);
-    const ses=winLeads?.webContents?.session;
-    if (ses) { 
-      await ses.clearCache(); 
-      if (typeof ses.clearCodeCaches==="function") await ses.clearCodeCaches({}); 
+    for (const w of leadsWindows()) {
+      const ses=w.webContents?.session;
+      if (ses) { 
+        await ses.clearCache(); 
+        if (typeof ses.clearCodeCaches==="function") await ses.clearCodeCaches({}); 
+      }
+      try { 
+        await w.webContents?.executeJavaScript("try{ if(globalThis.gc) gc(); }catch{}; void 0;", true);
+      } catch {}
     }
-    try { 
-      await winLeads?.webContents?.executeJavaScript("try{ if(globalThis.gc) gc(); }catch{}; void 0;", true);
-    } catch {}
     log("info",`Memory cleanup done${reason?` – ${reason}`:""}`);
   } catch(e){ 
     log("error",`Memory cleanup failed: ${e.message}`);
   } 
 }
 
-let _scraperPausedReason = null;
-
-function pauseScraper(reason) {
-  try {
-    productScraper?.disableAutoReload?.(reason || "pause");
-    productScraper?.disable?.();
-    _scraperPausedReason = reason || "pause";
-    log("stop", `Scraper paused – ${_scraperPausedReason}`);
-  } catch (e) {
-    log("error", `Pause scraper failed: ${e?.message || e}`);
-  }
-}
-
-function resumeScraperIfAllowed() {
-  try {
-    productScraper?.enable?.();
-
-    const st = productScraper?.getReloadState?.() || {};
-    if (st.userWantedAutoRefresh && !st.enabled && isNetworkOnline && isLoggedIn !== false) {
-      productScraper.enableAutoReload(st.intervalMs || 7000, () => watcher?.setReloading(true));
-      log("start", `Scraper resumed${_scraperPausedReason ? ` (was: ${_scraperPausedReason})` : ""}`);
-    } else {
-      log("info", "Scraper enable checked – constraints not met (no auto-resume).");
-    }
-  } catch (e) {
-    log("error", `Resume scraper failed: ${e?.message || e}`);
-  } finally {
-    _scraperPausedReason = null;
-  }
-}
-
 function createManagerWindow(){
   winManager = new BrowserWindow({
     title:"Manager", 
@@ -1359,8 +1065,8 @@ function createManagerWindow(){
     // ✅ ADD THIS: Initial data sync
     setTimeout(async () => {
       try {
-        const prods = loadProducts();
-        const keys = loadKeywords();
+        const prods = primarySession()?.listProducts() || [];
+        const keys = primarySession()?.listKeywords() || [];
         await updateManagerLists({ products: prods, keywords: keys });
         log("info", `Manager: synced ${prods.length} products, ${keys.length} keywords`);
       } catch (e) {
@@ -1374,217 +1080,14 @@ function createManagerWindow(){
   winManager.on("closed", ()=>{ winManager=null; });
 }
 
-function createLeadsWindow(){
-  winLeads = new BrowserWindow({ 
-    title:"Leads", 
-    show:false,
-    width: 1280,
-    height: 720,
-    webPreferences:webPrefs() 
-  });
-  
-  winLeads.maximize();
-  const wc=winLeads.webContents;
-  wc.setMaxListeners(0); 
-  wc.removeAllListeners("did-fail-load"); 
-  wc.removeAllListeners("render-process-gone");
-  winLeads.loadURL(LEADS_DEFAULT_URL);
-  
-  winLeads.on('show', () => {
-    log("info", "✅ Leads window is now visible (no throttling)");
-  });
-  
-  winLeads.on('hide', () => {
-    log("warning", "⚠️ Leads window hidden - timers may be throttled!");
-  });
-  
-  winLeads.on('blur', () => {
-    log("debug", "Leads window lost focus (backgrounded)");
-  });
-  
-  winLeads.on('focus', () => {
-    log("debug", "Leads window gained focus");
-  });
-  
-  winLeads.on("closed", ()=>{ winLeads=null; });
-  
-  wc.on("did-start-loading", ()=>{ 
-    clearTimeout(unstickTimer); 
-    unstickTimer=setTimeout(()=>{ 
-      try{watcher?.setReloading(false);}catch{} 
-      log("info","Failsafe: clearing inReload (12s)"); 
-    },12000); 
-  });
-  
-  wc.on("did-finish-load", ()=>{ 
-    clearTimeout(unstickTimer); 
-    try{watcher?.setReloading(false);}catch{} 
-    log("info","Leads page loaded");
-    
-    setTimeout(() => {
-      if (shouldShowWindows() && winLeads && !winLeads.isDestroyed()) {
-        winLeads.show();
-        log("info", "Leads window shown (prevents throttling)");
-      }
-    }, 500);
-    
-    setTimeout(() => {
-      try {
-        injectVisibilityMonitor(winLeads);
-      } catch (e) {
-        log("error", `Visibility monitor injection failed: ${e.message}`);
-      }
-    }, 1000);
-  });
-
-  const OFFLINE_CODES=new Set([-106,-105,-118]);
-  wc.on("did-fail-load", (_e, code, desc, _url, isMainFrame)=>{
-    clearTimeout(unstickTimer);
-    if (OFFLINE_CODES.has(code) && isNetworkOnline!==false) {
-      isNetworkOnline=false;
-      const st=productScraper?.getReloadState?.()||{};
-      if(st.enabled) productScraper.disableAutoReload("network offline");
-      pauseScraper("network offline");
-    }
-    if (isMainFrame) { 
-      log("error",`Leads: did-fail-load ${code} ${desc}`); 
-      requestReload("did-fail-load"); 
-    }
-    broadcast();
-  });
-  
-  wc.on("render-process-gone", (_e,d)=>{ 
-    log("error",`Leads: render-process-gone (${d?.reason||"unknown"})`); 
-    requestReload("render-process-gone"); 
-  });
-
-  onShow(winLeads, ()=>{
-    productScraper = createProductScraper({
-      win:winLeads, 
-      delayMs:3000, 
-      maxItems:50, 
-      loginSelector:"#selsout",
-      log:(lvl,msg)=>{ 
-        log(lvl,msg); 
-        if (lvl==="info" && /^persist:\s*\+/.test(String(msg))) { 
-          statusExtras.cycleNewCount = (statusExtras.cycleNewCount||0) + 1; 
-        } 
-      },
-      onItems: async (items, cycleId) => {
-        statusExtras.cycleId = cycleId;
-        statusExtras.cycleClicks = 0;
-        statusExtras.lastScrapedProduct = (items && items[0]) ? (items[0].product || items[0].title || null) : null;
-        
-        // ✅ FIX: Use async version
-        try { 
-          const curr = await _readProductsLogCountAsync(); 
-          const delta = Math.max(0, curr - productsLogCount); 
-          if (delta) { 
-            statusExtras.cycleNewCount = (statusExtras.cycleNewCount||0) + delta; 
-          } 
-          productsLogCount = curr; 
-        } catch (e) {
-          log("error", `Failed to update products log count: ${e.message}`);
-        }
-
-        // ✅ FIX: Use async version
-        try {
-          const kwHit = await findFirstKeywordMatch(items);
-          if (kwHit) statusExtras.lastKeywordMatchProduct = kwHit;
-        } catch (e) {
-          log("error", `Keyword match check failed: ${e.message}`);
-        }
-
-        try {
-          matcher?.processCycle(items, cycleId);
-        } catch (e) {
-          log("error", "matcher error: " + (e?.message || e));
-        }
-
-        try {
-          kwMatcher?.processCycle(items, cycleId).catch(err => log("error", "kwMatcher error: " + (err?.message || err)));
-        } catch (e) {
-          log("error", "kwMatcher invoke error: " + (e?.message || e));
-        }
-      }
-    });
-
-    if (pendingStartMs) {
-      productScraper.enableAutoReload(pendingStartMs, () => watcher?.setReloading(true));
-      log("start", `Auto-refresh started (queued) @ ${Math.round(pendingStartMs/1000)}s`);
-      pendingStartMs = null;
-    } else {
-      try { resumeScraperIfAllowed(); } catch {}
-    }
-    if (pendingResume) {
-      try { resumeScraperIfAllowed(); } catch {}
-      pendingResume = false;
-    }
-    broadcast();
-
-    productScraper.wireListsIPC(ipcMain);
-
-    matcher = createMatchClicker({
-      win:winLeads,
-      log:(lvl,msg)=>{
-        log(lvl,msg);
-        if (lvl==="info" && /^matchClick:\s*Clicked/i.test(String(msg))) {
-          statusExtras.cycleClicks = (statusExtras.cycleClicks || 0) + 1;
-          const now = Date.now();
-          clickTimes.push(now);
-          countClicksLast();
-        }
-
-        if (lvl==="info" && /^matchClick:\s*Clicked/.test(String(msg))) {
-          const m=String(msg).match(/list#(\d+)\s*[–-]\s*"([^"]+)"/);
-          (async ()=>{
-            try {
-              await mc?.enqueue?.({ reason: m ? `#list${Number(m[1])} ${m[2]}` : "click" });
-            } catch(e) {
-              log("error","MC enqueue failed: "+e.message);
-            }
-            try {
-              await safeReloadLeads("post-click");
-            } catch(e) {
-              log("error","post-click refresh failed: "+e.message);
-            }
-          })();
-        }
-      },
-      getProducts:()=>productScraper.getProducts(),
-      send: (text, extra) => { try { tg?.send?.(text, extra); } catch {} }
-    });
-
-    productScraper.enable();
-
-    kwMatcher = createKeywordMatcher({
-      keywordsFile:F_KEYWORDS, 
-      log,
-      send: async(text,extra)=>{ 
-        try{ await tg?.send?.(text,extra); }
-        catch(e){ log("error",`KW-Notify failed: ${e.message}`);} 
-      }
-    });
-
-    log("info","Leads setup complete");
-  });
+async function screenshotLeadsAsJpeg({stayHidden=false, quality=88, account="", rect}={}){
+  return (await accountSession(account)?.screenshot({ stayHidden, quality, rect })) || null;
 }
 
-async function screenshotLeadsAsJpeg({stayHidden=false, quality=88}={}){
-  if (!winLeads || winLeads.isDestroyed()) return null;
-  const wasHidden = !winLeads.isVisible();
-  try {
-    if (wasHidden && !stayHidden) { 
-      try{ winLeads.show(); await new Promise(r=>setTimeout(r,300)); }catch{} 
-    }
-    const img = await winLeads.capturePage();
-    return img.toJPEG(quality);
-  } catch(e) { 
-    log("error",`screenshotLeadsAsJpeg failed: ${e.message}`); 
-    return null;
-  } finally { 
-    if (wasHidden && !stayHidden) try{ winLeads.hide(); }catch{} 
-  }
+// One BuyLead card, found by title on the account's Leads page
+async function screenshotCardAsJpeg(title, account=""){
+  const rect = await findCardRect(accountSession(account)?.getWindow(), title, selectorProfile);
+  return rect ? screenshotLeadsAsJpeg({ account, rect }) : null;
 }
 
 async function screenshotManagerAsJpeg({stayHidden=false, quality=88}={}){
@@ -1633,22 +1136,8 @@ function ensureManagerWindow(){
   return winManager; 
 }
 
-function ensureLeadsWindow(){ 
-  if (winLeads && !winLeads.isDestroyed()) return winLeads; 
-  createLeadsWindow(); 
-  return winLeads; 
-}
-
 function restartLeadsWindow(){ 
-  try{ 
-    productScraper?.disableAutoReload?.("leads restart"); 
-    productScraper?.disable?.(); 
-  }catch{} 
-  productScraper=null; 
-  try{ 
-    if(winLeads && !winLeads.isDestroyed()) winLeads.destroy(); 
-  }catch{} 
-  createLeadsWindow(); 
+  primarySession()?.restart(); 
   log("start","Tray: Leads Restart"); 
 }
 
@@ -1726,9 +1215,10 @@ if (!gotTheLock) {
     }
     
     try {
-      if (winLeads && !winLeads.isDestroyed()) {
-        if (winLeads.isMinimized()) winLeads.restore();
-        winLeads.show();
+      const w = primarySession()?.getWindow();
+      if (w && !w.isDestroyed()) {
+        if (w.isMinimized()) w.restore();
+        w.show();
         log("info", "Leads window focused (second-instance)");
       }
     } catch (e) {
@@ -1737,8 +1227,8 @@ if (!gotTheLock) {
     
     // ✅ Optional: Send notification via Telegram
     try {
-      if (tg && tg.send) {
-        tg.send("🔔 Second instance launch attempt detected - focused existing windows");
+      if (tg && tg.notify) {
+        tg.notify("alert", "🔔 Second instance launch attempt detected - focused existing windows");
       }
     } catch (e) {
       console.error('Failed to send Telegram notification:', e.message);
@@ -1755,7 +1245,83 @@ app.on('ready', async () => {
   startTimerHealthCheck();
   startWindowHealthCheck();
 
-  createLeadsWindow();
+  accounts = createAccountRegistry({ file: path.join(__dirname, "List", "accounts.json"), baseDir: __dirname, log });
+
+  // ✅ Lead database must exist before the Leads window wires its modules
+  leadDb = createLeadDb({ dir: __dirname, log });
+  try { leadDb.importLegacy(); } catch (e) { log("error", `LeadDB import failed: ${e.message}`); }
+  leadSearch = createLeadSearch({
+    db: leadDb,
+    reportsDir: REPORTS_DIR,
+    archiveDir: path.join(__dirname, "reports_archive"),
+    log
+  });
+  // Returning-buyer lookups for new leads; built in the background
+  buyerIndex = createBuyerIndex({
+    db: leadDb,
+    reportsDir: REPORTS_DIR,
+    archiveDir: path.join(__dirname, "reports_archive"),
+    log
+  });
+  buyerIndex.ready();
+  exporter = createExporter({
+    db: leadDb,
+    reportsDir: REPORTS_DIR,
+    archiveDir: path.join(__dirname, "reports_archive"),
+    log
+  });
+  digest = createDigest({ reportsDir: REPORTS_DIR, log });
+  // WhatsApp templates and .vcf cards for lead notifications
+  handoff = createHandoff({ file: path.join(__dirname, "List", "whatsapp_templates.json"), log });
+  // Webhooks and email next to Telegram (List/notifiers.json); queued
+  // retries and the email outbox resume here
+  notifier = createNotifier({
+    file: path.join(__dirname, "List", "notifiers.json"),
+    primary: accounts.primary().id,
+    setTimer: (fn, ms, label) => _safeSetTimeout(fn, ms, label),
+    clearTimer: _safeClearTimeout,
+    log
+  });
+  notifier.start();
+  reminders = createReminders({
+    file: path.join(__dirname, "List", "reminders.json"),
+    tz: DAILY_TZ,
+    schedule: REMINDER_SCHEDULE,
+    setTimer: (fn, ms, label) => _safeSetTimeout(fn, ms, label),
+    clearTimer: _safeClearTimeout,
+    send: (text, extra) => tg?.notify?.("lead", text, extra),
+    card: (r) => fmtLeadHTML(`⏰ <b>Call-back Reminder</b> · Lead #${r.lead}${r.account ? ` · 👤 ${esc(accounts.get(r.account)?.label || r.account)}` : ""}`, r.row),
+    // Contacted, quoted or closed since capture: nobody needs the nudge
+    isSettled: (r) => reminderCrm(r)?.get?.(r.lead)?.status !== "new",
+    onDone: (r, by) => {
+      const crm = reminderCrm(r);
+      if (crm?.get?.(r.lead)?.status === "new") crm.update(r.lead, { status: "contacted", note: "Called back (reminder)" }, by);
+    },
+    log
+  });
+  locationRules = createLocationRules({ file: path.join(__dirname, "List", "locations.json"), log });
+  selectorProfile = createSelectorProfile({
+    file: path.join(__dirname, "List", "selectors.json"),
+    snapshotDir: REPORTS_DIR,
+    onDrift: async ({ field, misses, candidates, version, lastOkAt, snapshot }) => {
+      const msg = [
+        `🧭 <b>Selector drift</b>: <code>${esc(field)}</code>`,
+        `No candidate matched for ${misses} cycle(s) (profile v${version})`,
+        `Last OK: ${lastOkAt ? esc(fmtDate(new Date(lastOkAt))) : "never"}`,
+        `Tried: ${candidates.map(c => `<code>${esc(c)}</code>`).join(" · ")}`,
+        `Fix: add a working selector for it in List/selectors.json`
+      ].join("\n");
+      await tg?.notify?.("error", msg, { parse_mode: "HTML", disable_web_page_preview: true });
+      if (snapshot) await tg?.sendFile?.(snapshot, `DOM snapshot • ${field} • ${fmtDate()}`, "error");
+    },
+    log
+  });
+  shadowMode = createShadowMode({
+    file: path.join(__dirname, "List", "shadow.json"),
+    onChange: (st) => { try { winManager?.webContents?.send("shadow:state", st); } catch {} },
+    log
+  });
+
   createManagerWindow();
   
   createTray();
@@ -1763,7 +1329,7 @@ app.on('ready', async () => {
   // ✅ Network probe with timeout protection
   const hostProbe = async () => {
     try {
-      const req = net.request({ method: "HEAD", url: "https://seller.indiamart.com/favicon.ico" });
+      const req = net.request({ method: "HEAD", url: `${SELLER_BASE_URL}/favicon.ico` });
       return await new Promise((resolve) => {
         const t = setTimeout(() => { try { req.abort(); } catch {} resolve(false); }, 4000);
         req.on("response", (res) => { clearTimeout(t); resolve(res.statusCode >= 200 && res.statusCode < 500); });
@@ -1773,60 +1339,8 @@ app.on('ready', async () => {
     } catch { return false; }
   };
 
-  watcher = createStatusWatcher({
-    win: winLeads, 
-    selector: "#selsout", 
-    checkEveryMs: 1200, 
-    hostProbe,
-    onLogin:  () => { 
-      isLoggedIn=true; 
-      suspendedByAuth=false; 
-      broadcast(); 
-      log("auth","Login detected"); 
-      autoLogin?.cancel?.(); 
-      try { resumeScraperIfAllowed(); } catch {} 
-    },
-    onLogout: () => { 
-      isLoggedIn=false; 
-      log("auth","Logout detected"); 
-      pauseScraper("logout"); 
-      suspendedByAuth=true; 
-      broadcast(); 
-      requestReload("logout");
-      
-      setTimeout(() => {
-        try {
-          if (isLoggedIn === false && autoLogin && !autoLogin.running) {
-            log("auth", "Starting auto-login after logout detection");
-            autoLogin.start();
-          }
-        } catch (e) {
-          log("error", `Auto-login start after logout failed: ${e.message}`);
-        }
-      }, 3000);
-    },
-    onOffline:() => { 
-      if(isNetworkOnline!==false){ 
-        isNetworkOnline=false; 
-        pauseScraper("network offline"); 
-        broadcast(); 
-        log("info","Network offline (watcher)");
-      } 
-    },
-    onOnline: () => { 
-      if(isNetworkOnline!==true){ 
-        isNetworkOnline=true; 
-        try{ resumeScraperIfAllowed(); }catch{} 
-        broadcast(); 
-        log("info","Network online (watcher)");
-      } 
-    },
-    onError: e => log("error", `Watcher error: ${e?.message||e}`),
-  });
-  watcher.start();
-
   lockScreen = createLockScreen({
-    getVisibleWindows: () => [winManager, winLeads].filter(Boolean),
+    getVisibleWindows: () => [winManager, ...leadsWindows()].filter(Boolean),
     onLock: () => { 
     try { clearPersist(); } catch {}
    log("info", "Lock: all windows hidden"); broadcast(); },
@@ -1842,80 +1356,72 @@ app.on('ready', async () => {
     log("info", "Started in locked state"); 
   }
 
-  autoLogin = createAutoLogin({
-    win: winLeads, 
-    mobile: process.env.INDIAMART_MOBILE, 
-    maxAttempts: 3, 
-    resendCooldownMs: 30000,
-    log, 
-    notify: msg => { try { tg?.send?.(msg); } catch {} },
-    onSuccess: () => { 
-      log("auth", "Auto-login SUCCESS"); 
-      isLoggedIn=true; 
-      suspendedByAuth=false; 
-      broadcast(); 
-      try{ resumeScraperIfAllowed(); }catch{} 
-    },
-    onFail: () => { 
-      log("error", "Auto-login FAILED"); 
-      suspendedByAuth=true; 
-      broadcast(); 
-    }
-  });
-
-  mc = createMessageCentre({
-    log, 
-    url: "https://seller.indiamart.com/messagecentre/", 
-    parent: winManager,
-    windowOptions: { 
-      width: 1200, 
-      height: 800, 
-      show: false, 
-      backgroundColor: "#0f0f10", 
-      autoHideMenuBar: true 
-    },
-
 // ===== END OF PART 3 (Line 1350) =====
 // Continue with Part 4 (IPC handlers and cleanup)...
 // ===== PART 4 (Lines 1351-1773) - FINAL =====
 // Telegram Commands, IPC Handlers, Network Status, Daily Scheduler, Shutdown
 
-    autoClose: true,
-    send: async (text, extra) => { 
-      try { await tg?.send?.(text, extra); } 
-      catch (e) { log("error", `MC send failed: ${e?.message || e}`); } 
-    }
-  });
+  for (const profile of accounts.list()) {
+    // Reminders and notifier events for the primary account carry no id
+    const account = profile.primary ? "" : profile.id;
+    const sess = createAccountSession({
+      profile,
+      leadsUrl: LEADS_DEFAULT_URL,
+      mcUrl: MC_URL,
+      webPreferences: webPrefs(),
+      shouldShow: shouldShowWindows,
+      hostProbe,
+      parent: winManager,
+      db: leadDb,
+      selectors: selectorProfile,
+      isShadow: (product) => !!shadowMode?.isShadow?.(product),
+      checkLocation: (product, item) => locationRules?.evaluate?.(product, item),
+      dayKey: () => _todayKey(),
+      nowHHMM: () => _nowHHMM(),
+      onLead: (lead) => reminders?.scheduleLead?.({ id: lead.id, account, row: lead }),
+      emit: (type, data) => notifier?.emit?.(type, data, { account }),
+      handoff,
+      buyers: buyerIndex,
+      send: (text, extra, type) => tg?.notify?.(type, text, extra),
+      sendFile: (bytes, name, caption, type) => tg?.sendBytes?.(bytes, name, caption, type),
+      onChange: (what) => broadcastAccount(sess, what),
+      log
+    });
+    accountSessions.set(profile.id, sess);
+    try { sess.start(); } catch (e) { log("error", `Account ${profile.id}: start failed – ${e.message}`); }
+  }
 
   // ✅ Build commands with ALL dependencies
   const baseCmds = buildDefaultCommands({
-    enableAuto: sec => { 
-      try { 
-        productScraper?.enableAutoReload?.(sec*1000, ()=>watcher?.setReloading(true)); 
-        broadcast(); 
-        return true; 
-      } catch { return false; } 
+    resolveAccount: id => accounts.isMulti() ? accounts.get(id)?.id || null : null,
+    listAccounts,
+    getChatRoles: () => chatRoles?.getState?.() || null,
+    leadCommand: (text, { account, by }) => runLeadCommand(crmFor(account), text, { by }),
+    getNotifiers: () => notifier?.list?.() || [],
+    retryNotifiers: () => notifier?.retryNow?.(),
+    remindCommand: (text, { account, by }) => reminders
+      ? reminders.command(text, { account: reminderAccount(account), by, getLead: (id) => crmFor(account)?.get?.(id) })
+      : "❌ Reminders not ready.",
+    enableAuto: (sec, account) => { 
+      try { return !!accountSession(account)?.enableAuto(sec*1000); } 
+      catch { return false; } 
     },
-    disableAuto: () => { 
-      try { 
-        productScraper?.disableAutoReload?.("telegram stop"); 
-        productScraper?.disable?.(); 
-        broadcast(); 
-        return true; 
-      } catch { return false; } 
+    disableAuto: (account) => { 
+      try { return !!accountSession(account)?.disableAuto("telegram stop"); } 
+      catch { return false; } 
     },
-    getIntervalSec: () => Math.round((productScraper?.getReloadState?.()?.intervalMs || 7000) / 1000),
-    addProduct, 
-    deleteProduct, 
-    listProducts: loadProducts,
-    addKeyword, 
-    deleteKeyword, 
-    listKeywords: loadKeywords,
+    getIntervalSec: (account) => Math.round((accountSession(account)?.getState()?.intervalMs || 7000) / 1000),
+    addProduct: (name, account) => !!accountSession(account)?.addProduct(name), 
+    deleteProduct: (name, account) => !!accountSession(account)?.deleteProduct(name), 
+    listProducts: (account) => accountSession(account)?.listProducts() || [],
+    addKeyword: (kw, account) => !!accountSession(account)?.addKeyword(kw), 
+    deleteKeyword: (kw, account) => !!accountSession(account)?.deleteKeyword(kw), 
+    listKeywords: (account) => accountSession(account)?.listKeywords() || [],
     screenshotBothAsJpegs, 
     screenshotLeadsAsJpeg, 
     screenshotManagerAsJpeg,
-    sendStatus: () => { 
-      try { sendStatusReport("manual").catch(()=>{}); return true; } 
+    sendStatus: (account) => { 
+      try { sendStatusReport("manual", account || "").catch(()=>{}); return true; } 
       catch { return false; } 
     },
     cleanNow: () => { 
@@ -1944,8 +1450,12 @@ app.on('ready', async () => {
       try { winManager?.show?.(); winManager?.focus?.(); return true; } 
       catch { return false; } 
     },
-    focusLeads: () => { 
-      try { winLeads?.show?.(); winLeads?.focus?.(); return true; } 
+    focusLeads: (account) => { 
+      try { 
+        const w = accountSession(account)?.getWindow();
+        w?.show?.(); w?.focus?.(); 
+        return !!w; 
+      } 
       catch { return false; } 
     },
     toggleMax: () => { 
@@ -1955,19 +1465,19 @@ app.on('ready', async () => {
         return false; 
       } catch { return false; } 
     },
-    startAutoLogin: () => { 
-      try { autoLogin?.start?.(); return true; } 
+    startAutoLogin: (account) => { 
+      try { return !!accountSession(account)?.startAutoLogin(); } 
       catch { return false; } 
     },
-    injectOtp: code => { 
-      try { return !!autoLogin?.injectOtp?.(code); } 
+    injectOtp: (code, account) => { 
+      try { return !!accountSession(account)?.injectOtp(code); } 
       catch { return false; } 
     },
-    requestResend: () => { 
-      try { autoLogin?.requestResend?.(); return true; } 
+    requestResend: (account) => { 
+      try { return !!accountSession(account)?.requestResend(); } 
       catch { return false; } 
     },
-    isLoggedIn: () => isLoggedIn===true,
+    isLoggedIn: (account) => !!accountSession(account)?.isLoggedIn(),
     reloadManager: () => { 
       try { winManager?.webContents?.reload?.(); return true; } 
       catch { return false; } 
@@ -1999,8 +1509,26 @@ app.on('ready', async () => {
   }
 },
     sendDailyReports: sendDailyReports,
-    getProductsCount: () => productsLogCount,
+    getProductsCount: () => primarySession()?.countLoggedProducts() || 0,
     getActiveTimers: () => _activeTimers.size,
+    findLeads,
+    exportReports,
+    fmtBudget,
+    getLocationRules: () => locationRules?.getState?.() || null,
+    getSelectors: () => selectorProfile?.getState?.() || null,
+    getShadow: () => shadowMode?.getState?.() || null,
+    getShadowSummary: () => primarySession()?.getShadowSummary() || { count: 0, top: [] },
+    setShadow: (on, product) => product ? !!shadowMode?.setProduct?.(product, on) : !!shadowMode?.setGlobal?.(on),
+    setBudget: (kind, value, product, account) => {
+      const budget = accountSession(account)?.budget;
+      if (!budget) return false;
+      if (kind === "global") return budget.setGlobal(value);
+      if (kind === "default") return budget.setDefault(value);
+      if (kind === "product") return budget.setProduct(product, value);
+      if (kind === "quiet") return budget.setQuiet(value);
+      return false;
+    },
+    getLeadDbStats: () => leadDb?.getStats?.() || null,
     sendFile: async (filename) => {
       const safeName = String(filename).replace(/[^a-zA-Z0-9._-]/g, "_").slice(0, 100);
       if (!safeName) throw new Error("Invalid filename");
@@ -2021,12 +1549,37 @@ app.on('ready', async () => {
     }
   }
 
+  // Buttons under lead and keyword-match notifications; the callback data
+  // names the account, so an account since removed gets no target
+  const leadActions = createLeadActions({
+    log,
+    target: (account) => {
+      const s = account ? accountSessions.get(String(account).toLowerCase()) : primarySession();
+      if (!s) return null;
+      return {
+        getLead: (kind, serial) => s.getLead(kind, serial),
+        markLead: (kind, serial, id, info) => s.markLead(kind, serial, id, info),
+        addProduct: (name) => s.addProduct(name),
+        muteKeyword: (kw, ms) => s.muteKeyword(kw, ms),
+        screenshotCard: (title) => screenshotCardAsJpeg(title, account)
+      };
+    }
+  });
+
+  chatRoles = createChatRoles({
+    file: path.join(__dirname, "List", "telegram_chats.json"),
+    chatId: process.env.TELEGRAM_CHAT_ID,
+    log
+  });
+
   // Create Telegram client with all commands
   tg = createTelegramClient({
     incomingFileSaveDir: __dirname,
     token:process.env.TELEGRAM_BOT_TOKEN, 
     chatId:process.env.TELEGRAM_CHAT_ID,
     commands: allCommands,
+    roles: chatRoles,
+    onCallback: async (ctx) => (await leadActions.handle(ctx)) || (await reminders?.handle?.(ctx)) || false,
 
     onUnknown: async ({ cmd, args, send, raw }) => {
       const text = String(raw || `/${cmd}${args ? " " + args : ""}`).trim();
@@ -2055,8 +1608,9 @@ app.on('ready', async () => {
     },
 
     dropPendingOnStart:false,
-    onCommand: ({ cmd, args }) => { 
-      log("start", `Telegram: /${cmd}${args ? " " + args : ""}`); 
+    onCommand: ({ cmd, args, chat, role }) => { 
+      const from = role === "admin" ? "" : ` (${role} ${chat})`;
+      log("start", `Telegram: /${cmd}${args ? " " + args : ""}${from}`); 
     },
     onCommandResult: ({ cmd, args, reply }) => { 
       const s = String(reply || "").replace(/\s+/g, " ").slice(0, 300); 
@@ -2064,6 +1618,8 @@ app.on('ready', async () => {
     }
   });
   tg.start();
+  // Overdue reminders from before a restart go out now
+  reminders?.start?.();
 
   sendStatusReport("startup").catch(e => log("error", `startup report failed: ${e.message}`));
   scheduleEvery30Min();
@@ -2087,10 +1643,13 @@ app.on("before-quit", ()=>{
   try{ disablePowerSaveBlocker(); }catch{}
   try{ stopTimerHealthCheck(); }catch{}
   try{ stopWindowHealthCheck(); }catch{}
-  try{ watcher?.stop(); }catch{}
-  try{ productScraper?.disableAutoReload?.("quit"); productScraper?.disable?.(); }catch{}
+  for (const sess of accountSessions.values()) { try{ sess.stop(); }catch{} }
   try{ tg?.stop(); }catch{}
   try{ _safeClearInterval(dailyTimer); }catch{}
+  try{ leadDb?.close?.(); }catch{}
+  try{ reminders?.stop?.(); }catch{}
+  try{ notifier?.stop?.(); }catch{}
+  for (const sess of accountSessions.values()) { try{ sess.crm?.flush?.(); }catch{} }
   
   // ✅ Clear all tracked timers
   for (const [timerId, info] of _activeTimers) {
@@ -2171,6 +1730,83 @@ ipcMain.handle("reports:run", async (e) => {
   } 
 });
 
+const SEARCH_UI_PAGE_SIZE = 20;
+
+ipcMain.handle("leads:search", async (e, body) => {
+  if (!checkIPCRateLimit("leads:search", e.sender)) {
+    return { ok: false, error: "Too many requests" };
+  }
+  
+  try {
+    const text = String(body?.text || "").trim().slice(0, 200);
+    const page = Math.max(1, Math.min(1000, parseInt(body?.page, 10) || 1));
+    if (!text) return { ok: false, error: "Empty query" };
+    
+    const res = await leadSearch.search(text, { page, pageSize: SEARCH_UI_PAGE_SIZE });
+    const offset = (res.page - 1) * SEARCH_UI_PAGE_SIZE;
+    return {
+      ok: true,
+      total: res.total,
+      page: res.page,
+      pages: res.pages,
+      results: res.results.map((h, i) => ({ kind: h.kind, html: fmtSearchHit(h, offset + i + 1) }))
+    };
+  } catch (e) {
+    log("error", `leads:search error: ${e.message}`);
+    return { ok: false, error: e.message };
+  }
+});
+
+ipcMain.handle("shadow:get", () => shadowMode?.getState?.() || { global: false, products: [] });
+
+ipcMain.handle("shadow:set", (e, body) => {
+  if (!checkIPCRateLimit("shadow:set", e.sender)) {
+    return { ok: false, error: "Too many requests" };
+  }
+  
+  try {
+    if (typeof body?.on !== "boolean") return { ok: false, error: "Invalid type: on must be boolean" };
+    const product = typeof body?.product === "string" ? body.product.trim().slice(0, 200) : "";
+    const ok = product ? shadowMode.setProduct(product, body.on) : shadowMode.setGlobal(body.on);
+    return { ok, state: shadowMode.getState() };
+  } catch (e) {
+    log("error", `shadow:set error: ${e.message}`);
+    return { ok: false, error: e.message };
+  }
+});
+
+// Manager "Leads" table: the pipeline of the account it shows
+ipcMain.handle("crm:list", (e, filter, account) => {
+  if (!checkIPCRateLimit("crm:list", e.sender)) {
+    return { ok: false, error: "Too many requests" };
+  }
+  const crm = crmFor(account);
+  if (!crm) return { ok: false, error: "Lead pipeline not ready" };
+  const f = typeof filter === "string" ? filter.slice(0, 20) : "open";
+  return { ok: true, leads: crm.list({ filter: f }), summary: crm.summary() };
+});
+
+ipcMain.handle("crm:update", (e, body, account) => {
+  if (!checkIPCRateLimit("crm:update", e.sender)) {
+    return { ok: false, error: "Too many requests" };
+  }
+  try {
+    const crm = crmFor(account);
+    if (!crm) return { ok: false, error: "Lead pipeline not ready" };
+    const id = parseInt(body?.id, 10);
+    if (!(id > 0)) return { ok: false, error: "Invalid lead id" };
+    const patch = {};
+    for (const k of ["status", "quote", "note", "assignee", "followUp"]) {
+      if (typeof body?.patch?.[k] === "string") patch[k] = body.patch[k].slice(0, 500);
+    }
+    if (body?.patch?.reopen === true) patch.reopen = true;
+    return crm.update(id, patch, "Manager");
+  } catch (e) {
+    log("error", `crm:update error: ${e.message}`);
+    return { ok: false, error: e.message };
+  }
+});
+
 ipcMain.handle("win:minimize",(e)=>BrowserWindow.fromWebContents(e.sender)?.minimize());
 ipcMain.handle("win:maximize",(e)=>{ 
   const w=BrowserWindow.fromWebContents(e.sender); 
@@ -2184,10 +1820,37 @@ ipcMain.handle("win:close",(e)=>{
   try{ w.destroy(); }catch{} 
 });
 
-ipcMain.handle("leads:getState",()=>buildState());
+ipcMain.handle("leads:getState",(_e, account)=>buildState(account));
+
+ipcMain.handle("accounts:list", () => listAccounts().map(({ id, label, primary }) => ({ id, label, primary })));
+
+// Lists of the account the Manager shows; the primary account also keeps
+// its copy in the Manager's localStorage (updateManagerLists)
+ipcMain.handle("lists:get", (_e, account) => {
+  const s = accountSession(account);
+  return { products: s?.listProducts() || [], keywords: s?.listKeywords() || [] };
+});
+
+ipcMain.handle("lists:saveProducts", (_e, items = [], account) => {
+  try {
+    const arr = validateArray(items, 500).map(v => String(v).slice(0, 200));
+    return { ok: !!accountSession(account)?.saveProducts(arr) };
+  } catch (e) {
+    return { ok: false, error: e.message };
+  }
+});
+
+ipcMain.handle("lists:saveKeywords", (_e, items = [], account) => {
+  try {
+    const arr = validateArray(items, 500).map(v => String(v).slice(0, 200));
+    return { ok: !!accountSession(account)?.saveKeywords(arr) };
+  } catch (e) {
+    return { ok: false, error: e.message };
+  }
+});
 
 // ✅ FIX #9: Enhanced IPC validation for leads:start
-ipcMain.handle("leads:start", (e, ms) => {
+ipcMain.handle("leads:start", (e, ms, account) => {
   if (!checkIPCRateLimit("leads:start", e.sender)) {
     return { ok: false, error: "Too many requests" };
   }
@@ -2200,33 +1863,23 @@ ipcMain.handle("leads:start", (e, ms) => {
     
     const startMs = validateMs(ms);
     
-    if (productScraper && typeof productScraper.enableAutoReload === "function") {
-      productScraper.enableAutoReload(startMs, () => watcher?.setReloading(true));
-      log("start", `Auto-refresh started @ ${Math.round(startMs/1000)}s`);
-      pendingStartMs = null;
-      broadcast();
-      return { ok: true, queued: false };
-    }
-    
-    pendingStartMs = startMs;
-    log("info", `Auto-refresh queued @ ${Math.round(startMs/1000)}s`);
-    broadcast();
-    return { ok: true, queued: true };
+    const sess = accountSession(account);
+    if (!sess) return { ok: false, error: "Unknown account" };
+    const ok = sess.enableAuto(startMs);
+    // The page has not loaded yet: wireModules applies the start
+    return { ok, queued: ok && !sess.getState().enabled };
   } catch (e) {
     log("error", `leads:start error: ${e.message}`);
     return { ok: false, error: e.message };
   }
 });
 
-ipcMain.handle("leads:stop", (e) => {
+ipcMain.handle("leads:stop", (e, account) => {
   if (!checkIPCRateLimit("leads:stop", e.sender)) {
     return { ok: false, error: "Too many requests" };
   }
   
-  productScraper?.disableAutoReload("ui stop"); 
-  productScraper?.disable?.(); 
-  broadcast(); 
-  return {ok:true}; 
+  return { ok: !!accountSession(account)?.disableAuto("ui stop") };
 });
 
 // ✅ FIX #12: Enhanced lockscreen:tryUnlock validation
@@ -2269,25 +1922,20 @@ ipcMain.handle("lockscreen:unlock", () => {
   catch { return false; } 
 });
 
-ipcMain.handle("mc:manual", async (e) => {
+ipcMain.handle("mc:manual", async (e, account) => {
   if (!checkIPCRateLimit("mc:manual", e.sender)) {
     return { ok: false, error: "Too many requests" };
   }
   
-  try {
-    await mc?.enqueue?.({ reason: "manual" });
-  } catch (e) {
-    log("error", "MC enqueue (manual) failed: " + (e?.message || e));
-  }
-  try {
-    await safeReloadLeads("manual");
-  } catch (e) {
-    log("error", "manual refresh failed: " + (e?.message || e));
-  }
+  const sess = accountSession(account);
+  if (!sess) return { ok: false, error: "Unknown account" };
+  try { await sess.runMessageCentre("manual"); }
+  catch (err) { log("error", "MC enqueue (manual) failed: " + (err?.message || err)); }
+  try { await sess.reload("manual"); }
+  catch (err) { log("error", "manual refresh failed: " + (err?.message || err)); }
   return { ok: true };
 });
 
-
 // ✅ FIX: Network Stability - Prevent Flapping
 let networkDebounceTimer = null;
 let networkCheckInProgress = false;
@@ -2301,7 +1949,7 @@ let consecutiveOfflineChecks = 0;
 try {
   const { ipcMain: ipc, net: netMod } = require("electron");
   const PROBE_URLS = [
-    "https://seller.indiamart.com/favicon.ico",
+    `${SELLER_BASE_URL}/favicon.ico`,
     "https://www.gstatic.com/generate_204",
     "https://www.google.com/favicon.ico" // ✅ Added fallback
   ];
@@ -2365,10 +2013,9 @@ try {
           if (consecutiveOfflineChecks >= NETWORK_STABLE_CHECKS) {
             if (typeof isNetworkOnline === "undefined" || isNetworkOnline !== false) {
               isNetworkOnline = false;
-              try { productScraper?.disableAutoReload?.("renderer offline"); } catch {}
-              try { pauseScraper?.("renderer offline"); } catch {}
               log("info", "Network CONFIRMED offline (2 checks)");
               try { broadcast?.(); } catch {}
+              for (const sess of accountSessions.values()) { try { sess.setNetworkOnline(false); } catch {} }
             }
           } else {
             log("debug", `Offline check ${consecutiveOfflineChecks}/${NETWORK_STABLE_CHECKS}`);
@@ -2388,9 +2035,8 @@ try {
             if (typeof isNetworkOnline === "undefined" || isNetworkOnline !== true) {
               isNetworkOnline = true;
               log("info", "Network CONFIRMED online (verified 2 checks)");
-              if (!productScraper) pendingResume = true;
-              try { resumeScraperIfAllowed?.(); } catch {}
               try { broadcast?.(); } catch {}
+              for (const sess of accountSessions.values()) { try { sess.setNetworkOnline(true); } catch {} }
             }
           } else {
             log("debug", `Online check ${consecutiveOnlineChecks}/${NETWORK_STABLE_CHECKS}`);
@@ -2402,10 +2048,9 @@ try {
           if (consecutiveOfflineChecks >= NETWORK_STABLE_CHECKS) {
             if (typeof isNetworkOnline === "undefined" || isNetworkOnline !== false) {
               isNetworkOnline = false;
-              try { productScraper?.disableAutoReload?.("probe failed"); } catch {}
-              try { pauseScraper?.("probe failed"); } catch {}
               log("info", "Network offline (probe failed 2x)");
               try { broadcast?.(); } catch {}
+              for (const sess of accountSessions.values()) { try { sess.setNetworkOnline(false); } catch {} }
             }
           }
         }
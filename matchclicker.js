@@ -3,6 +3,20 @@
 
 const fs = require("node:fs");
 const path = require("node:path");
+const { splitFuzzyFlag, fuzzyFind } = require("./fuzzy");
+const { parseCriterion, checkCriterion } = require("./leadfields");
+const { createSelectorProfile, PAGE_HELPERS } = require("./selectors");
+
+// A product rule's identity for shadow mode, click budgets and service-area
+// rules: its base phrase ("machine -used @fuzzy" -> "machine"), so editing
+// the flags keeps those settings. A rule without one keeps its full text.
+function ruleKey(src) {
+  const { text } = splitFuzzyFlag(src);
+  const toks = text.toLowerCase().match(/\([^)]*\)|\S+/g) || [];
+  const base = toks.filter(tok => !tok.startsWith("(") && !parseCriterion(tok) && !/^@\d+$/.test(tok) &&
+    !(tok.length > 1 && (tok[0] === "-" || tok[0] === "+")));
+  return base.map(t => t.replace(/_/g, " ").trim()).join(" ").trim() || toks.join(" ");
+}
 
 class ClickBuffer {
   constructor(windowMs, maxSize) {
@@ -47,15 +61,27 @@ function createMatchClicker({
   log = (...args) => { try { console.log(...args); } catch {} },
   getProducts = () => [],
   send = () => {},
+  // Structured copy of each click attempt for notifier.js
+  emit = () => {},
+  // ({ key, index, title, product }) after each successful click, for the
+  // Message Centre run and the post-click refresh
+  onClick = () => {},
   dedupeMs = 5 * 60 * 1000,
   recentClickIgnoreCycles = 1,
   silent = true,
   notify = send,
   maxReportRows = 2000,
+  db = null,
+  budget = null,
+  isShadow = () => false,
+  checkLocation = null,
+  selectors = null,
+  reportsDir = path.join(__dirname, "Reports"),
 }) {
   if (!win || win.isDestroyed && win.isDestroyed()) throw new Error("Matchclicker: invalid window");
+  const profile = selectors || createSelectorProfile({ log });
 
-  const OUTPUT_DIR = path.join(__dirname, "Reports");
+  const OUTPUT_DIR = reportsDir;
   const MATCH_JSON = path.join(OUTPUT_DIR, "matchclick.json");
   try { fs.mkdirSync(OUTPUT_DIR, { recursive: true }); } catch (e) {}
 
@@ -86,6 +112,34 @@ function createMatchClicker({
     }
   };
 
+  // Shadow mode: would-be clicks, never sent to the page
+  const SHADOW_JSON = path.join(OUTPUT_DIR, "shadow_matches.json");
+  let _shadowRows = [];
+  try {
+    if (fs.existsSync(SHADOW_JSON)) {
+      const _data = JSON.parse(fs.readFileSync(SHADOW_JSON, "utf8"));
+      if (Array.isArray(_data)) _shadowRows = _data;
+    }
+  } catch {}
+
+  const _shadowWriteJson = () => {
+    try {
+      if (_shadowRows.length > maxReportRows) _shadowRows = _shadowRows.slice(0, maxReportRows);
+      fs.writeFileSync(SHADOW_JSON, JSON.stringify(_shadowRows, null, 2), "utf8");
+    } catch (e) {
+      try { log("error", "Shadow JSON write failed: " + (e && e.message || e)); } catch {}
+    }
+  };
+
+  function getShadowSummary() {
+    const byProduct = new Map();
+    for (const r of _shadowRows) byProduct.set(r.matched, (byProduct.get(r.matched) || 0) + 1);
+    return {
+      count: _shadowRows.length,
+      top: [...byProduct.entries()].sort((a, b) => b[1] - a[1]).slice(0, 3)
+    };
+  }
+
   const _mc_ts = () => {
     const d = new Date();
     const p = n => String(n).padStart(2, "0");
@@ -114,13 +168,17 @@ function createMatchClicker({
     return "";
   }
 
-  function buildFancyMessage(rawTitle, matched, status) {
+  function buildFancyMessage(rawTitle, matched, status, why = null) {
     const lines = [];
     lines.push("✨ Product Matched");
     lines.push(`🛒 ${rawTitle}`);
     if (matched) {
       lines.push(`🧩 Matched With: ${String(matched).toLowerCase()}`);
     }
+    if (why?.fired?.length) {
+      const need = why.minScore ? ` (min ${why.minScore})` : "";
+      lines.push(`🎯 Score ${why.score}${need}: ${why.fired.join(", ")}`);
+    }
     const loc = extractLocation(rawTitle);
     if (loc) {
       lines.push(`📍 ${loc}`);
@@ -131,6 +189,8 @@ function createMatchClicker({
       lines.push("❌ Click Failed");
     } else if (status === "Skip") {
       lines.push("⭐ Click Skipped (Recently Clicked)");
+    } else if (status === "shadow") {
+      lines.push("🕶️ Would Click (Shadow Mode – not clicked)");
     }
     return lines.join("\n");
   }
@@ -184,13 +244,127 @@ function createMatchClicker({
     return re;
   }
 
+  // Product rule syntax (only characters /addprod and the Manager list accept):
+  //   conveyor belt             base phrase, must match (plain entries work as before)
+  //   -used -cleaning_service   exclusion: any hit rejects the product
+  //   (rubber pvc nylon_coated) required-any group: at least one term must appear
+  //   +heavy +heavy_duty@3      bonus term, adds 1 (or @N) to the score
+  //   @2                        minimum score for this product
+  //   @fuzzy / @fuzzy1          tolerant matching for every term (see fuzzy.js)
+  //   @qty2 @value50k @gst      BuyLead criteria, all must hold (see leadfields.js):
+  //   @mobile @member1y @fresh30  qty ≥ 2, order value ≥ ₹50k, GST/mobile verified,
+  //                             member ≥ 1 year, posted ≤ 30 min ago
+  // "_" is a space inside a term. The base phrase and every required group
+  // that fired score 1 each.
+  const termText = (t) => String(t || "").replace(/_/g, " ").trim();
+
+  function compileRule(src) {
+    const base = [], groups = [], bonus = [], negative = [], criteria = [];
+    let minScore = 0;
+    const { text, fuzzy } = splitFuzzyFlag(src);
+    const toks = text.toLowerCase().match(/\([^)]*\)|\S+/g) || [];
+
+    for (const tok of toks) {
+      if (tok.startsWith("(")) {
+        const terms = tok.slice(1, -1).split(/\s+/).map(termText).filter(Boolean)
+          .map(t => ({ term: t, re: phraseRegex(t) })).filter(t => t.re);
+        if (terms.length) groups.push(terms);
+      } else if (parseCriterion(tok)) {
+        criteria.push(parseCriterion(tok));
+      } else if (/^@\d+$/.test(tok)) {
+        minScore = parseInt(tok.slice(1), 10);
+      } else if (tok.length > 1 && tok[0] === "-") {
+        const term = termText(tok.slice(1));
+        const re = term && phraseRegex(term);
+        if (re) negative.push({ term, re });
+      } else if (tok.length > 1 && tok[0] === "+") {
+        const m = /^\+(.+?)(?:@(\d+))?$/.exec(tok);
+        const term = termText(m?.[1]);
+        const re = term && phraseRegex(term);
+        if (re) bonus.push({ term, re, weight: m?.[2] ? parseInt(m[2], 10) : 1 });
+      } else {
+        base.push(termText(tok));
+      }
+    }
+
+    const phrase = base.join(" ").trim();
+    const re = phrase ? phraseRegex(phrase) : null;
+    if (!re && !groups.length && !bonus.length) return null;
+    return { name: src, key: ruleKey(src), phrase, re, groups, bonus, negative, criteria, minScore, fuzzy };
+  }
+
   function compileProducts() {
     const src = getProducts() || [];
     // ✅ Use cached regexes
-    return src.map((p) => {
-      const re = phraseRegex(p);
-      return re ? { name: p, re } : null;
-    }).filter(x => x);
+    return src.map(compileRule).filter(x => x);
+  }
+
+  async function testTerm(re, title) {
+    try {
+      return await safeRegexTest(re, title, 500);
+    } catch (e) {
+      if (e.message === 'Regex timeout') {
+        log("warning", `Regex Timeout for Pattern: ${re}`);
+      }
+      return false;
+    }
+  }
+
+  // Exact regex, or for @fuzzy rules the title words that matched. Returns
+  // the label to show in "fired", or null.
+  async function findTerm(p, term, re, title, rawTitle) {
+    if (p.fuzzy) {
+      const hit = fuzzyFind(term, rawTitle, { maxEdits: p.fuzzy.maxEdits });
+      return hit ? (hit === term ? term : `${term}~${hit}`) : null;
+    }
+    return (await testTerm(re, title)) ? term : null;
+  }
+
+  // -> { ok, score, minScore, fired: [...], excludedBy, unmet }
+  async function scoreProduct(p, title, rawTitle = title, item = {}) {
+    const fired = [];
+    let score = 0;
+
+    if (p.re) {
+      const hit = await findTerm(p, p.phrase, p.re, title, rawTitle);
+      if (!hit) return { ok: false, score: 0, fired };
+      score += 1;
+      fired.push(`"${hit}"`);
+    }
+
+    for (const group of p.groups) {
+      let hit = null;
+      for (const t of group) {
+        hit = await findTerm(p, t.term, t.re, title, rawTitle);
+        if (hit) break;
+      }
+      if (!hit) return { ok: false, score, fired };
+      score += 1;
+      fired.push(`(${hit})`);
+    }
+
+    for (const n of p.negative) {
+      if (await findTerm(p, n.term, n.re, title, rawTitle)) {
+        return { ok: false, score, fired, excludedBy: n.term };
+      }
+    }
+
+    // Title matched; the scraped card fields must satisfy every criterion
+    for (const c of p.criteria) {
+      const r = checkCriterion(c, item);
+      if (!r.ok) return { ok: false, score, fired, unmet: `${c.label}: ${r.why}` };
+      fired.push(r.why);
+    }
+
+    for (const b of p.bonus) {
+      const hit = await findTerm(p, b.term, b.re, title, rawTitle);
+      if (hit) {
+        score += b.weight;
+        fired.push(`+${hit}${b.weight !== 1 ? `@${b.weight}` : ""}`);
+      }
+    }
+
+    return { ok: score > 0 && score >= p.minScore, score, minScore: p.minScore, fired };
   }
 
   const exec = (code) => win.webContents.executeJavaScript(code, true);
@@ -215,29 +389,17 @@ function createMatchClicker({
   async function clickContactBtnForIndex(idx) {
     const js = `
       (function(){
-        const idx = ${Number(idx)};
-        const sels = [
-          '#list' + idx + ' .Slid_CTA span',
-          '#list' + idx + ' .Slid_CTA button',
-          '#list' + idx + ' [data-action="contact"]',
-          '#list' + idx + ' .contact, #list' + idx + ' .btn-contact',
-          '#list' + idx + ' > div:nth-child(3) > div.Slid_CTA > div > span'
-        ];
-        for (const s of sels) {
-          const el = document.querySelector(s);
-          if (el) { el.click(); return { ok:true, via:s }; }
-        }
-        try {
-          const xp = '//*[@id="list' + idx + '"]/div[3]/div[2]/div/span';
-          const r = document.evaluate(xp, document, null, XPathResult.FIRST_ORDERED_NODE_TYPE, null);
-          const el = r.singleNodeValue;
-          if (el) { el.click(); return { ok:true, via:'xpath' }; }
-        } catch(e) {}
-        return { ok:false, via:'none' };
+        ${PAGE_HELPERS}
+        const r = __sel.find(${JSON.stringify(profile.get("buylead.contact"))}, { i: ${Number(idx)} });
+        if (r.el) { r.el.click(); return { ok:true, via:r.via }; }
+        return { ok:false, via:-1 };
       })();
     `;
     try { 
       const res = await exec(js); 
+      profile.record("buylead.contact", res?.ok ? res.via : -1, {
+        snapshot: () => exec("document.documentElement.outerHTML")
+      });
       return !!(res && res.ok); 
     } catch (e) { 
       try { log("error", "Exec Click Error: " + (e && e.message || e)); } catch {} 
@@ -247,6 +409,9 @@ function createMatchClicker({
 
   let lastCycle = -1;
   let cooldown = new Set();
+  // Cards whose click failed: retried every cycle, but reported once while
+  // they stay on the page
+  let failedKeys = new Set();
 
   const recentClicked = new Map(); // TTL map: sig -> expireCycle
   
@@ -338,17 +503,16 @@ function createMatchClicker({
 
       let useItems = Array.isArray(items) ? items.slice() : [];
       if (!useItems.length) {
+        const sel = profile.pick(["buylead.card", "buylead.rowTitle"]);
         const dom = await exec(`
           (function(){
+            ${PAGE_HELPERS}
+            const S = ${JSON.stringify(sel)};
             const out = [];
-            let i = 1;
-            for (;;) {
-              const row = document.getElementById('list' + i);
-              if (!row) break;
-              const t1 = row.querySelector('.Bl_Txt a, .Bl_Txt, .bl_text, .title, h3, h4, h2');
+            for (let i = 1; __sel.find(S["buylead.card"], { i }).el; i++) {
+              const t1 = __sel.find(S["buylead.rowTitle"], { i }).el;
               const title = (t1 && t1.textContent || '').trim();
               out.push({ index: i, title });
-              i++;
             }
             return out;
           })();
@@ -373,6 +537,8 @@ function createMatchClicker({
 
       const seenNow = new Set();
       let clickedKeys = [];
+      const heldKeys = []; // shadowed or rejected: cooled down, not clicked
+      let shadowAdded = 0;
 
       for (const it of useItems) {
 const idx = Number(it.index ?? it.i ?? it.id ?? 0);
@@ -395,18 +561,18 @@ if (cooldown.has(stableKey)) {
 
 const titleSig = title;
 
-        let matched = null;
+        // Highest score wins; earlier products.json entries win ties
+        let matched = null, matchedKey = null, why = null, excluded = null;
         for (const p of prods) {
-          try {
-            const isMatch = await safeRegexTest(p.re, title, 500);
-            if (isMatch) {
-              matched = p.name;
-              break;
-            }
-          } catch (e) {
-            if (e.message === 'Regex timeout') {
-              log("warning", `Regex Timeout for Pattern: ${p.name}`);
-            }
+          const r = await scoreProduct(p, title, rawTitle, it);
+          if (r.ok && (!why || r.score > why.score)) {
+            matched = p.name;
+            matchedKey = p.key;
+            why = r;
+          } else if (r.excludedBy && !excluded) {
+            excluded = `"-${r.excludedBy}" in ${p.name}`;
+          } else if (r.unmet && !excluded) {
+            excluded = `${r.unmet} in ${p.name}`;
           }
         }
 
@@ -415,51 +581,114 @@ const titleSig = title;
           const wasClickedRecently = typeof exp === "number" && cycle <= exp;
           if (wasClickedRecently) {
             const dedupeKey = `M|${idx}|${title}|recent-Skip`;
-            const fancyMsg = buildFancyMessage(rawTitle || title, Matched, "Skip");
+            const fancyMsg = buildFancyMessage(rawTitle || title, matched, "Skip", why);
             try { log("info", fancyMsg); } catch {}
             maybeNotify("recent-Skip", dedupeKey, fancyMsg);
             continue;
           }
           
+          // Service area (locationrules.js): rejected rows keep the reason
+          const area = checkLocation?.(matchedKey, it) || { ok: true };
+          if (!area.ok) {
+            _mc_newMatches.push({
+              title: rawTitle || title,
+              index: idx,
+              matched,
+              status: "rejected",
+              reason: area.reason,
+              timestamp: _mc_ts()
+            });
+            const msg = `Matchclick: Rejected ${stableKey} – "${title}" (${matched}: ${area.reason})`;
+            try { log("info", msg); } catch {}
+            maybeNotify("rejected", `R|${title}`, msg);
+            heldKeys.push(stableKey);
+            continue;
+          }
+
+          if (isShadow(matchedKey)) {
+            _shadowRows.unshift({
+              title: rawTitle || title,
+              index: idx,
+              matched,
+              score: why?.score ?? 0,
+              fired: why?.fired || [],
+              timestamp: _mc_ts()
+            });
+            shadowAdded++;
+            const fancyMsg = buildFancyMessage(rawTitle || title, matched, "shadow", why);
+            try { log("info", `Matchclick: Shadow ${stableKey} – "${title}" (Matched: ${matched})`); } catch {}
+            maybeNotify("shadow", `S|${title}`, fancyMsg);
+            heldKeys.push(stableKey);
+            continue;
+          }
+
+          // Credits: per-product / daily caps and quiet hours (clickbudget.js)
+          const gate = budget?.check?.(matchedKey) || { ok: true };
+          if (!gate.ok) {
+            const msg = `Matchclick: Budget Skip ${stableKey} – "${title}" (${matched}: ${gate.reason})`;
+            try { log("info", msg); } catch {}
+            // Not cooled down: retried once quiet hours end or the cap is raised
+            maybeNotify("budget-skip", `B|${title}|${gate.reason}`, msg);
+            continue;
+          }
+
           let ok = await clickContactBtnForIndex(idx);
+          if (ok) { try { budget?.record?.(matchedKey); } catch {} }
+          if (!ok && failedKeys.has(stableKey)) {
+            try { log("info", `Matchclick: Button still not Found for ${stableKey}`); } catch {}
+            continue;
+          }
           const outcome = ok ? "ok" : "fail";
           const dedupeKey = `M|${idx}|${title}|${outcome}`;
-          const fancyMsg = buildFancyMessage(rawTitle || title, matched, outcome);
+          const fancyMsg = buildFancyMessage(rawTitle || title, matched, outcome, why);
           try { log(ok ? "info" : "error", fancyMsg); } catch {}
           maybeNotify(ok ? "Match-ok" : "Match-fail", dedupeKey, fancyMsg);
+          try { emit("click", { title: rawTitle || title, product: matched, status: outcome, score: why?.score ?? 0, fired: why?.fired || [] }); } catch {}
           
+          // Failed clicks are kept too so the daily digest can report a success ratio
+          _mc_newMatches.push({ 
+            title: rawTitle || title, 
+            index: idx, 
+            matched, 
+            status: outcome, 
+            timestamp: _mc_ts() 
+          });
+
           if (ok) {
-            _mc_newMatches.push({ 
-              title: rawTitle || title, 
-              index: idx, 
-              Matched, 
-              status: "ok", 
-              timestamp: _mc_ts() 
-            });
             recentClicked.set(titleSig, cycle + Math.max(1, recentClickIgnoreCycles));
             
             clickBuffer.add(Date.now());
             
             clickedKeys.push(stableKey);
-            try { log("info", `Matchclick: Clicked ${stableKey} – "${title}" (Matched: ${Matched})`); } catch {}
+            failedKeys.delete(stableKey);
+            try { log("info", `Matchclick: Clicked ${stableKey} – "${title}" (Matched: ${matched})`); } catch {}
+            try { onClick({ key: stableKey, index: idx, title: rawTitle || title, product: matched }); } catch {}
           } else {
+            failedKeys.add(stableKey);
             try { log("error", `Matchclick: Button not Found for ${stableKey}`); } catch {}
           }
         } else {
           const dedupeKey = `N|${idx}|${title}`;
-          const msg = `Attempted Match for "${rawTitle || title}" (${stableKey}) – Matched: no`;
+          const msg = `Attempted Match for "${rawTitle || title}" (${stableKey}) – Matched: no${excluded ? ` (excluded by ${excluded})` : ""}`;
           try { log("info", `Matchclick: ${msg}`); } catch {}
           maybeNotify("noMatch", dedupeKey, msg);
         }
       }
 
+      if (shadowAdded) _shadowWriteJson();
+
       if (_mc_newMatches.length) {
-        for (const m of _mc_newMatches) _mc_jsonRows.unshift(m);
+        for (const m of _mc_newMatches) {
+          _mc_jsonRows.unshift(m);
+          try { db?.addClick?.(m); } catch {}
+        }
         _mc_writeJson();
       }
 
       cooldown = new Set([...cooldown].filter((k) => seenNow.has(k)));
+      failedKeys = new Set([...failedKeys].filter((k) => seenNow.has(k)));
       for (const ck of clickedKeys) cooldown.add(ck);
+      for (const hk of heldKeys) cooldown.add(hk);
 
       if (cooldown.size > MAX_COOLDOWN) {
         const arr = Array.from(cooldown);
@@ -493,10 +722,13 @@ const titleSig = title;
       sentCacheSize: sentCache.size,
       persistedKeysSize: persistedKeys.size,
       jsonRowsCount: _mc_jsonRows.length,
-      regexCacheSize: regexCache.size // ✅ NEW: Report cache size
+      regexCacheSize: regexCache.size, // ✅ NEW: Report cache size
+      shadowRowsCount: _shadowRows.length
     }),
+    getShadowSummary,
     reset: () => {
       cooldown.clear();
+      failedKeys.clear();
       recentClicked.clear();
       clickBuffer.clear();
       sentCache.clear();
@@ -505,6 +737,7 @@ const titleSig = title;
     },
     deepReset: () => {
       cooldown.clear();
+      failedKeys.clear();
       recentClicked.clear();
       clickBuffer.clear();
       sentCache.clear();
@@ -512,9 +745,11 @@ const titleSig = title;
       regexCache.clear(); // ✅ Clear regex cache on deep reset
       _mc_jsonRows = [];
       _mc_writeJson();
+      _shadowRows = [];
+      _shadowWriteJson();
       try { log("info", "MatchClicker: deep reset complete"); } catch {}
     }
   };
 }
 
-module.exports = { createMatchClicker };
\ No newline at end of file
+module.exports = { createMatchClicker, ruleKey };
\ No newline at end of file
@@ -1,7 +1,15 @@
 const { BrowserWindow, clipboard } = require("electron");
 const fs = require("node:fs");
+const crypto = require("node:crypto");
 const fsp = require("node:fs/promises");
 const path = require("node:path");
+const { createSelectorProfile, PAGE_HELPERS } = require("./selectors");
+const { leadKeyboard } = require("./leadactions");
+const { createLeadCrm } = require("./leadcrm");
+const { createHandoff } = require("./handoff");
+const { describeReturning } = require("./buyerindex");
+const { checkGstin, gstFields, describeGstin } = require("./gstin");
+const { parsePhone, phoneKey, phoneFields, phoneLine } = require("./phone");
 
 const CFG = Object.freeze({
   maxBlocks: 4, 
@@ -22,8 +30,7 @@ const writeAtomic = async (file, data, isText=false) => {
   await fsp.rename(tmp, file);
 };
 
-const last10 = (m) => String(m||"").replace(/\D/g,"").slice(-10);
-const idKeyOf = (r) => [String(r.product||"").toLowerCase().trim(), String(r.buyer||"").toLowerCase().trim(), last10(r.mobile)].join("|");
+const idKeyOf = (r) => [String(r.product||"").toLowerCase().trim(), String(r.buyer||"").toLowerCase().trim(), phoneKey(r.mobile)].join("|");
 const logKeyOf = (r) => idKeyOf(r) + "|" + String(r.time||"").toLowerCase().trim();
 const esc = (s) => (s||"").replace(/&/g,"&amp;").replace(/</g,"&lt;").replace(/>/g,"&gt;").replace(/"/g,"&quot;");
 const nowTS = () => { 
@@ -128,8 +135,9 @@ function safeRestoreClipboard(original, log) {
 }
 
 class LeadStore {
-  constructor(dir){
-    this.outDir = path.join(dir||__dirname, "Reports");
+  constructor(outDir, db=null){
+    this.db = db;
+    this.outDir = outDir || path.join(__dirname, "Reports");
     try { fs.mkdirSync(this.outDir, { recursive: true }); } catch {}
     this.jsonFile = path.join(this.outDir, "messagecentre_log.json");
     this.rows=[]; 
@@ -190,6 +198,9 @@ class LeadStore {
         const changed=this.mergeFill(this.rows[idx], row);
         if(changed.length){ 
           this.rows[idx].timestamp=this.rows[idx].timestamp||ts; 
+          if(changed.includes("gstin")||changed.includes("address")) Object.assign(this.rows[idx], gstFields(this.rows[idx]));
+          if(changed.includes("mobile")) Object.assign(this.rows[idx], phoneFields(this.rows[idx]));
+          try { this.db?.upsertLead?.(this.rows[idx]); } catch {}
           this._debouncedFlush(); 
           return {action:"merge", index:idx, changedFields:changed}; 
         }
@@ -209,6 +220,10 @@ class LeadStore {
       gstin:row.gstin||"",
       address:row.address||"", 
       time:row.time||"", 
+      // gstin.js: decoded state and PAN, "ok" | "invalid" | "mismatch"
+      ...gstFields(row),
+      // phone.js: "mobile" | "landline" | …, "ok" | "masked" | "incomplete" | "invalid"
+      ...phoneFields(row),
       notified:false, 
       lastSig:"" 
     };
@@ -217,12 +232,55 @@ class LeadStore {
     this.rows.unshift(rec); 
     this.logKeys.add(logKeyOf(row)); 
     this.idIndex.set(ik,0); 
+    try { this.db?.upsertLead?.(rec); } catch {}
     this._debouncedFlush();
     return {action:"new", index:0};
   }
   
   get(i){return this.rows[i]}
+
+  // Pipeline lead number (leadcrm.js) for the row at i
+  link(i, leadId){
+    const r=this.rows[i];
+    if(r && r.lead!==leadId){
+      r.lead=leadId;
+      this._debouncedFlush();
+    }
+  }
+
+  byLead(leadId){
+    return this.rows.find(r => Number(r?.lead) === Number(leadId)) || null;
+  }
+
+  // Telegram button state (leadactions.js), mirrored from the pipeline; info
+  // null clears the action
+  markAction(leadId, id, info){
+    const r = this.byLead(leadId);
+    if (!r) return null;
+    r.actions = { ...(r.actions || {}) };
+    if (info) r.actions[id] = info; else delete r.actions[id];
+    this._debouncedFlush();
+    return r;
+  }
   
+  // Earlier enquiries by the same buyer (buyerindex.js); null for a new one
+  markReturning(i,info){
+    const r=this.rows[i];
+    if(!r) return;
+    if(info) r.returning={ count:info.count, lastAt:info.lastAt, lastProduct:info.lastProduct };
+    else delete r.returning;
+    this._debouncedFlush();
+  }
+
+  // Contact card (handoff.js) last sent for the row at i
+  markCard(i,sig){
+    const r=this.rows[i];
+    if(r && r.cardSig!==sig){
+      r.cardSig=sig;
+      this._debouncedFlush();
+    }
+  }
+
   markSig(i,sig){ 
     const r=this.rows[i]; 
     if(r){ 
@@ -272,61 +330,58 @@ class LeadStore {
   }
 }
 
+// specs: [{ key, sels }] -> { values: { key: text|'---' }, via: { key: candidate index|-1 } }
 async function readTextFields(win, specs){
   const code = `(function(S){
-    const $=s=>document.querySelector(s), 
-          xp=s=>document.evaluate(s,document,null,XPathResult.FIRST_ORDERED_NODE_TYPE,null).singleNodeValue, 
-          txt=n=>n?(n.textContent||"").trim().replace(/\\s+/g," "):""; 
-    const o={}; 
+    ${PAGE_HELPERS}
+    const txt=n=>n?(n.textContent||"").trim().replace(/\\s+/g," "):""; 
+    const values={}, via={}; 
     for(const f of S){ 
-      let v=f.textCss?txt($(f.textCss)):""; 
-      if(!v&&f.textXp) v=txt(xp(f.textXp)); 
-      o[f.key]=v||'---'; 
+      const r=__sel.find(f.sels, null, null, n=>!!txt(n)); 
+      values[f.key]=txt(r.el)||'---'; 
+      via[f.key]=r.via; 
     } 
-    return o;
+    return { values, via };
   })(${JSON.stringify(specs)})`;
   return win.webContents.executeJavaScript(code,true);
 }
 
-async function clickAny(win, css, xp, scopeSel){
-  const code = `(function(css,xp,scope){
-    const root=scope?document.querySelector(scope):document; 
-    if(!root) return false; 
+// Clicks the first visible candidate (inside the first matching scope, if
+// given). Returns the candidate index, or -1.
+async function clickAny(win, sels, scopeSels=null, vars=null){
+  const code = `(function(sels,scope,vars){
+    ${PAGE_HELPERS}
+    const root=scope?__sel.find(scope, vars).el:document; 
+    if(!root) return -1; 
     const vis=e=>e&&e.getBoundingClientRect().width>0&&e.getBoundingClientRect().height>0; 
     const tap=e=>{
       try{e.scrollIntoView({block:'center',inline:'center'})}catch{}; 
       e.dispatchEvent?.(new MouseEvent('click',{bubbles:true})); 
       e.click?.(); 
-      return true;
     }; 
-    try{ 
-      if(css){ 
-        const el=(scope? root.querySelector(css.startsWith(':scope')?css:(':scope '+css)) : document.querySelector(css)); 
-        if(vis(el)) return tap(el.ownerSVGElement||el);
-      } 
-    }catch{} 
-    try{ 
-      if(xp){ 
-        const el=document.evaluate(xp,root,null,XPathResult.FIRST_ORDERED_NODE_TYPE,null).singleNodeValue; 
-        if(vis(el)) return tap(el.ownerSVGElement||el);
-      } 
-    }catch{} 
-    return false;
-  })(${JSON.stringify(css)},${JSON.stringify(xp)},${JSON.stringify(scopeSel)})`;
+    const r=__sel.find(sels, vars, root, vis); 
+    if(!r.el) return -1; 
+    tap(r.el.ownerSVGElement||r.el); 
+    return r.via;
+  })(${JSON.stringify(sels)},${JSON.stringify(scopeSels)},${JSON.stringify(vars)})`;
   return win.webContents.executeJavaScript(code,true);
 }
 
-function formatLead(label, r){
-  const ph=last10(r.mobile), wa=ph?`https://wa.me/91${ph}`:"";
+// handoff (handoff.js) adds a pre-filled chat link per WhatsApp template
+function formatLead(label, r, handoff=null){
+  const ph=parsePhone(r.mobile), wa=ph.wa?`https://wa.me/${ph.wa}`:"";
+  const chats=(handoff?.links?.(r) || []).map(l => `<a href="${esc(l.url)}">${esc(l.name)}</a>`);
   const maps=r.address&&r.address!=="---"?`https://www.google.com/maps/search/?api=1&query=${encodeURIComponent(r.address)}`:"";
+  const gst=r.gstin ? describeGstin(checkGstin(r.gstin, { address:r.address })) : "";
   const L=[
     label,
+    r.returning?.count && `♻️ <b>${esc(describeReturning(r.returning))}</b>`,
     r.product && `✨ <b>${esc(r.product)}</b>`,
     r.buyer && `👤 <b>Name:</b> ${esc(r.buyer)}`,
     r.company && `🏢 <b>Company:</b> ${esc(r.company)}`,
-    ph && `📞 <b>Mobile:</b> +91${ph}`,
-    wa && `💬 <b>WhatsApp:</b> <a href="${wa}">${esc(wa)}</a>`,
-    r.gstin && `🧾 <b>GSTIN:</b> ${esc(r.gstin)}`,
+    phoneLine(ph, esc),
+    wa && `💬 <b>WhatsApp:</b> <a href="${wa}">${esc(wa)}</a>${chats.length ? " · " + chats.join(" · ") : ""}`,
+    r.gstin && `🧾 <b>GSTIN:</b> ${esc(r.gstin)}${gst ? ` · ${esc(gst)}` : ""}`,
     r.email && `✉️ <b>Email:</b> ${esc(r.email)}`,
     r.address && `📍 <b>Address:</b> ${esc(r.address)}`,
     maps && `🗺️ <a href="${maps}">Open in Maps</a>`,
@@ -335,13 +390,25 @@ function formatLead(label, r){
   return { text:L, extra:{ parse_mode:"HTML", disable_web_page_preview:true, link_preview_options:{ is_disabled:true } } };
 }
 
-const formatNew = (r)=> formatLead("🆕 <b>New Lead</b>", r);
-const formatUpd = (r)=> formatLead("🔁 <b>Updated Lead</b>", r);
+const leadNo = (r)=> r.lead ? ` #${r.lead}` : "";
+// notifier.js "lead" event: the row as read, with its pipeline number
+const leadEvent = (r, update)=> ({
+  lead: r.lead || null,
+  product: r.product||"", buyer: r.buyer||"", company: r.company||"",
+  mobile: r.mobile||"", email: r.email||"", gstin: r.gstin||"",
+  address: r.address||"", time: r.time||"",
+  gstState: r.gstState||"", gstPan: r.gstPan||"", gstCheck: r.gstCheck||"",
+  phoneType: r.phoneType||"", phoneCheck: r.phoneCheck||"", phoneE164: r.phoneE164||"",
+  returning: r.returning || null,
+  update
+});
+const formatNew = (r, handoff)=> formatLead(`🆕 <b>New Lead${leadNo(r)}</b>`, r, handoff);
+const formatUpd = (r, handoff)=> formatLead(`🔁 <b>Updated Lead${leadNo(r)}</b>`, r, handoff);
 const notifSig = (r)=> JSON.stringify({ 
   product:r.product||"", 
   buyer:r.buyer||"", 
   company:r.company||"", 
-  m:last10(r.mobile), 
+  m:phoneKey(r.mobile), 
   email:r.email||"", 
   gstin:r.gstin||"", 
   address:r.address||"", 
@@ -369,40 +436,76 @@ function createMessageCentre(opts = {}){
     readFreshMs=CFG.clipFreshMs, 
     pollStepMs=CFG.pollMs, 
     autoClose=true, 
-    send=async()=>{}
+    send=async()=>{},
+    db=null,
+    selectors=null,
+    reportsDir=path.join(__dirname, "Reports"),
+    partition=null,
+    account=null,
+    crm=null,
+    onLead=()=>{},
+    emit=()=>{},
+    handoff=createHandoff({ log }),
+    buyers=null,
+    // (bytes, filename, caption) – the buyer's .vcf after each notification
+    sendFile=null
   } = opts;
 
-  const store=new LeadStore(__dirname);
+  const store=new LeadStore(reportsDir, db);
+  // LeadStore is emptied daily; the pipeline keeps lead numbers for good
+  const pipeline = crm || createLeadCrm({ log });
+  const withButtons = (extra, r) => {
+    const markup = leadKeyboard({ kind:"mc", serial:Number(r.lead), account, actions:pipeline.get(r.lead)?.actions });
+    return markup ? { ...extra, reply_markup:markup } : extra;
+  };
+  async function noteReturning(idx, r){
+    if (!buyers) return;
+    try { store.markReturning(idx, await buyers.check(r)); }
+    catch (e) { log("error", `MC: buyer index – ${e.message}`); }
+  }
 
-  const FIELDS=[
-    { key:"buyer", textCss:"#left-name", textXp:'//*[@id="left-name"]' },
-    { key:"product",
-      textCss: `#scrollableDiv > div.infinite-scroll-component__outerdiv > div > div.df > div.df.lms_flxdc.lms_aifs.mr20.mxwdth45 > div.left_side_msg > div.df.justifycontentfstart > div > div:nth-child(1)`,
-      textXp: '//*[@id="scrollableDiv"]/div[2]/div/div[2]/div[1]/div[1]/div[1]/div/div[1]'
-    },
-    { key:"mobile", textCss:"#headerMobile > div:nth-child(1) > span:nth-child(2)", textXp:'//*[@id="headerMobile"]/div[1]/span[2]' },
-    { key:"company", kind:"company", container:"#headerCompany", copyCss:"div:nth-child(1) svg path:nth-child(1)", copyXp:'//*[@id="headerCompany"]/div/svg/path[1]' },
-    { key:"email", kind:"email", container:"#headerEmail", copyCss:"div:nth-child(1) svg path:nth-child(1)", copyXp:'//*[@id="headerEmail"]/div[1]/svg' },
-    { key:"gstin", kind:"gstin", container:"#headerGST", copyCss:"div:nth-child(1)", copyXp:'//*[@id="headerGST"]/div' },
-    { key:"address", kind:"address", container:"#headerAddress", copyCss:"span.mr2 svg path:nth-child(1)", copyXp:'//*[@id="headerAddress"]/span[1]/svg/path[1]' },
-    { key:"time",
-      textCss: ".left_side_msg .time_stamp, .time_stamp",
-      textXp: '//*[@id="scrollableDiv"]/div[2]/div/div[2]/div[1]/div[1]/div[5]'
-    },
+  // .vcf under the notification; sent again only when the card changed
+  async function sendCard(idx, r){
+    if (!sendFile) return;
+    try {
+      const card = handoff?.vcard?.(r);
+      if (!card) return;
+      const sig = crypto.createHash("sha1").update(card.text).digest("hex").slice(0, 16);
+      if (r.cardSig === sig) return;
+      await sendFile(Buffer.from(card.text, "utf8"), card.filename, `📇 ${r.buyer || r.company || "Buyer"}${leadNo(r)} – tap to save`);
+      store.markCard(idx, sig);
+    } catch (e) {
+      log("error", `MC: contact card – ${e.message}`);
+    }
+  }
+  const profile = selectors || createSelectorProfile({ log });
+
+  // Text fields and copy-button boxes; candidates come from selectors.js
+  const TEXT_KEYS = ["buyer", "product", "mobile", "time"];
+  const BOXES = [
+    { key:"company", kind:"company" },
+    { key:"email", kind:"email" },
+    { key:"gstin", kind:"gstin" },
+    { key:"address", kind:"address" },
   ];
-  
-  const BOXES = FIELDS.filter(f=>f.container);
+  // Blank email/GSTIN/address boxes are normal, so only these count as drift
+  const REQUIRED = new Set(["mc.contact", "mc.buyer", "mc.mobile", "mc.time"]);
+
+  const recordSel = (win, field, via) => {
+    if (via < 0 && !REQUIRED.has(field)) return;
+    try {
+      profile.record(field, via, {
+        snapshot: () => win.isDestroyed() ? null : win.webContents.executeJavaScript("document.documentElement.outerHTML", true)
+      });
+    } catch {}
+  };
 
   async function readProductFromList(win,i){
-    const k=i+1, 
-          cssSel=`#splitViewContactList > div > div > div > div:nth-child(${k}) > div > div:nth-child(4) > div.wrd_elip.fl.fs12.fwb.mxwdt75.bgF0F0F0.pd5_20.brdr_rad15 > span`,
-          xpSel =`//*[@id="splitViewContactList"]/div/div/div/div[${k}]/div/div[4]/div[1]/span`;
-    const code=`(function(css,xp){
+    const code=`(function(S,vars){
+      ${PAGE_HELPERS}
       const t=n=>n?(n.textContent||"").trim().replace(/\\s+/g," "):"";
-      try{const el=document.querySelector(css);if(el)return t(el);}catch{}
-      try{const n=document.evaluate(xp,document,null,XPathResult.FIRST_ORDERED_NODE_TYPE,null).singleNodeValue;if(n)return t(n);}catch{}
-      return "";
-    })(${JSON.stringify(cssSel)},${JSON.stringify(xpSel)})`;
+      return t(__sel.find(S, vars, null, n=>!!t(n)).el);
+    })(${JSON.stringify(profile.get("mc.listProduct"))},${JSON.stringify({ i, k: i + 1 })})`;
     try{ return await win.webContents.executeJavaScript(code,true); }catch{ return ""; }
   }
 
@@ -412,7 +515,9 @@ function createMessageCentre(opts = {}){
         contextIsolation: true, 
         nodeIntegration: false, 
         sandbox: true, 
-        preload: path.join(__dirname, 'preload.js') 
+        preload: path.join(__dirname, 'preload.js'),
+        // Same session as the account's Leads window, so it is logged in too
+        ...(partition ? { partition } : {})
       }, 
       ...windowOptions, 
       parent 
@@ -421,25 +526,13 @@ function createMessageCentre(opts = {}){
     win.webContents.once("did-finish-load", ()=>log("info","MC: page loaded"));
     win.once("ready-to-show", ()=>{ try{ win.show(); }catch{} });
 
-    const selFor=(i)=>{ 
-      const k=i+1; 
-      return [
-        [`#splitViewContactList > div > div > div > div:nth-child(${k}) > div`, null],
-        [null, `//*[@id="splitViewContactList"]/div/div/div/div[${k}]/div`],
-        [`#contact-${i}`, null],
-        [null, `//*[@id="contact-${i}"]`],
-      ];
-    };
-
     try{
       await win.loadURL(url);
 
       for(let i=maxBlocks-1;i>=0;i--){
-        let ok=false; 
-        for(const [css,xp] of selFor(i)){ 
-          ok = await waitFor(()=>clickAny(win,css,xp), clickTimeoutMs); 
-          if(ok) break; 
-        }
+        let via=-1; 
+        const ok = await waitFor(async()=>(via = await clickAny(win, profile.get("mc.contact"), null, { i, k: i + 1 })) >= 0, clickTimeoutMs); 
+        recordSel(win, "mc.contact", via);
         if(!ok){ 
           log("info",`MC: contact ${i} not available`); 
           continue; 
@@ -459,7 +552,9 @@ function createMessageCentre(opts = {}){
         
         if(!ready) log("info","MC: panel not fully ready");
 
-        let base = await readTextFields(win, FIELDS);
+        const read = await readTextFields(win, TEXT_KEYS.map(key => ({ key, sels: profile.get(`mc.${key}`) })));
+        let base = read.values;
+        for (const key of TEXT_KEYS) recordSel(win, `mc.${key}`, read.via[key]);
 
         const fromList = await readProductFromList(win, i); 
         if(fromList) base.product = fromList;
@@ -468,17 +563,9 @@ function createMessageCentre(opts = {}){
 
         async function readTimeNow(winRef){
           const code = `(()=>{
+            ${PAGE_HELPERS}
             const pick = (n)=> n ? (n.textContent||'').trim().replace(/\\s+/g,' ') : '';
-            const q = (s)=> document.querySelector(s);
-            const cands = [
-              '.left_side_msg .time_stamp',
-              '.time_stamp',
-              '#scrollableDiv > div.infinite-scroll-component__outerdiv > div > div.df > div.df.lms_flxdc.lms_aifs.mr20.mxwdth45 > div.left_side_msg > div.df.time_stamp.flxalgn.lms_dflw.mt5.as_fe'
-            ];
-            for (const sel of cands) {
-              try { const n = q(sel); const t = pick(n); if (t) return t; } catch {}
-            }
-            return '';
+            return pick(__sel.find(${JSON.stringify(profile.get("mc.time"))}, null, null, n=>!!pick(n)).el);
           })()`;
           try { return await winRef.webContents.executeJavaScript(code, true); } catch { return ''; }
         }
@@ -494,17 +581,23 @@ function createMessageCentre(opts = {}){
         const result = { ...base, company:'---', email:'---', gstin:'---', address:'---' };
 
         for(const f of BOXES){
-          const clicked = await clickAny(win, f.copyCss, f.copyXp, f.container);
+          const box = profile.get(`mc.${f.key}`);
+          const clicked = await clickAny(win, profile.get(`mc.${f.key}.copy`), box);
+          recordSel(win, `mc.${f.key}.copy`, clicked);
           let val=""; 
-          if(clicked){ 
+          if(clicked >= 0){ 
             await sleep(120); 
             // ✅ Pass log parameter for security warnings
             val = await readClipFresh(prev, readFreshMs, log); 
           }
-          if(!val) val = await win.webContents.executeJavaScript(
-            `(s=>{const b=document.querySelector(s);return b?(b.textContent||"").trim():"";})(${JSON.stringify(f.container)})`, 
-            true
-          );
+          if(!val) {
+            const r = await win.webContents.executeJavaScript(
+              `(S=>{ ${PAGE_HELPERS} const r=__sel.find(S); return { text: r.el?(r.el.textContent||"").trim():"", via: r.via }; })(${JSON.stringify(box)})`, 
+              true
+            );
+            val = r?.text || "";
+            recordSel(win, `mc.${f.key}`, r?.via ?? -1);
+          }
 
           if (f.kind==="email") val = isEmail(val) ? val : "";
           else if (f.kind==="gstin") val = pickGSTIN(val);
@@ -534,22 +627,37 @@ function createMessageCentre(opts = {}){
         const up = store.upsert(row);
         const idx = up.index>=0 ? up.index : (store.idIndex.get(idKeyOf(row)) ?? -1);
         const cur = idx>=0 ? store.get(idx) : null;
+        if (cur && up.action!=="dup"){
+          try {
+            const lead = pipeline.track(cur);
+            if (lead) store.link(idx, lead.id);
+            // Newly captured buyer: reminders.js schedules the call-backs
+            if (lead && up.action==="new") onLead(lead, cur);
+          }
+          catch(e){ log("error",`MC: pipeline – ${e.message}`); }
+        }
 
         if (up.action==="new" && cur){
           const sig = notifSig(cur);
           if (cur.lastSig !== sig) {
-            const p = formatNew(cur);
-            await send(p.text, p.extra);
+            await noteReturning(idx, cur);
+            const p = formatNew(cur, handoff);
+            try { emit("lead", leadEvent(cur, false)); } catch {}
+            await send(p.text, withButtons(p.extra, cur));
             store.markSig(idx, sig);
             log("info","MC: Telegram (new)");
+            await sendCard(idx, cur);
           }
         } else if (up.action==="merge" && cur){
           const sig = notifSig(cur);
           if (cur.lastSig !== sig) {
-            const p = formatUpd(cur);
-            await send(p.text, p.extra);
+            await noteReturning(idx, cur);
+            const p = formatUpd(cur, handoff);
+            try { emit("lead", leadEvent(cur, true)); } catch {}
+            await send(p.text, withButtons(p.extra, cur));
             store.markSig(idx, sig);
             log("info","MC: Telegram (update)");
+            await sendCard(idx, cur);
           }
         }
 
@@ -590,6 +698,12 @@ function createMessageCentre(opts = {}){
     enqueue, 
     get running(){ return running; }, 
     get size(){ return q.length; },
+    crm: pipeline,
+    getLead: (leadId) => pipeline.get(leadId),
+    markLead: (leadId, id, info) => {
+      store.markAction(leadId, id, info);
+      return pipeline.mark(leadId, id, info);
+    },
     // ✅ NEW: Expose reset methods
     reset: () => store.reset(),
     deepReset: () => store.deepReset(),
@@ -597,4 +711,4 @@ function createMessageCentre(opts = {}){
   };
 }
 
-module.exports = { createMessageCentre };
\ No newline at end of file
+module.exports = { createMessageCentre, readTextFields, clickAny };
\ No newline at end of file
@@ -0,0 +1,137 @@
+// notifier.js
+// Outlets for lead events besides Telegram. The Message Centre, keyword
+// matcher and match clicker emit structured events next to their Telegram
+// messages:
+//   lead  – buyer details read from the Message Centre (update: true when
+//           more details arrived for a known buyer)
+//   match – a keyword matched a BuyLead title
+//   click – the match clicker clicked (or failed to click) a BuyLead
+// Each sink in List/notifiers.json gets the events it asks for. "kind" picks
+// the implementation from SINK_KINDS; "$NAME" or "${NAME}" in url, headers,
+// secret and smtp settings is read from the environment (.env may set
+// NOTIFY_* names). Sinks with a mail() (mailer.js) also take the status and
+// daily report mails.
+//
+// List/notifiers.json:
+//   { "sinks": [
+//       { "kind": "webhook", "name": "crm", "url": "https://crm.example.com/hooks/niyati",
+//         "headers": { "Authorization": "Bearer $NOTIFY_CRM_TOKEN" },
+//         "secret": "$NOTIFY_CRM_SECRET", "events": ["lead"] },
+//       { "kind": "webhook", "name": "sheet", "url": "https://script.google.com/macros/s/…/exec" },
+//       { "kind": "email", "name": "mail", "smtp": { … }, "recipients": [ … ] } ] }
+//   (email settings: see mailer.js)
+
+const fs = require("node:fs");
+const path = require("node:path");
+const crypto = require("node:crypto");
+const { createWebhookSink } = require("./webhook");
+const { createMailer } = require("./mailer");
+
+const EVENT_TYPES = ["lead", "match", "click"];
+const NAME_RE = /^[a-z][a-z0-9_-]{0,29}$/;
+
+// kind -> (spec, shared options) => sink
+const SINK_KINDS = {
+  webhook: (spec, o) => createWebhookSink({
+    name: spec.name,
+    url: o.expand(spec.url),
+    headers: Object.fromEntries(Object.entries(spec.headers || {}).map(([k, v]) => [String(k), o.expand(v)])),
+    secret: o.expand(spec.secret || ""),
+    events: spec.events,
+    timeoutMs: Number(spec.timeoutMs) > 0 ? Number(spec.timeoutMs) : undefined,
+    queueFile: path.join(o.queueDir, `webhook_queue_${spec.name}.json`),
+    fetchImpl: o.fetchImpl,
+    now: o.now,
+    setTimer: o.setTimer,
+    clearTimer: o.clearTimer,
+    log: o.log
+  }),
+  email: (spec, o) => createMailer({
+    name: spec.name,
+    smtp: Object.fromEntries(Object.entries(spec.smtp || {}).map(([k, v]) => [k, typeof v === "string" ? o.expand(v) : v])),
+    from: o.expand(spec.from || ""),
+    recipients: spec.recipients || [],
+    primary: o.primary,
+    subjectPrefix: spec.subjectPrefix ?? undefined,
+    outboxDir: path.join(o.queueDir, "outbox", spec.name),
+    transport: o.transport,
+    now: o.now,
+    setTimer: o.setTimer,
+    clearTimer: o.clearTimer,
+    log: o.log
+  })
+};
+
+function createNotifier({
+  file = path.join(__dirname, "List", "notifiers.json"),
+  queueDir = path.dirname(file),
+  env = process.env,
+  // account id that events without one belong to (accounts.js primary)
+  primary = "",
+  sinks: extra = [],
+  fetchImpl = undefined,
+  transport = undefined,
+  now = () => Date.now(),
+  setTimer = setTimeout,
+  clearTimer = clearTimeout,
+  log = () => {}
+} = {}) {
+
+  const expand = (s) => String(s ?? "").replace(/\$\{?([A-Z_][A-Z0-9_]*)\}?/g, (_, k) => env[k] ?? "");
+  const shared = { expand, queueDir, primary, fetchImpl, transport, now, setTimer, clearTimer, log };
+
+  let specs = [];
+  try {
+    const j = JSON.parse(fs.readFileSync(file, "utf8"));
+    specs = Array.isArray(j) ? j : Array.isArray(j?.sinks) ? j.sinks : [];
+  } catch (e) {
+    if (e.code !== "ENOENT") log("error", `Notifiers: ${path.basename(file)} unreadable – ${e.message}`);
+  }
+
+  const sinks = [];
+  specs.forEach((raw, i) => {
+    const spec = { ...raw, kind: String(raw?.kind || "webhook").toLowerCase(), name: String(raw?.name || `${raw?.kind || "webhook"}${i + 1}`).toLowerCase() };
+    if (raw?.enabled === false) return;
+    if (!SINK_KINDS[spec.kind]) { log("error", `Notifiers: skipped "${spec.name}", unknown kind "${spec.kind}"`); return; }
+    if (!NAME_RE.test(spec.name) || sinks.some(s => s.name === spec.name)) { log("error", `Notifiers: skipped invalid or duplicate name "${spec.name}"`); return; }
+    const bad = (Array.isArray(spec.events) ? spec.events : []).filter(t => !EVENT_TYPES.includes(t));
+    if (bad.length) log("warning", `Notifiers: ${spec.name} – unknown event type(s) ${bad.join(", ")} ignored`);
+    try {
+      sinks.push(SINK_KINDS[spec.kind](spec, shared));
+    } catch (e) {
+      log("error", `Notifiers: skipped "${spec.name}" – ${e.message}`);
+    }
+  });
+  sinks.push(...extra);
+  if (sinks.length) log("info", `Notifiers: ${sinks.map(s => `${s.name} (${s.kind})`).join(", ")}`);
+
+  // Never throws; a sink's failure is its own (webhook.js queues and retries)
+  function emit(type, data = {}, { account = "" } = {}) {
+    if (!EVENT_TYPES.includes(type)) { log("error", `Notifiers: unknown event type "${type}"`); return null; }
+    const targets = sinks.filter(s => s.accepts(type));
+    if (!targets.length) return null;
+    const event = { id: crypto.randomUUID(), type, at: new Date(now()).toISOString(), account: account || "", data };
+    for (const s of targets) {
+      Promise.resolve().then(() => s.deliver(event)).catch(e => log("error", `Notifier ${s.name}: ${e.message}`));
+    }
+    return event;
+  }
+
+  // topic: "status" | "report"; msg: { subject, html (Telegram HTML), files }.
+  // Resolves once every mail sink has the mail in its outbox
+  async function mail(topic, msg, { account = "" } = {}) {
+    await Promise.allSettled(sinks.filter(s => s.mail).map(s =>
+      Promise.resolve().then(() => s.mail(topic, msg, { account })).catch(e => log("error", `Notifier ${s.name}: ${e.message}`))));
+  }
+
+  return {
+    emit,
+    mail,
+    start: () => { for (const s of sinks) try { s.start?.(); } catch {} },
+    stop: () => { for (const s of sinks) try { s.stop?.(); } catch {} },
+    retryNow: () => Promise.allSettled(sinks.map(s => s.retryNow?.())),
+    list: () => sinks.map(s => s.getState?.() || { name: s.name, kind: s.kind })
+  };
+}
+
+module.exports = { createNotifier, SINK_KINDS, EVENT_TYPES };
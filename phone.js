@@ -0,0 +1,165 @@
+// phone.js
+// Buyer phone numbers as IndiaMART shows them: "+91-9876543210",
+// "09876543210", "+91-98XXXXXX12" (masked until the buyer replies),
+// "011-23456789", "+971 50 123 4567". parsePhone() splits off the country
+// code, keeps masked digits as X, and says whether the number can be dialled
+// and what kind it is:
+//   check – "ok" | "masked" | "incomplete" | "invalid"
+//   type  – "mobile" | "landline" | "tollfree" | "unknown"
+// Indian numbers starting 6-9 are mobile only when written as one block or
+// as 5+5 digits. Landlines in areas whose code starts that way (080
+// Bengaluru, 0712 Nagpur) are told apart by how they are written: a trunk-0
+// STD code of 3-5 digits, then a separator, is a landline; any other
+// grouping ("+91 80 2345 6789") stays unknown.
+
+const MASK = /[Xx*•]/;
+
+// "0712-2345678", "(080) 23456789"
+const STD_GROUP = /^0\d{2,4}$/;
+
+// Type of a 10-digit Indian number from the digits and, for those starting
+// 6-9, from the way the input groups them (country code already cut off)
+function indianType(national, written) {
+  if (/^1(800|860)/.test(national)) return "tollfree";
+  const groups = written.split(/[^\dXx*•]+/).filter(Boolean);
+  if (groups.length > 1 && STD_GROUP.test(groups[0])) return "landline";
+  if (!/^[6-9X]/.test(national)) return "landline";
+  if (groups[0] === "0") groups.shift();
+  const lead = groups[0]?.replace(/^0/, "") || "";
+  return groups.length === 1 || lead.length === 5 ? "mobile" : "unknown";
+}
+
+// Calling codes seen from IndiaMART's overseas buyers, with the leading
+// national digits that mean "mobile" where a plan makes that clear
+const COUNTRIES = Object.freeze({
+  "1": { iso: "US/CA", len: [10] },
+  "7": { iso: "RU", len: [10], mobile: /^9/ },
+  "20": { iso: "EG", len: [9, 10], mobile: /^1/ },
+  "27": { iso: "ZA", len: [9], mobile: /^[678]/ },
+  "33": { iso: "FR", len: [9], mobile: /^[67]/ },
+  "34": { iso: "ES", len: [9], mobile: /^[67]/ },
+  "39": { iso: "IT", len: [9, 10, 11], mobile: /^3/ },
+  "44": { iso: "GB", len: [10], mobile: /^7/ },
+  "49": { iso: "DE", len: [10, 11], mobile: /^1[5-7]/ },
+  "60": { iso: "MY", len: [9, 10], mobile: /^1/ },
+  "61": { iso: "AU", len: [9], mobile: /^4/ },
+  "62": { iso: "ID", len: [9, 10, 11, 12], mobile: /^8/ },
+  "63": { iso: "PH", len: [10], mobile: /^9/ },
+  "64": { iso: "NZ", len: [8, 9, 10], mobile: /^2/ },
+  "65": { iso: "SG", len: [8], mobile: /^[89]/ },
+  "66": { iso: "TH", len: [9], mobile: /^[689]/ },
+  "81": { iso: "JP", len: [10], mobile: /^[789]0/ },
+  "84": { iso: "VN", len: [9], mobile: /^[35789]/ },
+  "86": { iso: "CN", len: [11], mobile: /^1/ },
+  "90": { iso: "TR", len: [10], mobile: /^5/ },
+  "92": { iso: "PK", len: [10], mobile: /^3/ },
+  "94": { iso: "LK", len: [9], mobile: /^7/ },
+  "95": { iso: "MM", len: [8, 9, 10], mobile: /^9/ },
+  "98": { iso: "IR", len: [10], mobile: /^9/ },
+  "212": { iso: "MA", len: [9], mobile: /^[67]/ },
+  "233": { iso: "GH", len: [9], mobile: /^[25]/ },
+  "234": { iso: "NG", len: [10], mobile: /^[789]/ },
+  "251": { iso: "ET", len: [9], mobile: /^9/ },
+  "254": { iso: "KE", len: [9], mobile: /^[17]/ },
+  "255": { iso: "TZ", len: [9], mobile: /^[67]/ },
+  "256": { iso: "UG", len: [9], mobile: /^7/ },
+  "880": { iso: "BD", len: [10], mobile: /^1/ },
+  "960": { iso: "MV", len: [7], mobile: /^[79]/ },
+  "964": { iso: "IQ", len: [10], mobile: /^7/ },
+  "965": { iso: "KW", len: [8], mobile: /^[569]/ },
+  "966": { iso: "SA", len: [9], mobile: /^5/ },
+  "968": { iso: "OM", len: [8], mobile: /^[79]/ },
+  "971": { iso: "AE", len: [9], mobile: /^5/ },
+  "973": { iso: "BH", len: [8], mobile: /^3/ },
+  "974": { iso: "QA", len: [8], mobile: /^[3567]/ },
+  "975": { iso: "BT", len: [8], mobile: /^1/ },
+  "977": { iso: "NP", len: [10], mobile: /^9[78]/ }
+});
+
+const EMPTY = Object.freeze({
+  input: "", cc: "", country: "", national: "", e164: "", wa: "",
+  masked: false, check: "", type: "", reason: "", display: ""
+});
+
+function parsePhone(raw) {
+  const input = String(raw ?? "").trim();
+  if (!input || input === "---") return { ...EMPTY, input };
+  // Extensions and second numbers after a separator are not ours to dial
+  const first = input.split(/[,/;]|\bext\b/i)[0];
+  const intl = /^\s*(\+|00)/.test(first);
+  let s = first.replace(/^\s*(\+|00)/, "").replace(/[^\dXx*•]/g, "").replace(/[x*•]/g, "X");
+  const out = { ...EMPTY, input, masked: MASK.test(s) };
+
+  let cc = "91";
+  let written = first;
+  if (intl) {
+    cc = ["3", "2", "1"].map(n => s.slice(0, Number(n))).find(p => COUNTRIES[p] || p === "91") || "";
+    if (!cc) return { ...out, check: "invalid", type: "unknown", reason: "unknown country code", display: input };
+    s = s.slice(cc.length);
+  } else if (s.length === 11 && s[0] === "0") {
+    s = s.slice(1);
+  } else if (s.length === 12 && s.startsWith("91")) {
+    s = s.slice(2);
+    written = first.replace(/^\D*91/, "");
+  }
+  out.cc = cc;
+  out.country = cc === "91" ? "IN" : COUNTRIES[cc].iso;
+
+  if (cc === "91") {
+    s = s.replace(/^0/, "");
+    out.national = s;
+    out.type = indianType(s, intl ? written.replace(/^\s*(\+|00)\s*91/, "") : written);
+    const want = out.type === "tollfree" ? [10, 11] : [10];
+    if (s.length < Math.min(...want)) out.reason = "too short";
+    else if (s.length > Math.max(...want)) out.reason = "too long";
+    else if (/^(\d)\1+$/.test(s) || /^0/.test(s)) out.reason = "not a real number";
+    else if (out.type === "landline" && /^1/.test(s) && !/^1[1-9]/.test(s)) out.reason = "not a real number";
+  } else {
+    const c = COUNTRIES[cc];
+    out.national = s;
+    out.type = c.mobile ? (c.mobile.test(s.replace(/X/g, "9")) ? "mobile" : "landline") : "unknown";
+    if (s.length < Math.min(...c.len)) out.reason = "too short";
+    else if (s.length > Math.max(...c.len)) out.reason = "too long";
+  }
+
+  if (out.reason) out.check = out.masked && out.reason !== "not a real number" ? "incomplete" : "invalid";
+  else if (out.masked) { out.check = "masked"; out.reason = "masked"; }
+  else out.check = "ok";
+
+  // "+919876543210", "+9198XXXXXX12", "+971501234567"
+  out.display = out.national ? `+${cc}${out.national}` : input;
+  if (out.check === "ok") {
+    out.e164 = `+${cc}${out.national}`;
+    // WhatsApp only reaches mobiles (and foreign numbers we can't classify;
+    // an unknown Indian one is likely a landline)
+    if (out.type === "mobile" || (out.type === "unknown" && cc !== "91")) out.wa = `${cc}${out.national}`;
+  }
+  return out;
+}
+
+// Stable key for dedupe: the 10 digits for Indian numbers (what last10()
+// gave before), country code + number abroad, X-masked digits as shown
+function phoneKey(raw) {
+  const p = parsePhone(raw);
+  if (!p.national) return String(raw ?? "").replace(/\D/g, "").slice(-10);
+  return p.cc === "91" ? p.national : `${p.cc}${p.national}`;
+}
+
+// LeadStore row fields: phoneE164 (dialable numbers only), phoneType,
+// phoneCheck
+function phoneFields(row = {}) {
+  const p = parsePhone(row.mobile);
+  return { phoneE164: p.e164, phoneType: p.type, phoneCheck: p.check };
+}
+
+// Telegram line: "📞 <b>Mobile:</b> +919876543210", "☎️ <b>Landline:</b> …",
+// with a ⚠️ note for masked or broken numbers. esc escapes HTML.
+function phoneLine(p, esc) {
+  if (!p?.check) return "";
+  const label = { mobile: "Mobile", landline: "Landline", tollfree: "Toll-free" }[p.type] || "Phone";
+  const note = p.check === "ok" ? "" : ` · ⚠️ ${p.check === "masked" ? "masked by IndiaMART" : p.reason}`;
+  const flag = p.cc && p.cc !== "91" ? ` (${p.country})` : "";
+  return `${p.type === "landline" ? "☎️" : "📞"} <b>${label}:</b> ${esc(p.display)}${flag}${esc(note)}`;
+}
+
+module.exports = { parsePhone, phoneKey, phoneFields, phoneLine, COUNTRIES };
@@ -95,16 +95,39 @@ const NiyatiWindow = Object.freeze({
   onState: makeOn("win:state")
 });
 
+// Account ids as in List/accounts.json; "" means the primary account
+const validateAccount = (id = "") => {
+  const s = validateString(id, 20);
+  if (s && !/^[a-z][a-z0-9_-]*$/.test(s)) throw new Error(`Invalid account: ${s}`);
+  return s;
+};
+
+const Accounts = Object.freeze({
+  list: () => ipcRenderer.invoke("accounts:list")
+});
+
 const LeadsRefresh = Object.freeze({
-  getState: () => ipcRenderer.invoke("leads:getState"),
-  start: (ms) => {
+  getState: (account = "") => {
+    try {
+      return ipcRenderer.invoke("leads:getState", validateAccount(account));
+    } catch (e) {
+      return Promise.reject(e);
+    }
+  },
+  start: (ms, account = "") => {
+    try {
+      return ipcRenderer.invoke("leads:start", validateNumber(ms, 3000, 3600000), validateAccount(account));
+    } catch (e) {
+      return Promise.reject(e);
+    }
+  },
+  stop: (account = "") => {
     try {
-      return ipcRenderer.invoke("leads:start", validateNumber(ms, 3000, 3600000));
+      return ipcRenderer.invoke("leads:stop", validateAccount(account));
     } catch (e) {
       return Promise.reject(e);
     }
   },
-  stop: () => ipcRenderer.invoke("leads:stop"),
   onState: makeOn("refresh:state", "leads:state")
 });
 
@@ -127,26 +150,88 @@ const NetBridge = Object.freeze({
 });
 
 const Lists = Object.freeze({
-  saveProducts: (arr) => {
+  get: (account = "") => {
+    try {
+      return ipcRenderer.invoke("lists:get", validateAccount(account));
+    } catch (e) {
+      return Promise.reject(e);
+    }
+  },
+  saveProducts: (arr, account = "") => {
     try {
       const validated = validateArray(arr, 500).map(s => String(s).slice(0, 200));
-      return ipcRenderer.invoke("lists:saveProducts", validated);
+      return ipcRenderer.invoke("lists:saveProducts", validated, validateAccount(account));
     } catch (e) {
       return Promise.reject(e);
     }
   },
-  saveKeywords: (arr) => {
+  saveKeywords: (arr, account = "") => {
     try {
       const validated = validateArray(arr, 500).map(s => String(s).slice(0, 200));
-      return ipcRenderer.invoke("lists:saveKeywords", validated);
+      return ipcRenderer.invoke("lists:saveKeywords", validated, validateAccount(account));
     } catch (e) {
       return Promise.reject(e);
     }
-  }
+  },
+  onState: makeOn("lists:state")
 });
 
 const MC = Object.freeze({
-  run: () => ipcRenderer.invoke("mc:manual")
+  run: (account = "") => {
+    try {
+      return ipcRenderer.invoke("mc:manual", validateAccount(account));
+    } catch (e) {
+      return Promise.reject(e);
+    }
+  }
+});
+
+const Search = Object.freeze({
+  query: (text, page = 1) => {
+    try {
+      const q = validateString(text, 200).trim();
+      return ipcRenderer.invoke("leads:search", { text: q, page: validateNumber(page, 1, 1000) });
+    } catch (e) {
+      return Promise.reject(e);
+    }
+  }
+});
+
+const Shadow = Object.freeze({
+  get: () => ipcRenderer.invoke("shadow:get"),
+  set: (on, product = "") => {
+    try {
+      if (typeof on !== "boolean") throw new TypeError("Expected boolean");
+      return ipcRenderer.invoke("shadow:set", { on, product: validateString(product, 200) });
+    } catch (e) {
+      return Promise.reject(e);
+    }
+  },
+  onState: makeOn("shadow:state")
+});
+
+// Lead pipeline (leadcrm.js) behind the Manager's Leads table
+const CRM_FIELDS = ["status", "quote", "note", "assignee", "followUp"];
+const CRM = Object.freeze({
+  list: (filter = "open", account = "") => {
+    try {
+      return ipcRenderer.invoke("crm:list", validateString(filter, 20), validateAccount(account));
+    } catch (e) {
+      return Promise.reject(e);
+    }
+  },
+  update: (id, patch = {}, account = "") => {
+    try {
+      if (!patch || typeof patch !== "object") throw new TypeError("Expected object");
+      const clean = {};
+      for (const k of CRM_FIELDS) if (k in patch) clean[k] = validateString(patch[k], 500);
+      if (patch.reopen === true) clean.reopen = true;
+      return ipcRenderer.invoke("crm:update", { id: validateNumber(id, 1, 1e9), patch: clean }, validateAccount(account));
+    } catch (e) {
+      return Promise.reject(e);
+    }
+  },
+  onState: makeOn("crm:state")
 });
 
 try { 
@@ -169,8 +254,12 @@ const Lock = Object.freeze({
 try { contextBridge.exposeInMainWorld("Lock", Lock); } catch (e) { console.error("expose Lock:", e); }
 // === End Lock Screen Bridge ===
 contextBridge.exposeInMainWorld("NiyatiWindow", NiyatiWindow); } catch (e) { console.error("expose NiyatiWindow:", e); }
+try { contextBridge.exposeInMainWorld("Accounts", Accounts); } catch (e) { console.error("expose Accounts:", e); }
 try { contextBridge.exposeInMainWorld("LeadsRefresh", LeadsRefresh); } catch (e) { console.error("expose LeadsRefresh:", e); }
 try { contextBridge.exposeInMainWorld("Logs", Logs); } catch (e) { console.error("expose Logs:", e); }
 try { contextBridge.exposeInMainWorld("NetBridge", NetBridge); } catch (e) { console.error("expose NetBridge:", e); }
 try { contextBridge.exposeInMainWorld("Lists", Lists); } catch (e) { console.error("expose Lists:", e); }
 try { contextBridge.exposeInMainWorld("MC", MC); } catch (e) { console.error("expose MC:", e); }
+try { contextBridge.exposeInMainWorld("Search", Search); } catch (e) { console.error("expose Search:", e); }
+try { contextBridge.exposeInMainWorld("Shadow", Shadow); } catch (e) { console.error("expose Shadow:", e); }
+try { contextBridge.exposeInMainWorld("CRM", CRM); } catch (e) { console.error("expose CRM:", e); }
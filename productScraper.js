@@ -4,23 +4,36 @@
 const fs = require("node:fs");
 const path = require("node:path");
 const { app } = require("electron");
+const { parseLeadFields, pickFound, describe } = require("./leadfields");
+const { createSelectorProfile, PAGE_HELPERS } = require("./selectors");
 
 function createProductScraper({
   win,
+  url = "https://seller.indiamart.com/bltxn/?pref=recent",
   log = () => {},
   delayMs = 3000,
   maxItems = 50,
-  loginSelector = "#selsout",
+  loginSelector = null,
   onItems = null,
+  db = null,
+  selectors = null,
+  // Per-account working dirs; the defaults are the single-account layout
+  reportsDir = path.join(__dirname, "Reports"),
+  listDir = path.join(__dirname, "List"),
+  stateFile = null,
 }) {
   if (!win || win.isDestroyed()) throw new Error("productScraper: invalid window");
+  const profile = selectors || createSelectorProfile({ log });
+  const SCRAPE_FIELDS = ["buylead.title", "buylead.city", "buylead.state", "buylead.location", "buylead.card"];
+  // Every card has these; city, state and location are often simply absent
+  const REQUIRED_FIELDS = new Set(["buylead.title", "buylead.card"]);
 
   const DIR_APP = __dirname;
   const DIR_USER = path.join(app.getPath("userData"), "Niyati");
-  const DIR_LOG = path.join(DIR_APP, "Reports");
-  const F_STATE = path.join(DIR_USER, "refresh_state.json");
+  const DIR_LOG = reportsDir;
+  const F_STATE = stateFile || path.join(DIR_USER, "refresh_state.json");
 
-  const LIST_DIR = path.join(DIR_APP, "List");
+  const LIST_DIR = listDir;
   const F_PRODUCTS = path.join(LIST_DIR, "products.json");
   const F_KEYWORDS = path.join(LIST_DIR, "keywords.json");
 
@@ -28,7 +41,7 @@ function createProductScraper({
   try { fs.mkdirSync(DIR_LOG, { recursive: true }); } catch {}
   try { fs.mkdirSync(LIST_DIR, { recursive: true }); } catch {}
 
-  const URL_DEFAULT = "https://seller.indiamart.com/bltxn/?pref=recent";
+  const URL_DEFAULT = url;
   const MIN_MS = 3000, DEF_MS = 7000, RETRY_MS = 1000, BLANKS_BREAK = 5;
   const MAX_LOG_ROWS = 5000;
 
@@ -202,26 +215,6 @@ const ts = () => {
       return false; 
     }
   }
-  
-  function wireListsIPC(ipcMain) {
-try { ipcMain.removeHandler('lists:saveProducts'); } catch {}
-  try { ipcMain.removeHandler('lists:saveKeywords'); } catch {}
-    ipcMain.handle("lists:saveProducts", (_e, items = []) => { 
-      safe(() => { 
-        writeListJSON(F_PRODUCTS, items); 
-        productSet = new Set((items || []).map(normStr)); 
-      }); 
-      return { ok: true }; 
-    });
-    ipcMain.handle("lists:saveKeywords", (_e, items = []) => { 
-      try { 
-        writeListJSON(F_KEYWORDS, items); 
-        return { ok: true }; 
-      } catch (e) { 
-        return { ok: false, error: e.message }; 
-      } 
-    });
-  }
 
   safe(() => {
     if (!fs.existsSync(F_KEYWORDS)) {
@@ -288,11 +281,13 @@ const parseTs = (s) => {
 
   const persistJSON = () => writeJSON(F_LOG_JSON, rows);
 
-  function recordIfNew(title, location) {
+  function recordIfNew(title, location, fields = {}) {
     const key = makeKey(title, location);
     if (keys.has(key)) return false;
     
-    rows.unshift({ serial, timestamp: ts(), name: title, location });
+    const row = { serial, timestamp: ts(), name: title, location, ...fields };
+    rows.unshift(row);
+    try { db?.addProduct?.(row); } catch {}
     
     if (rows.length > MAX_LOG_ROWS) {
       const removed = rows.splice(MAX_LOG_ROWS);
@@ -326,6 +321,21 @@ const parseTs = (s) => {
     return cycleId; 
   };
 
+  // Most frequent winning candidate per field, or -1 if it was tried and
+  // nothing matched. A BuyLead page without any title counts as a title miss.
+  // Optional fields only record hits: a page of cards without a city is not
+  // drift.
+  function recordSelectors(res) {
+    const snapshot = () => exec("document.documentElement.outerHTML");
+    for (const field of SCRAPE_FIELDS) {
+      const tried = res?.tried?.[field] || 0;
+      if (!tried) continue;
+      const wins = Object.entries(res?.via?.[field] || {}).sort((a, b) => b[1] - a[1]);
+      if (!wins.length && !REQUIRED_FIELDS.has(field)) continue;
+      safe(() => profile.record(field, wins.length ? Number(wins[0][0]) : -1, { snapshot }));
+    }
+  }
+
   // ✅ FIX #5: Atomic scraper lock with promise chaining
   async function scrapeOnce(currentCycleId) {
     // ✅ Atomic lock with promise joining
@@ -350,47 +360,58 @@ const parseTs = (s) => {
         
         // ✅ Add timeout protection
         const SCRAPE_TIMEOUT = 30000;
-        const timeoutPromise = new Promise((_, reject) => 
-          setTimeout(() => reject(new Error('Scrape timeout')), SCRAPE_TIMEOUT)
-        );
+        let timeoutId = null;
+        const timeoutPromise = new Promise((_, reject) => {
+          timeoutId = setTimeout(() => reject(new Error('Scrape timeout')), SCRAPE_TIMEOUT);
+        });
 
         const scrapePromise = (async () => {
-          const js = `(function(max, loginSel){
+          const S = profile.pick(["buylead.loggedIn", ...SCRAPE_FIELDS]);
+          if (loginSelector) S["buylead.loggedIn"].unshift(loginSelector);
+          const js = `(function(max, S){
+            ${PAGE_HELPERS}
             if (document.readyState !== 'interactive' && document.readyState !== 'complete')
               return { ready:false, items:[] };
-            const loggedIn = !!document.querySelector(loginSel);
+            const loggedIn = !!__sel.find(S["buylead.loggedIn"]).el;
             if (!loggedIn) return { ready:true, loggedIn:false, items:[] };
 
+            // Per field: how often each candidate won, and how often it was tried
+            const via = {}, tried = {};
+            const get = (field, i) => {
+              tried[field] = (tried[field] || 0) + 1;
+              const r = __sel.find(S[field], { i });
+              if (r.via >= 0) (via[field] ||= {})[r.via] = ((via[field] || {})[r.via] || 0) + 1;
+              return r.el;
+            };
             const txt = n => (n ? (n.textContent||"").trim() : "");
-            const qs = sel => { try { const n = document.querySelector(sel); return txt(n); } catch { return ""; } };
-            const xpS = xp => { try { return String(document.evaluate(xp, document, null, XPathResult.STRING_TYPE, null).stringValue||"").trim(); } catch { return ""; } };
-            const firstNodeTxt = xp => { try { const n = document.evaluate(xp, document, null, XPathResult.FIRST_ORDERED_NODE_TYPE, null).singleNodeValue; return txt(n); } catch { return ""; } };
 
-            const titleCss = i => qs('#list'+i+' div.lstNwLft > div.lstNwLftImg.lstNwDflx.lstNwPr > div > h2') || qs('#list'+i+' h2');
-            const titleXp  = i => firstNodeTxt('//*[@id="list'+i+'"]//h2');
-            const cityXp   = i => '//*[@id="list'+i+'"]/div[1]/div[1]/div[2]/div/div[1]/div[2]/strong/p/span[1]/text()';
-            const stateXp  = i => '//*[@id="list'+i+'"]/div[1]/div[1]/div[2]/div/div[1]/div[2]/strong/p/span[2]/text()';
-            const fbXp     = i => '//*[@id="list'+i+'"]/div[1]/div[1]/div[2]/div/div[1]/div[2]/strong/p/span/span/text()';
+            // Whole card text + badge tooltips; leadfields.js picks quantity, order value, etc.
+            const cardTxt = n => { try {
+              if (!n) return "";
+              const tips = Array.from(n.querySelectorAll('[title],[alt],[aria-label]'))
+                .map(e => e.getAttribute('title') || e.getAttribute('alt') || e.getAttribute('aria-label') || "").filter(Boolean);
+              return ((n.innerText || n.textContent || "") + "\\n" + tips.join("\\n")).slice(0, 4000);
+            } catch { return ""; } };
 
             const items = [];
             let blanks = 0;
             for (let i=1; i<=max; i++){
-              const title = titleCss(i) || titleXp(i);
+              const title = txt(get("buylead.title", i));
               if (title) {
-                const city = xpS(cityXp(i)), state = xpS(stateXp(i));
-                const location = (city || state) ? "" : xpS(fbXp(i));
-                items.push({ index:i, title, city: city||"", state: state||"", location: location||"" });
+                const city = txt(get("buylead.city", i)), state = txt(get("buylead.state", i));
+                const location = (city || state) ? "" : txt(get("buylead.location", i));
+                items.push({ index:i, title, city: city||"", state: state||"", location: location||"", card: cardTxt(get("buylead.card", i)) });
                 blanks = 0;
               } else if (++blanks >= ${BLANKS_BREAK} && items.length) break;
             }
-            return { ready:true, loggedIn:true, items };
-          })(${Number(maxItems)}, ${JSON.stringify(loginSelector)})`;
+            return { ready:true, loggedIn:true, items, via, tried };
+          })(${Number(maxItems)}, ${JSON.stringify(S)})`;
 
           return await exec(js);
         })();
         
         // ✅ Race against timeout
-        const res = await Promise.race([scrapePromise, timeoutPromise]);
+        const res = await Promise.race([scrapePromise, timeoutPromise]).finally(() => clearTimeout(timeoutId));
         
         if (!res || res.ready === false) { 
           log("info", "Scrape: Not Ready (Will Retry)"); 
@@ -403,13 +424,18 @@ const parseTs = (s) => {
         }
 
         const items = Array.isArray(res.items) ? res.items : [];
+        recordSelectors(res);
         if (!items.length) {
           log("info", "scrape: no products found");
         } else {
           for (const it of items) {
+            const fields = safe(() => parseLeadFields(it.card), {});
+            Object.assign(it, fields);
+            delete it.card;
             const loc = composeLoc(it);
-            log("scrape", `#list${it.index}: ${it.title}${loc ? ` [${loc}]` : ""}`);
-            if (it.title) recordIfNew(it.title, loc);
+            const extra = safe(() => describe(fields), "");
+            log("scrape", `#list${it.index}: ${it.title}${loc ? ` [${loc}]` : ""}${extra ? ` · ${extra}` : ""}`);
+            if (it.title) recordIfNew(it.title, loc, pickFound(fields));
           }
           log("info", `scrape: ${items.length} product(s)`);
         }
@@ -493,7 +519,6 @@ const parseTs = (s) => {
     enableAutoReload, 
     disableAutoReload, 
     getReloadState,
-    wireListsIPC, 
     getProducts, 
     setProducts, 
     navigateToDefault,
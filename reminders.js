@@ -0,0 +1,295 @@
+// reminders.js
+// Call-back reminders for buyers the Message Centre captures. Each new lead
+// gets the default schedule (REMINDER_SCHEDULE, e.g. "+2h,tomorrow 10.00" in
+// DAILY_TZ); /remind adds or cancels more. Reminders live in
+// List/reminders.json with a copy of the lead row, so they survive restarts
+// and the daily Reports/ cleanup, and one timer is kept armed for the next
+// due one. A due reminder sends the lead card with ✅ Done / snooze buttons
+// (callback data rm:<d|s|t|i>:<id>); a lead already moved on (isSettled) is
+// skipped quietly.
+
+const fs = require("node:fs");
+const path = require("node:path");
+
+const DEFAULT_SCHEDULE = ["+2h", "tomorrow 10.00"];
+const MORNING = "10.00";
+const SNOOZE_MS = 60 * 60 * 1000;
+// Re-check at least this often, so sleep/clock changes can't strand a reminder
+const MAX_WAIT_MS = 6 * 60 * 60 * 1000;
+// Finished reminders are kept this long for /remind and taps on old prompts
+const KEEP_MS = 7 * 24 * 60 * 60 * 1000;
+const MAX_PENDING_PER_LEAD = 5;
+
+const ROW_FIELDS = ["product", "buyer", "mobile", "company", "email", "gstin", "address", "time"];
+const DATA_RE = /^rm:([dsti]):(\d{1,9})$/;
+
+const esc = (s) => String(s ?? "").replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+const normSpace = (s) => String(s || "").trim().replace(/\s+/g, " ");
+const pad2 = (n) => String(n).padStart(2, "0");
+
+function zoned(ms, tz) {
+  const parts = new Intl.DateTimeFormat("en-GB", {
+    timeZone: tz, hour12: false, year: "numeric", month: "2-digit", day: "2-digit", hour: "2-digit", minute: "2-digit", second: "2-digit"
+  }).formatToParts(new Date(ms));
+  const p = Object.fromEntries(parts.map(x => [x.type, x.value]));
+  return { y: +p.year, mo: +p.month, d: +p.day, h: +p.hour % 24, mi: +p.minute, s: +p.second };
+}
+const offsetAt = (ms, tz) => {
+  const z = zoned(ms, tz);
+  return Date.UTC(z.y, z.mo - 1, z.d, z.h, z.mi, z.s) - Math.floor(ms / 1000) * 1000;
+};
+// Epoch ms of a wall-clock time in tz; dayShift counts from the tz date of fromMs
+function wallTime(fromMs, dayShift, h, mi, tz) {
+  const z = zoned(fromMs, tz);
+  const guess = Date.UTC(z.y, z.mo - 1, z.d + dayShift, h, mi);
+  const t = guess - offsetAt(guess, tz);
+  const off2 = offsetAt(t, tz);
+  return off2 === offsetAt(guess, tz) ? t : guess - off2;
+}
+
+// "+2h", "30m", "+1d", "10.00"/"10:00"/"1000" (next time the clock shows
+// it), "tomorrow", "tomorrow 10.00" -> epoch ms; null when unreadable
+function parseWhen(spec, fromMs, tz) {
+  const t = normSpace(spec).toLowerCase();
+  let m = /^\+?(\d{1,4})\s*(m|min|h|hr|d)$/.exec(t);
+  if (m) {
+    const n = Number(m[1]);
+    if (!n) return null;
+    return fromMs + n * (m[2][0] === "m" ? 60e3 : m[2][0] === "h" ? 3600e3 : 86400e3);
+  }
+  m = /^(tomorrow)?\s*(?:(\d{1,2})[:.]?(\d{2}))?$/.exec(t === "tomorrow" ? `tomorrow ${MORNING}` : t);
+  if (!m || !m[2]) return null;
+  const h = Number(m[2]), mi = Number(m[3]);
+  if (h > 23 || mi > 59) return null;
+  if (m[1]) return wallTime(fromMs, 1, h, mi, tz);
+  const today = wallTime(fromMs, 0, h, mi, tz);
+  return today > fromMs ? today : wallTime(fromMs, 1, h, mi, tz);
+}
+
+function fmtWhen(ms, tz) {
+  try {
+    return new Intl.DateTimeFormat("en-GB", { timeZone: tz, weekday: "short", day: "numeric", month: "short", hour: "2-digit", minute: "2-digit", hour12: false }).format(new Date(ms));
+  } catch { return new Date(ms).toISOString(); }
+}
+
+const keyboard = (id) => ({ inline_keyboard: [
+  [{ text: "✅ Done – called back", callback_data: `rm:d:${id}` }],
+  [{ text: "⏰ Snooze 1h", callback_data: `rm:s:${id}` }, { text: `🌅 Tomorrow ${MORNING}`, callback_data: `rm:t:${id}` }]
+] });
+const infoKeyboard = (id, text) => ({ inline_keyboard: [[{ text, callback_data: `rm:i:${id}` }]] });
+
+// lead passed to add()/scheduleLead(): { id, account, row } – id is the
+// pipeline lead number (leadcrm.js), row the LeadStore/pipeline fields
+function createReminders({
+  file = path.join(__dirname, "List", "reminders.json"),
+  tz = "Asia/Kolkata",
+  schedule = DEFAULT_SCHEDULE,
+  now = () => Date.now(),
+  setTimer = setTimeout,
+  clearTimer = clearTimeout,
+  send = async () => {},
+  card = (r) => `📇 <b>Lead #${r.lead}</b> ${esc(r.row?.buyer || "")}`,
+  isSettled = () => false,
+  onDone = () => {},
+  log = () => {}
+} = {}) {
+
+  let items = [];
+  let nextId = 1;
+  try {
+    const j = JSON.parse(fs.readFileSync(file, "utf8"));
+    if (Array.isArray(j?.reminders)) items = j.reminders.filter(r => r && Number(r.id) > 0 && Number.isFinite(r.dueAt));
+    nextId = Math.max(Number(j?.nextId) || 1, ...items.map(r => r.id + 1));
+  } catch (e) {
+    if (e.code !== "ENOENT") log("error", `Reminders: ${path.basename(file)} unreadable – ${e.message}`);
+  }
+
+  const specs = (Array.isArray(schedule) ? schedule : String(schedule || "").split(","))
+    .map(normSpace).filter(s => s && parseWhen(s, 0, tz) !== null);
+
+  let timer = null, running = false, firing = false;
+
+  function save() {
+    const cutoff = now() - KEEP_MS;
+    items = items.filter(r => r.status === "pending" || r.status === "sent" || (r.closedAt || r.dueAt) > cutoff);
+    try {
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      const tmp = file + ".tmp";
+      fs.writeFileSync(tmp, JSON.stringify({ nextId, reminders: items }, null, 2));
+      fs.renameSync(tmp, file);
+    } catch (e) {
+      log("error", `Reminders: save failed – ${e.message}`);
+    }
+  }
+
+  const sameLead = (r, account, lead) => (r.account || "") === (account || "") && r.lead === Number(lead);
+  const pendingOf = (account, lead) => items.filter(r => r.status === "pending" && sameLead(r, account, lead));
+
+  function arm() {
+    if (timer) { clearTimer(timer); timer = null; }
+    if (!running) return;
+    const next = items.filter(r => r.status === "pending").reduce((m, r) => Math.min(m, r.dueAt), Infinity);
+    if (next === Infinity) return;
+    const wait = Math.max(0, Math.min(MAX_WAIT_MS, next - now()));
+    timer = setTimer(() => { timer = null; tick(); }, wait, "reminders");
+  }
+
+  async function fire(r) {
+    try {
+      if (isSettled(r)) {
+        Object.assign(r, { status: "cancelled", closedAt: now(), reason: "lead moved on" });
+        log("info", `Reminder ${r.id}: lead #${r.lead}${r.account ? ` [${r.account}]` : ""} already moved on – skipped`);
+        return;
+      }
+      const late = now() - r.dueAt > 15 * 60 * 1000 ? ` (due ${esc(fmtWhen(r.dueAt, tz))})` : "";
+      const text = [
+        card(r),
+        "",
+        `📞 <b>Call back?</b>${late} Tap ✅ Done once you have, or snooze.`
+      ].join("\n");
+      await send(text, { parse_mode: "HTML", disable_web_page_preview: true, reply_markup: keyboard(r.id) });
+      Object.assign(r, { status: "sent", sentAt: now() });
+      log("info", `Reminder ${r.id}: lead #${r.lead}${r.account ? ` [${r.account}]` : ""} sent`);
+    } catch (e) {
+      // Left pending; the next tick tries again
+      r.dueAt = now() + 5 * 60 * 1000;
+      log("error", `Reminder ${r.id}: send failed – ${e.message}`);
+    }
+  }
+
+  async function tick() {
+    if (firing || !running) return;
+    firing = true;
+    try {
+      const due = items.filter(r => r.status === "pending" && r.dueAt <= now() + 1000).sort((a, b) => a.dueAt - b.dueAt);
+      for (const r of due) await fire(r);
+      if (due.length) save();
+    } finally {
+      firing = false;
+      arm();
+    }
+  }
+
+  function add(lead, spec, { by = "" } = {}) {
+    const id = Number(lead?.id);
+    if (!(id > 0)) return { ok: false, error: "No lead number" };
+    const dueAt = parseWhen(spec, now(), tz);
+    if (dueAt === null) return { ok: false, error: `Can't read "${spec}" – e.g. +2h, 30m, 10.00, tomorrow 10.00` };
+    if (pendingOf(lead.account, id).length >= MAX_PENDING_PER_LEAD) return { ok: false, error: `Lead #${id} already has ${MAX_PENDING_PER_LEAD} reminders` };
+    const row = Object.fromEntries(ROW_FIELDS.map(f => [f, String(lead.row?.[f] || "")]));
+    const r = { id: nextId++, lead: id, account: lead.account || "", dueAt, spec: normSpace(spec), by, createdAt: now(), status: "pending", row };
+    items.push(r);
+    save();
+    arm();
+    return { ok: true, reminder: r };
+  }
+
+  // Default schedule for a newly captured lead; nothing when it already has
+  // reminders waiting (the same buyer captured again)
+  function scheduleLead(lead) {
+    if (!specs.length || pendingOf(lead?.account, lead?.id).length) return [];
+    const out = [];
+    for (const s of specs) {
+      const res = add(lead, s, { by: "auto" });
+      if (res.ok) out.push(res.reminder);
+    }
+    if (out.length) log("info", `Reminders: lead #${lead.id}${lead.account ? ` [${lead.account}]` : ""} at ${out.map(r => fmtWhen(r.dueAt, tz)).join(", ")}`);
+    return out;
+  }
+
+  function cancel(account, lead, reason = "cancelled") {
+    const list = pendingOf(account, lead);
+    for (const r of list) Object.assign(r, { status: "cancelled", closedAt: now(), reason });
+    if (list.length) { save(); arm(); }
+    return list.length;
+  }
+
+  const list = ({ account } = {}) => items
+    .filter(r => r.status === "pending" && (account === undefined || (r.account || "") === (account || "")))
+    .sort((a, b) => a.dueAt - b.dueAt);
+
+  const who = (from) => (from?.username ? "@" + from.username : from?.first_name || String(from?.id || ""));
+
+  // Button taps from telegram.js onCallback; false when the data is not ours
+  async function handle(ctx) {
+    const m = DATA_RE.exec(String(ctx.data || ""));
+    if (!m) return false;
+    const r = items.find(x => x.id === Number(m[2]));
+    if (!r) { await ctx.answer("⌛ This reminder is no longer on record."); return true; }
+    const by = who(ctx.from);
+
+    if (m[1] === "i" || r.status === "done" || r.status === "cancelled") {
+      await ctx.answer(r.status === "done" ? `✅ Done by ${r.doneBy || "someone"}`
+        : r.status === "pending" ? `💤 Snoozed until ${fmtWhen(r.dueAt, tz)}`
+        : r.status === "cancelled" ? "🚫 Reminder cancelled" : "⏰ Waiting for a tap");
+      return true;
+    }
+    if (m[1] === "d") {
+      Object.assign(r, { status: "done", doneBy: by, closedAt: now() });
+      // Called back: the lead's later reminders are no longer needed
+      for (const x of pendingOf(r.account, r.lead)) Object.assign(x, { status: "cancelled", closedAt: now(), reason: "done" });
+      save();
+      arm();
+      try { onDone(r, by); } catch (e) { log("error", `Reminder ${r.id}: onDone – ${e.message}`); }
+      await ctx.answer("✅ Done");
+      await ctx.editMarkup(infoKeyboard(r.id, `✅ Done – ${by}`));
+      log("info", `Reminder ${r.id}: lead #${r.lead} done by ${by}`);
+      return true;
+    }
+    const dueAt = m[1] === "s" ? now() + SNOOZE_MS : parseWhen(`tomorrow ${MORNING}`, now(), tz);
+    Object.assign(r, { status: "pending", dueAt, snoozes: (r.snoozes || 0) + 1 });
+    save();
+    arm();
+    const when = fmtWhen(dueAt, tz);
+    await ctx.answer(`💤 Snoozed until ${when}`);
+    await ctx.editMarkup(infoKeyboard(r.id, `💤 Snoozed until ${when}`));
+    log("info", `Reminder ${r.id}: lead #${r.lead} snoozed to ${when} by ${by}`);
+    return true;
+  }
+
+  // "/remind", "/remind 42 +3h", "/remind 42 tomorrow 10.00", "/remind 42 off";
+  // getLead(id) is the account's pipeline lookup
+  function command(text, { account = "", by = "", getLead = () => null } = {}) {
+    const t = normSpace(text);
+    if (!t) {
+      const pend = list({ account });
+      if (!pend.length) return "⏰ No reminders waiting.";
+      return [`⏰ <b>Reminders</b> (${pend.length})`,
+        ...pend.slice(0, 20).map(r => `• ${esc(fmtWhen(r.dueAt, tz))} – #${r.lead} ${esc(r.row?.buyer || "?")} – ${esc(r.row?.product || "?")}`),
+        ...(pend.length > 20 ? [`… and ${pend.length - 20} more`] : [])].join("\n");
+    }
+    const m = /^#?(\d{1,9})\s+(.+)$/.exec(t);
+    if (!m) return "❌ Use: /remind 42 +2h · /remind 42 tomorrow 10.00 · /remind 42 off";
+    const id = Number(m[1]);
+    if (/^(off|cancel|none)$/i.test(m[2])) {
+      const n = cancel(account, id);
+      return n ? `🚫 Cancelled ${n} reminder(s) for lead #${id}` : `ℹ️ Lead #${id} has no reminders waiting.`;
+    }
+    const lead = getLead(id);
+    if (!lead) return `❌ No lead #${id}`;
+    const res = add({ id, account, row: lead }, m[2], { by });
+    return res.ok ? `⏰ Lead #${id} – ${esc(lead.buyer || "?")}: reminder at ${esc(fmtWhen(res.reminder.dueAt, tz))}` : "❌ " + esc(res.error);
+  }
+
+  return {
+    start() {
+      running = true;
+      const due = items.filter(r => r.status === "pending" && r.dueAt <= now()).length;
+      log("info", `Reminders: ${list().length} waiting${due ? `, ${due} overdue – sending now` : ""}`);
+      arm();
+    },
+    stop() {
+      running = false;
+      if (timer) { clearTimer(timer); timer = null; }
+    },
+    add,
+    scheduleLead,
+    cancel,
+    list,
+    handle,
+    command,
+    tick
+  };
+}
+
+module.exports = { createReminders, parseWhen, fmtWhen, DEFAULT_SCHEDULE };
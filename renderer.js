@@ -128,7 +128,19 @@ const KEY_FORM=$("#keyForm"), KEY_INPUT=$("#keyInput"), KEY_INLINE=$("#keyInline
 const BTN_PROD_COL=$("#prodCollapse"), CARD_PRODUCTS=$("#productsCard");
 const BTN_KEY_COL=$("#keyCollapse"), CARD_KEYWORDS=$("#keywordsCard");
 const LOG_LIST=$("#logList"), LOG_COUNT=$("#logCount");
-const BTN_MANUAL=$("#manualMC");
+const BTN_MANUAL=$("#manualMC"), BTN_SHADOW=$("#shadowToggle");
+const SEARCH_FORM=$("#searchForm"), SEARCH_INPUT=$("#searchInput"), SEARCH_LIST=$("#searchList"), SEARCH_COUNT=$("#searchCount");
+const SEARCH_PREV=$("#searchPrev"), SEARCH_NEXT=$("#searchNext"), SEARCH_PAGE=$("#searchPage");
+const BTN_SEARCH_COL=$("#searchCollapse"), CARD_SEARCH=$("#searchCard");
+const ACC_CHIP=$("#accountChip"), ACC_SEL=$("#accountSel");
+const CRM_BODY=$("#crmBody"), CRM_COUNT=$("#crmCount"), CRM_FILTER=$("#crmFilter"), CRM_SUMMARY=$("#crmSummary");
+const BTN_CRM_COL=$("#crmCollapse"), CARD_CRM=$("#crmCard");
+
+// Account the refresh controls, lists and Manual Capture apply to; "" is the
+// primary account, whose lists are also mirrored in localStorage
+let currentAccount = "";
+let primaryAccount = null;
+const shownAccount = ()=> currentAccount || primaryAccount;
 
 // ================================================================
 // Window Controls
@@ -178,6 +190,7 @@ function startCountdown(sec){
 function stopCountdown(){ if(tCountdown){ clearInterval(tCountdown); tCountdown=null; } BTN_START.textContent="Start"; }
 
 function applyRefreshState(s){
+  if (s?.account && shownAccount() && s.account !== shownAccount()) return;
   try { setNetState(!!s.isNetworkOnline); } catch {};
   if (s.intervalMs) {
     const val = Math.round(s.intervalMs/1000);
@@ -202,10 +215,10 @@ on(REF_FORM, "submit", async (e)=>{
   const sec = Math.max(CONST.MIN_SEC, Math.min(CONST.MAX_SEC, Number(REF_SEC.value)||CONST.DEFAULT_SEC));
   REF_SEC.value = sec;
   const ms = sec * 1000;
-  jsonSet(CONST.LS_REFRESH, { enabled:true, intervalMs:ms });
+  if (!currentAccount) jsonSet(CONST.LS_REFRESH, { enabled:true, intervalMs:ms });
   try {
-    await window.LeadsRefresh.start(ms);
-    applyRefreshState(await window.LeadsRefresh.getState());
+    await window.LeadsRefresh.start(ms, currentAccount);
+    applyRefreshState(await window.LeadsRefresh.getState(currentAccount));
   } catch (e) {
     console.error("Failed to start refresh:", e);
   }
@@ -213,9 +226,9 @@ on(REF_FORM, "submit", async (e)=>{
 
 on(BTN_STOP, "click", async ()=>{
   try {
-    await window.LeadsRefresh.stop();
-    jsonSet(CONST.LS_REFRESH, { ...(jsonGet(CONST.LS_REFRESH, {})), enabled:false });
-    applyRefreshState(await window.LeadsRefresh.getState());
+    await window.LeadsRefresh.stop(currentAccount);
+    if (!currentAccount) jsonSet(CONST.LS_REFRESH, { ...(jsonGet(CONST.LS_REFRESH, {})), enabled:false });
+    applyRefreshState(await window.LeadsRefresh.getState(currentAccount));
   } catch (e) {
     console.error("Failed to stop refresh:", e);
   }
@@ -246,18 +259,29 @@ const uniqPush = (arr, val, key=(x)=>x.toLowerCase())=>{ if(!val) return; const
 
 const persist = async (type, arr)=>{
   const storageKey = type==="products"? CONST.LS_PRODUCTS : CONST.LS_KEYWORDS;
-  jsonSet(storageKey, arr);
+  if (!currentAccount) jsonSet(storageKey, arr);
   try { 
     if (type==="products") {
-      await window.Lists.saveProducts(arr);
+      await window.Lists.saveProducts(arr, currentAccount);
     } else {
-      await window.Lists.saveKeywords(arr);
+      await window.Lists.saveKeywords(arr, currentAccount);
     }
   } catch (e) {
     console.error(`Failed to persist ${type}:`, e);
   }
 };
 
+let shadowState = { global:false, products:[] };
+// Shadow mode keys a rule by its base phrase (matchclicker.js ruleKey):
+// flags, groups, exclusions and bonus terms left out
+const ruleBase = (name)=>{
+  const toks = normSpace(name).toLowerCase().match(/\([^)]*\)|\S+/g) || [];
+  const flag = /^@(\d+|fuzzy[0-2]?|(qty|value|fresh)\d+(\.\d+)?([kly]|cr)?|(gst|mobile|member)(\d+(\.\d+)?([kly]|cr)?)?)$/;
+  const base = toks.filter(t=> !t.startsWith("(") && !flag.test(t) && !(t.length>1 && /^[-+]/.test(t))).map(t=>t.replace(/_/g," ").trim());
+  return base.join(" ").trim() || toks.join(" ");
+};
+const isShadowProduct = (name)=> shadowState.global || shadowState.products.includes(ruleBase(name));
+
 let products = jsonGet(CONST.LS_PRODUCTS, []);
 let keywords = jsonGet(CONST.LS_KEYWORDS, []);
 
@@ -277,9 +301,20 @@ function renderProducts(arr){
     btn.textContent = "Delete";
     btn.dataset.index = String(idx);
     btn.setAttribute("aria-label", "Delete");
+
+    const shadowOn = isShadowProduct(item);
+    const sbtn = h("button", shadowOn ? "shadow on" : "shadow", shadowOn ? "Shadow" : "Live");
+    sbtn.dataset.index = String(idx);
+    sbtn.title = shadowState.global ? "Shadow mode is on for all products" : "Toggle shadow mode for this product";
+    sbtn.disabled = shadowState.global;
+    sbtn.setAttribute("aria-pressed", String(shadowOn));
+
+    const actions = h("div", "actions");
+    actions.appendChild(sbtn);
+    actions.appendChild(btn);
     
     li.appendChild(left);
-    li.appendChild(btn);
+    li.appendChild(actions);
     frag.appendChild(li);
   });
   PROD_LIST.append(frag); 
@@ -316,6 +351,17 @@ on(PROD_FORM, "submit", async (e)=>{
 });
 
 on(PROD_LIST, "click", async (e)=>{
+  if (e.target.matches(".shadow")) {
+    const name = products[Number(e.target.dataset.index)];
+    if (!name) return;
+    try {
+      const res = await window.Shadow.set(!isShadowProduct(name), name);
+      if (res?.state) applyShadowState(res.state);
+    } catch (err) {
+      console.error("Failed to toggle shadow:", err);
+    }
+    return;
+  }
   if (e.target.matches(".del")) {
     const idx = Number(e.target.dataset.index);
     if (!isNaN(idx)) {
@@ -326,6 +372,34 @@ on(PROD_LIST, "click", async (e)=>{
   }
 });
 
+// ================================================================
+// Shadow Mode
+// ================================================================
+
+function applyShadowState(st){
+  if (!st) return;
+  shadowState = { global: !!st.global, products: Array.isArray(st.products) ? st.products : [] };
+  const n = shadowState.products.length;
+  BTN_SHADOW.textContent = shadowState.global ? "Shadow: All" : n ? `Shadow: ${n}` : "Shadow: Off";
+  BTN_SHADOW.classList.toggle("shadow-on", shadowState.global);
+  BTN_SHADOW.setAttribute("aria-pressed", String(shadowState.global));
+  renderProducts(products);
+}
+
+on(BTN_SHADOW, "click", async ()=>{
+  try {
+    const res = await window.Shadow.set(!shadowState.global);
+    if (res?.state) applyShadowState(res.state);
+  } catch (e) {
+    console.error("Failed to toggle shadow:", e);
+  }
+});
+
+const offShadow = window.Shadow.onState(applyShadowState);
+(async ()=>{
+  try { applyShadowState(await window.Shadow.get()); } catch {}
+})();
+
 on(KEY_FORM, "submit", async (e)=>{
   e.preventDefault();
   const raw = KEY_INPUT.value.trim();
@@ -356,6 +430,8 @@ renderKeywords(keywords);
 // ✅ ADD THIS BLOCK HERE:
 window.RendererLists = Object.freeze({
   refresh: () => {
+    // main pushes primary-account lists only; others arrive on Lists.onState
+    if (currentAccount) return true;
     try {
       products = jsonGet(CONST.LS_PRODUCTS, []);
       keywords = jsonGet(CONST.LS_KEYWORDS, []);
@@ -370,6 +446,239 @@ window.RendererLists = Object.freeze({
   }
 });
 
+// ================================================================
+// Accounts
+// ================================================================
+
+function applyLists({ products: p, keywords: k }){
+  products = Array.isArray(p) ? p : [];
+  keywords = Array.isArray(k) ? k : [];
+  renderProducts(products);
+  renderKeywords(keywords);
+}
+
+const offLists = window.Lists.onState?.((st)=>{
+  if (st && st.account === shownAccount()) applyLists(st);
+});
+
+on(ACC_SEL, "change", async ()=>{
+  currentAccount = ACC_SEL.value;
+  try {
+    const lists = await window.Lists.get(currentAccount);
+    if (!currentAccount) {
+      jsonSet(CONST.LS_PRODUCTS, lists.products);
+      jsonSet(CONST.LS_KEYWORDS, lists.keywords);
+    }
+    applyLists(lists);
+    applyRefreshState(await window.LeadsRefresh.getState(currentAccount));
+    loadCrm();
+  } catch (e) {
+    console.error("Failed to switch account:", e);
+  }
+});
+
+(async ()=>{
+  try {
+    const list = await window.Accounts?.list?.() || [];
+    primaryAccount = list.find(a => a.primary)?.id || null;
+    if (list.length < 2) return;
+    for (const a of list) {
+      const opt = h("option", "", a.primary ? `${a.label} (primary)` : a.label);
+      opt.value = a.primary ? "" : a.id;
+      ACC_SEL.appendChild(opt);
+    }
+    ACC_CHIP.hidden = false;
+  } catch (e) {
+    console.error("Failed to load accounts:", e);
+  }
+})();
+
+// ================================================================
+// Lead Search
+// ================================================================
+
+// Results arrive in the Telegram fmtLeadHTML format; show them as plain text
+// so nothing from a lead ever reaches innerHTML.
+const htmlToText = (s)=> String(s||"")
+  .replace(/<[^>]+>/g, "")
+  .replace(/&lt;/g, "<").replace(/&gt;/g, ">").replace(/&quot;/g, '"').replace(/&amp;/g, "&");
+
+let searchState = { query: "", page: 1, pages: 0 };
+
+function renderSearch(res){
+  SEARCH_LIST.innerHTML = "";
+  const frag = document.createDocumentFragment();
+  if (!res?.ok || !res.total) {
+    frag.appendChild(h("li", "empty", res?.ok === false ? `Search failed: ${res.error || "unknown"}` : "No leads found."));
+  } else {
+    for (const r of res.results) {
+      const [label, ...rest] = String(r.html||"").split("\n").map(htmlToText);
+      const card = h("li", "logbox");
+      const hdr = h("div", "loghdr");
+      hdr.appendChild(h("span", "module", label));
+      const lines = h("ul", "lines");
+      for (const ln of rest) {
+        const m = ln.match(/^(\S+)\s+(.*)$/);
+        const li = h("li");
+        li.appendChild(h("span", "emo", m ? m[1] : ""));
+        li.appendChild(h("span", "txt", m ? m[2] : ln));
+        lines.appendChild(li);
+      }
+      card.appendChild(hdr);
+      card.appendChild(lines);
+      frag.appendChild(card);
+    }
+  }
+  SEARCH_LIST.append(frag);
+  SEARCH_COUNT.textContent = String(res?.total || 0);
+  searchState.page = res?.page || 1;
+  searchState.pages = res?.pages || 0;
+  SEARCH_PAGE.textContent = `${searchState.pages ? searchState.page : 0}/${searchState.pages}`;
+  SEARCH_PREV.disabled = searchState.page <= 1;
+  SEARCH_NEXT.disabled = searchState.page >= searchState.pages;
+}
+
+async function runSearch(page){
+  if (!searchState.query) return;
+  try {
+    renderSearch(await window.Search.query(searchState.query, page));
+  } catch (e) {
+    console.error("Search failed:", e);
+    renderSearch({ ok:false, error: e.message });
+  }
+}
+
+on(SEARCH_FORM, "submit", async (e)=>{
+  e.preventDefault();
+  searchState.query = normSpace(SEARCH_INPUT.value).slice(0, 200);
+  if (!searchState.query) return;
+  await runSearch(1);
+});
+on(SEARCH_PREV, "click", ()=> runSearch(searchState.page - 1));
+on(SEARCH_NEXT, "click", ()=> runSearch(searchState.page + 1));
+on(BTN_SEARCH_COL,"click",()=>CARD_SEARCH.classList.toggle("is-collapsed"));
+
+// ================================================================
+// Leads (pipeline from leadcrm.js)
+// ================================================================
+
+const CRM_STATUSES = ["new", "contacted", "quoted", "won", "lost"];
+// Last refused update ("Lead #4 is already won …"), shown once in the summary
+let crmError = "";
+
+function crmInput(value, placeholder, type = "text"){
+  const el = h("input");
+  el.type = type;
+  el.value = value || "";
+  el.placeholder = placeholder;
+  el.maxLength = 200;
+  return el;
+}
+
+function crmRow(l){
+  const tr = h("tr", l.overdue ? "overdue" : "");
+  tr.appendChild(h("td", "", `#${l.id}`));
+
+  const who = h("td");
+  who.appendChild(h("div", "who", l.buyer || "?"));
+  who.appendChild(h("div", "sub", [l.product, l.mobile].filter(Boolean).join(" · ")));
+  tr.appendChild(who);
+
+  // Statuses only move forward; closed leads offer "reopen" instead
+  const closed = l.status === "won" || l.status === "lost";
+  const sel = h("select");
+  const opts = closed ? [l.status, "reopen"] : CRM_STATUSES.slice(CRM_STATUSES.indexOf(l.status));
+  for (const st of opts) {
+    const o = h("option", "", st);
+    o.value = st;
+    sel.appendChild(o);
+  }
+  sel.value = l.status;
+  const tdSel = h("td");
+  tdSel.appendChild(sel);
+  tr.appendChild(tdSel);
+
+  const quote = crmInput("", l.quote?.text || "1.2L");
+  const assignee = crmInput(l.assignee, "Name");
+  const follow = crmInput(l.followUp, "", "date");
+  follow.disabled = closed;
+  const note = crmInput("", l.notes?.at(-1)?.text || "Add note");
+  for (const el of [quote, assignee, follow, note]) {
+    const td = h("td");
+    td.appendChild(el);
+    tr.appendChild(td);
+  }
+
+  const save = h("button", "btn ghost", "Save");
+  save.type = "button";
+  on(save, "click", async ()=>{
+    const patch = {};
+    if (sel.value === "reopen") patch.reopen = true;
+    else if (sel.value !== l.status) patch.status = sel.value;
+    if (quote.value.trim()) patch.quote = quote.value.trim();
+    if (assignee.value.trim() !== (l.assignee || "")) patch.assignee = assignee.value.trim() || "none";
+    if (!closed && follow.value !== (l.followUp || "")) patch.followUp = follow.value || "none";
+    if (note.value.trim()) patch.note = note.value.trim();
+    if (!Object.keys(patch).length) return;
+    save.disabled = true;
+    try {
+      const res = await window.CRM.update(l.id, patch, currentAccount);
+      if (!res?.ok) crmError = res?.error || "Couldn't save the lead.";
+    } catch (e) {
+      console.error("Lead update failed:", e);
+    } finally {
+      save.disabled = false;
+      loadCrm();
+    }
+  });
+  const tdSave = h("td");
+  tdSave.appendChild(save);
+  tr.appendChild(tdSave);
+  return tr;
+}
+
+function renderCrm(res){
+  CRM_BODY.innerHTML = "";
+  const leads = res?.ok ? res.leads : [];
+  const frag = document.createDocumentFragment();
+  if (!leads.length) {
+    const tr = h("tr");
+    const td = h("td", "empty", res?.ok === false ? `Couldn't load leads: ${res.error || "unknown"}` : "No leads here yet.");
+    td.colSpan = 8;
+    tr.appendChild(td);
+    frag.appendChild(tr);
+  }
+  for (const l of leads) frag.appendChild(crmRow(l));
+  CRM_BODY.append(frag);
+  CRM_COUNT.textContent = String(leads.length);
+  const s = res?.summary;
+  CRM_SUMMARY.textContent = crmError ? `⚠️ ${crmError}` : s
+    ? `${CRM_STATUSES.map(st => `${st} ${s.counts[st] || 0}`).join(" · ")} — due today ${s.dueToday} · overdue ${s.overdue}`
+    : "";
+  crmError = "";
+}
+
+let crmLoading = null;
+async function loadCrm(){
+  if (!window.CRM) return;
+  // Typing into a row is not interrupted by a push from another change
+  if (CARD_CRM.contains(document.activeElement) && document.activeElement.tagName === "INPUT") return;
+  if (crmLoading) return crmLoading;
+  crmLoading = (async ()=>{
+    try { renderCrm(await window.CRM.list(CRM_FILTER.value, currentAccount)); }
+    catch (e) { console.error("Leads load failed:", e); renderCrm({ ok:false, error: e.message }); }
+    finally { crmLoading = null; }
+  })();
+  return crmLoading;
+}
+
+on(CRM_FILTER, "change", loadCrm);
+on(BTN_CRM_COL,"click",()=>CARD_CRM.classList.toggle("is-collapsed"));
+const offCrm = window.CRM?.onState?.((st)=>{
+  if ((st?.account || null) === (currentAccount || null)) loadCrm();
+});
+loadCrm();
+
 // ================================================================
 // Log System
 // ================================================================
@@ -680,7 +989,7 @@ if (BTN_MANUAL) {
     BTN_MANUAL.disabled = true;
     BTN_MANUAL.textContent = "Running…";
     try {
-      await (window.MC?.run?.() || Promise.resolve());
+      await (window.MC?.run?.(currentAccount) || Promise.resolve());
     } catch (e) {
       console.error("Manual MC failed:", e);
     } finally {
@@ -698,6 +1007,9 @@ on(window, "beforeunload", ()=>{
   offWin?.(); 
   offLogs?.(); 
   offRefresh?.();
+  offShadow?.();
+  offLists?.();
+  offCrm?.();
   
   // ✅ Clean up any remaining scheduled tasks
   isFlushScheduled = false;
@@ -0,0 +1,275 @@
+// selectors.js
+// One versioned selector profile for every IndiaMART page the app touches
+// (BuyLead list, contact button, Message Centre panel, login form). Each field
+// lists candidate selectors tried in order; the profile records which one
+// hit, and when every candidate of a field misses for `driftAfter` cycles in a
+// row it raises a "selector drift" alert with a DOM snapshot.
+//
+// List/selectors.json overrides fields of the bundled profile:
+//
+//   { "version": 2, "fields": { "buylead.title": ["#list{i} h2.newTitle", "#list{i} h2"] } }
+//
+// Candidates starting with "/" or "(" are XPath, everything else CSS.
+// {i} is the 1-based BuyLead index / 0-based contact index, {k} = {i} + 1.
+
+const fs = require("node:fs");
+const path = require("node:path");
+
+const PROFILE_VERSION = 1;
+const KEEP_SNAPSHOTS = 10;
+
+const DEFAULT_FIELDS = Object.freeze({
+  // BuyLead list (productScraper.js, matchclicker.js)
+  "buylead.loggedIn": ["#selsout"],
+  "buylead.title": [
+    "#list{i} div.lstNwLft > div.lstNwLftImg.lstNwDflx.lstNwPr > div > h2",
+    "#list{i} h2",
+    '//*[@id="list{i}"]//h2'
+  ],
+  "buylead.city": ['//*[@id="list{i}"]/div[1]/div[1]/div[2]/div/div[1]/div[2]/strong/p/span[1]/text()'],
+  "buylead.state": ['//*[@id="list{i}"]/div[1]/div[1]/div[2]/div/div[1]/div[2]/strong/p/span[2]/text()'],
+  "buylead.location": ['//*[@id="list{i}"]/div[1]/div[1]/div[2]/div/div[1]/div[2]/strong/p/span/span/text()'],
+  "buylead.card": ["#list{i}"],
+  // matchclicker's own title read when a cycle arrives without items
+  "buylead.rowTitle": [
+    "#list{i} .Bl_Txt a",
+    "#list{i} .Bl_Txt",
+    "#list{i} .bl_text",
+    "#list{i} .title",
+    "#list{i} h3",
+    "#list{i} h4",
+    "#list{i} h2"
+  ],
+  "buylead.contact": [
+    "#list{i} .Slid_CTA span",
+    "#list{i} .Slid_CTA button",
+    '#list{i} [data-action="contact"]',
+    "#list{i} .contact, #list{i} .btn-contact",
+    "#list{i} > div:nth-child(3) > div.Slid_CTA > div > span",
+    '//*[@id="list{i}"]/div[3]/div[2]/div/span'
+  ],
+
+  // Message Centre (messagecentre.js)
+  "mc.contact": [
+    "#splitViewContactList > div > div > div > div:nth-child({k}) > div",
+    '//*[@id="splitViewContactList"]/div/div/div/div[{k}]/div',
+    "#contact-{i}",
+    '//*[@id="contact-{i}"]'
+  ],
+  "mc.listProduct": [
+    "#splitViewContactList > div > div > div > div:nth-child({k}) > div > div:nth-child(4) > div.wrd_elip.fl.fs12.fwb.mxwdt75.bgF0F0F0.pd5_20.brdr_rad15 > span",
+    '//*[@id="splitViewContactList"]/div/div/div/div[{k}]/div/div[4]/div[1]/span'
+  ],
+  "mc.buyer": ["#left-name", '//*[@id="left-name"]'],
+  "mc.product": [
+    "#scrollableDiv > div.infinite-scroll-component__outerdiv > div > div.df > div.df.lms_flxdc.lms_aifs.mr20.mxwdth45 > div.left_side_msg > div.df.justifycontentfstart > div > div:nth-child(1)",
+    '//*[@id="scrollableDiv"]/div[2]/div/div[2]/div[1]/div[1]/div[1]/div/div[1]'
+  ],
+  "mc.mobile": ["#headerMobile > div:nth-child(1) > span:nth-child(2)", '//*[@id="headerMobile"]/div[1]/span[2]'],
+  "mc.time": [
+    ".left_side_msg .time_stamp",
+    ".time_stamp",
+    "#scrollableDiv > div.infinite-scroll-component__outerdiv > div > div.df > div.df.lms_flxdc.lms_aifs.mr20.mxwdth45 > div.left_side_msg > div.df.time_stamp.flxalgn.lms_dflw.mt5.as_fe",
+    '//*[@id="scrollableDiv"]/div[2]/div/div[2]/div[1]/div[1]/div[5]'
+  ],
+  "mc.company": ["#headerCompany"],
+  "mc.company.copy": ["div:nth-child(1) svg path:nth-child(1)", '//*[@id="headerCompany"]/div/svg/path[1]'],
+  "mc.email": ["#headerEmail"],
+  "mc.email.copy": ["div:nth-child(1) svg path:nth-child(1)", '//*[@id="headerEmail"]/div[1]/svg'],
+  "mc.gstin": ["#headerGST"],
+  "mc.gstin.copy": ["div:nth-child(1)", '//*[@id="headerGST"]/div'],
+  "mc.address": ["#headerAddress"],
+  "mc.address.copy": ["span.mr2 svg path:nth-child(1)", '//*[@id="headerAddress"]/span[1]/svg/path[1]'],
+
+  // Login form (autologin.js)
+  "login.mobile": ["#mobNo"],
+  "login.button": [
+    "#root > div.loginPage.reactLogin > div.row.bannerRow > div > div:nth-child(5) > div > div.banner-cta > button",
+    "div.banner-cta > button"
+  ],
+  "login.requestOtp": ["#reqOtpMobBtn"],
+  "login.otp1": ["#first"],
+  "login.otp2": ["#second"],
+  "login.otp3": ["#third"],
+  "login.otp4": ["#fourth_num"],
+  "login.otp5": ["#fifth"],
+  "login.otp6": ["#sixth"],
+  "login.submitOtp": ["#sbmtbtnOtp"],
+  "login.otpError": ["#otp_verify_err"],
+  "login.loggedIn": ["#selsout"]
+});
+
+// Page-side finder, pasted into executeJavaScript snippets:
+//   __sel.find(cands, { i: 3 }) -> { el, via }   (via = candidate index or -1)
+const PAGE_HELPERS = `const __sel = {
+  fill: (s, v) => String(s).replace(/\\{(\\w+)\\}/g, (m, k) => (v && k in v ? String(v[k]) : m)),
+  node(s, root) {
+    if (/^[(/]/.test(s)) return document.evaluate(s, root || document, null, XPathResult.FIRST_ORDERED_NODE_TYPE, null).singleNodeValue;
+    if (root && root !== document) return root.querySelector(s.startsWith(':scope') ? s : ':scope ' + s);
+    return document.querySelector(s);
+  },
+  find(cands, vars, root, ok) {
+    for (let n = 0; n < (cands || []).length; n++) {
+      try { const el = this.node(this.fill(cands[n], vars), root); if (el && (!ok || ok(el))) return { el, via: n }; } catch (e) {}
+    }
+    return { el: null, via: -1 };
+  }
+};`;
+
+const isList = (v) => Array.isArray(v) && v.length && v.every(s => typeof s === "string" && s.trim());
+
+function createSelectorProfile({
+  file = path.join(__dirname, "List", "selectors.json"),
+  statsFile = path.join(__dirname, "Reports", "selector_stats.json"),
+  snapshotDir = path.join(__dirname, "Reports"),
+  driftAfter = 5,
+  onDrift = () => {},
+  log = () => {}
+} = {}) {
+
+  let fields = { ...DEFAULT_FIELDS };
+  let version = PROFILE_VERSION;
+  let mtime = -1;
+
+  // field -> { hits: [n per candidate], lastVia, lastOkAt, misses, drifted }
+  let stats = {};
+  try {
+    const j = JSON.parse(fs.readFileSync(statsFile, "utf8"));
+    if (j?.fields && typeof j.fields === "object") stats = j.fields;
+  } catch {}
+
+  function load() {
+    let st;
+    try {
+      st = fs.statSync(file);
+    } catch {
+      if (mtime !== -1) { fields = { ...DEFAULT_FIELDS }; version = PROFILE_VERSION; mtime = -1; }
+      return;
+    }
+    if (st.mtimeMs === mtime) return;
+    mtime = st.mtimeMs;
+
+    try {
+      const j = JSON.parse(fs.readFileSync(file, "utf8"));
+      const own = {};
+      for (const [name, list] of Object.entries(j?.fields || {})) {
+        if (isList(list)) own[name] = list.map(s => s.trim());
+        else log("warning", `Selectors: ignoring "${name}" (needs a non-empty list of strings)`);
+      }
+      const v = parseInt(j?.version, 10) || 0;
+      if (v < PROFILE_VERSION) {
+        log("warning", `Selectors: ${path.basename(file)} is v${v}, bundled profile is v${PROFILE_VERSION} – bundled fields fill the gaps`);
+      }
+      fields = { ...DEFAULT_FIELDS, ...own };
+      version = Math.max(v, PROFILE_VERSION);
+      log("info", `Selectors: loaded v${v} (${Object.keys(own).length} override(s))`);
+    } catch (e) {
+      log("error", `Selectors: load failed, keeping previous profile – ${e.message}`);
+    }
+  }
+
+  let saveTimer = null;
+  function saveSoon() {
+    if (saveTimer) return;
+    saveTimer = setTimeout(() => {
+      saveTimer = null;
+      try {
+        fs.mkdirSync(path.dirname(statsFile), { recursive: true });
+        fs.writeFileSync(statsFile, JSON.stringify({ version, fields: stats }, null, 2), "utf8");
+      } catch (e) {
+        log("error", `Selectors: stats save failed – ${e.message}`);
+      }
+    }, 2000);
+    saveTimer.unref?.();
+  }
+
+  function get(field) {
+    load();
+    return [...(fields[field] || [])];
+  }
+
+  // Candidate lists for a whole page script, as one JSON-able object
+  function pick(names) {
+    load();
+    const out = {};
+    for (const n of names) out[n] = [...(fields[n] || [])];
+    return out;
+  }
+
+  const statOf = (field) => (stats[field] ||= { hits: [], lastVia: -1, lastOkAt: null, misses: 0, drifted: false });
+
+  async function writeSnapshot(field, snapshot) {
+    try {
+      const html = await snapshot?.();
+      if (!html) return null;
+      const stamp = new Date().toISOString().replace(/[-:]/g, "").replace("T", "_").slice(0, 15);
+      const out = path.join(snapshotDir, `dom_${field.replace(/[^\w.-]+/g, "_")}_${stamp}.html`);
+      fs.mkdirSync(snapshotDir, { recursive: true });
+      fs.writeFileSync(out, String(html), "utf8");
+      // Keep only the newest few
+      const old = fs.readdirSync(snapshotDir).filter(f => /^dom_.*\.html$/.test(f))
+        .map(f => ({ f, t: fs.statSync(path.join(snapshotDir, f)).mtimeMs }))
+        .sort((a, b) => b.t - a.t).slice(KEEP_SNAPSHOTS);
+      for (const o of old) { try { fs.unlinkSync(path.join(snapshotDir, o.f)); } catch {} }
+      return out;
+    } catch (e) {
+      log("error", `Selectors: snapshot failed – ${e.message}`);
+      return null;
+    }
+  }
+
+  // One cycle's outcome for a field: via = winning candidate index, -1 = all missed.
+  // `snapshot` (async () => html) is only called when the field drifts.
+  function record(field, via, { snapshot = null } = {}) {
+    const s = statOf(field);
+    if (via >= 0) {
+      s.hits[via] = (s.hits[via] || 0) + 1;
+      if (s.lastVia !== via && s.lastVia !== -1) {
+        log("warning", `Selectors: ${field} now matches candidate #${via + 1} (was #${s.lastVia + 1})`);
+      }
+      if (s.drifted) log("info", `Selectors: ${field} recovered via candidate #${via + 1}`);
+      Object.assign(s, { lastVia: via, lastOkAt: new Date().toISOString(), misses: 0, drifted: false });
+      saveSoon();
+      return;
+    }
+
+    s.misses += 1;
+    saveSoon();
+    if (s.drifted || s.misses < driftAfter) return;
+    s.drifted = true;
+    log("error", `Selectors: drift on ${field} – no candidate matched for ${s.misses} cycle(s)`);
+    (async () => {
+      const snap = await writeSnapshot(field, snapshot);
+      try {
+        await onDrift({ field, misses: s.misses, candidates: get(field), version, lastOkAt: s.lastOkAt, snapshot: snap });
+      } catch (e) {
+        log("error", `Selectors: drift alert failed – ${e.message}`);
+      }
+    })();
+  }
+
+  function getState() {
+    load();
+    return {
+      version,
+      file,
+      driftAfter,
+      fields: Object.keys(fields).sort().map(name => {
+        const s = stats[name] || {};
+        return {
+          name,
+          candidates: fields[name].length,
+          lastVia: s.lastVia ?? -1,
+          lastOkAt: s.lastOkAt || null,
+          misses: s.misses || 0,
+          drifted: !!s.drifted
+        };
+      })
+    };
+  }
+
+  load();
+  return { get, pick, record, getState, PAGE_HELPERS };
+}
+
+module.exports = { createSelectorProfile, DEFAULT_FIELDS, PAGE_HELPERS, PROFILE_VERSION };
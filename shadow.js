@@ -0,0 +1,63 @@
+// shadow.js
+// Dry-run switch for the match clicker: globally or for single products.
+// Shadowed matches are logged as would-be clicks instead of spending a
+// BuyLead credit. State lives in List/shadow.json.
+
+const fs = require("node:fs");
+const path = require("node:path");
+
+const { ruleKey } = require("./matchclicker");
+
+// Products are kept by base phrase: "machine -used @fuzzy" is "machine"
+const norm = (s) => ruleKey(String(s || "").trim());
+
+function createShadowMode({
+  file = path.join(__dirname, "List", "shadow.json"),
+  onChange = () => {},
+  log = () => {}
+} = {}) {
+
+  let state = { global: false, products: [] };
+  try {
+    const j = JSON.parse(fs.readFileSync(file, "utf8"));
+    state = {
+      global: j?.global === true,
+      products: Array.isArray(j?.products) ? [...new Set(j.products.map(norm).filter(Boolean))] : []
+    };
+  } catch {}
+
+  function save() {
+    try {
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      fs.writeFileSync(file, JSON.stringify(state, null, 2), "utf8");
+    } catch (e) {
+      log("error", `Shadow: save failed – ${e.message}`);
+      return false;
+    }
+    try { onChange(getState()); } catch {}
+    return true;
+  }
+
+  const isShadow = (product) => state.global || state.products.includes(norm(product));
+
+  function setGlobal(on) {
+    state.global = !!on;
+    log("info", `Shadow: global ${state.global ? "ON" : "OFF"}`);
+    return save();
+  }
+
+  function setProduct(product, on) {
+    const key = norm(product);
+    if (!key) return false;
+    state.products = state.products.filter(p => p !== key);
+    if (on) state.products.push(key);
+    log("info", `Shadow: ${key} ${on ? "ON" : "OFF"}`);
+    return save();
+  }
+
+  const getState = () => ({ global: state.global, products: [...state.products] });
+
+  return { isShadow, setGlobal, setProduct, getState };
+}
+
+module.exports = { createShadowMode };
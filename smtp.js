@@ -0,0 +1,209 @@
+// smtp.js
+// Minimal SMTP submission client for mailer.js: EHLO, STARTTLS (or implicit
+// TLS on 465), AUTH PLAIN/LOGIN, one message to one or more recipients.
+// buildMessage() writes the MIME text (HTML + plain alternative, optional
+// attachments) so the outbox can keep exactly what will be sent.
+
+const net = require("node:net");
+const tls = require("node:tls");
+const os = require("node:os");
+const crypto = require("node:crypto");
+
+const DEFAULT_TIMEOUT_MS = 30000;
+
+class SmtpError extends Error {
+  // retry: false when the server refused for good (5xx other than auth)
+  constructor(message, { code = 0, retry = true } = {}) {
+    super(message);
+    this.name = "SmtpError";
+    this.code = code;
+    this.retry = retry;
+  }
+}
+
+// "Name <a@b.c>" or "a@b.c" -> "a@b.c"
+const addrOf = (s) => {
+  const m = String(s || "").match(/<([^<>\s]+@[^<>\s]+)>/);
+  return (m ? m[1] : String(s || "")).trim();
+};
+const isAddr = (s) => /^[^\s@<>]+@[^\s@<>]+\.[^\s@<>]+$/.test(addrOf(s));
+
+// RFC 2047 for non-ASCII header text
+const encWord = (s) => /^[\x20-\x7e]*$/.test(s) ? s : `=?UTF-8?B?${Buffer.from(s, "utf8").toString("base64")}?=`;
+const b64lines = (buf) => buf.toString("base64").replace(/.{1,76}/g, "$&\r\n");
+const boundary = () => "=_niyati_" + crypto.randomBytes(12).toString("hex");
+
+const MIME_TYPES = {
+  ".html": "text/html", ".htm": "text/html", ".csv": "text/csv", ".json": "application/json",
+  ".txt": "text/plain", ".pdf": "application/pdf", ".png": "image/png", ".jpg": "image/jpeg",
+  ".xlsx": "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+  ".zip": "application/zip", ".vcf": "text/vcard"
+};
+const mimeOf = (name) => MIME_TYPES[(String(name).match(/\.[^.]+$/)?.[0] || "").toLowerCase()] || "application/octet-stream";
+
+// attachments: [{ filename, content: Buffer|string, contentType? }]
+function buildMessage({ from, to = [], subject = "", text = "", html = "", attachments = [], date = new Date(), id = "" }) {
+  const domain = addrOf(from).split("@")[1] || "localhost";
+  const head = [
+    `From: ${from}`,
+    `To: ${to.join(", ")}`,
+    `Subject: ${encWord(String(subject).replace(/[\r\n]+/g, " "))}`,
+    `Date: ${date.toUTCString().replace("GMT", "+0000")}`,
+    `Message-ID: <${id || crypto.randomUUID()}@${domain}>`,
+    "MIME-Version: 1.0",
+    "X-Mailer: NiyatiBrowser"
+  ];
+  const part = (type, body) => [`Content-Type: ${type}; charset=utf-8`, "Content-Transfer-Encoding: base64", "", b64lines(Buffer.from(body, "utf8"))].join("\r\n");
+
+  const altB = boundary();
+  const alt = [
+    `Content-Type: multipart/alternative; boundary="${altB}"`, "",
+    `--${altB}`, part("text/plain", text || ""),
+    ...(html ? [`--${altB}`, part("text/html", html)] : []),
+    `--${altB}--`, ""
+  ].join("\r\n");
+  if (!attachments.length) return [...head, alt].join("\r\n");
+
+  const mixB = boundary();
+  const files = attachments.map(a => {
+    const name = encWord(String(a.filename || "attachment").replace(/["\r\n]/g, ""));
+    return [
+      `--${mixB}`,
+      `Content-Type: ${a.contentType || mimeOf(a.filename)}; name="${name}"`,
+      `Content-Disposition: attachment; filename="${name}"`,
+      "Content-Transfer-Encoding: base64", "",
+      b64lines(Buffer.isBuffer(a.content) ? a.content : Buffer.from(String(a.content ?? ""), "utf8"))
+    ].join("\r\n");
+  });
+  return [...head, `Content-Type: multipart/mixed; boundary="${mixB}"`, "", `--${mixB}`, alt, ...files, `--${mixB}--`, ""].join("\r\n");
+}
+
+// One SMTP conversation. Resolves { accepted, rejected } recipient lists;
+// rejects with SmtpError. rcpt 5xx only drops that recipient. Credentials
+// never go out unencrypted: a server without STARTTLS (port 465 aside) is
+// refused for good unless requireTLS is false.
+function sendMail({
+  host,
+  port = 587,
+  secure = port === 465,
+  starttls = true,
+  requireTLS = true,
+  user = "",
+  pass = "",
+  from,
+  to = [],
+  message,
+  timeoutMs = DEFAULT_TIMEOUT_MS,
+  clientName = os.hostname() || "localhost",
+  tlsOptions = {}
+}) {
+  return new Promise((resolve, reject) => {
+    let sock, buf = "", waiter = null, done = false;
+    const lines = [];
+
+    const finish = (err, val) => {
+      if (done) return;
+      done = true;
+      try { sock?.destroy(); } catch {}
+      err ? reject(err) : resolve(val);
+    };
+
+    const attach = (s) => {
+      sock = s;
+      s.setEncoding("utf8");
+      s.setTimeout(timeoutMs, () => finish(new SmtpError(`timed out after ${timeoutMs}ms`)));
+      s.on("data", onData);
+      s.on("error", (e) => finish(new SmtpError(e.code || e.message)));
+      s.on("close", () => finish(new SmtpError("connection closed")));
+    };
+
+    function onData(chunk) {
+      buf += chunk;
+      let i;
+      while ((i = buf.indexOf("\n")) >= 0) {
+        const line = buf.slice(0, i).replace(/\r$/, "");
+        buf = buf.slice(i + 1);
+        lines.push(line);
+        // "250-..." continues, "250 ..." ends the reply
+        if (/^\d{3}(?: |$)/.test(line) && waiter) {
+          const w = waiter; waiter = null;
+          const reply = { code: Number(line.slice(0, 3)), lines: lines.splice(0).map(l => l.slice(4)) };
+          w(reply);
+        }
+      }
+    }
+
+    const read = () => new Promise(r => { waiter = r; });
+    async function cmd(line, ok = [250], what = line.split(" ")[0]) {
+      if (line != null) sock.write(line + "\r\n");
+      const r = await read();
+      if (!ok.includes(r.code)) {
+        const msg = `${what} ${r.code} ${r.lines.join(" ").trim()}`;
+        // 4xx: try later; 530/534/535: credentials may be fixed later
+        throw new SmtpError(msg, { code: r.code, retry: r.code < 500 || [530, 534, 535].includes(r.code) });
+      }
+      return r;
+    }
+
+    async function run() {
+      await cmd(null, [220], "greeting");
+      let ehlo = await cmd(`EHLO ${clientName}`);
+      const has = (r, k) => r.lines.some(l => l.toUpperCase().startsWith(k));
+      if (!secure && starttls && has(ehlo, "STARTTLS")) {
+        await cmd("STARTTLS", [220]);
+        const plain = sock;
+        plain.removeAllListeners("data");
+        plain.removeAllListeners("close");
+        plain.removeAllListeners("error");
+        plain.setTimeout(0);
+        await new Promise((res, rej) => {
+          const t = tls.connect({ socket: plain, servername: net.isIP(host) ? undefined : host, ...tlsOptions }, res);
+          t.once("error", rej);
+          attach(t);
+        });
+        ehlo = await cmd(`EHLO ${clientName}`);
+      } else if (!secure && user && requireTLS) {
+        throw new SmtpError(`${host}:${port} offers no STARTTLS – not sending the password in clear (set "requireTLS": false to allow)`, { retry: false });
+      }
+      if (user) {
+        const auth = ehlo.lines.find(l => /^AUTH[ =]/i.test(l)) || "";
+        if (/\bPLAIN\b/i.test(auth) || !/\bLOGIN\b/i.test(auth)) {
+          await cmd(`AUTH PLAIN ${Buffer.from(`\0${user}\0${pass}`).toString("base64")}`, [235], "AUTH");
+        } else {
+          await cmd("AUTH LOGIN", [334], "AUTH");
+          await cmd(Buffer.from(user).toString("base64"), [334], "AUTH");
+          await cmd(Buffer.from(pass).toString("base64"), [235], "AUTH");
+        }
+      }
+      await cmd(`MAIL FROM:<${addrOf(from)}>`, [250], "MAIL");
+      const accepted = [], rejected = [];
+      for (const rc of to) {
+        try {
+          await cmd(`RCPT TO:<${addrOf(rc)}>`, [250, 251], "RCPT");
+          accepted.push(rc);
+        } catch (e) {
+          if (e.retry) throw e;
+          rejected.push(rc);
+        }
+      }
+      if (!accepted.length) throw new SmtpError(`no recipient accepted (${rejected.join(", ")})`, { code: 550, retry: false });
+      await cmd("DATA", [354]);
+      // Dot-stuffing, CRLF line ends
+      const data = String(message).replace(/\r?\n/g, "\r\n").replace(/^\./gm, "..");
+      await cmd(`${data}${data.endsWith("\r\n") ? "" : "\r\n"}.`, [250], "DATA");
+      try { sock.write("QUIT\r\n"); } catch {}
+      finish(null, { accepted, rejected });
+    }
+
+    try {
+      attach(secure
+        ? tls.connect({ host, port, servername: net.isIP(host) ? undefined : host, ...tlsOptions })
+        : net.connect({ host, port }));
+    } catch (e) {
+      return finish(new SmtpError(e.message));
+    }
+    run().catch(e => finish(e instanceof SmtpError ? e : new SmtpError(e.message)));
+  });
+}
+
+module.exports = { sendMail, buildMessage, SmtpError, addrOf, isAddr };
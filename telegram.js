@@ -1,4 +1,10 @@
+const crypto = require("node:crypto");
+const { createChatRoles, OPERATOR_COMMANDS } = require("./chatroles");
+
 const DEFAULT_TIMEOUT = 25;
+const CONFIRM_TIMEOUT_MS = 30000;
+// Telegram remembers the last list, so ask for button taps explicitly
+const ALLOWED_UPDATES = ["message", "edited_message", "callback_query"];
 
 // ✅ Input sanitization patterns
 const DANGEROUS_CHARS = /[`$(){}[\]<>|&;\\]/g;
@@ -26,11 +32,15 @@ const HELP_TEXT_HTML = `<b>🤖 NiyatiBrowser – Help</b>
 - /addprod &lt;name&gt; – ➕ Add Product
 - /delprod &lt;name&gt; – ➖ Remove Product
 - /prodlist – 🗂️ List Products
+  Rules: <code>-used</code> exclude · <code>(rubber pvc)</code> any of · <code>+heavy_duty@2</code> bonus · <code>@3</code> min score · <code>@fuzzy</code> typos/Hindi
+  Lead filters: <code>@qty2</code> · <code>@value50k</code> · <code>@gst</code> · <code>@mobile</code> · <code>@member1y</code> · <code>@fresh30</code> (min)
 
 🧠 Keywords
 - /addkey &lt;word&gt; – ➕ Add Keyword
 - /delkey &lt;word&gt; – ➖ Remove Keyword
 - /keylist – 🧾 List Keywords
+  Add <code>@fuzzy</code> to catch misspellings and Devanagari (conveyer, कन्वेयर)
+  Lead and match messages carry buttons: Contacted · Not relevant · Add product · Mute keyword 24h · Screenshot card
 
 📸 Screenshots
 - /ss – Both Windows (Album)
@@ -38,11 +48,15 @@ const HELP_TEXT_HTML = `<b>🤖 NiyatiBrowser – Help</b>
 - /sswin2 – Manager Window (Photo)
 
 📊 Status & amp; Maintenance
-- /status – Send Status
+- /status – Send Status (/status &lt;account&gt; for one account)
+- /accounts – 👥 Seller Accounts (List/accounts.json)
+- /chats – 👮 Chat Roles &amp; Notification Routes (List/telegram_chats.json)
+- /notify – 🔌 Webhooks, Email &amp; Outboxes (List/notifiers.json) · /notify retry – Retry Now
 - /clean – 🧹 Clean up
 - /cleanall – 🧨 Deep Clean (Careful)
 - /restart – 🔄 Restart App
 - /quit – 🔴 Quit App
+  /cleanall, /restart, /quit and /lock ask for a ✅ Confirm tap first
 
 🪟 Windows / UI
 - /manager – Focus Manager
@@ -54,17 +68,39 @@ const HELP_TEXT_HTML = `<b>🤖 NiyatiBrowser – Help</b>
 - /autologin – Start Auto-login
 - /otp &lt;1234&gt; – Submit OTP
 - /resend – Request New OTP
+  Several accounts: put the account id first, e.g. <code>/otp pune 1234</code>, <code>/addprod pune pvc pipe</code>, <code>/startref pune</code>
 
 🔒 Lock
 - /lock – Hide all Windows
 - /unlock &lt;user,pass&gt; – Unlock (if Creds Enabled)
 
+🔎 Search
+- /find &lt;text&gt; – Buyer, Product, Company, GSTIN or Mobile
+- /find &lt;text&gt; -p2 – Next Page of Results
+
+📇 Lead Pipeline
+- /lead – Pipeline Summary &amp; Open Leads
+- /lead 42 – Lead Card (number from the 🆕 New Lead message)
+- /lead 42 contacted|quoted|won|lost [note] – Move On, e.g. <code>/lead 42 quoted 1.2L</code>
+- /lead 42 note &lt;text&gt; · assign &lt;name&gt; · follow &lt;date&gt; · reopen
+  Dates: <code>2026-10-21</code> · <code>21-10</code> · <code>tomorrow</code> · <code>3d</code> · <code>none</code>; overdue follow-ups show in the daily report
+- /remind – ⏰ Call-back Reminders Waiting
+- /remind 42 +2h · /remind 42 tomorrow 10.00 · /remind 42 off
+  New leads get reminders automatically (REMINDER_SCHEDULE); each comes with ✅ Done / Snooze buttons
+
 🧰 Utilities
 - /ping – 🏓 Pong
 - /sync – 🔧 Re-sync Slash Commands
+  Operators run Refresh, Products, Keywords, /lead and /remind only; viewers just receive notifications
 
 📦 Reports
-- /runreports – Trigger Daily Report Now`;
+- /runreports – Trigger Daily Report Now
+- /area – 📍 Service-Area Rules (List/locations.json)
+- /selectors – 🧭 Selector Profile Health (List/selectors.json)
+- /shadow on|off – 🕶️ Dry-Run Clicks (or /shadow &lt;product&gt; on|off)
+- /budget – 💳 Click Budget &amp; Quiet Hours (/budget &lt;account&gt; for another account)
+- /budget global|default &lt;n&gt; · product &lt;name&gt; &lt;n&gt; · quiet 23.00-07.00
+- /export &lt;kind&gt; &lt;from&gt; &lt;to&gt; – XLSX + CSV (all, leads, keywords, products, clicks; YYYY-MM-DD)`;
 
 function createTelegramClient({
   token,
@@ -74,7 +110,12 @@ function createTelegramClient({
   dropPendingOnStart = false,
   onCommand,
   onCommandResult,
-  incomingFileSaveDir
+  onCallback,
+  incomingFileSaveDir,
+  apiBase = "https://api.telegram.org",
+  pollTimeoutSec = DEFAULT_TIMEOUT,
+  confirmTimeoutMs = CONFIRM_TIMEOUT_MS,
+  roles = null
 }) {
   if (!token) {
     console.warn("[Telegram] TELEGRAM_BOT_TOKEN not set; skipping integration.");
@@ -82,12 +123,18 @@ function createTelegramClient({
       start() {}, 
       stop() {}, 
       send() {}, 
+      notify() {}, 
       syncCommands() {}, 
-      sendFile() {} 
+      sendFile() {},
+      sendBytes() {}
     };
   }
 
-  const API = `https://api.telegram.org/bot${token}`;
+  // Without a roles table chatId is the one admin chat, as before
+  const chatRoles = roles || createChatRoles({ file: null, chatId });
+
+  // apiBase points at a local Bot API server (or the test fake) when set
+  const API = `${String(apiBase).replace(/\/+$/, "")}/bot${token}`;
   const JSON_HDR = { "Content-Type": "application/json" };
   let lastUpdateId = 0, abortCtrl = null;
   const startTs = Math.floor(Date.now() / 1000);
@@ -103,13 +150,29 @@ function createTelegramClient({
     return data.result;
   };
 
-  const sendRaw = async (text, extra = {}) =>
-    chatId && call("sendMessage", { chat_id: chatId, text: String(text ?? ""), ...extra });
+  const sendTo = async (chat, text, extra = {}) =>
+    chat && call("sendMessage", { chat_id: chat, text: String(text ?? ""), ...extra });
+
+  // One send per chat routed for this type. A chat that fails does not stop
+  // the others; the caller only sees an error when none got it.
+  async function fanOut(type, fn) {
+    const ids = chatRoles.recipients(type);
+    const results = await Promise.allSettled(ids.map(fn));
+    const ok = results.find(r => r.status === "fulfilled");
+    if (!ok && results.length) throw results[0].reason;
+    for (const [i, r] of results.entries()) {
+      if (r.status === "rejected") console.warn(`[Telegram] ${type} to ${ids[i]} failed:`, r.reason?.message || r.reason);
+    }
+    return ok?.value;
+  }
+
+  const notify = (type, text, extra = {}) => fanOut(type, (id) => sendTo(id, text, extra));
+  const sendRaw = (text, extra = {}) => notify("system", text, extra);
 
-  async function sendPhotoBuffer(buf, { caption = "", filename = "photo.jpg", mime = "image/jpeg" } = {}) {
-    if (!chatId) return;
+  async function sendPhotoBuffer(buf, { caption = "", filename = "photo.jpg", mime = "image/jpeg" } = {}, chat = null) {
+    if (!chat) return;
     const fd = new FormData();
-    fd.append("chat_id", String(chatId));
+    fd.append("chat_id", String(chat));
     if (caption) fd.append("caption", caption);
     const blob = new Blob([buf], { type: mime });
     fd.append("photo", blob, filename);
@@ -119,10 +182,10 @@ function createTelegramClient({
     return data.result;
   }
 
-  async function sendMediaGroupPhotos(photos) {
-    if (!chatId) return;
+  async function sendMediaGroupPhotos(photos, chat = null) {
+    if (!chat) return;
     const fd = new FormData();
-    fd.append("chat_id", String(chatId));
+    fd.append("chat_id", String(chat));
     const media = [];
     for (const p of photos) {
       const key = p.name || ("photo" + media.length);
@@ -141,8 +204,9 @@ function createTelegramClient({
     return data.result;
   }
 
+  // Command replies go back to the chat that sent the command
   const wrapSendForCmd = (ctx) => async (text, extra = {}) => {
-    await sendRaw(String(text ?? ""), extra);
+    await sendTo(ctx.chat, String(text ?? ""), extra);
     try { 
       onCommandResult && onCommandResult({ ...ctx, reply: text }); 
     } catch {}
@@ -157,10 +221,7 @@ function createTelegramClient({
       throw new Error("File too large (max 50MB)");
     }
     
-    const base = API.startsWith("https://api.telegram.org/bot")
-      ? "https://api.telegram.org"
-      : API.replace(/\/bot$/, '');
-    const url = `${base}/file/bot${token}/${info.file_path}`;
+    const url = `${String(apiBase).replace(/\/+$/, "")}/file/bot${token}/${info.file_path}`;
     
     const res = await fetch(url);
     if (!res.ok) throw new Error(`Download failed ${res.status}`);
@@ -262,7 +323,7 @@ function createTelegramClient({
   }
 
   const normalize = (spec) => {
-    const list = [], map = {};
+    const list = [], map = {}, confirm = {};
     const seen = new Set();
 
     for (const [rawCmd, v] of Object.entries(spec || {})) {
@@ -275,6 +336,7 @@ function createTelegramClient({
 
       map[cleaned] = inv;
       map[rawCmd] = inv;
+      if (typeof v === "object" && v?.confirm) confirm[cleaned] = String(v.confirm);
 
       if (hidden) continue;
 
@@ -287,10 +349,86 @@ function createTelegramClient({
         });
       }
     }
-    return { list, map };
+    return { list, map, confirm };
   };
 
-  const { list: commandList, map: handlerMap } = normalize(commands);
+  const { list: commandList, map: handlerMap, confirm: confirmMap } = normalize(commands);
+
+  // Commands with a confirm prompt wait for a Confirm tap on an inline
+  // keyboard from the person who sent them; Cancel or no tap within
+  // confirmTimeoutMs and nothing runs
+  const pendingConfirms = new Map();
+
+  function settleConfirm(id, text) {
+    const entry = pendingConfirms.get(id);
+    if (!entry) return null;
+    pendingConfirms.delete(id);
+    clearTimeout(entry.timer);
+    // Editing without reply_markup also removes the buttons
+    if (entry.messageId) {
+      call("editMessageText", { chat_id: entry.chat, message_id: entry.messageId, text }).catch(() => {});
+    }
+    return entry;
+  }
+
+  async function askConfirm(ctx, run) {
+    const id = crypto.randomBytes(6).toString("hex");
+    const entry = { cmd: ctx.cmd, chat: ctx.chat, from: ctx.msg?.from?.id ?? null, run, messageId: null, timer: null };
+    pendingConfirms.set(id, entry);
+    entry.timer = setTimeout(() => settleConfirm(id, `⌛ /${ctx.cmd} not confirmed – nothing done.`), confirmTimeoutMs);
+    try {
+      const sent = await sendTo(ctx.chat, `${confirmMap[ctx.cmd]}\nTap Confirm within ${Math.round(confirmTimeoutMs / 1000)}s.`, {
+        reply_markup: {
+          inline_keyboard: [[
+            { text: "✅ Confirm", callback_data: `cf:${id}` },
+            { text: "✖️ Cancel", callback_data: `cx:${id}` }
+          ]]
+        }
+      });
+      entry.messageId = sent?.message_id ?? null;
+    } catch (e) {
+      settleConfirm(id);
+      console.warn(`[Telegram] confirm prompt for /${ctx.cmd} failed:`, e.message);
+    }
+  }
+
+  // Button taps: confirm prompts here, anything else (lead actions) goes to
+  // onCallback, which answers the tap itself
+  function handleCallback(cb) {
+    const chat = String(cb.message?.chat?.id ?? "");
+    const role = chatRoles.roleOf(chat);
+    const answer = (text) => call("answerCallbackQuery", { callback_query_id: cb.id, ...(text ? { text } : {}) }).catch(() => {});
+    if (!role) return answer();
+    const m = /^c([fx]):([0-9a-f]{12})$/.exec(String(cb.data || ""));
+    if (!m) {
+      if (role === "viewer") return answer("🚫 This chat only receives notifications.");
+      if (typeof onCallback !== "function") return answer();
+      const messageId = cb.message?.message_id;
+      return Promise.resolve(onCallback({
+        data: String(cb.data || ""),
+        chat,
+        role,
+        from: cb.from,
+        message: cb.message,
+        answer,
+        editMarkup: (markup) => call("editMessageReplyMarkup", { chat_id: chat, message_id: messageId, reply_markup: markup }).catch(() => {}),
+        sendPhoto: (buf, opts) => sendPhotoBuffer(buf, opts, chat)
+      })).then((handled) => { if (handled === false) answer(); })
+        .catch((e) => { console.error("[Telegram] callback error:", e.message); answer("❌ " + e.message); });
+    }
+
+    const entry = pendingConfirms.get(m[2]);
+    if (!entry || entry.chat !== chat) return answer("⌛ Expired – send the command again.");
+    if (entry.from != null && String(cb.from?.id) !== String(entry.from)) return answer("🚫 Only the sender can confirm.");
+
+    if (m[1] === "x") {
+      settleConfirm(m[2], `✖️ /${entry.cmd} cancelled.`);
+      return answer("Cancelled");
+    }
+    settleConfirm(m[2], `✅ /${entry.cmd} confirmed.`);
+    answer("Confirmed");
+    entry.run();
+  }
 
   const __helpText = () => {
     const lines = ["🤖 Niyati Bot – Command Menu"];
@@ -333,25 +471,34 @@ function createTelegramClient({
       for (const scope of scopes) {
         await call("setMyCommands", { commands: valid, scope });
       }
-      if (chatId) {
+      // Operators see only what they may run
+      const opValid = valid.filter(c => OPERATOR_COMMANDS.has(c.command));
+      for (const id of chatRoles.byRole("operator")) {
+        await call("setMyCommands", { commands: opValid, scope: { type: "chat", chat_id: id } }).catch(()=>{});
+      }
+      for (const id of chatRoles.byRole("admin")) {
         await call("sendChatAction", { 
-          chat_id: chatId, 
+          chat_id: id, 
           action: "typing" 
         }).catch(()=>{});
-        if (notify) await sendRaw("🔧 Commands re-synced ✅");
       }
+      if (notify) await sendRaw("🔧 Commands re-synced ✅");
     } catch (e) {
       throw new Error("Command sync failed: " + e.message);
     }
   }
 
   const dispatch = (upd) => {
+    if (upd.callback_query) return handleCallback(upd.callback_query);
     const msg = upd.message || upd.edited_message;
     if (!msg) return;
-    if (chatId && String(msg.chat.id) !== String(chatId)) return;
+    const chat = String(msg.chat.id);
+    const role = chatRoles.roleOf(chat);
+    if (!role) return;
     if (typeof msg.date === "number" && msg.date < startTs) return;
+    const reply = (text, extra) => sendTo(chat, text, extra);
 
-    if (incomingFileSaveDir && (msg.document || (msg.photo && msg.photo.length) || msg.video || msg.audio || msg.voice)) {
+    if (incomingFileSaveDir && role === "admin" && (msg.document || (msg.photo && msg.photo.length) || msg.video || msg.audio || msg.voice)) {
       (async () => {
         try {
           const kind = msg.document ? 'document' : msg.photo ? 'photo' : msg.video ? 'video' : msg.audio ? 'audio' : 'voice';
@@ -361,9 +508,9 @@ function createTelegramClient({
           const path = require('node:path');
           const filename = preferName || path.basename(file_path);
           const saved = await saveBufferToDir(buf, incomingFileSaveDir, filename);
-          await sendRaw(`📥 Saved <b>${filename}</b> (${(buf.length/1024).toFixed(1)} KB) to <code>${saved}</code>`, { parse_mode: 'HTML' });
+          await reply(`📥 Saved <b>${filename}</b> (${(buf.length/1024).toFixed(1)} KB) to <code>${saved}</code>`, { parse_mode: 'HTML' });
         } catch (e) {
-          await sendRaw('❌ File Save Failed: ' + e.message);
+          await reply('❌ File Save Failed: ' + e.message);
         }
       })();
     }
@@ -381,7 +528,7 @@ function createTelegramClient({
     
     if (rawArgs !== args && rawArgs.length > 0) {
       console.warn(`[Telegram] Sanitized command args: "${rawArgs}" -> "${args}"`);
-      wrapSendForCmd({ cmd, args })("⚠️ Input was Sanitized for Security");
+      wrapSendForCmd({ cmd, args, chat })("⚠️ Input was Sanitized for Security");
     }
 
     const ctx = { 
@@ -389,20 +536,31 @@ function createTelegramClient({
       args, // Sanitized version
       raw: text, 
       msg, 
-      send: wrapSendForCmd({ cmd, args }), 
-      sendPhoto: sendPhotoBuffer, 
-      sendMediaGroup: sendMediaGroupPhotos, 
+      chat,
+      role,
+      send: wrapSendForCmd({ cmd, args, chat }), 
+      sendPhoto: (buf, opts) => sendPhotoBuffer(buf, opts, chat), 
+      sendMediaGroup: (photos) => sendMediaGroupPhotos(photos, chat), 
       syncCommands,
       downloadFile: downloadFileById,
       incomingFileSaveDir,
       message: msg
     };
 
-    try { onCommand && onCommand({ cmd, args, raw: text }); } catch {}
+    try { onCommand && onCommand({ cmd, args, raw: text, chat, role }); } catch {}
+
+    // Checked before onUnknown too, so /unlock text and aliases are covered
+    if (!chatRoles.canRun(chat, cmd)) {
+      ctx.send(role === "viewer"
+        ? "🚫 This chat only receives notifications."
+        : `🚫 /${cmd} is for admins only.`);
+      return;
+    }
 
     const handler = handlerMap[cmd] || handlerMap[raw] || handlerMap[`/${cmd}`];
     if (typeof handler === "function") {
-      handler(ctx);
+      if (confirmMap[cmd]) askConfirm(ctx, () => handler(ctx));
+      else handler(ctx);
     } else if (typeof onUnknown === "function") {
       onUnknown(ctx);
     } else {
@@ -411,18 +569,19 @@ function createTelegramClient({
   };
 
   async function start() {
+    // Created up front so a stop() during init also ends the poll loop
+    abortCtrl = new AbortController();
+    const { signal } = abortCtrl;
+
     try {
       await ensurePollingMode();
       await drainBacklogToLatest();
       await syncCommands(false);
-      await sendRaw("🔗 Niyati Browser Connected.");
+      await notify("system", "🔗 Niyati Browser Connected.");
     } catch (e) { 
       console.error("[Telegram] init error:", e.message); 
     }
 
-    abortCtrl = new AbortController();
-    const { signal } = abortCtrl;
-
     while (!signal.aborted) {
       try {
         const res = await fetch(`${API}/getUpdates`, {
@@ -430,8 +589,9 @@ function createTelegramClient({
           headers: JSON_HDR,
           body: JSON.stringify({ 
             offset: lastUpdateId + 1, 
-            timeout: DEFAULT_TIMEOUT, 
-            limit: 100 
+            timeout: pollTimeoutSec, 
+            limit: 100,
+            allowed_updates: ALLOWED_UPDATES
           }),
           signal
         });
@@ -457,16 +617,18 @@ function createTelegramClient({
       try { abortCtrl.abort(); } catch {} 
     } 
     abortCtrl = null; 
+    for (const entry of pendingConfirms.values()) clearTimeout(entry.timer);
+    pendingConfirms.clear();
   };
 
-  const sendDocument = async (filePath, caption = "") => {
-    if (!chatId) return;
+  const sendDocument = async (filePath, caption = "", chat = null, bytes = null) => {
+    if (!chat) return;
     const fs = require("node:fs/promises");
     const path = require("node:path");
     const fd = new FormData();
-    fd.append("chat_id", String(chatId));
+    fd.append("chat_id", String(chat));
     if (caption) fd.append("caption", caption);
-    const blob = new Blob([await fs.readFile(filePath)]);
+    const blob = new Blob([bytes || await fs.readFile(filePath)]);
     fd.append("document", blob, path.basename(filePath));
     const res = await fetch(`${API}/sendDocument`, { method: "POST", body: fd });
     const data = await res.json();
@@ -474,14 +636,23 @@ function createTelegramClient({
     return data.result;
   };
 
-  const sendFile = (filePath, caption = "") => sendDocument(filePath, caption);
+  const sendFile = async (filePath, caption = "", type = "report") => {
+    const bytes = await require("node:fs/promises").readFile(filePath);
+    return fanOut(type, (id) => sendDocument(filePath, caption, id, bytes));
+  };
+
+  // A document built in memory (a lead's .vcf) under the given file name
+  const sendBytes = (bytes, filename, caption = "", type = "report") =>
+    fanOut(type, (id) => sendDocument(filename, caption, id, bytes));
 
   return {
     start, 
     stop,
     send: sendRaw,
+    notify,
     syncCommands,
-    sendFile
+    sendFile,
+    sendBytes
   };
 }
 
@@ -490,6 +661,17 @@ function createTelegramClient({
 function buildDefaultCommands(deps = {}) {
   const ok = (b) => (b ? "OK" : "Failed");
 
+  // Optional leading account id: "/status pune", "/addprod pune pvc pipe".
+  // Only ids deps.resolveAccount knows are taken, so with a single account
+  // (or an unknown first word) the arguments pass through untouched.
+  const pickAccount = (args) => {
+    const text = String(args || "").trim();
+    const m = text.match(/^(\S+)(?:\s+([\s\S]*))?$/);
+    const account = m && deps.resolveAccount ? deps.resolveAccount(m[1]) : null;
+    return account ? { account, rest: (m[2] || "").trim() } : { account: null, rest: text };
+  };
+  const tag = (account) => (account ? ` [${account}]` : "");
+
   const cmds = {
     help: {
       desc: "Show commands",
@@ -501,50 +683,59 @@ function buildDefaultCommands(deps = {}) {
 
     startref: { 
       desc: "Start auto-refresh", 
-      handler: ({ send }) => send(ok(deps.enableAuto?.(deps.getIntervalSec?.() || 7)) ? "▶️ Auto-Refresh Started." : "❌ Start Failed – Retry.") 
+      handler: ({ args, send }) => {
+        const { account } = pickAccount(args);
+        return send(ok(deps.enableAuto?.(deps.getIntervalSec?.(account) || 7, account)) ? `▶️ Auto-Refresh Started${tag(account)}.` : "❌ Start Failed – Retry.");
+      }
     },
     
     stopref: { 
       desc: "Stop auto-refresh",  
-      handler: ({ send }) => send(ok(deps.disableAuto?.()) ? "⏹️ Auto-Refresh Stopped." : "❌ Stop Failed – Retry.") 
+      handler: ({ args, send }) => {
+        const { account } = pickAccount(args);
+        return send(ok(deps.disableAuto?.(account)) ? `⏹️ Auto-Refresh Stopped${tag(account)}.` : "❌ Stop Failed – Retry.");
+      }
     },
     
     setref: {
       desc: "Set refresh seconds",
       handler: ({ args, send }) => {
-        const input = String(args || "").trim();
+        const { account, rest: input } = pickAccount(args);
         if (!/^\d+$/.test(input)) {
           return send("❌ Invalid Input. Use: /setref <seconds> (e.g., /setref 10)");
         }
         const sec = Math.max(3, Math.min(3600, parseInt(input, 10) || 7));
-        send(ok(deps.enableAuto?.(sec)) ? `⏱️ Auto-Refresh Set to ${sec}s.` : "❌ Couldn't Set Refresh – Try Again.");
+        send(ok(deps.enableAuto?.(sec, account)) ? `⏱️ Auto-Refresh Set to ${sec}s${tag(account)}.` : "❌ Couldn't Set Refresh – Try Again.");
       }
     },
 
     addprod: { 
       desc: "Add product",   
       handler: ({ args, send }) => {
-        const safe = sanitizeInput(args, 200);
+        const { account, rest } = pickAccount(args);
+        const safe = sanitizeInput(rest, 200);
         if (!safe) return send("❌ Invalid Product Name");
-        return send(ok(deps.addProduct?.(safe)) ? `✅ Product Saved: ${safe}` : "❌ Add Failed – Try Again.");
+        return send(ok(deps.addProduct?.(safe, account)) ? `✅ Product Saved${tag(account)}: ${safe}` : "❌ Add Failed – Try Again.");
       }
     },
     
     delprod: { 
       desc: "Delete product",
       handler: ({ args, send }) => {
-        const safe = sanitizeInput(args, 200);
+        const { account, rest } = pickAccount(args);
+        const safe = sanitizeInput(rest, 200);
         if (!safe) return send("❌ Invalid Product Name");
-        return send(ok(deps.deleteProduct?.(safe)) ? `✅ Removed Product: ${safe}` : "❌ Delete Failed – Check the Name & Retry.");
+        return send(ok(deps.deleteProduct?.(safe, account)) ? `✅ Removed Product${tag(account)}: ${safe}` : "❌ Delete Failed – Check the Name & Retry.");
       }
     },
     
     prodlist: { 
       desc: "List products", 
-      handler: ({ send }) => {
+      handler: ({ args, send }) => {
         try {
-          const arr = deps.listProducts ? deps.listProducts() : [];
-          send(arr.length ? `📦 Products (${arr.length}):\n` + arr.map((x)=>`• ${x}`).join("\n") : "🔭 No Products Yet.");
+          const { account } = pickAccount(args);
+          const arr = deps.listProducts ? deps.listProducts(account) : [];
+          send(arr.length ? `📦 Products${tag(account)} (${arr.length}):\n` + arr.map((x)=>`• ${x}`).join("\n") : "🔭 No Products Yet.");
         } catch { send("❌ Failed."); }
       }
     },
@@ -552,37 +743,41 @@ function buildDefaultCommands(deps = {}) {
     addkey: { 
       desc: "Add keyword",   
       handler: ({ args, send }) => {
-        const safe = sanitizeInput(args, 200);
+        const { account, rest } = pickAccount(args);
+        const safe = sanitizeInput(rest, 200);
         if (!safe) return send("❌ Invalid Keyword");
-        return send(ok(deps.addKeyword?.(safe)) ? `✅ Added Keyword: ${safe}` : "❌ Couldn't Add – Retry.");
+        return send(ok(deps.addKeyword?.(safe, account)) ? `✅ Added Keyword${tag(account)}: ${safe}` : "❌ Couldn't Add – Retry.");
       }
     },
     
     delkey: { 
       desc: "Delete keyword",
       handler: ({ args, send }) => {
-        const safe = sanitizeInput(args, 200);
+        const { account, rest } = pickAccount(args);
+        const safe = sanitizeInput(rest, 200);
         if (!safe) return send("❌ Invalid Keyword");
-        return send(ok(deps.deleteKeyword?.(safe)) ? `✅ Removed: ${safe}` : "❌ Delete Failed – Retry.");
+        return send(ok(deps.deleteKeyword?.(safe, account)) ? `✅ Removed${tag(account)}: ${safe}` : "❌ Delete Failed – Retry.");
       }
     },
     
     keylist: { 
       desc: "List keywords", 
-      handler: ({ send }) => {
+      handler: ({ args, send }) => {
         try {
-          const arr = deps.listKeywords ? deps.listKeywords() : [];
-          send(arr.length ? `🏷️ Keywords (${arr.length}):\n` + arr.map((x)=>`• ${x}`).join("\n") : "🙈 No Keywords Yet.");
+          const { account } = pickAccount(args);
+          const arr = deps.listKeywords ? deps.listKeywords(account) : [];
+          send(arr.length ? `🏷️ Keywords${tag(account)} (${arr.length}):\n` + arr.map((x)=>`• ${x}`).join("\n") : "🙈 No Keywords Yet.");
         } catch { send("❌ Failed."); }
       }
     },
 
     ss: { 
       desc: "Both windows (album)",
-      handler: async ({ send, sendMediaGroup }) => {
+      handler: async ({ args, send, sendMediaGroup }) => {
         try {
+          const { account } = pickAccount(args);
           await send("📸 Taking Screenshots of Both Windows…");
-          const out = await deps.screenshotBothAsJpegs?.({ stayHidden: true, quality: 88 });
+          const out = await deps.screenshotBothAsJpegs?.({ stayHidden: true, quality: 88, account });
           if (out && out.managerBuf && out.leadsBuf) {
             await sendMediaGroup([
               { name: "manager", buf: out.managerBuf, caption: "Manager" },
@@ -599,10 +794,11 @@ function buildDefaultCommands(deps = {}) {
     
     sswin1: { 
       desc: "Screenshot Leads (photo)",
-      handler: async ({ send, sendPhoto }) => {
+      handler: async ({ args, send, sendPhoto }) => {
         try {
+          const { account } = pickAccount(args);
           await send("📸 Capturing Leads…");
-          const buf = await deps.screenshotLeadsAsJpeg?.({ stayHidden: true, quality: 88 });
+          const buf = await deps.screenshotLeadsAsJpeg?.({ stayHidden: true, quality: 88, account });
           if (buf) {
             await sendPhoto(buf, { caption: "Leads", filename: "leads.jpg" });
           } else {
@@ -633,9 +829,35 @@ function buildDefaultCommands(deps = {}) {
 
     status: { 
       desc: "Send status report",        
-      handler: ({ send }) => send((deps.sendStatus && deps.sendStatus()) ? "🧾 Status Shared." : "❌ Status Send Failed – Retry.") 
+      handler: ({ args, send }) => {
+        const { account } = pickAccount(args);
+        return send((deps.sendStatus && deps.sendStatus(account)) ? "🧾 Status Shared." : "❌ Status Send Failed – Retry.");
+      }
+    },
+
+    accounts: {
+      desc: "List seller accounts",
+      handler: ({ send }) => {
+        const list = deps.listAccounts ? deps.listAccounts() : [];
+        if (list.length < 2) return send("👤 Single Account – add more in List/accounts.json");
+        const auth = (v) => (v === true ? "🔐 In" : v === false ? "🚪 Out" : "❔");
+        const lines = list.map(a => `• ${a.id}${a.primary ? " (primary)" : ""} – ${a.label} · ${auth(a.isLoggedIn)} · ${a.enabled ? `🔄 ${Math.round((a.intervalMs || 7000) / 1000)}s` : "⏸️ stopped"}`);
+        return send(`👥 Accounts (${list.length}):\n${lines.join("\n")}\nTarget one with its id first: /status ${list[1].id}`);
+      }
     },
     
+    chats: {
+      desc: "Chat roles and routing",
+      handler: ({ send }) => {
+        const st = deps.getChatRoles ? deps.getChatRoles() : null;
+        if (!st) return send("❌ Chat roles unavailable.");
+        const icon = { admin: "👑", operator: "🛠️", viewer: "👀" };
+        const chats = st.chats.map(c => `• ${icon[c.role] || "•"} ${c.label} (${c.id}) – ${c.role}`);
+        const routes = Object.entries(st.routes).map(([type, to]) => `• ${type} → ${to.join(", ") || "nobody"}`);
+        return send(`👮 Chats (${st.chats.length}):\n${chats.join("\n")}\n\n📬 Routes:\n${routes.join("\n")}`);
+      }
+    },
+
     clean: { 
       desc: "Memory clean",              
       handler: ({ send }) => send((deps.cleanNow && deps.cleanNow()) ? "🧹 Cleanup Complete." : "❌ Cleanup Failed – Retry.") 
@@ -643,11 +865,13 @@ function buildDefaultCommands(deps = {}) {
     
     cleanall: { 
       desc: "Archive+Truncate+Clean",    
+      confirm: "🧨 Deep Clean archives and empties the report files, then resets memory.",
       handler: ({ send }) => send((deps.cleanAll && deps.cleanAll()) ? "🧼 Deep Clean Done."  : "❌ Deep Clean Failed – Retry.") 
     },
     
     restart: { 
       desc: "Relaunch App",
+      confirm: "🔄 Restart the app? Refresh stops until it is back up.",
       handler: async ({ send }) => {
         await send("🔄 Restarting…");
         deps.restartApp && deps.restartApp();
@@ -656,6 +880,7 @@ function buildDefaultCommands(deps = {}) {
     
     quit: { 
       desc: "Quit The App", 
+      confirm: "🔴 Quit the app? It stays off until started again on the PC.",
       handler: ({ send }) => { 
         send("🚪 Quitting…"); 
         deps.quitApp?.(); 
@@ -664,6 +889,7 @@ function buildDefaultCommands(deps = {}) {
 
     lock: { 
       desc: "Lock: hide ALL windows (incl. login)", 
+      confirm: "🔒 Lock hides all windows, including login.",
       handler: ({ send }) => { 
         try { deps.lockAll && deps.lockAll(); } catch {} 
         return send("🔒 Locked – All Windows Hidden."); 
@@ -685,7 +911,7 @@ function buildDefaultCommands(deps = {}) {
     
     leads: { 
       desc: "Focus Leads window",       
-      handler: ({ send }) => send((deps.focusLeads && deps.focusLeads()) ? "👀 Leads Focused"     : "❌ Failed") 
+      handler: ({ args, send }) => send((deps.focusLeads && deps.focusLeads(pickAccount(args).account)) ? "👀 Leads Focused"     : "❌ Failed") 
     },
     
     togglemax: { 
@@ -698,27 +924,48 @@ function buildDefaultCommands(deps = {}) {
 
     autologin: {
       desc: "Start auto-login",
-      handler: ({ send }) => {
-        if (deps.isLoggedIn && deps.isLoggedIn()) return send("ℹ️ Already Logged in.");
-        if (!deps.startAutoLogin?.()) return send("⚠️ Auto-Login Not Ready.");
-        return send("⏳ Auto-Login Started.");
+      handler: ({ args, send }) => {
+        const { account } = pickAccount(args);
+        if (deps.isLoggedIn && deps.isLoggedIn(account)) return send(`ℹ️ Already Logged in${tag(account)}.`);
+        if (!deps.startAutoLogin?.(account)) return send("⚠️ Auto-Login Not Ready.");
+        return send(`⏳ Auto-Login Started${tag(account)}.`);
       }
     },
     
     otp: {
       desc: "Submit OTP",
       handler: ({ args, send }) => {
-        if (deps.isLoggedIn && deps.isLoggedIn()) return send("ℹ️ Already Logged in.");
-        const okk = deps.injectOtp && deps.injectOtp(String(args || "").trim());
-        return send(okk ? "🔐 OTP Submitted." : "❌ Invalid OTP / No Active Attempt.");
+        const { account, rest } = pickAccount(args);
+        if (deps.isLoggedIn && deps.isLoggedIn(account)) return send(`ℹ️ Already Logged in${tag(account)}.`);
+        const okk = deps.injectOtp && deps.injectOtp(rest, account);
+        return send(okk ? `🔐 OTP Submitted${tag(account)}.` : "❌ Invalid OTP / No Active Attempt.");
       }
     },
     
     resend: {
       desc: "Request OTP again",
-      handler: ({ send }) => {
-        if (deps.isLoggedIn && deps.isLoggedIn()) return send("ℹ️ Already Logged in.");
-        return send(deps.requestResend?.() ? "🔁 Will Click Request OTP." : "⛔ No Auto-login Attempt is Active.");
+      handler: ({ args, send }) => {
+        const { account } = pickAccount(args);
+        if (deps.isLoggedIn && deps.isLoggedIn(account)) return send(`ℹ️ Already Logged in${tag(account)}.`);
+        return send(deps.requestResend?.(account) ? `🔁 Will Click Request OTP${tag(account)}.` : "⛔ No Auto-login Attempt is Active.");
+      }
+    },
+
+    find: {
+      desc: "Search leads (buyer/product/mobile)",
+      handler: async ({ args, send }) => {
+        const input = String(args || "").trim();
+        const m = input.match(/^(.*?)\s+-p\s*(\d{1,3})$/i);
+        const query = (m ? m[1] : input).trim();
+        const page = m ? parseInt(m[2], 10) : 1;
+        if (query.length < 2) return send("Usage: /find <text> [-p2]\nExample: /find 98765 or /find belt conveyor");
+        if (!deps.findLeads) return send("❌ Search not Available");
+        try {
+          const html = await deps.findLeads(query, page);
+          return send(html, { parse_mode: "HTML", disable_web_page_preview: true });
+        } catch (e) {
+          return send("❌ Search Failed: " + (e?.message || e));
+        }
       }
     },
 
@@ -769,6 +1016,176 @@ function buildDefaultCommands(deps = {}) {
       }
     },
 
+    export: {
+      desc: "Export logs as XLSX/CSV for a date range",
+      handler: async ({ args, send }) => {
+        const [kind = "all", from = "", to = ""] = String(args || "").trim().split(/\s+/).filter(Boolean);
+        if (!deps.exportReports) return send("❌ Export not Available");
+        try {
+          const html = await deps.exportReports(kind, from, to);
+          return send(html, { parse_mode: "HTML" });
+        } catch (e) {
+          return send("❌ Export Failed: " + (e?.message || e));
+        }
+      }
+    },
+
+    budget: {
+      desc: "Show or edit click budget",
+      handler: async ({ args, send }) => {
+        if (!deps.fmtBudget || !deps.setBudget) return send("❌ Budget not Available");
+        // Every account has its own budget; a leading id picks it
+        const { account, rest: input } = pickAccount(args);
+        const usage = "Usage:\n/budget\n/budget global 50\n/budget default 5\n/budget product <name> 3\n/budget quiet 23.00-07.00\n(use off to remove a limit; put the account id first for another account)";
+        if (!input) return send(deps.fmtBudget(account), { parse_mode: "HTML" });
+
+        const [kind, ...rest] = input.split(/\s+/);
+        const k = kind.toLowerCase();
+        const last = rest[rest.length - 1] || "";
+        const off = /^off$/i.test(last);
+        let ok = false;
+
+        if (k === "global" || k === "default") {
+          if (rest.length !== 1) return send(usage);
+          ok = deps.setBudget(k, off ? 0 : Number(last), null, account);
+        } else if (k === "product") {
+          const name = rest.slice(0, -1).join(" ");
+          if (!name) return send(usage);
+          ok = deps.setBudget("product", off ? null : Number(last), name, account);
+        } else if (k === "quiet") {
+          const windows = off ? [] : rest.join(" ").split(",").map(w => w.trim()).filter(Boolean);
+          if (!off && !windows.length) return send(usage);
+          ok = deps.setBudget("quiet", windows, null, account);
+        } else {
+          return send(usage);
+        }
+        if (!ok) return send("❌ Invalid Value\n" + usage);
+        return send(deps.fmtBudget(account), { parse_mode: "HTML" });
+      }
+    },
+
+    area: {
+      desc: "Show service-area (location) rules",
+      handler: ({ send }) => {
+        const st = deps.getLocationRules?.();
+        if (!st) return send("❌ Location Rules not Available");
+        const fmt = (r) => {
+          const parts = [];
+          if (r.allowStates.length) parts.push(`allow states: ${r.allowStates.join(", ")}`);
+          if (r.allowCities.length) parts.push(`allow cities: ${r.allowCities.join(", ")}`);
+          if (r.denyStates.length) parts.push(`deny states: ${r.denyStates.join(", ")}`);
+          if (r.denyCities.length) parts.push(`deny cities: ${r.denyCities.join(", ")}`);
+          if (r.unknown === "deny") parts.push("unknown location: deny");
+          return parts.join(" · ") || "no limits";
+        };
+        const names = Object.keys(st.products);
+        if (!st.default && !names.length) {
+          return send(`📍 No Location Rules – every location is clicked.\nEdit ${st.file} to add them.`);
+        }
+        const lines = ["📍 Service Area Rules"];
+        if (st.default) lines.push(`• default – ${fmt(st.default)}`);
+        for (const n of names) lines.push(`• ${n} – ${fmt(st.products[n])}`);
+        return send(lines.join("\n"));
+      }
+    },
+
+    selectors: {
+      desc: "Show which selector candidates are matching",
+      handler: ({ send }) => {
+        const st = deps.getSelectors?.();
+        if (!st) return send("❌ Selector Profile not Available");
+        const lines = [`🧭 Selector Profile v${st.version} (drift after ${st.driftAfter} misses)`];
+        for (const f of st.fields) {
+          if (f.lastVia < 0 && !f.misses) continue; // never used yet
+          const icon = f.drifted ? "🔴" : f.misses ? "🟡" : f.lastVia > 0 ? "🟠" : "🟢";
+          const via = f.lastVia >= 0 ? `#${f.lastVia + 1}/${f.candidates}` : `none/${f.candidates}`;
+          lines.push(`${icon} ${f.name} – ${via}${f.misses ? ` · ${f.misses} miss(es)` : ""}`);
+        }
+        if (lines.length === 1) lines.push("No selector used yet.");
+        lines.push("🟢 first candidate · 🟠 fallback · 🟡 missing · 🔴 drift");
+        return send(lines.join("\n"));
+      }
+    },
+
+    shadow: {
+      desc: "Dry-run clicks (on/off, global or per product)",
+      handler: async ({ args, send }) => {
+        if (!deps.getShadow || !deps.setShadow) return send("❌ Shadow Mode not Available");
+        const input = String(args || "").trim();
+        const m = input.match(/^(.*?)\s*\b(on|off)$/i);
+
+        if (input && !m) return send("Usage:\n/shadow – Show\n/shadow on|off – All Products\n/shadow <product> on|off – One Product");
+        if (m && !deps.setShadow(m[2].toLowerCase() === "on", m[1].trim())) return send("❌ Couldn't Change Shadow Mode");
+
+        const st = deps.getShadow() || { global: false, products: [] };
+        const sum = deps.getShadowSummary?.() || { count: 0, top: [] };
+        const lines = [
+          `🕶️ Shadow Mode: ${st.global ? "ON for all products" : st.products.length ? "ON for " + st.products.length + " product(s)" : "OFF"}`,
+          ...st.products.map(p => `• ${p}`),
+          `📝 Would-be Clicks (this slot): ${sum.count}`,
+          ...sum.top.map(([n, c]) => `• ${n} – ${c}`)
+        ];
+        return send(lines.join("\n"));
+      }
+    },
+
+    lead: {
+      desc: "Lead pipeline (status, notes, follow-ups)",
+      handler: async ({ args, send, msg }) => {
+        if (!deps.leadCommand) return send("❌ Lead Pipeline not Available");
+        const { account, rest } = pickAccount(args);
+        const from = msg?.from;
+        const by = from?.username ? "@" + from.username : from?.first_name || "";
+        try {
+          const r = await deps.leadCommand(rest, { account, by });
+          return send((account ? `👤 <b>${account}</b>\n` : "") + r.text, { parse_mode: "HTML", disable_web_page_preview: true });
+        } catch (e) {
+          return send(`❌ Failed: ${e.message}`);
+        }
+      }
+    },
+
+    notify: {
+      desc: "Webhook and email outlets, retry queues",
+      handler: async ({ args, send }) => {
+        if (!deps.getNotifiers) return send("❌ Notifiers not Available");
+        const sub = String(args || "").trim().toLowerCase();
+        if (sub && sub !== "retry") return send("Usage: /notify · /notify retry");
+        if (sub === "retry") await deps.retryNotifiers?.();
+        const list = deps.getNotifiers() || [];
+        if (!list.length) return send("🔌 No outlets besides Telegram. Add them in List/notifiers.json.");
+        const when = (ms) => (ms ? new Date(ms).toLocaleString("en-IN", { hour12: false }) : "—");
+        const lines = [`🔌 Notifiers${sub ? " (retried)" : ""}`];
+        for (const n of list) {
+          lines.push(
+            "",
+            `• ${n.name} (${n.kind}) → ${n.target || "?"}${n.signed ? " · signed" : ""}`,
+            `  Events: ${(n.events || []).join(", ")}`,
+            `  ✅ ${n.sent || 0} sent · ❌ ${n.failed || 0} failed · 🗑️ ${n.dropped || 0} dropped`,
+            `  📥 Queued: ${n.queued || 0}${n.queued ? ` · next retry ${when(n.nextRetryAt)}` : ""}`,
+            ...(n.lastError ? [`  ⚠️ Last error: ${n.lastError}`] : [])
+          );
+        }
+        return send(lines.join("\n"));
+      }
+    },
+
+    remind: {
+      desc: "Call-back reminders for leads",
+      handler: async ({ args, send, msg }) => {
+        if (!deps.remindCommand) return send("❌ Reminders not Available");
+        const { account, rest } = pickAccount(args);
+        const from = msg?.from;
+        const by = from?.username ? "@" + from.username : from?.first_name || "";
+        try {
+          const text = await deps.remindCommand(rest, { account, by });
+          return send((account ? `👤 <b>${account}</b>\n` : "") + text, { parse_mode: "HTML", disable_web_page_preview: true });
+        } catch (e) {
+          return send(`❌ Failed: ${e.message}`);
+        }
+      }
+    },
+
     memstats: {
       desc: "Show memory stats",
       handler: async ({ send }) => {
@@ -776,6 +1193,7 @@ function buildDefaultCommands(deps = {}) {
           const stats = {
             products: deps.getProductsCount ? deps.getProductsCount() : 0,
             timers: deps.getActiveTimers ? deps.getActiveTimers() : 0,
+            leadDb: deps.getLeadDbStats ? deps.getLeadDbStats() : null,
             message: "Stats Collected"
           };
           await send(`📊 Memory Stats:\n\`\`\`json\n${JSON.stringify(stats, null, 2)}\n\`\`\``, { parse_mode: 'Markdown' });
@@ -852,6 +1270,7 @@ function buildDefaultCommands(deps = {}) {
     addkeyword:    { hidden: true, handler: cmds.addkey.handler },
     deletekeyword: { hidden: true, handler: cmds.delkey.handler },
     keywordlist:   { hidden: true, handler: cmds.keylist.handler },
+    search:        { hidden: true, handler: cmds.find.handler },
     "/lock":       { hidden: true, handler: cmds.lock.handler },
     "/unlock":     { hidden: true, handler: cmds.unlock.handler },
     "/manager":    { hidden: true, handler: cmds.manager.handler },
@@ -0,0 +1,201 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const path = require("node:path");
+const { createSandbox, fixture } = require("./helpers/sandbox");
+const { createFakeWindow } = require("./helpers/fakeWindow");
+
+function setup(t, accountsJson) {
+  const sb = createSandbox();
+  t.after(() => sb.cleanup());
+  if (accountsJson !== undefined) {
+    fs.mkdirSync(path.join(sb.dir, "List"), { recursive: true });
+    fs.writeFileSync(path.join(sb.dir, "List", "accounts.json"), JSON.stringify(accountsJson));
+  }
+  return { sb, ...sb.require("accounts.js") };
+}
+
+test("without List/accounts.json there is one primary account on the legacy layout", (t) => {
+  const { sb, createAccountRegistry } = setup(t);
+  const reg = createAccountRegistry({ env: { INDIAMART_MOBILE: "9876543210" } });
+
+  assert.equal(reg.isMulti(), false);
+  const p = reg.primary();
+  assert.equal(p.id, "main");
+  assert.equal(p.primary, true);
+  assert.equal(p.mobile, "9876543210");
+  assert.equal(p.partition, null);
+  assert.equal(p.stateFile, null);
+  assert.equal(p.listDir, path.join(sb.dir, "List"));
+  assert.equal(p.reportsDir, path.join(sb.dir, "Reports"));
+});
+
+test("extra accounts get their own partition, folders and mobile", (t) => {
+  const errors = [];
+  const { sb, createAccountRegistry } = setup(t, {
+    accounts: [
+      { id: "Main", label: "Niyati Main", mobile: "9000000001" },
+      { id: "pune", label: "Pune Unit" },
+      { id: "pune", label: "Duplicate" },
+      { id: "42", label: "Numeric" },
+      { id: "../x" }
+    ]
+  });
+  const reg = createAccountRegistry({
+    env: { INDIAMART_MOBILE: "9000000009", INDIAMART_MOBILE_PUNE: "9000000002" },
+    log: (lvl, msg) => { if (lvl === "error") errors.push(msg); }
+  });
+
+  assert.deepEqual(reg.list().map(p => p.id), ["main", "pune"]);
+  assert.equal(errors.length, 3);
+
+  // The first profile stays on the single-account paths and session
+  assert.equal(reg.primary().mobile, "9000000001");
+  assert.equal(reg.primary().listDir, path.join(sb.dir, "List"));
+
+  const pune = reg.get("PUNE");
+  assert.equal(pune.primary, false);
+  assert.equal(pune.label, "Pune Unit");
+  assert.equal(pune.mobile, "9000000002");
+  assert.equal(pune.partition, "persist:niyati-pune");
+  assert.equal(pune.listDir, path.join(sb.dir, "List", "pune"));
+  assert.equal(pune.reportsDir, path.join(sb.dir, "Reports", "pune"));
+  assert.equal(pune.stateFile, path.join(sb.dir, "List", "pune", "refresh_state.json"));
+  assert.equal(reg.get("nosuch"), null);
+});
+
+test("an account session keeps its lists in its own folder", (t) => {
+  const { sb, createAccountRegistry, createAccountSession } = setup(t, {
+    accounts: [{ id: "main" }, { id: "pune" }]
+  });
+  const reg = createAccountRegistry();
+  const changes = [];
+  const sess = createAccountSession({ profile: reg.get("pune"), onChange: (what) => changes.push(what) });
+
+  assert.equal(sess.addProduct("pvc  pipe"), true);
+  assert.equal(sess.addProduct("PVC Pipe"), true);
+  assert.equal(sess.addKeyword("Conveyor"), true);
+  assert.deepEqual(sess.listProducts(), ["Pvc Pipe"]);
+  assert.deepEqual(sb.readJSON("List/pune/products.json"), ["Pvc Pipe"]);
+  assert.deepEqual(sb.readJSON("List/pune/keywords.json"), ["conveyor"]);
+  assert.equal(fs.existsSync(path.join(sb.dir, "List", "products.json")), false);
+  assert.deepEqual(changes, ["lists", "lists", "lists"]);
+
+  assert.equal(sess.deleteProduct("pvc pipe"), true);
+  assert.deepEqual(sess.listProducts(), []);
+  assert.equal(sess.isLoggedIn(), false);
+
+  // The primary account runs through the same session on the legacy layout
+  const main = createAccountSession({ profile: reg.primary() });
+  assert.equal(main.addProduct("conveyor belt"), true);
+  assert.deepEqual(sb.readJSON("List/products.json"), ["Conveyor Belt"]);
+  assert.deepEqual(sess.listProducts(), []);
+});
+
+test("the scraper writes into the account's Reports and List folders", async (t) => {
+  const { sb, createAccountRegistry } = setup(t, { accounts: [{ id: "main" }, { id: "pune" }] });
+  const { createProductScraper } = sb.require("productScraper.js");
+  const pune = createAccountRegistry().get("pune");
+
+  const win = createFakeWindow({ file: fixture("bltxn.html"), url: "https://seller.indiamart.com/bltxn/?pref=recent" });
+  const scraper = createProductScraper({
+    win,
+    reportsDir: pune.reportsDir,
+    listDir: pune.listDir,
+    stateFile: pune.stateFile
+  });
+  scraper.setProducts(["Conveyor Belt"]);
+  scraper.enableAutoReload(60000);
+  scraper.disableAutoReload("test");
+  await scraper.scrapeOnce(1);
+
+  assert.equal(sb.readJSON("Reports/pune/products_log.json").length, 3);
+  assert.deepEqual(sb.readJSON("List/pune/products.json"), ["Conveyor Belt"]);
+  assert.equal(sb.readJSON("List/pune/refresh_state.json").intervalMs, 60000);
+  assert.equal(fs.existsSync(path.join(sb.dir, "Reports", "products_log.json")), false);
+});
+
+// Loads the fixture page in the account's Leads window, with "pvc pipe" on
+// its product list, and waits for the Message Centre the click queues
+async function runClick(t, id) {
+  const { sb, createAccountRegistry, createAccountSession } = setup(t, { accounts: [{ id: "main" }, { id: "pune", label: "Pune Unit" }] });
+  const { EventEmitter } = require("node:events");
+  const opened = [];
+  const clicked = [];
+  const pages = [];
+  sb.electron.createWindow = (opts) => {
+    opened.push(opts.title);
+    if (/^Leads/.test(opts.title)) {
+      return createFakeWindow({
+        file: fixture("bltxn.html"),
+        url: "https://seller.indiamart.com/bltxn/?pref=recent",
+        onLoad: (w) => {
+          pages.push(w);
+          for (const el of w.document.querySelectorAll("[data-testid^='contact-']")) {
+            el.addEventListener("click", () => clicked.push(el.dataset.testid));
+          }
+        }
+      });
+    }
+    // The Message Centre page itself is covered by messagecentre.test.js
+    const mcWin = new EventEmitter();
+    return Object.assign(mcWin, {
+      webContents: new EventEmitter(),
+      isDestroyed: () => false,
+      show() {},
+      close() {},
+      loadURL: async () => { throw new Error("offline"); }
+    });
+  };
+
+  const logs = [];
+  const sess = createAccountSession({
+    profile: createAccountRegistry().get(id),
+    leadsUrl: "https://seller.indiamart.com/bltxn/?pref=recent",
+    mcUrl: "https://seller.indiamart.com/messagecentre/",
+    log: (lvl, msg) => logs.push(msg)
+  });
+  // Every loaded page runs the visibility monitor's interval until closed
+  t.after(() => {
+    sess.stop();
+    sess.getWindow()?.close();
+    for (const w of pages) w.close();
+  });
+  sess.addProduct("pvc pipe");
+  sess.start();
+
+  const until = async (ok, ms = 8000) => {
+    for (const end = Date.now() + ms; !ok() && Date.now() < end;) await new Promise((r) => setTimeout(r, 50));
+    return ok();
+  };
+  // Asked for before the page loads, the start waits for the scraper
+  assert.equal(sess.enableAuto(60000), true);
+  assert.ok(await until(() => sess.getState().enabled), logs.join("\n"));
+  await sess.reload("test");
+
+  await until(() => opened.some(title => /^Message Centre/.test(title)));
+  return { sb, sess, opened, clicked, logs };
+}
+
+test("a click in an account session queues that account's Message Centre", async (t) => {
+  const { sb, sess, opened, clicked, logs } = await runClick(t, "pune");
+
+  assert.deepEqual(opened, ["Leads – Pune Unit", "Message Centre – Pune Unit"], logs.join("\n"));
+  assert.deepEqual(clicked, ["contact-2"]);
+  assert.equal((await sess.getStatusInfo()).clicksLast30, 1);
+  // The click is spent from this account's budget only
+  assert.deepEqual(sb.readJSON("List/pune/click_budget.json").usage.perProduct, { "pvc pipe": 1 });
+  assert.equal(fs.existsSync(path.join(sb.dir, "List", "click_budget.json")), false);
+  assert.ok(logs.every(msg => msg.startsWith("[pune] ")), logs.join("\n"));
+});
+
+test("the primary account runs the same session under the single-account names", async (t) => {
+  const { sb, sess, opened, clicked, logs } = await runClick(t, "main");
+
+  assert.deepEqual(opened, ["Leads", "Message Centre"], logs.join("\n"));
+  assert.deepEqual(clicked, ["contact-2"]);
+  assert.equal((await sess.getStatusInfo()).clicksLast30, 1);
+  assert.equal(sb.readJSON("List/click_budget.json").usage.total, 1);
+  assert.ok(logs.includes("Auto-refresh queued @ 60s"), logs.join("\n"));
+  assert.ok(!logs.some(msg => msg.startsWith("[")), logs.join("\n"));
+});
@@ -0,0 +1,134 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { createSandbox, fixture } = require("./helpers/sandbox");
+const { createFakeWindow } = require("./helpers/fakeWindow");
+
+const LOGIN_URL = "https://seller.indiamart.com/";
+const GOOD_OTP = "4821";
+
+// Submit logs in with GOOD_OTP; otherwise it shows #otp_verify_err and empties
+// the OTP boxes like the live page does
+function loginWindow(state) {
+  return createFakeWindow({
+    file: fixture("login.html"),
+    url: LOGIN_URL,
+    onLoad: (w) => {
+      const doc = w.document;
+      doc.getElementById("reqOtpMobBtn").addEventListener("click", () => { state.otpRequests += 1; });
+      doc.getElementById("sbmtbtnOtp").addEventListener("click", () => {
+        doc.getElementById("otp_verify_err")?.remove();
+        state.mobile = doc.getElementById("mobNo").value;
+        const boxes = ["first", "second", "third", "fourth_num"].map(id => doc.getElementById(id));
+        const code = boxes.map(b => b.value).join("");
+        state.submitted.push(code);
+        if (code === GOOD_OTP) {
+          const out = doc.createElement("a");
+          out.id = "selsout";
+          doc.body.appendChild(out);
+        } else {
+          const err = doc.createElement("div");
+          err.id = "otp_verify_err";
+          err.textContent = "Incorrect OTP, please try again";
+          doc.body.appendChild(err);
+          for (const b of boxes) b.value = "";
+        }
+      });
+    }
+  });
+}
+
+function setup(t) {
+  const sb = createSandbox();
+  t.after(() => sb.cleanup());
+  const { createAutoLogin } = sb.require("autologin.js");
+  const { createSelectorProfile } = sb.require("selectors.js");
+  const state = { otpRequests: 0, submitted: [], mobile: "" };
+  return { createAutoLogin, selectors: createSelectorProfile(), state, win: loginWindow(state) };
+}
+
+test("OTP flow: mobile, login, request OTP, /otp, submit, logged in", async (t) => {
+  const { createAutoLogin, selectors, state, win } = setup(t);
+  const notes = [];
+  let al = null;
+  const result = await new Promise((resolve) => {
+    al = createAutoLogin({
+      win,
+      mobile: "9876543210",
+      maxAttempts: 1,
+      selectors,
+      humanDelay: async () => {},
+      notify: (msg) => {
+        notes.push(msg);
+        if (/Waiting For OTP/.test(msg)) setImmediate(() => al.injectOtp(GOOD_OTP));
+      },
+      onSuccess: () => resolve("success"),
+      onFail: () => resolve("fail")
+    });
+    al.start();
+  });
+
+  assert.equal(result, "success");
+  assert.equal(state.mobile, "9876543210");
+  assert.equal(state.otpRequests, 1);
+  assert.deepEqual(state.submitted, [GOOD_OTP]);
+  assert.ok(notes.some(n => /Login Success/.test(n)));
+
+  // The long login-button path no longer matches; the short fallback did
+  const button = selectors.getState().fields.find(f => f.name === "login.button");
+  assert.equal(button.lastVia, 1);
+});
+
+test("a wrong OTP shows the page error and the next /otp succeeds", async (t) => {
+  const { createAutoLogin, selectors, state, win } = setup(t);
+  const notes = [];
+  const codes = ["1111", GOOD_OTP];
+  let al = null;
+  const result = await new Promise((resolve) => {
+    al = createAutoLogin({
+      win,
+      mobile: "9876543210",
+      maxAttempts: 1,
+      selectors,
+      humanDelay: async () => {},
+      notify: (msg) => {
+        notes.push(msg);
+        if (/Waiting For OTP/.test(msg)) setImmediate(() => al.injectOtp(codes.shift()));
+      },
+      onSuccess: () => resolve("success"),
+      onFail: () => resolve("fail")
+    });
+    al.start();
+  });
+
+  assert.equal(result, "success");
+  assert.deepEqual(state.submitted, ["1111", GOOD_OTP]);
+  assert.ok(notes.some(n => /Incorrect OTP.*Retry 1\/3/.test(n)));
+});
+
+test("an already logged-in page is detected without touching the form", async (t) => {
+  const sb = createSandbox();
+  t.after(() => sb.cleanup());
+  const { createAutoLogin } = sb.require("autologin.js");
+  const win = createFakeWindow({
+    file: fixture("login.html"),
+    url: LOGIN_URL,
+    onLoad: (w) => {
+      const out = w.document.createElement("a");
+      out.id = "selsout";
+      w.document.body.appendChild(out);
+    }
+  });
+
+  const result = await new Promise((resolve) => {
+    const al = createAutoLogin({
+      win,
+      maxAttempts: 1,
+      humanDelay: async () => {},
+      onSuccess: () => resolve("success"),
+      onFail: () => resolve("fail")
+    });
+    al.start();
+  });
+  assert.equal(result, "success");
+  assert.equal(win.document.getElementById("mobNo").value, "");
+});
@@ -0,0 +1,53 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const path = require("node:path");
+const { createSandbox } = require("./helpers/sandbox");
+
+const write = (file, rows) => {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(rows));
+};
+
+test("buyers are recognised by mobile, email or GSTIN across current and archived logs", async (t) => {
+  const sb = createSandbox();
+  t.after(() => sb.cleanup());
+  const { createBuyerIndex, identityKeys, describeReturning } = sb.require("buyerindex.js");
+
+  assert.deepEqual(identityKeys({ mobile: "+91 98765-43210", email: " Amit+IM@Example.com ", gstin: "24aaacp1234f1z5" }),
+    ["m:9876543210", "e:amit@example.com", "g:24AAACP1234F1Z5"]);
+  assert.deepEqual(identityKeys({ mobile: "0000000000", email: "---", gstin: "N/A" }), []);
+
+  const archive = path.join(sb.dir, "reports_archive");
+  write(path.join(archive, "2026-10-12_0800", "messagecentre_log.json"), [
+    { timestamp: "2026-10-12 07:10:00", product: "Belt Conveyor", buyer: "Amit Shah", mobile: "9876543210" },
+    // Read twice the same day: one enquiry
+    { timestamp: "2026-10-12 07:40:00", product: "Belt Conveyor", buyer: "Amit", mobile: "+919876543210" },
+    { timestamp: "2026-10-12 07:20:00", product: "Roller", buyer: "Someone Else", mobile: "9000000001" }
+  ]);
+  write(path.join(archive, "2026-10-05_2000", "messagecentre_log.json"), [
+    { timestamp: "2026-10-05 15:00:00", product: "PVC Pipe", buyer: "A. Shah", email: "amit@example.com" }
+  ]);
+  write(path.join(sb.dir, "Reports", "messagecentre_log.json"), [
+    { timestamp: "2026-10-19 09:00:00", product: "Gear Box", buyer: "Shah Traders", gstin: "24AAACP1234F1Z5" }
+  ]);
+
+  const idx = createBuyerIndex({ reportsDir: path.join(sb.dir, "Reports"), archiveDir: archive });
+  const row = { timestamp: "2026-10-19 11:00:00", product: "Belt Conveyor", buyer: "Amit Shah", mobile: "98765 43210", email: "amit@example.com", gstin: "24AAACP1234F1Z5" };
+  const info = await idx.check(row);
+  assert.equal(info.count, 3);
+  assert.equal(info.lastProduct, "Gear Box");
+  assert.deepEqual(info.products, ["Gear Box", "Belt Conveyor", "PVC Pipe"]);
+
+  // The same enquiry read again does not count against itself
+  assert.equal((await idx.check(row)).count, 3);
+  // …but a different product from the same mobile counts it
+  const next = await idx.check({ timestamp: "2026-10-19 12:00:00", product: "Idler", mobile: "9876543210" });
+  assert.equal(next.count, 2);
+  assert.equal(next.lastProduct, "Belt Conveyor");
+  assert.equal(await idx.lookup({ product: "Pipe", mobile: "9111111112" }), null);
+
+  assert.equal(describeReturning({ count: 3, lastAt: Date.UTC(2026, 9, 12, 2, 0), lastProduct: "Belt Conveyor" }),
+    "Returning buyer – 3 previous enquiries (last: 12 Oct, Belt Conveyor)");
+  assert.equal(describeReturning({ count: 1, lastAt: 0, lastProduct: "Roller" }), "Returning buyer – 1 previous enquiry (last: Roller)");
+});
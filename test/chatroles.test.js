@@ -0,0 +1,62 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const path = require("node:path");
+const { createSandbox } = require("./helpers/sandbox");
+
+function setup(t, chatsJson) {
+  const sb = createSandbox();
+  t.after(() => sb.cleanup());
+  if (chatsJson !== undefined) {
+    fs.mkdirSync(path.join(sb.dir, "List"), { recursive: true });
+    fs.writeFileSync(path.join(sb.dir, "List", "telegram_chats.json"), JSON.stringify(chatsJson));
+  }
+  return { sb, ...sb.require("chatroles.js") };
+}
+
+test("without List/telegram_chats.json TELEGRAM_CHAT_ID is the only admin and gets everything", (t) => {
+  const { createChatRoles } = setup(t);
+  const roles = createChatRoles({ chatId: "4242" });
+
+  assert.equal(roles.roleOf(4242), "admin");
+  assert.equal(roles.roleOf(999), null);
+  assert.equal(roles.canRun("4242", "cleanall"), true);
+  for (const type of ["lead", "match", "login", "report", "alert", "error", "system", "nosuchtype"]) {
+    assert.deepEqual(roles.recipients(type), ["4242"]);
+  }
+});
+
+test("chats get roles, bad entries are skipped and the owner stays admin", (t) => {
+  const errors = [], warnings = [];
+  const { createChatRoles } = setup(t, {
+    chats: [
+      { id: 4242, role: "viewer", label: "Owner phone" },
+      { id: 7001, role: "Operator", label: "Desk" },
+      { id: -7002, role: "viewer", label: "Sales group" },
+      { id: 7001, role: "admin" },
+      { id: "abc", role: "admin" },
+      { id: 7003, role: "boss" }
+    ],
+    routes: { lead: ["viewer"], error: ["admin", "-7002"], bogus: ["all"] }
+  });
+  const roles = createChatRoles({ chatId: 4242, log: (lvl, msg) => ({ error: errors, warning: warnings })[lvl]?.push(msg) });
+
+  assert.equal(errors.length, 3);
+  assert.deepEqual(warnings, [
+    "Telegram chats: TELEGRAM_CHAT_ID 4242 kept as admin",
+    'Telegram chats: unknown route type "bogus" ignored'
+  ]);
+  assert.deepEqual(roles.list().map(c => [c.id, c.role]), [["4242", "admin"], ["7001", "operator"], ["-7002", "viewer"]]);
+
+  assert.equal(roles.canRun(7001, "addprod"), true);
+  assert.equal(roles.canRun(7001, "startrefresh"), true);
+  assert.equal(roles.canRun(7001, "quit"), false);
+  assert.equal(roles.canRun(7001, "unlock"), false);
+  assert.equal(roles.canRun(-7002, "help"), false);
+
+  assert.deepEqual(roles.recipients("lead"), ["-7002"]);
+  assert.deepEqual(roles.recipients("error"), ["4242", "-7002"]);
+  // Left out: matches go to everyone, reports to admins
+  assert.deepEqual(roles.recipients("match"), ["4242", "7001", "-7002"]);
+  assert.deepEqual(roles.recipients("report"), ["4242"]);
+});
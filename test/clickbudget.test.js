@@ -0,0 +1,90 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("node:path");
+const { createSandbox } = require("./helpers/sandbox");
+
+function budgetIn(sb, clock, alerts = []) {
+  const { createClickBudget } = sb.require("clickbudget.js");
+  return createClickBudget({
+    file: path.join(sb.dir, "List", "click_budget.json"),
+    dayKey: () => clock.day,
+    nowHHMM: () => clock.t,
+    onAlert: (text) => alerts.push(text)
+  });
+}
+
+test("quiet windows are normalised and wrap past midnight", (t) => {
+  const sb = createSandbox();
+  t.after(() => sb.cleanup());
+  const { parseWindow } = sb.require("clickbudget.js");
+
+  assert.equal(parseWindow("23.00-07.00"), "23:00-07:00");
+  assert.equal(parseWindow("2300-0700"), "23:00-07:00");
+  assert.equal(parseWindow("23-7"), "23:00-07:00");
+  assert.equal(parseWindow("13:30 - 14:00"), "13:30-14:00");
+  assert.equal(parseWindow("25:00-07:00"), null);
+  assert.equal(parseWindow("night"), null);
+
+  const clock = { day: "2026-10-19", t: "12:00" };
+  const budget = budgetIn(sb, clock);
+  assert.equal(budget.setQuiet(["23.00-07.00", "soon"]), false);
+  assert.equal(budget.setQuiet(["23.00-07.00"]), true);
+
+  for (const [now, ok] of [["22:59", true], ["23:00", false], ["00:30", false], ["06:59", false], ["07:00", true], ["12:00", true]]) {
+    clock.t = now;
+    assert.deepEqual(budget.check("pvc pipe"), ok ? { ok: true } : { ok: false, reason: "quiet hours 23:00-07:00" }, now);
+  }
+});
+
+test("the per-product cap holds one product, the global cap all of them", (t) => {
+  const sb = createSandbox();
+  t.after(() => sb.cleanup());
+  const clock = { day: "2026-10-19", t: "12:00" };
+  const budget = budgetIn(sb, clock);
+  budget.setGlobal(3);
+  budget.setProduct("conveyor belt", 1);
+
+  budget.record("conveyor belt -used @2");
+  assert.deepEqual(budget.check("conveyor belt"), { ok: false, reason: "product cap 1 reached" });
+  assert.deepEqual(budget.check("pvc pipe"), { ok: true });
+
+  budget.record("pvc pipe");
+  budget.record("pvc pipe");
+  assert.deepEqual(budget.check("pvc pipe"), { ok: false, reason: "daily cap 3 reached" });
+  // The global cap is checked first
+  assert.deepEqual(budget.check("conveyor belt"), { ok: false, reason: "daily cap 3 reached" });
+  assert.deepEqual(budget.getState().usage, { total: 3, perProduct: { "conveyor belt": 1, "pvc pipe": 2 } });
+});
+
+test("each exhausted budget alerts once, and counters roll over at the new day", (t) => {
+  const sb = createSandbox();
+  t.after(() => sb.cleanup());
+  const clock = { day: "2026-10-19", t: "12:00" };
+  const alerts = [];
+  const budget = budgetIn(sb, clock, alerts);
+  budget.setGlobal(2);
+  budget.setDefault(1);
+
+  budget.record("pvc pipe");
+  for (let i = 0; i < 3; i++) budget.check("pvc pipe @2");
+  budget.record("gear box");
+  for (let i = 0; i < 3; i++) budget.check("gear box");
+  assert.deepEqual(alerts.map(a => a.replace(/ \(.*/, "")), [
+    '🛑 Click budget exhausted for "pvc pipe"',
+    '🛑 Click budget exhausted for "gear box"',
+    "🛑 Daily click budget exhausted"
+  ]);
+
+  // Restarting the app keeps today's counters and alerts
+  const again = budgetIn(sb, clock, alerts);
+  assert.equal(again.check("pvc pipe").ok, false);
+  assert.equal(alerts.length, 3);
+
+  clock.day = "2026-10-20";
+  assert.deepEqual(again.check("pvc pipe"), { ok: true });
+  assert.equal(again.getState().day, "2026-10-20");
+  assert.deepEqual(again.getState().usage, { total: 0, perProduct: {} });
+  again.record("pvc pipe");
+  assert.equal(again.check("pvc pipe").ok, false);
+  assert.equal(alerts.length, 4);
+});
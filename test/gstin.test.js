@@ -0,0 +1,56 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { createSandbox } = require("./helpers/sandbox");
+
+test("GSTINs are checksummed, decoded and compared with the address state", (t) => {
+  const sb = createSandbox();
+  t.after(() => sb.cleanup());
+  const { checkGstin, gstFields, describeGstin, stateInAddress } = sb.require("gstin.js");
+
+  const ok = checkGstin(" 27aapfu0939f1zv ", { address: "Office 4, Baner Road, Pune, Maharashtra 411045" });
+  assert.equal(ok.valid, true);
+  assert.deepEqual([ok.gstin, ok.state, ok.pan, ok.holder, ok.stateMatch], ["27AAPFU0939F1ZV", "Maharashtra", "AAPFU0939F", "Firm / LLP", true]);
+  assert.equal(describeGstin(ok), "✅ Maharashtra · PAN AAPFU0939F (Firm / LLP)");
+
+  // Valid, but registered in another state than the buyer's address
+  const far = checkGstin("27AAPFU0939F1ZV", { address: "Plot 12, GIDC Vatva, Ahmedabad, Gujarat - 382445" });
+  assert.equal(far.stateMatch, false);
+  assert.equal(describeGstin(far), "⚠️ GST state Maharashtra, address in Gujarat · PAN AAPFU0939F (Firm / LLP)");
+  assert.deepEqual(gstFields({ gstin: "27AAPFU0939F1ZV", address: "Vatva, Ahmedabad, Gujarat" }),
+    { gstState: "Maharashtra", gstPan: "AAPFU0939F", gstCheck: "mismatch" });
+
+  // One character off fails the check character
+  assert.equal(checkGstin("27AAPFU0939F1ZW").reason, "checksum fails");
+  assert.equal(checkGstin("45AAPFU0939F1ZV").reason, "unknown state code 45");
+  assert.equal(checkGstin("27AAPFU0939F1Z").reason, "not a GSTIN");
+  assert.equal(checkGstin("27AAPFU0939F1ZV", { address: "Pune" }).stateMatch, null);
+  assert.deepEqual(gstFields({ gstin: "---" }), { gstState: "", gstPan: "", gstCheck: "" });
+
+  assert.equal(stateInAddress("Gujarat Road, Andheri, Mumbai, Maharashtra"), "27");
+  assert.equal(stateInAddress("Sector 5, Bhubaneswar, Orissa"), "21");
+  assert.equal(stateInAddress("12 MG Road, Pondicherry"), "34");
+});
+
+test("only the address's last part or its PIN names the state", (t) => {
+  const sb = createSandbox();
+  t.after(() => sb.cleanup());
+  const { checkGstin, describeGstin, stateInAddress } = sb.require("gstin.js");
+
+  // A state named in a street or bank name is not where the buyer is
+  const meerut = checkGstin("09AAPFU0939F1ZT", { address: "Delhi Road, Meerut - 250002" });
+  assert.equal(meerut.valid, true);
+  assert.deepEqual([meerut.state, meerut.addressState, meerut.stateMatch], ["Uttar Pradesh", "Uttar Pradesh", true]);
+  assert.equal(describeGstin(meerut), "✅ Uttar Pradesh · PAN AAPFU0939F (Firm / LLP)");
+
+  const chennai = checkGstin("27AAPFU0939F1ZV", { address: "Punjab National Bank Road, Chennai" });
+  assert.deepEqual([chennai.addressState, chennai.stateMatch], ["", null]);
+  assert.equal(stateInAddress("Punjab National Bank Road, Chennai 600001"), "");
+
+  assert.equal(stateInAddress("Andheri East, Mumbai, Maharashtra, India"), "27");
+  assert.equal(stateInAddress("Sector 18, Noida, Uttar Pradesh, India - 201301"), "09");
+  assert.equal(stateInAddress("Kolkata, West Bengal PIN: 700001"), "19");
+  assert.equal(stateInAddress("Karol Bagh, New Delhi 110005"), "07");
+  // 40xxxx is Maharashtra or Goa; a PIN that disagrees with the name is no answer
+  assert.equal(stateInAddress("Andheri, Mumbai 400053"), "");
+  assert.equal(stateInAddress("Baner, Pune, Gujarat 411045"), "");
+});
@@ -0,0 +1,37 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const path = require("node:path");
+const { createSandbox } = require("./helpers/sandbox");
+
+test("templates fill in buyer, product and city and drop what is blank", (t) => {
+  const sb = createSandbox();
+  t.after(() => sb.cleanup());
+  const { createHandoff, renderTemplate, cityOf, buildVCard } = sb.require("handoff.js");
+
+  assert.equal(cityOf("Plot 4, MG Road, Pune, Maharashtra - 411001, India"), "Pune");
+  assert.equal(cityOf("Surat"), "Surat");
+  assert.equal(cityOf("---"), "");
+  const tpl = "Hello {buyer}, we supply {product}[ in {city}].";
+  assert.equal(renderTemplate(tpl, { buyer: "Amit", product: "PVC Pipe", address: "Ring Road, Surat, Gujarat" }), "Hello Amit, we supply PVC Pipe in Surat.");
+  assert.equal(renderTemplate(tpl, { product: "PVC Pipe", address: "---" }), "Hello, we supply PVC Pipe.");
+
+  const file = path.join(sb.dir, "List", "whatsapp_templates.json");
+  const h = createHandoff({ file });
+  const row = { lead: 3, buyer: "Sunita Rao", product: "PVC Pipe", mobile: "+91 98765 43210", company: "Rao; Sons, Pvt" };
+  assert.deepEqual(h.links(row).map(l => l.name), ["Intro"]);
+  assert.match(h.links(row)[0].url, /^https:\/\/wa\.me\/919876543210\?text=Hello%20Sunita%20Rao%2C/);
+  assert.deepEqual(h.links({ buyer: "No Phone" }), []);
+
+  // Edits apply on the next lead
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify({ vcard: false, templates: ["Hi {buyer}", { name: "Price", text: "Price for {product}?" }] }));
+  assert.deepEqual(h.templates().map(t => t.name), ["Msg 1", "Price"]);
+  assert.equal(h.vcard(row), null);
+
+  const card = buildVCard(row);
+  assert.match(card, /\r\nORG:Rao\\; Sons\\, Pvt\r\n/);
+  assert.match(card, /\r\nTEL;TYPE=CELL:\+919876543210\r\n/);
+  assert.match(card, /\r\nNOTE:IndiaMART enquiry: PVC Pipe · Lead #3\r\n/);
+  assert.equal(buildVCard({ buyer: "Nobody" }), null);
+});
@@ -0,0 +1,119 @@
+// fakeSmtp.js
+// Local stand-in for an SMTP submission server (plain TCP, no STARTTLS):
+// EHLO, AUTH PLAIN/LOGIN, MAIL, RCPT, DATA, QUIT. Every accepted message is
+// recorded with its envelope. "down" answers 421 at the greeting, addresses
+// in "refuse" get 550 at RCPT and a wrong password gets 535.
+
+const net = require("node:net");
+
+function createFakeSmtp({ user = "", pass = "", refuse = [] } = {}) {
+  const messages = [];
+  const state = { down: false };
+  const waiters = new Set();
+  const notify = () => { for (const w of [...waiters]) w(); };
+  const sockets = new Set();
+
+  const server = net.createServer((sock) => {
+    sockets.add(sock);
+    sock.on("close", () => sockets.delete(sock));
+    sock.on("error", () => {});
+    sock.setEncoding("utf8");
+    const say = (line) => sock.write(line + "\r\n");
+    if (state.down) { say("421 fake.smtp service not available"); sock.end(); return; }
+
+    let buf = "", mode = "cmd", authed = !user, env = null, data = [];
+    say("220 fake.smtp ESMTP");
+
+    sock.on("data", (chunk) => {
+      buf += chunk;
+      let i;
+      while ((i = buf.indexOf("\r\n")) >= 0) {
+        const line = buf.slice(0, i);
+        buf = buf.slice(i + 2);
+        handle(line);
+      }
+    });
+
+    function handle(line) {
+      if (mode === "data") {
+        if (line === ".") {
+          messages.push({ ...env, data: data.join("\r\n") });
+          mode = "cmd"; env = null; data = [];
+          say("250 2.0.0 queued");
+          notify();
+        } else {
+          data.push(line.startsWith("..") ? line.slice(1) : line);
+        }
+        return;
+      }
+      if (mode === "login-user") { env = { ...env, user: Buffer.from(line, "base64").toString() }; mode = "login-pass"; return say("334 UGFzc3dvcmQ6"); }
+      if (mode === "login-pass") {
+        mode = "cmd";
+        authed = env.user === user && Buffer.from(line, "base64").toString() === pass;
+        env = null;
+        return say(authed ? "235 2.7.0 ok" : "535 5.7.8 bad credentials");
+      }
+      const [verb, ...rest] = line.split(" ");
+      const arg = rest.join(" ");
+      switch (verb.toUpperCase()) {
+        case "EHLO":
+          say("250-fake.smtp");
+          say("250-AUTH PLAIN LOGIN");
+          return say("250 8BITMIME");
+        case "AUTH": {
+          const [mech, b64] = arg.split(" ");
+          if (mech.toUpperCase() === "LOGIN") { mode = "login-user"; env = {}; return say("334 VXNlcm5hbWU6"); }
+          const [, u, p] = Buffer.from(b64 || "", "base64").toString().split("\0");
+          authed = u === user && p === pass;
+          return say(authed ? "235 2.7.0 ok" : "535 5.7.8 bad credentials");
+        }
+        case "MAIL":
+          if (!authed) return say("530 5.7.0 authentication required");
+          env = { from: (arg.match(/<([^>]*)>/) || [])[1], to: [] };
+          return say("250 ok");
+        case "RCPT": {
+          const to = (arg.match(/<([^>]*)>/) || [])[1];
+          if (refuse.includes(to)) return say("550 5.1.1 no such user");
+          env.to.push(to);
+          return say("250 ok");
+        }
+        case "DATA":
+          mode = "data";
+          return say("354 go ahead");
+        case "QUIT":
+          say("221 bye");
+          return sock.end();
+        default:
+          return say("502 5.5.2 not implemented");
+      }
+    }
+  });
+
+  return {
+    messages,
+    state,
+    get port() { return server.address().port; },
+    listen: () => new Promise((r) => server.listen(0, "127.0.0.1", r)),
+    close: () => new Promise((r) => { for (const s of sockets) s.destroy(); server.close(r); }),
+
+    // Resolves once pred(messages) is true; rejects after timeoutMs
+    waitFor(pred, timeoutMs = 3000) {
+      return new Promise((resolve, reject) => {
+        const check = () => {
+          if (!pred(messages)) return;
+          waiters.delete(check);
+          clearTimeout(t);
+          resolve();
+        };
+        const t = setTimeout(() => {
+          waiters.delete(check);
+          reject(new Error("fakeSmtp: timed out waiting"));
+        }, timeoutMs);
+        waiters.add(check);
+        check();
+      });
+    }
+  };
+}
+
+module.exports = { createFakeSmtp };
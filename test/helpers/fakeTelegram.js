@@ -0,0 +1,117 @@
+// fakeTelegram.js
+// Local stand-in for the Telegram Bot API: records every call, answers the
+// methods createTelegramClient uses, and hands queued updates to getUpdates.
+// Long polls are held briefly so the client's loop does not spin.
+
+const http = require("node:http");
+
+function createFakeTelegram({ token = "TEST:TOKEN", chatId = 4242, holdMs = 50 } = {}) {
+  const calls = [];
+  const updates = [];
+  let nextUpdateId = 1;
+  let nextMessageId = 1;
+  const waiters = new Set();
+
+  const notify = () => { for (const w of [...waiters]) w(); };
+
+  function readBody(req) {
+    return new Promise((resolve) => {
+      const chunks = [];
+      req.on("data", (c) => chunks.push(c));
+      req.on("end", () => resolve(Buffer.concat(chunks)));
+    });
+  }
+
+  const server = http.createServer(async (req, res) => {
+    const m = /^\/bot([^/]+)\/(\w+)$/.exec(req.url);
+    const reply = (status, data) => {
+      res.writeHead(status, { "Content-Type": "application/json" });
+      res.end(JSON.stringify(data));
+    };
+    if (!m || m[1] !== token) return reply(404, { ok: false, error_code: 404, description: "Not Found" });
+
+    const method = m[2];
+    const raw = await readBody(req);
+    let body = {};
+    if (String(req.headers["content-type"] || "").includes("application/json")) {
+      try { body = JSON.parse(raw.toString("utf8") || "{}"); } catch {}
+    } else {
+      body = { multipart: raw.toString("latin1") };
+    }
+    calls.push({ method, body });
+    notify();
+
+    if (method === "getUpdates") {
+      const offset = Number(body.offset) || 0;
+      const pending = () => updates.filter(u => u.update_id >= offset);
+      if (!pending().length && Number(body.timeout) > 0) {
+        await new Promise((r) => setTimeout(r, holdMs));
+      }
+      return reply(200, { ok: true, result: pending().slice(0, Number(body.limit) || 100) });
+    }
+    if (method === "sendMessage" || method === "sendDocument" || method === "sendPhoto") {
+      return reply(200, { ok: true, result: { message_id: nextMessageId++, chat: { id: body.chat_id ?? chatId }, date: Math.floor(Date.now() / 1000) } });
+    }
+    return reply(200, { ok: true, result: true });
+  });
+
+  return {
+    token,
+    chatId,
+    calls,
+    get apiBase() { return `http://127.0.0.1:${server.address().port}`; },
+    listen: () => new Promise((r) => server.listen(0, "127.0.0.1", r)),
+    close: () => new Promise((r) => { server.closeAllConnections?.(); server.close(r); }),
+
+    // A chat message from the configured chat (or another one)
+    pushText(text, { fromChat = chatId } = {}) {
+      updates.push({
+        update_id: nextUpdateId++,
+        message: {
+          message_id: nextMessageId++,
+          date: Math.floor(Date.now() / 1000),
+          chat: { id: fromChat, type: "private" },
+          from: { id: fromChat, is_bot: false, first_name: "Test" },
+          text
+        }
+      });
+    },
+
+    // A tap on an inline button under one of the bot's messages
+    pushCallback(data, { fromChat = chatId, fromUser = fromChat, messageId = 1 } = {}) {
+      updates.push({
+        update_id: nextUpdateId++,
+        callback_query: {
+          id: String(nextUpdateId),
+          from: { id: fromUser, is_bot: false, first_name: "Test" },
+          message: { message_id: messageId, chat: { id: fromChat, type: "private" }, date: Math.floor(Date.now() / 1000) },
+          data
+        }
+      });
+    },
+
+    sent: () => calls.filter(c => c.method === "sendMessage").map(c => c.body.text),
+    // Texts sent to one chat only
+    sentTo: (chat) => calls.filter(c => c.method === "sendMessage" && String(c.body.chat_id) === String(chat)).map(c => c.body.text),
+
+    // Resolves once pred(calls) is true; rejects after timeoutMs
+    waitFor(pred, timeoutMs = 3000) {
+      return new Promise((resolve, reject) => {
+        const check = () => {
+          if (!pred(calls)) return;
+          waiters.delete(check);
+          clearTimeout(t);
+          resolve();
+        };
+        const t = setTimeout(() => {
+          waiters.delete(check);
+          reject(new Error("fakeTelegram: timed out waiting"));
+        }, timeoutMs);
+        waiters.add(check);
+        check();
+      });
+    }
+  };
+}
+
+module.exports = { createFakeTelegram };
@@ -0,0 +1,108 @@
+// fakeWindow.js
+// Headless stand-in for an Electron BrowserWindow: a jsdom document loaded
+// from a saved HTML fixture, with webContents.executeJavaScript evaluating the
+// modules' page scripts inside it. Return values go through a JSON round trip
+// like Electron's IPC serialisation, so a script that returns a DOM node fails
+// here too.
+
+const fs = require("node:fs");
+const { EventEmitter } = require("node:events");
+const { JSDOM } = require("jsdom");
+
+// jsdom has no layout; treat everything outside [hidden] as a 10x10 box so
+// the modules' visibility checks pass for rendered elements.
+function patchLayout(window) {
+  window.Element.prototype.getBoundingClientRect = function () {
+    const s = this.closest("[hidden]") ? 0 : 10;
+    return { x: 0, y: 0, top: 0, left: 0, right: s, bottom: s, width: s, height: s };
+  };
+  window.Element.prototype.scrollIntoView = function () {};
+}
+
+// file: fixture path, or fetchHtml(url) to load from a server (the mock
+// seller site); url: what location.href reports; onLoad(window) wires page
+// behaviour (click handlers etc.) after every load or reload. A rejected
+// fetchHtml leaves a blank page and emits did-fail-load like Chromium.
+function createFakeWindow({ file, fetchHtml = null, url = "https://seller.indiamart.com/", onLoad = () => {} } = {}) {
+  const win = new EventEmitter();
+  const wc = new EventEmitter();
+  let dom = null;
+  let loaded = null;
+  let destroyed = false;
+  const calls = [];
+
+  function render(html) {
+    dom = new JSDOM(html, { url, runScripts: "outside-only", pretendToBeVisual: true });
+    patchLayout(dom.window);
+    onLoad(dom.window);
+    // jsdom finishes parsing asynchronously; scripts run once "load" fired
+    const w = dom.window;
+    return new Promise((resolve) => {
+      if (w.document.readyState === "complete") resolve();
+      else w.addEventListener("load", () => resolve());
+    });
+  }
+
+  function load(u = url) {
+    url = u;
+    const finished = () => {
+      if (destroyed) return;
+      wc.emit("did-finish-load");
+      win.emit("ready-to-show");
+    };
+    if (url === "about:blank") {
+      loaded = render("<!doctype html><html><body></body></html>").then(finished);
+      return;
+    }
+    if (!fetchHtml) {
+      loaded = render(fs.readFileSync(file, "utf8")).then(finished);
+      return;
+    }
+    loaded = Promise.resolve()
+      .then(() => fetchHtml(url))
+      .then((html) => render(html).then(finished), (e) => {
+        dom = new JSDOM("<!doctype html><html><body></body></html>", { url, runScripts: "outside-only" });
+        if (!destroyed) wc.emit("did-fail-load", {}, -2, `ERR_FAILED (${e.message})`, url, true);
+      });
+  }
+
+  Object.assign(wc, {
+    calls,
+    async executeJavaScript(code) {
+      if (destroyed) throw new Error("Object has been destroyed");
+      calls.push(code);
+      await loaded;
+      const v = await dom.window.eval(code);
+      return v === undefined ? undefined : JSON.parse(JSON.stringify(v));
+    },
+    reloadIgnoringCache: () => load(url),
+    reload: () => load(url),
+    isLoading: () => false,
+    isLoadingMainFrame: () => false,
+    isDestroyed: () => destroyed,
+    getURL: () => url
+  });
+
+  Object.defineProperties(win, {
+    window: { get: () => dom?.window },
+    document: { get: () => dom?.window.document }
+  });
+  Object.assign(win, {
+    webContents: wc,
+    isDestroyed: () => destroyed,
+    async loadURL(u) { load(u); await loaded; },
+    show() {},
+    hide() {},
+    maximize() {},
+    close() {
+      if (destroyed) return;
+      destroyed = true;
+      win.emit("closed");
+    }
+  });
+
+  load(url);
+  return win;
+}
+
+module.exports = { createFakeWindow };
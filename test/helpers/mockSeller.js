@@ -0,0 +1,368 @@
+// mockSeller.js
+// Local stand-in for seller.indiamart.com: /bltxn/, /messagecentre/ and the
+// mobile + OTP login, rendered with the same markup the selector profile
+// expects. Leads are scripted (control API or drip), contacting a lead moves
+// its buyer into the Message Centre, and logouts / failed loads can be
+// triggered on demand.
+//
+//   node test/helpers/mockSeller.js [port] [--drip <sec>]
+//   INDIAMART_BASE_URL=http://127.0.0.1:4780 npm start
+//
+// Control API (JSON bodies):
+//   POST /__mock/leads     {title, city, state, quantity, value, gstVerified, buyer: {...}} or an array
+//   POST /__mock/logout    next page load shows the login form
+//   POST /__mock/login     skip the OTP step
+//   POST /__mock/fail      {count, mode}  mode: dns | reset | http500 | hang
+//   POST /__mock/offline   {on}           every page and /favicon.ico fails (reset)
+//   GET  /__mock/state
+//
+// "dns" redirects to an unresolvable host, so Chromium reports -105
+// (ERR_NAME_NOT_RESOLVED) on the main frame. -106 (INTERNET_DISCONNECTED)
+// only comes from the OS network stack; "reset" and offline give -101/-324.
+
+const http = require("node:http");
+
+const SAMPLE_LEADS = [
+  { title: "Conveyor Belt for Packaging Line", city: "Pune", state: "Maharashtra", quantity: "500 Piece", value: "Rs. 50,000 to 1 Lakh", memberSince: "3 Years", gstVerified: true, mobileVerified: true,
+    buyer: { name: "Ramesh Patel", mobile: "+91-9876543210", company: "Patel Packaging Pvt Ltd", email: "ramesh@patelpack.in", gstin: "24AAACP1234F1Z5", address: "Plot 12, GIDC Vatva\nAhmedabad, Gujarat 382445" } },
+  { title: "PVC Pipe 4 inch", city: "Ahmedabad", state: "Gujarat", quantity: "1 Unit", value: "Upto ₹ 5,000",
+    buyer: { name: "Sunita Rao", mobile: "9123456780", address: "Whitefield, Bengaluru" } },
+  { title: "Rubber Conveyor Belt Heavy Duty", city: "Chennai", state: "Tamil Nadu", quantity: "20 Meter", value: "₹ 1 to 2 Lakh", gstVerified: true, markup: "v2",
+    buyer: { name: "Arun Kumar", mobile: "9840012345", company: "AK Rubbers", gstin: "33ABCDE1234F1Z9", address: "Ambattur, Chennai" } },
+  { title: "Stainless Steel Water Tank 1000L", city: "Jaipur", state: "Rajasthan", quantity: "2 Piece", value: "Rs. 40,000 to 60,000", memberSince: "8 Months", mobileVerified: true,
+    buyer: { name: "Vikram Singh", mobile: "9414098765", address: "Malviya Nagar, Jaipur" } },
+  { title: "HDPE Woven Sacks", city: "Surat", state: "Gujarat", quantity: "5000 Piece", value: "Rs. 1 to 2 Lakh", memberSince: "5 Years", gstVerified: true, mobileVerified: true,
+    buyer: { name: "Nisha Shah", mobile: "9898012345", company: "Shah Textiles", email: "purchase@shahtex.in", gstin: "24AAFCS9876K1Z2", address: "Ring Road, Surat" } }
+];
+
+const esc = (s) => String(s ?? "").replace(/[&<>"']/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" }[c]));
+
+function ago(ms) {
+  const mins = Math.floor(ms / 60000);
+  if (mins < 1) return "Just now";
+  if (mins < 60) return `${mins} mins ago`;
+  const hrs = Math.floor(mins / 60);
+  return hrs < 24 ? `${hrs} hrs ago` : `${Math.floor(hrs / 24)} days ago`;
+}
+
+const page = (title, body, script = "") => `<!doctype html>
+<html>
+<head><meta charset="utf-8"><title>${esc(title)}</title></head>
+<body>
+${body}
+${script ? `<script>\n${script}\n</script>` : ""}
+</body>
+</html>`;
+
+function leadCard(l, i) {
+  const posted = l.posted || ago(Date.now() - l.addedAt);
+  const cta = l.contacted ? "Contacted" : "Contact Buyer Now";
+  if (l.markup === "v2") {
+    const meta = [l.quantity && `Qty: ${l.quantity}`, l.value && `Probable Order Value: ${l.value}`, l.gstVerified && "GST Verified", posted].filter(Boolean).join(" | ");
+    return `<div id="list${i}" class="lstNw lstNwV2" data-lead-id="${l.id}">
+  <section class="card">
+    <h2 class="cardTitle">${esc(l.title)}</h2>
+    <p class="cardMeta">${esc(meta)}</p>
+    <button type="button" data-action="contact" data-lead-id="${l.id}">${cta}</button>
+  </section>
+</div>`;
+  }
+  const badges = [l.gstVerified && '<span title="GST Verified">&#10003;</span>', l.mobileVerified && '<span title="Mobile Number Verified">&#9990;</span>'].filter(Boolean).join("");
+  return `<div id="list${i}" class="lstNw" data-lead-id="${l.id}">
+  <div>
+    <div class="lstNwLft">
+      <div class="lstNwLftImg lstNwDflx lstNwPr"><div><h2>${esc(l.title)}</h2></div></div>
+      <div>
+        <div>
+          <div>
+            ${l.quantity ? `<div class="lstNwRgtQty">Quantity : ${esc(l.quantity)}</div>` : ""}
+            <div><strong><p><span>${esc(l.city)}</span>, <span>${esc(l.state)}</span></p></strong></div>
+          </div>
+          ${l.value ? `<div class="lstNwOv">Probable Order Value : ${esc(l.value)}</div>` : ""}
+          ${l.memberSince ? `<div class="lstNwMem">Member Since : ${esc(l.memberSince)}</div>` : ""}
+          ${badges ? `<div class="lstNwBdg">${badges}</div>` : ""}
+        </div>
+      </div>
+    </div>
+  </div>
+  <div class="lstNwTm">${esc(posted)}</div>
+  <div>
+    <div class="lstNwCnt">Contact details will be shared after purchase</div>
+    <div class="Slid_CTA"><div><span class="cta" data-lead-id="${l.id}">${cta}</span></div></div>
+  </div>
+</div>`;
+}
+
+// Inline page scripts: what the live pages do over XHR. The jsdom harness
+// does not run them (runScripts "outside-only"); tests wire the same calls.
+const BLTXN_JS = `document.addEventListener("click", (e) => {
+  const b = e.target.closest("[data-lead-id].cta, button[data-action='contact']");
+  if (!b) return;
+  fetch("/__mock/contact", { method: "POST", headers: { "Content-Type": "application/json" }, body: JSON.stringify({ id: Number(b.dataset.leadId) }) })
+    .then(() => { b.textContent = "Contacted"; });
+});`;
+
+const LOGIN_JS = `const $ = (id) => document.getElementById(id);
+const post = (p, body) => fetch(p, { method: "POST", headers: { "Content-Type": "application/json" }, body: JSON.stringify(body || {}) }).then(r => r.json());
+$("loginBtn").addEventListener("click", () => { document.querySelector(".otp-step").hidden = false; });
+$("reqOtpMobBtn").addEventListener("click", () => post("/__mock/otp/request", { mobile: $("mobNo").value }));
+$("sbmtbtnOtp").addEventListener("click", async () => {
+  const old = $("otp_verify_err"); if (old) old.remove();
+  const boxes = ["first", "second", "third", "fourth_num"].map($);
+  const res = await post("/__mock/otp/verify", { otp: boxes.map(b => b.value).join("") });
+  if (res.ok) return location.reload();
+  const err = document.createElement("div");
+  err.id = "otp_verify_err";
+  err.textContent = "Incorrect OTP, please try again";
+  document.querySelector(".otp-step").appendChild(err);
+  boxes.forEach(b => { b.value = ""; });
+});`;
+
+const MC_JS = `const fill = (sel, v) => { document.querySelector(sel).textContent = v || ""; };
+document.querySelectorAll(".contactRow").forEach((row) => row.addEventListener("click", () => {
+  const d = row.dataset;
+  fill("#left-name", d.buyer); fill("#headerMobile .val", d.mobile); fill("#headerCompany .val", d.company);
+  fill("#headerEmail .val", d.email); fill("#headerGST .val", d.gstin); fill("#headerAddress .val", d.address);
+  fill(".left_side_msg .time_stamp", d.time); fill(".panelProduct", d.product);
+}));
+document.querySelectorAll(".copy").forEach((icon) => icon.addEventListener("click", () => {
+  const text = icon.closest("[id^='header']").querySelector(".val").textContent;
+  const ta = document.createElement("textarea");
+  ta.value = text; document.body.appendChild(ta); ta.select();
+  const ok = document.execCommand("copy"); ta.remove();
+  if (!ok && navigator.clipboard) navigator.clipboard.writeText(text).catch(() => {});
+}));`;
+
+function renderBltxn(leads) {
+  return page("BuyLeads | IndiaMART", `<header><a id="selsout" href="#">Sign Out</a></header>
+<main id="bl_list">
+${leads.map((l, i) => leadCard(l, i + 1)).join("\n")}
+</main>`, BLTXN_JS);
+}
+
+function renderLogin() {
+  return page("Seller Login | IndiaMART", `<div id="root">
+  <div class="loginPage reactLogin">
+    <div class="row bannerRow">
+      <div>
+        <form class="login-form" onsubmit="return false">
+          <label for="mobNo">Mobile Number</label>
+          <input id="mobNo" type="tel" maxlength="10" value="">
+          <div class="banner-cta"><button type="button" id="loginBtn">Start Selling</button></div>
+          <div class="otp-step">
+            <button type="button" id="reqOtpMobBtn">Request OTP on Mobile</button>
+            <div class="otp-boxes">
+              <input id="first" maxlength="1"><input id="second" maxlength="1"><input id="third" maxlength="1"><input id="fourth_num" maxlength="1">
+            </div>
+            <button type="button" id="sbmtbtnOtp">Verify</button>
+          </div>
+        </form>
+      </div>
+    </div>
+  </div>
+</div>`, LOGIN_JS);
+}
+
+const initials = (name) => String(name || "").split(/\s+/).map((w) => w[0] || "").join("").slice(0, 2).toUpperCase();
+
+// Row children are positional in the live page (mc.listProduct reads the 4th)
+function renderMessageCentre(contacts) {
+  const rows = contacts.map((c) => `    <div>
+      <div class="contactRow" data-buyer="${esc(c.name)}" data-mobile="${esc(c.mobile)}" data-company="${esc(c.company)}"
+           data-email="${esc(c.email)}" data-gstin="${esc(c.gstin)}" data-address="${esc(c.address)}"
+           data-time="${esc(c.time)}" data-product="${esc(c.product)}">
+        <div class="avatar">${esc(initials(c.name))}</div>
+        <div class="name">${esc(c.name)}</div>
+        <div class="snippet">${esc(c.message || "I am interested in your product")}</div>
+        <div><div class="wrd_elip fl fs12 fwb mxwdt75 bgF0F0F0 pd5_20 brdr_rad15"><span>${esc(c.product)}</span></div></div>
+      </div>
+    </div>`).join("\n");
+  return page("Message Centre | IndiaMART", `<div id="splitViewContactList">
+  <div><div><div>
+${rows}
+  </div></div></div>
+</div>
+<div id="scrollableDiv">
+  <div class="infinite-scroll-component__outerdiv"><div>
+    <div class="df"><div class="df lms_flxdc lms_aifs mr20 mxwdth45">
+      <div class="left_side_msg">
+        <div class="df justifycontentfstart"><div><div class="panelProduct"></div></div></div>
+        <div class="df time_stamp flxalgn lms_dflw mt5 as_fe"></div>
+      </div>
+    </div></div>
+  </div></div>
+</div>
+<aside class="buyerPanel">
+  <div id="left-name"></div>
+  <div id="headerMobile"><div><span>Mobile:</span><span class="val"></span></div></div>
+  <div id="headerCompany"><div><span class="val"></span><svg class="copy"><path d="M0 0h4v4H0z"/></svg></div></div>
+  <div id="headerEmail"><div><span class="val"></span><svg class="copy"><path d="M0 0h4v4H0z"/></svg></div></div>
+  <div id="headerGST"><div class="copy"><span class="val"></span></div></div>
+  <div id="headerAddress"><span class="mr2"><svg class="copy"><path d="M0 0h4v4H0z"/></svg></span><span class="val"></span></div>
+</aside>`, MC_JS);
+}
+
+const clockTime = () => new Date().toLocaleTimeString("en-IN", { hour: "numeric", minute: "2-digit", hour12: true, timeZone: "Asia/Kolkata" }).toUpperCase();
+
+function createMockSeller({ otp = "1234", loggedIn = true, leads = [], log = () => {} } = {}) {
+  const state = { loggedIn, otpRequests: 0, leads: [], contacts: [], failures: [], offline: false, hits: {} };
+  const hanging = new Set();
+  let nextId = 1;
+  let dripTimer = null;
+  let dripIdx = 0;
+
+  // Newest first, like the live "recent" list
+  function addLead(lead) {
+    const l = { ...lead, id: nextId++, addedAt: Date.now(), contacted: false };
+    state.leads.unshift(l);
+    log("info", `mock: lead #${l.id} "${l.title}"`);
+    return l;
+  }
+
+  function contact(id) {
+    const l = state.leads.find((x) => x.id === Number(id));
+    if (!l) return null;
+    if (!l.contacted) {
+      l.contacted = true;
+      state.contacts.unshift({ ...(l.buyer || {}), name: l.buyer?.name || "Buyer", product: l.title, time: clockTime() });
+    }
+    return l;
+  }
+
+  function readBody(req) {
+    return new Promise((resolve) => {
+      const chunks = [];
+      req.on("data", (c) => chunks.push(c));
+      req.on("end", () => {
+        try { resolve(JSON.parse(Buffer.concat(chunks).toString("utf8") || "{}")); } catch { resolve({}); }
+      });
+    });
+  }
+
+  async function control(req, res, p) {
+    const json = (data, status = 200) => {
+      res.writeHead(status, { "Content-Type": "application/json" });
+      res.end(JSON.stringify(data));
+    };
+    const body = req.method === "POST" ? await readBody(req) : {};
+    switch (p) {
+      case "/__mock/state":
+        return json({ ...state, failures: state.failures.length });
+      case "/__mock/leads": {
+        const list = Array.isArray(body) ? body : [body];
+        return json({ ok: true, leads: list.filter((l) => l && l.title).map(addLead) });
+      }
+      case "/__mock/contact": {
+        const l = contact(body.id);
+        return json({ ok: !!l }, l ? 200 : 404);
+      }
+      case "/__mock/otp/request":
+        state.otpRequests += 1;
+        log("info", `mock: OTP requested for ${body.mobile || "?"} – code ${otp}`);
+        return json({ ok: true });
+      case "/__mock/otp/verify":
+        if (String(body.otp) === String(otp)) state.loggedIn = true;
+        return json({ ok: state.loggedIn && String(body.otp) === String(otp) });
+      case "/__mock/logout":
+        state.loggedIn = false;
+        return json({ ok: true });
+      case "/__mock/login":
+        state.loggedIn = true;
+        return json({ ok: true });
+      case "/__mock/fail": {
+        const n = Math.max(1, Number(body.count) || 1);
+        for (let i = 0; i < n; i++) state.failures.push(String(body.mode || "reset"));
+        return json({ ok: true, queued: state.failures.length });
+      }
+      case "/__mock/offline":
+        state.offline = body.on !== false;
+        return json({ ok: true, offline: state.offline });
+      default:
+        return json({ ok: false, error: "unknown control path" }, 404);
+    }
+  }
+
+  // Returns true when the request was failed instead of served
+  function fail(req, res, mode) {
+    if (mode === "dns") {
+      res.writeHead(302, { Location: "http://seller.mock-offline.invalid/" });
+      res.end();
+    } else if (mode === "http500") {
+      res.writeHead(500, { "Content-Type": "text/html; charset=utf-8" });
+      res.end(page("500 Internal Server Error", "<h1>Internal Server Error</h1>"));
+    } else if (mode === "hang") {
+      hanging.add(res);
+      res.on("close", () => hanging.delete(res));
+    } else {
+      req.socket.destroy();
+    }
+    return true;
+  }
+
+  const server = http.createServer(async (req, res) => {
+    const p = new URL(req.url, "http://x").pathname;
+    state.hits[p] = (state.hits[p] || 0) + 1;
+    if (p.startsWith("/__mock/")) return control(req, res, p);
+
+    if (state.offline) return fail(req, res, "reset");
+    if (p === "/favicon.ico") {
+      res.writeHead(204);
+      return res.end();
+    }
+    if (state.failures.length) return fail(req, res, state.failures.shift());
+
+    const html = (s) => {
+      res.writeHead(200, { "Content-Type": "text/html; charset=utf-8", "Cache-Control": "no-store" });
+      res.end(s);
+    };
+    if (p === "/" || p.startsWith("/bltxn")) return html(state.loggedIn ? renderBltxn(state.leads) : renderLogin());
+    if (p.startsWith("/messagecentre")) return html(state.loggedIn ? renderMessageCentre(state.contacts) : renderLogin());
+    res.writeHead(404, { "Content-Type": "text/plain" });
+    res.end("Not Found");
+  });
+
+  for (const l of leads) addLead(l);
+
+  return {
+    state,
+    addLead,
+    contact,
+    logout: () => { state.loggedIn = false; },
+    login: () => { state.loggedIn = true; },
+    failNext: (count = 1, mode = "reset") => { for (let i = 0; i < count; i++) state.failures.push(mode); },
+    setOffline: (on = true) => { state.offline = !!on; },
+
+    // Adds the next sample lead every sec seconds (0 stops)
+    drip(sec, from = dripIdx) {
+      clearInterval(dripTimer);
+      dripIdx = from;
+      dripTimer = sec > 0 ? setInterval(() => addLead(SAMPLE_LEADS[dripIdx++ % SAMPLE_LEADS.length]), sec * 1000) : null;
+    },
+
+    get baseUrl() { return `http://127.0.0.1:${server.address().port}`; },
+    listen: (port = 0) => new Promise((r) => server.listen(port, "127.0.0.1", r)),
+    close() {
+      clearInterval(dripTimer);
+      for (const res of hanging) res.destroy();
+      return new Promise((r) => { server.closeAllConnections?.(); server.close(r); });
+    }
+  };
+}
+
+module.exports = { createMockSeller, SAMPLE_LEADS };
+
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const port = Number(args.find((a) => /^\d+$/.test(a))) || 4780;
+  const dripAt = args.indexOf("--drip");
+  const mock = createMockSeller({
+    leads: SAMPLE_LEADS.slice(0, 2),
+    log: (_lvl, msg) => console.log(msg)
+  });
+  mock.listen(port).then(() => {
+    console.log(`Mock IndiaMART seller site on ${mock.baseUrl} (OTP 1234)`);
+    console.log(`  INDIAMART_BASE_URL=${mock.baseUrl} npm start`);
+    console.log(`  curl -XPOST ${mock.baseUrl}/__mock/leads -H 'Content-Type: application/json' -d '{"title":"PVC Pipe 6 inch","city":"Delhi","state":"Delhi"}'`);
+    if (dripAt !== -1) mock.drip(Number(args[dripAt + 1]) || 30, 2);
+  });
+}
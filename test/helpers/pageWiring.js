@@ -0,0 +1,32 @@
+// pageWiring.js
+// Page behaviour the harness adds in onLoad, standing in for the live pages'
+// own scripts (jsdom runs none of them).
+
+// The Message Centre fills the right-hand panel over XHR when a contact row
+// is clicked, and the copy icons put the field on the clipboard.
+function wireMessageCentre(clipboard) {
+  return (w) => {
+    const doc = w.document;
+    const setVal = (sel, v) => { doc.querySelector(sel).textContent = v; };
+    for (const row of doc.querySelectorAll(".contactRow")) {
+      row.addEventListener("click", () => {
+        const d = row.dataset;
+        setVal("#left-name", d.buyer);
+        setVal("#headerMobile .val", d.mobile);
+        setVal("#headerCompany .val", d.company);
+        setVal("#headerEmail .val", d.email);
+        setVal("#headerGST .val", d.gstin);
+        setVal("#headerAddress .val", d.address);
+        setVal(".left_side_msg .time_stamp", d.time);
+      });
+    }
+    for (const icon of doc.querySelectorAll(".copy")) {
+      icon.addEventListener("click", () => {
+        const box = icon.closest("[id^='header']");
+        clipboard.writeText(box.querySelector(".val").textContent);
+      });
+    }
+  };
+}
+
+module.exports = { wireMessageCentre };
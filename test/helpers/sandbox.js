@@ -0,0 +1,63 @@
+// sandbox.js
+// Loads the app modules from a throw-away copy of the repo so their
+// __dirname/Reports and List/ writes land in a temp dir, and answers
+// require("electron") with a small stand-in (app paths, clipboard, and a
+// BrowserWindow whose instances the test supplies).
+
+const fs = require("node:fs");
+const os = require("node:os");
+const path = require("node:path");
+const Module = require("node:module");
+
+const ROOT = path.join(__dirname, "..", "..");
+
+let current = null;
+const origLoad = Module._load;
+Module._load = function (request, parent, isMain) {
+  if (request === "electron" && current) return current;
+  return origLoad.call(this, request, parent, isMain);
+};
+
+// Debounced writers (selector stats, LeadStore) can fire after cleanup() and
+// recreate Reports/, so every sandbox is removed again on exit.
+const dirs = new Set();
+process.on("exit", () => {
+  for (const d of dirs) fs.rmSync(d, { recursive: true, force: true });
+});
+
+function createSandbox() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "niyati-test-"));
+  dirs.add(dir);
+  for (const f of fs.readdirSync(ROOT)) {
+    if (f.endsWith(".js")) fs.copyFileSync(path.join(ROOT, f), path.join(dir, f));
+  }
+
+  let clip = "";
+  const electron = {
+    app: { getPath: () => path.join(dir, "userData") },
+    clipboard: {
+      readText: () => clip,
+      writeText: (t) => { clip = String(t ?? ""); }
+    },
+    // Tests set electron.createWindow(opts) before a module calls new BrowserWindow()
+    createWindow: null,
+    BrowserWindow: function BrowserWindow(opts) {
+      if (!electron.createWindow) throw new Error("sandbox: no createWindow set for BrowserWindow");
+      return electron.createWindow(opts);
+    }
+  };
+  current = electron;
+
+  return {
+    dir,
+    electron,
+    require: (name) => require(path.join(dir, name)),
+    read: (rel) => fs.readFileSync(path.join(dir, rel), "utf8"),
+    readJSON: (rel) => JSON.parse(fs.readFileSync(path.join(dir, rel), "utf8")),
+    cleanup: () => fs.rmSync(dir, { recursive: true, force: true })
+  };
+}
+
+const fixture = (name) => path.join(__dirname, "..", "fixtures", name);
+
+module.exports = { createSandbox, fixture };
@@ -0,0 +1,18 @@
+// sqlite.js
+// better-sqlite3 for the LeadStore tests. postinstall builds it for
+// Electron's ABI, so under plain node it may not load; the tests then fail
+// with how to fix it instead of being skipped.
+
+function requireSqlite() {
+  try {
+    return require("better-sqlite3");
+  } catch (e) {
+    throw new Error(
+      `better-sqlite3 does not load under node ${process.version} (${e.message.split("\n")[0]}).\n` +
+      "postinstall builds it for Electron: run `npm rebuild better-sqlite3` before `npm test`, " +
+      "then `npm run postinstall` to restore the Electron build."
+    );
+  }
+}
+
+module.exports = { requireSqlite };
@@ -0,0 +1,136 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const path = require("node:path");
+const { createSandbox, fixture } = require("./helpers/sandbox");
+const { createFakeWindow } = require("./helpers/fakeWindow");
+const { createFakeTelegram } = require("./helpers/fakeTelegram");
+const { wireMessageCentre } = require("./helpers/pageWiring");
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+// Telegram client whose button taps go to a createLeadActions over target
+async function setup(t, target) {
+  const sb = createSandbox();
+  const fake = createFakeTelegram();
+  await fake.listen();
+  const { createTelegramClient } = sb.require("telegram.js");
+  const { createLeadActions } = sb.require("leadactions.js");
+  const actions = createLeadActions({ target: () => target.current });
+  const tg = createTelegramClient({
+    token: fake.token,
+    chatId: fake.chatId,
+    apiBase: fake.apiBase,
+    pollTimeoutSec: 1,
+    onCallback: (ctx) => actions.handle(ctx)
+  });
+  t.after(async () => {
+    tg.stop();
+    await fake.close();
+    sb.cleanup();
+  });
+  tg.start();
+  await fake.waitFor(() => fake.sent().some(s => /Niyati Browser Connected/.test(s)));
+  return { sb, fake, tg };
+}
+
+const keyboardOf = (call) => call.body.reply_markup.inline_keyboard.flat();
+const tap = async (fake, data) => {
+  const before = fake.calls.filter(c => c.method === "answerCallbackQuery").length;
+  fake.pushCallback(data);
+  await fake.waitFor(() => fake.calls.filter(c => c.method === "answerCallbackQuery").length > before);
+  await sleep(30);
+  return fake.calls.filter(c => c.method === "answerCallbackQuery").at(-1).body.text;
+};
+const lastMarkup = (fake) => keyboardOf(fake.calls.filter(c => c.method === "editMessageReplyMarkup").at(-1));
+
+test("lead buttons are stored on the pipeline lead and its LeadStore row and redrawn", async (t) => {
+  const target = { current: null };
+  const { sb, fake, tg } = await setup(t, target);
+  const { createMessageCentre } = sb.require("messagecentre.js");
+  sb.electron.createWindow = () => createFakeWindow({ file: fixture("messagecentre.html"), url: "about:blank", onLoad: wireMessageCentre(sb.electron.clipboard) });
+
+  const added = [];
+  const mc = createMessageCentre({
+    maxBlocks: 2,
+    clickTimeoutMs: 300,
+    betweenClicksMs: 10,
+    panelReadyTimeoutMs: 200,
+    readFreshMs: 300,
+    send: (text, extra) => tg.notify("lead", text, extra)
+  });
+  target.current = {
+    getLead: (_kind, serial) => mc.getLead(serial),
+    markLead: (_kind, serial, id, info) => mc.markLead(serial, id, info),
+    addProduct: (name) => { added.push(name); return true; },
+    screenshotCard: async () => null
+  };
+  assert.equal(await mc.enqueue({ reason: "test" }), true);
+
+  const lead = fake.calls.find(c => c.method === "sendMessage" && /Sunita Rao/.test(c.body.text));
+  const buttons = keyboardOf(lead);
+  assert.deepEqual(buttons.map(b => b.text), ["☎️ Mark contacted", "🚫 Not relevant", "➕ Add product from title", "📸 Screenshot card"]);
+  const serial = Number(/^la:c:mc:(\d+)$/.exec(buttons[0].callback_data)[1]);
+  assert.equal(mc.getLead(serial).buyer, "Sunita Rao");
+  assert.match(lead.body.text, new RegExp(`New Lead #${serial}`));
+
+  assert.equal(await tap(fake, `la:c:mc:${serial}`), "✅ Contacted");
+  assert.equal(lastMarkup(fake)[0].text, "✅ Contacted");
+  assert.match(await tap(fake, `la:c:mc:${serial}`), /Already marked by Test/);
+
+  // Not relevant replaces contacted
+  await tap(fake, `la:x:mc:${serial}`);
+  assert.deepEqual(lastMarkup(fake).slice(0, 2).map(b => b.text), ["☎️ Mark contacted", "✅ Not relevant"]);
+
+  assert.equal(await tap(fake, `la:p:mc:${serial}`), "➕ Product added: PVC Pipe 4 inch");
+  assert.deepEqual(added, ["PVC Pipe 4 inch"]);
+  assert.equal(await tap(fake, `la:s:mc:${serial}`), "📭 Card is no longer on the Leads page.");
+  assert.equal(await tap(fake, "la:c:mc:999"), "⌛ This lead is no longer on record.");
+
+  // Contacted moved the lead on; not relevant then closed it
+  assert.deepEqual(mc.crm.get(serial).history.map(h => h.status), ["new", "contacted", "lost"]);
+
+  await sleep(200); // LeadStore and pipeline flushes are debounced
+  const row = sb.readJSON("Reports/messagecentre_log.json").find(r => r.lead === serial);
+  assert.equal(row.actions.not_relevant.by, "Test");
+  assert.equal(row.actions.contacted, undefined);
+  assert.equal(row.actions.product.name, "PVC Pipe 4 inch");
+  const saved = sb.readJSON("List/lead_pipeline.json").leads.find(l => l.id === serial);
+  assert.equal(saved.status, "lost");
+  assert.equal(saved.actions.product.name, "PVC Pipe 4 inch");
+});
+
+test("a muted keyword stops matching for 24h and the tap is kept on the match row", async (t) => {
+  const target = { current: null };
+  const { sb, fake, tg } = await setup(t, target);
+  const { createKeywordMatcher } = sb.require("keywordmatcher.js");
+  fs.mkdirSync(path.join(sb.dir, "List"), { recursive: true });
+  fs.writeFileSync(path.join(sb.dir, "List", "keywords.json"), JSON.stringify(["conveyor", "pvc"]));
+
+  const kw = createKeywordMatcher({ send: (text, extra) => tg.notify("match", text, extra) });
+  target.current = {
+    getLead: (_kind, serial) => kw.getMatch(serial),
+    markLead: (_kind, serial, id, info) => kw.markMatch(serial, id, info),
+    addProduct: () => true,
+    muteKeyword: (k, ms) => kw.muteKeyword(k, ms)
+  };
+
+  const r1 = await kw.processCycle([{ title: "Conveyor Belt (Rubber) - 10m", city: "Pune" }], 1);
+  assert.equal(r1.sent, 1);
+  const msg = fake.calls.find(c => c.method === "sendMessage" && /Keyword Matched/.test(c.body.text));
+  assert.deepEqual(keyboardOf(msg).map(b => b.callback_data), ["la:c:kw:1", "la:x:kw:1", "la:p:kw:1", "la:m:kw:1", "la:s:kw:1"]);
+  assert.equal(kw.getMatch(1).keyword, "conveyor");
+
+  assert.equal(await tap(fake, "la:p:kw:1"), "➕ Product added: Conveyor Belt Rubber 10m");
+  assert.equal(await tap(fake, "la:m:kw:1"), '🔕 "conveyor" muted for 24h');
+  assert.equal(lastMarkup(fake)[3].text, "✅ Keyword muted");
+
+  const r2 = await kw.processCycle([{ title: "Conveyor Roller" }, { title: "PVC Pipe" }], 2);
+  assert.deepEqual(r2.matched, ["PVC Pipe"]);
+  assert.ok(sb.readJSON("List/keyword_mutes.json").conveyor > Date.now());
+
+  await sleep(50);
+  const row = sb.readJSON("Reports/keyword_matches.json").find(r => r.serial === 1);
+  assert.equal(row.actions.muted.keyword, "conveyor");
+  assert.equal(row.actions.product.name, "Conveyor Belt Rubber 10m");
+});
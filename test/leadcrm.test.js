@@ -0,0 +1,114 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { createSandbox } = require("./helpers/sandbox");
+const { createFakeTelegram } = require("./helpers/fakeTelegram");
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+const TODAY = "2026-10-19";
+
+function setup(t) {
+  const sb = createSandbox();
+  t.after(() => sb.cleanup());
+  const mod = sb.require("leadcrm.js");
+  const open = () => mod.createLeadCrm({ dayKey: () => TODAY });
+  return { sb, ...mod, open };
+}
+
+const ROW = { product: "PVC Pipe 4 inch", buyer: "Sunita Rao", mobile: "+91-98765 43210", company: "" };
+
+test("leads move forward only, closing clears the follow-up and the pipeline survives a restart", async (t) => {
+  const { sb, open, parseAmount, parseFollowUp } = setup(t);
+
+  assert.equal(parseAmount("1.2L"), 120000);
+  assert.equal(parseAmount("50k"), 50000);
+  assert.equal(parseAmount("Rs.1,20,000"), 120000);
+  assert.equal(parseAmount("2cr"), 20000000);
+  assert.equal(parseAmount("lots"), null);
+  assert.equal(parseFollowUp("tomorrow", TODAY), "2026-10-20");
+  assert.equal(parseFollowUp("+3d", TODAY), "2026-10-22");
+  assert.equal(parseFollowUp("21-10", TODAY), "2026-10-21");
+  assert.equal(parseFollowUp("31-02-2026", TODAY), null);
+  assert.equal(parseFollowUp("none", TODAY), "");
+
+  const crm = open();
+  const a = crm.track(ROW);
+  assert.equal(a.id, 1);
+  // Same buyer and product, mobile written differently: same lead, new details filled
+  assert.equal(crm.track({ ...ROW, mobile: "9876543210", company: "Rao Traders" }).id, 1);
+  assert.equal(crm.get(1).company, "Rao Traders");
+  const b = crm.track({ product: "Conveyor Belt", buyer: "Amit", mobile: "9000000001" });
+  assert.equal(b.id, 2);
+
+  assert.equal(crm.update(1, { status: "quoted", quote: "1.2L", followUp: "2026-10-17", assignee: "Ravi" }, "@owner").ok, true);
+  assert.deepEqual(crm.get(1).quote, { value: 120000, text: "₹1.2L" });
+  assert.match(crm.update(1, { status: "contacted" }).error, /already quoted/);
+  assert.match(crm.update(1, { followUp: "someday" }).error, /Can't read the date/);
+  assert.match(crm.update(1, { status: "pending" }).error, /Unknown status/);
+  assert.match(crm.update(9, { note: "x" }).error, /No lead #9/);
+
+  assert.deepEqual(crm.overdue().map(l => l.id), [1]);
+  assert.deepEqual(crm.list({ filter: "overdue" }).map(l => l.id), [1]);
+  assert.equal(crm.summary().quotedValue, 120000);
+
+  assert.equal(crm.update(1, { status: "won", note: "PO received" }, "@owner").ok, true);
+  assert.equal(crm.get(1).followUp, "");
+  assert.deepEqual(crm.overdue(), []);
+  assert.match(crm.update(1, { status: "lost" }).error, /already won – reopen it first/);
+  assert.match(crm.update(2, { reopen: true }).error, /still open/);
+  assert.equal(crm.update(1, { reopen: true }).lead.status, "contacted");
+  assert.deepEqual(crm.list().map(l => l.id), [2, 1]);
+
+  crm.flush();
+  const saved = sb.readJSON("List/lead_pipeline.json");
+  assert.equal(saved.nextId, 3);
+  const again = open();
+  assert.deepEqual(again.get(1).history.map(h => [h.status, h.by]), [["new", ""], ["quoted", "@owner"], ["won", "@owner"], ["contacted", ""]]);
+  assert.equal(again.get(1).notes[0].text, "PO received");
+  assert.equal(again.track({ product: "Gear Box", buyer: "Neha", mobile: "9000000002" }).id, 3);
+  await sleep(150);
+});
+
+test("/lead shows and edits pipeline leads from Telegram", async (t) => {
+  const { sb, open } = setup(t);
+  const crm = open();
+  crm.track(ROW);
+
+  const fake = createFakeTelegram();
+  await fake.listen();
+  const { createTelegramClient, buildDefaultCommands } = sb.require("telegram.js");
+  const { runLeadCommand } = sb.require("leadcrm.js");
+  const tg = createTelegramClient({
+    token: fake.token,
+    chatId: fake.chatId,
+    apiBase: fake.apiBase,
+    pollTimeoutSec: 1,
+    commands: buildDefaultCommands({ leadCommand: (text, { by }) => runLeadCommand(crm, text, { by }) })
+  });
+  t.after(async () => {
+    tg.stop();
+    await fake.close();
+  });
+  tg.start();
+  await fake.waitFor(() => fake.sent().some(s => /Niyati Browser Connected/.test(s)));
+
+  const ask = async (text) => {
+    const before = fake.sent().length;
+    fake.pushText(text);
+    await fake.waitFor(() => fake.sent().length > before);
+    return fake.sent().at(-1);
+  };
+
+  assert.match(await ask("/lead 1 quoted 1.2L sent on mail"), /Saved[\s\S]*Lead #1<\/b> · 💬 Quoted \(₹1.2L\)/);
+  assert.equal(crm.get(1).notes[0].text, "sent on mail");
+  assert.equal(crm.get(1).history.at(-1).by, "Test");
+  assert.match(await ask("/lead 1 follow 21-10"), /Follow-up:<\/b> 2026-10-21/);
+  assert.match(await ask("/lead 1 assign Ravi"), /Assignee:<\/b> Ravi/);
+  assert.match(await ask("/lead 1 new"), /❌ Lead #1 is already quoted/);
+  assert.match(await ask("/lead 7 won"), /❌ No lead #7/);
+  assert.match(await ask("/lead 1 maybe"), /Unknown action "maybe"/);
+
+  const pipeline = await ask("/lead");
+  assert.match(pipeline, /Lead Pipeline/);
+  assert.match(pipeline, /#1 💬 Sunita Rao – PVC Pipe 4 inch · 📅 2026-10-21/);
+  await sleep(150);
+});
@@ -0,0 +1,93 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const path = require("node:path");
+const { createSandbox } = require("./helpers/sandbox");
+const { requireSqlite } = require("./helpers/sqlite");
+
+const Database = requireSqlite();
+
+const write = (file, rows) => {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(rows));
+};
+
+test("importLegacy reads current and archived logs once and re-reads a file that changed", (t) => {
+  const sb = createSandbox();
+  const { createLeadDb } = sb.require("leaddb.js");
+  const db = createLeadDb({ dir: sb.dir });
+  t.after(() => { db.close(); sb.cleanup(); });
+  assert.equal(db.enabled, true);
+
+  const products = path.join(sb.dir, "Reports", "products_log.json");
+  write(products, [{ serial: 1, timestamp: "2026-10-18 09:00:00", name: "PVC Pipe", location: "Pune" }]);
+  write(path.join(sb.dir, "reports_archive", "2026-10-17_2000", "messagecentre_log.json"), [
+    { timestamp: "2026-10-17 15:00:00", product: "Belt Conveyor", buyer: "Amit", mobile: "+91-9876543210", time: "3:00 PM" }
+  ]);
+  write(path.join(sb.dir, "reports_archive", "2026-10-17_2000", "matchclick.json"), [
+    { timestamp: "2026-10-17 15:05:00", title: "Belt Conveyor", index: 2, Matched: "belt conveyor", status: "clicked" }
+  ]);
+
+  assert.deepEqual(db.importLegacy(), { files: 3, rows: 3 });
+  // Same size and mtime: nothing is read again
+  assert.deepEqual(db.importLegacy(), { files: 0, rows: 0 });
+
+  const [lead] = db.all("lead");
+  assert.equal(lead.mobile10, "9876543210");
+  assert.equal(lead.source, "import:2026-10-17_2000");
+  assert.equal(db.all("click")[0].matched, "belt conveyor");
+
+  // A grown file is imported again; rows already stored are ignored
+  write(products, [
+    { serial: 1, timestamp: "2026-10-18 09:00:00", name: "PVC Pipe", location: "Pune" },
+    { serial: 2, timestamp: "2026-10-18 09:05:00", name: "Gear Box", location: "Surat" }
+  ]);
+  assert.deepEqual(db.importLegacy(), { files: 1, rows: 1 });
+  assert.equal(db.getStats().products, 2);
+});
+
+test("an existing v1 leads.db gets the products.details column", (t) => {
+  const sb = createSandbox();
+  const file = path.join(sb.dir, "Reports", "leads.db");
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const old = new Database(file);
+  old.exec(`CREATE TABLE products (id INTEGER PRIMARY KEY AUTOINCREMENT, serial INTEGER, ts TEXT NOT NULL,
+    ts_ms INTEGER NOT NULL, title TEXT NOT NULL, location TEXT NOT NULL DEFAULT '', source TEXT NOT NULL DEFAULT 'live',
+    UNIQUE (title, location, ts))`);
+  old.prepare("INSERT INTO products (ts, ts_ms, title) VALUES ('2026-10-01 10:00:00', 1, 'Old Row')").run();
+  old.close();
+
+  const logs = [];
+  const { createLeadDb } = sb.require("leaddb.js");
+  const db = createLeadDb({ dir: sb.dir, log: (level, msg) => logs.push(msg) });
+  t.after(() => { db.close(); sb.cleanup(); });
+
+  assert.equal(db.enabled, true);
+  assert.ok(logs.some(m => /migrated to v3 \(products\.details\)/.test(m)));
+  assert.equal(db.all("product")[0].details, "{}");
+  assert.equal(db.addProduct({ timestamp: "2026-10-02 10:00:00", name: "New Row", quantity: "50 kg" }), true);
+  assert.deepEqual(JSON.parse(db.all("product")[0].details), { quantity: "50 kg" });
+  assert.equal(db.db.prepare("SELECT value FROM meta WHERE key = 'schema_version'").get().value, "3");
+});
+
+test("a store that cannot open falls back to a no-op store", (t) => {
+  const sb = createSandbox();
+  t.after(() => sb.cleanup());
+  const { createLeadDb } = sb.require("leaddb.js");
+  // A directory where the database file should be
+  const file = path.join(sb.dir, "Reports", "leads.db");
+  fs.mkdirSync(file, { recursive: true });
+
+  const logs = [];
+  const db = createLeadDb({ dir: sb.dir, file, log: (level, msg) => logs.push({ level, msg }) });
+  assert.equal(db.enabled, false);
+  assert.match(db.reason, /open failed|driver missing/);
+  assert.equal(logs[0].level, "error");
+  assert.equal(db.addProduct({ name: "PVC Pipe" }), false);
+  assert.equal(db.upsertLead({ product: "PVC Pipe", buyer: "Amit" }), false);
+  assert.deepEqual(db.importLegacy(), { files: 0, rows: 0 });
+  assert.deepEqual(db.all("lead"), []);
+  assert.deepEqual(db.search({ text: "pipe" }), []);
+  assert.equal(db.getStats().enabled, false);
+  db.close();
+});
@@ -0,0 +1,71 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { createSandbox } = require("./helpers/sandbox");
+
+const NOW = new Date(2026, 9, 19, 10, 0, 0);
+
+test("quantity and order value in the formats BuyLead cards use", (t) => {
+  const sb = createSandbox();
+  t.after(() => sb.cleanup());
+  const { parseLeadFields } = sb.require("leadfields.js");
+  const f = (text) => parseLeadFields(text, NOW);
+
+  assert.deepEqual([f("Quantity: 500 Piece").quantity, f("Quantity: 500 Piece").quantityUnit], [500, "piece"]);
+  assert.deepEqual([f("Qty - 1,200 Sq. Ft").quantity, f("Qty - 1,200 Sq. Ft").quantityUnit], [1200, "sq. ft"]);
+  assert.deepEqual([f("Quantity : 2.5 Metric Ton").quantity, f("Quantity : 2.5 Metric Ton").quantityUnit], [2.5, "metric ton"]);
+  assert.equal(f("Need belts urgently").quantity, null);
+
+  const value = (text) => { const v = f(text); return [v.orderValueMin, v.orderValueMax]; };
+  assert.deepEqual(value("Probable Order Value: Rs. 50,000 to 1,00,000"), [50000, 100000]);
+  assert.deepEqual(value("Probable Order Value: ₹ 1 to 2 Lakh"), [100000, 200000]);
+  assert.deepEqual(value("Order Value: Rs 50,000 to 1 Lakh"), [50000, 100000]);
+  assert.deepEqual(value("Probable Order Value: Upto ₹ 5,000"), [null, 5000]);
+  assert.deepEqual(value("Probable Order Value: Above Rs 10 Lakh"), [1000000, null]);
+  assert.deepEqual(value("Order Value: ₹ 2 Crore"), [20000000, 20000000]);
+  assert.deepEqual(value("no value here"), [null, null]);
+});
+
+test("member since and posting age", (t) => {
+  const sb = createSandbox();
+  t.after(() => sb.cleanup());
+  const { parseLeadFields } = sb.require("leadfields.js");
+  const member = (text) => parseLeadFields(text, NOW).memberMonths;
+  const age = (text) => parseLeadFields(text, NOW).postedMins;
+
+  assert.equal(member("Member Since: 3 Years"), 36);
+  assert.equal(member("Member since 6 Months"), 6);
+  assert.equal(member("Member Since : 2+ Yrs"), 24);
+  assert.equal(member("Member Since: Jan 2019"), 93);
+  assert.equal(member("Member Since: 2024"), 33);
+  assert.equal(member("Member Since: recently"), null);
+
+  assert.equal(age("Posted 2 hrs ago"), 120);
+  assert.equal(age("15 mins ago"), 15);
+  assert.equal(age("3 days ago"), 4320);
+  assert.equal(age("Just now"), 0);
+  assert.equal(age("Yesterday"), 1440);
+  assert.equal(age("Posted on 12 Oct"), null);
+});
+
+test("verified badges, and the negations that must not count", (t) => {
+  const sb = createSandbox();
+  t.after(() => sb.cleanup());
+  const { parseLeadFields, parseCriterion, checkCriterion } = sb.require("leadfields.js");
+  const badges = (text) => { const f = parseLeadFields(text, NOW); return [f.gstVerified, f.mobileVerified]; };
+
+  assert.deepEqual(badges("GST Verified | Mobile Verified"), [true, true]);
+  assert.deepEqual(badges("Verified Mobile"), [false, true]);
+  assert.deepEqual(badges("GSTIN: verified"), [true, false]);
+
+  assert.deepEqual(badges("GST No: not verified"), [false, false]);
+  assert.deepEqual(badges("Mobile unverified"), [false, false]);
+  assert.deepEqual(badges("Mobile Number Not Verified | GST Verified"), [true, false]);
+  assert.deepEqual(badges("Mobile unverified · GST verified"), [true, false]);
+  assert.deepEqual(badges("GST verified, mobile not verified"), [true, false]);
+  assert.deepEqual(badges("Unverified Mobile"), [false, false]);
+  assert.deepEqual(badges("GST non-verified"), [false, false]);
+
+  const f = parseLeadFields("GST No: not verified | Mobile unverified", NOW);
+  assert.deepEqual(checkCriterion(parseCriterion("@gst"), f), { ok: false, why: "GST not verified" });
+  assert.deepEqual(checkCriterion(parseCriterion("@mobile"), f), { ok: false, why: "mobile not verified" });
+});
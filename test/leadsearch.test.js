@@ -0,0 +1,73 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const path = require("node:path");
+const { createSandbox } = require("./helpers/sandbox");
+const { requireSqlite } = require("./helpers/sqlite");
+
+const write = (file, rows) => {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(rows));
+};
+
+const CLICKS = [
+  { timestamp: "2026-10-18 10:03:00", title: "Belt Conveyor 20 ft", index: 3, matched: "belt conveyor", status: "rejected", reason: "Raipur, Chhattisgarh not in service area" },
+  { timestamp: "2026-10-18 10:02:00", title: "Belt Conveyor 10 ft", index: 2, matched: "belt conveyor", status: "fail" },
+  { timestamp: "2026-10-18 10:01:00", title: "Belt Conveyor 5 ft", index: 1, matched: "belt conveyor", status: "ok" },
+  // matchclick.json rows from before statuses were logged
+  { timestamp: "2026-10-10 09:00:00", title: "Belt Conveyor Old", index: 4, Matched: "belt conveyor" }
+];
+
+const byTitle = (res) => Object.fromEntries(res.results.map(h => [h.product, { status: h.status, reason: h.reason }]));
+
+test("parseQuery tells phone numbers from text", (t) => {
+  const sb = createSandbox();
+  t.after(() => sb.cleanup());
+  const { parseQuery } = sb.require("leadsearch.js");
+  assert.deepEqual(parseQuery("+91 98765-43210"), { text: "", digits: "9876543210" });
+  assert.deepEqual(parseQuery("  PVC   Pipe "), { text: "pvc pipe", digits: "" });
+  assert.deepEqual(parseQuery("123"), { text: "123", digits: "" });
+});
+
+test("click hits from the report files keep their status and reason", async (t) => {
+  const sb = createSandbox();
+  t.after(() => sb.cleanup());
+  const { createLeadSearch } = sb.require("leadsearch.js");
+  write(path.join(sb.dir, "Reports", "matchclick.json"), CLICKS.slice(0, 3));
+  write(path.join(sb.dir, "reports_archive", "2026-10-10_2000", "matchclick.json"), CLICKS.slice(3));
+  write(path.join(sb.dir, "Reports", "messagecentre_log.json"), [
+    { timestamp: "2026-10-18 11:00:00", product: "Belt Conveyor", buyer: "Amit", mobile: "+91-9876543210" }
+  ]);
+
+  const s = createLeadSearch({ reportsDir: path.join(sb.dir, "Reports"), archiveDir: path.join(sb.dir, "reports_archive") });
+  const res = await s.search("belt conveyor", { pageSize: 10 });
+  assert.equal(res.total, 5);
+  assert.equal(res.results[0].kind, "lead");
+  assert.deepEqual(byTitle(res), {
+    "Belt Conveyor": { status: undefined, reason: undefined },
+    "Belt Conveyor 20 ft": { status: "rejected", reason: "Raipur, Chhattisgarh not in service area" },
+    "Belt Conveyor 10 ft": { status: "fail", reason: "" },
+    "Belt Conveyor 5 ft": { status: "ok", reason: "" },
+    "Belt Conveyor Old": { status: "ok", reason: "" }
+  });
+
+  const phone = await s.search("98765 43210");
+  assert.equal(phone.total, 1);
+  assert.equal(phone.results[0].buyer, "Amit");
+});
+
+test("click hits from the lead store keep their status and reason", async (t) => {
+  requireSqlite();
+  const sb = createSandbox();
+  const { createLeadDb } = sb.require("leaddb.js");
+  const { createLeadSearch } = sb.require("leadsearch.js");
+  const db = createLeadDb({ dir: sb.dir });
+  t.after(() => { db.close(); sb.cleanup(); });
+  for (const r of CLICKS) db.addClick(r);
+
+  const res = await createLeadSearch({ db }).search("belt conveyor", { pageSize: 10 });
+  assert.equal(res.total, 4);
+  assert.equal(byTitle(res)["Belt Conveyor 20 ft"].reason, "Raipur, Chhattisgarh not in service area");
+  assert.equal(byTitle(res)["Belt Conveyor 10 ft"].status, "fail");
+  assert.equal(byTitle(res)["Belt Conveyor Old"].status, "ok");
+});
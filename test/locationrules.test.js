@@ -0,0 +1,83 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const path = require("node:path");
+const { createSandbox } = require("./helpers/sandbox");
+
+function rulesIn(sb, cfg) {
+  const file = path.join(sb.dir, "List", "locations.json");
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(cfg));
+  return sb.require("locationrules.js").createLocationRules({ file });
+}
+
+test("near-miss city names are different places", (t) => {
+  const sb = createSandbox();
+  t.after(() => sb.cleanup());
+  const rules = rulesIn(sb, {
+    products: {
+      "belt conveyor": { allowCities: ["jaipur"] },
+      "gear box": { allowCities: ["kurnool"] },
+      "pvc pipe": { denyCities: ["rampur"] }
+    }
+  });
+
+  assert.deepEqual(rules.evaluate("belt conveyor", { city: "Jaipur", state: "Rajasthan" }), { ok: true });
+  assert.deepEqual(rules.evaluate("belt conveyor", { city: "Raipur", state: "Chhattisgarh" }),
+    { ok: false, reason: "outside service area (raipur, chhattisgarh)" });
+
+  assert.deepEqual(rules.evaluate("gear box", { city: "Kurnool", state: "Andhra Pradesh" }), { ok: true });
+  assert.equal(rules.evaluate("gear box", { city: "Karnal", state: "Haryana" }).ok, false);
+
+  assert.equal(rules.evaluate("pvc pipe", { city: "Rampur", state: "Uttar Pradesh" }).ok, false);
+  for (const city of ["Rajpur", "Raipur", "Jaipur"]) {
+    assert.deepEqual(rules.evaluate("pvc pipe", { city }), { ok: true }, city);
+  }
+});
+
+test("old names and aliases from the file still match", (t) => {
+  const sb = createSandbox();
+  t.after(() => sb.cleanup());
+  const rules = rulesIn(sb, {
+    default: { allowStates: ["maharashtra", "haryana"], allowCities: ["bengaluru"], unknown: "deny" },
+    products: { "gear box": { denyCities: ["mumbai"] } },
+    aliases: { "surat": ["suratt"] }
+  });
+
+  assert.equal(rules.evaluate("pvc pipe", { location: "Poona, MH" }).ok, true);
+  assert.equal(rules.evaluate("pvc pipe", { city: "Gurgaon", state: "HR" }).ok, true);
+  assert.equal(rules.evaluate("pvc pipe", { city: "Bangalore" }).ok, true);
+  assert.deepEqual(rules.evaluate("pvc pipe", {}), { ok: false, reason: "location unknown" });
+  assert.deepEqual(rules.evaluate("gear box", { city: "Bombay", state: "Maharashtra" }),
+    { ok: false, reason: "denied city (bombay, maharashtra)" });
+  assert.equal(rules.evaluate("gear box", { city: "Pune", state: "Maharashtra" }).ok, true);
+  assert.equal(rules.getState().products["gear box"].denyCities[0], "mumbai");
+});
+
+test("a rule with flags uses its base phrase's service area", async (t) => {
+  const sb = createSandbox();
+  t.after(() => sb.cleanup());
+  const rules = rulesIn(sb, {
+    default: { allowStates: ["maharashtra"] },
+    products: { "PVC Pipe": { allowStates: ["gujarat"] } }
+  });
+
+  const rule = "pvc pipe -used (4_inch 6_inch) @2";
+  assert.deepEqual(rules.evaluate(rule, { city: "Ahmedabad", state: "Gujarat" }), { ok: true });
+  assert.equal(rules.evaluate(rule, { city: "Pune", state: "Maharashtra" }).ok, false);
+
+  // Through the clicker: #2 is PVC pipe from Ahmedabad
+  const { createFakeWindow } = require("./helpers/fakeWindow");
+  const { fixture } = require("./helpers/sandbox");
+  const win = createFakeWindow({ file: fixture("bltxn.html"), url: "https://seller.indiamart.com/bltxn/?pref=recent" });
+  let items = [];
+  await sb.require("productScraper.js").createProductScraper({ win, onItems: (it) => { items = it; } }).scrapeOnce(1);
+  const mc = sb.require("matchclicker.js").createMatchClicker({
+    win,
+    log: () => {},
+    checkLocation: rules.evaluate,
+    getProducts: () => [rule]
+  });
+  await mc.processCycle(items, 1);
+  assert.equal(sb.readJSON("Reports/matchclick.json")[0].status, "ok");
+});
@@ -0,0 +1,148 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const path = require("node:path");
+const { createSandbox } = require("./helpers/sandbox");
+const { createFakeSmtp } = require("./helpers/fakeSmtp");
+
+// Decoded text of the MIME part with this content type
+function partText(data, type) {
+  const i = data.indexOf(`Content-Type: ${type}`);
+  assert.ok(i >= 0, `no ${type} part`);
+  const body = data.slice(data.indexOf("\r\n\r\n", i) + 4).split("\r\n--")[0];
+  return Buffer.from(body.replace(/\s+/g, ""), "base64").toString("utf8");
+}
+
+// The fake server is plain TCP, so the sink allows a login without STARTTLS
+async function setup(t, { sinkExtra = {}, smtpOpts = {}, smtpConfig = { requireTLS: false } } = {}) {
+  const smtp = createFakeSmtp({ user: "alerts@example.com", pass: "pw", refuse: ["gone@example.com"], ...smtpOpts });
+  await smtp.listen();
+  t.after(() => smtp.close());
+  const sb = createSandbox();
+  t.after(() => sb.cleanup());
+  const file = path.join(sb.dir, "List", "notifiers.json");
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify({ sinks: [{
+    kind: "email", name: "mail",
+    smtp: { host: "127.0.0.1", port: "$NOTIFY_SMTP_PORT", user: "alerts@example.com", pass: "$NOTIFY_SMTP_PASS", ...smtpConfig },
+    from: "Niyati Alerts <alerts@example.com>",
+    recipients: [
+      { to: "owner@example.com", subscribe: ["status", "report", "lead"] },
+      { to: ["pune@example.com", "gone@example.com"], subscribe: ["lead"], accounts: ["pune"] }
+    ],
+    ...sinkExtra
+  }] }));
+  const { createNotifier } = sb.require("notifier.js");
+  const clock = { now: Date.UTC(2026, 9, 19, 8, 0) };
+  const timers = new Set();
+  const open = () => createNotifier({
+    file,
+    primary: "main",
+    env: { NOTIFY_SMTP_PORT: String(smtp.port), NOTIFY_SMTP_PASS: "pw" },
+    now: () => clock.now,
+    setTimer: (fn, ms) => { const h = { fn, ms }; timers.add(h); return h; },
+    clearTimer: (h) => timers.delete(h)
+  });
+  return { sb, smtp, clock, timers, open, outbox: path.join(sb.dir, "List", "outbox", "mail") };
+}
+
+test("status, report and lead mails reach the recipients subscribed to them", async (t) => {
+  const { sb, smtp, open, outbox } = await setup(t);
+  const n = open();
+  n.start();
+
+  await n.mail("status", { subject: "Status (manual)", html: "🛰️ <b>Status</b>\n🌐 <b>Network:</b> Online" });
+  await smtp.waitFor(m => m.length === 1);
+  let [msg] = smtp.messages;
+  assert.equal(msg.from, "alerts@example.com");
+  assert.deepEqual(msg.to, ["owner@example.com"]);
+  assert.match(msg.data, /^Subject: =\?UTF-8\?B\?/m);
+  assert.match(partText(msg.data, "text/plain"), /🛰️ Status\n🌐 Network: Online/);
+  assert.match(partText(msg.data, "text/html"), /<b>Network:<\/b> Online/);
+
+  // Report files are read into the outbox before the caller archives them
+  const csv = path.join(sb.dir, "Reports", "clicks.csv");
+  fs.mkdirSync(path.dirname(csv), { recursive: true });
+  fs.writeFileSync(csv, "title,status\nPVC Pipe,ok\n");
+  await n.mail("report", { subject: "08:00 – Reports", html: "📊 <b>Digest</b>", files: [csv] });
+  fs.writeFileSync(csv, "");
+  await smtp.waitFor(m => m.length === 2);
+  msg = smtp.messages[1];
+  assert.match(msg.data, /Content-Type: multipart\/mixed/);
+  assert.match(msg.data, /Content-Disposition: attachment; filename="clicks.csv"/);
+  assert.equal(partText(msg.data, "text/csv"), "title,status\nPVC Pipe,ok\n");
+
+  // Pune's lead goes to both lists; the refused address doesn't stop it
+  n.emit("lead", { lead: 7, buyer: "Sunita Rao", product: "PVC Pipe", mobile: "+91 98765 43210" }, { account: "pune" });
+  await smtp.waitFor(m => m.length === 3);
+  msg = smtp.messages[2];
+  assert.deepEqual(msg.to.sort(), ["owner@example.com", "pune@example.com"]);
+  assert.match(partText(msg.data, "text/html"), /href="https:\/\/wa\.me\/919876543210"/);
+  // The primary account's lead skips the Pune-only list
+  n.emit("lead", { lead: 8, buyer: "Amit" });
+  await smtp.waitFor(m => m.length === 4);
+  assert.deepEqual(smtp.messages[3].to, ["owner@example.com"]);
+  // Nobody asked for keyword matches
+  assert.equal(n.emit("match", { keyword: "pipe" }), null);
+
+  await new Promise(r => setTimeout(r, 50));
+  assert.deepEqual(fs.existsSync(outbox) ? fs.readdirSync(outbox) : [], []);
+  assert.equal(n.list()[0].sent, 4);
+  n.stop();
+});
+
+test("mail waits in the outbox while the server is down and goes out after a restart", async (t) => {
+  const { smtp, clock, timers, open, outbox } = await setup(t);
+  smtp.state.down = true;
+
+  const first = open();
+  first.start();
+  await first.mail("status", { subject: "Status (interval)", html: "one" });
+  await first.mail("status", { subject: "Status (interval)", html: "two" });
+  await new Promise(r => setTimeout(r, 100));
+  assert.equal(first.list()[0].queued, 2);
+  assert.match(first.list()[0].lastError, /421/);
+  assert.equal(fs.readdirSync(outbox).filter(f => f.endsWith(".eml")).length, 2);
+  assert.deepEqual([...timers].map(h => h.ms), [30000]);
+  first.stop();
+
+  smtp.state.down = false;
+  clock.now += 60000;
+  const second = open();
+  second.start();
+  assert.equal(second.list()[0].queued, 2);
+  const [timer] = [...timers];
+  timers.delete(timer);
+  timer.fn();
+  await smtp.waitFor(m => m.length === 2);
+  assert.deepEqual(smtp.messages.map(m => partText(m.data, "text/plain")), ["one", "two"]);
+  await new Promise(r => setTimeout(r, 50));
+  assert.deepEqual(fs.readdirSync(outbox), []);
+  second.stop();
+});
+
+test("wrong credentials keep the mail for a retry", async (t) => {
+  const { smtp, open } = await setup(t, { smtpOpts: { pass: "new-pw" } });
+  const n = open();
+  n.start();
+  await n.mail("status", { subject: "Status", html: "x" });
+  await new Promise(r => setTimeout(r, 100));
+  assert.equal(smtp.messages.length, 0);
+  assert.equal(n.list()[0].queued, 1);
+  assert.match(n.list()[0].lastError, /AUTH 535/);
+  n.stop();
+});
+
+test("a server without STARTTLS never gets the password", async (t) => {
+  const { smtp, open, outbox } = await setup(t, { smtpConfig: {} });
+  const n = open();
+  n.start();
+  await n.mail("status", { subject: "Status", html: "x" });
+  await new Promise(r => setTimeout(r, 100));
+  assert.equal(smtp.messages.length, 0);
+  const [st] = n.list();
+  assert.deepEqual([st.queued, st.dropped], [0, 1]);
+  assert.match(st.lastError, /offers no STARTTLS/);
+  assert.deepEqual(fs.readdirSync(outbox), []);
+  n.stop();
+});
@@ -0,0 +1,266 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { createSandbox, fixture } = require("./helpers/sandbox");
+const { createFakeWindow } = require("./helpers/fakeWindow");
+
+const BLTXN = "https://seller.indiamart.com/bltxn/?pref=recent";
+
+// Records which contact buttons the page saw clicked
+function bltxnWindow(onLoad = () => {}) {
+  const clicked = [];
+  const win = createFakeWindow({
+    file: fixture("bltxn.html"),
+    url: BLTXN,
+    onLoad: (w) => {
+      for (const el of w.document.querySelectorAll("[data-testid^='contact-']")) {
+        el.addEventListener("click", () => clicked.push(el.dataset.testid));
+      }
+      onLoad(w);
+    }
+  });
+  return { win, clicked };
+}
+
+async function scrape(sb, win) {
+  const { createProductScraper } = sb.require("productScraper.js");
+  let items = [];
+  await createProductScraper({ win, onItems: (it) => { items = it; } }).scrapeOnce(1);
+  return items;
+}
+
+test("clickContactBtnForIndex clicks the matched card's contact button", async (t) => {
+  const sb = createSandbox();
+  t.after(() => sb.cleanup());
+  const { createMatchClicker } = sb.require("matchclicker.js");
+  const { win, clicked } = bltxnWindow();
+
+  const items = await scrape(sb, win);
+  const mc = createMatchClicker({ win, log: () => {}, getProducts: () => ["pvc pipe"] });
+  await mc.processCycle(items, 1);
+
+  assert.deepEqual(clicked, ["contact-2"]);
+  const rows = sb.readJSON("Reports/matchclick.json");
+  assert.equal(rows.length, 1);
+  assert.equal(rows[0].status, "ok");
+  assert.equal(rows[0].matched, "pvc pipe");
+});
+
+test("the data-action fallback candidate finds the new card markup", async (t) => {
+  const sb = createSandbox();
+  t.after(() => sb.cleanup());
+  const { createMatchClicker } = sb.require("matchclicker.js");
+  const { createSelectorProfile } = sb.require("selectors.js");
+  const { win, clicked } = bltxnWindow();
+
+  const selectors = createSelectorProfile();
+  const items = await scrape(sb, win);
+  const mc = createMatchClicker({ win, log: () => {}, selectors, getProducts: () => ["rubber conveyor belt"] });
+  await mc.processCycle(items, 1);
+
+  assert.deepEqual(clicked, ["contact-3"]);
+  const contact = selectors.getState().fields.find(f => f.name === "buylead.contact");
+  assert.equal(contact.lastVia, 2);
+});
+
+test("lead criteria in the product rule gate the click", async (t) => {
+  const sb = createSandbox();
+  t.after(() => sb.cleanup());
+  const { createMatchClicker } = sb.require("matchclicker.js");
+  const { win, clicked } = bltxnWindow();
+
+  const items = await scrape(sb, win);
+  const logs = [];
+  const mc = createMatchClicker({ win, log: (l, m) => logs.push(m), getProducts: () => ["conveyor belt @qty100 @gst"] });
+  await mc.processCycle(items, 1);
+
+  // #1 has 500 pieces and GST; #3 only 20 meters
+  assert.deepEqual(clicked, ["contact-1"]);
+  assert.ok(logs.some(m => /excluded by @qty100: qty 20<100/.test(m)));
+});
+
+test("a missing contact button is recorded as a failed click", async (t) => {
+  const sb = createSandbox();
+  t.after(() => sb.cleanup());
+  const { createMatchClicker } = sb.require("matchclicker.js");
+  const { win, clicked } = bltxnWindow((w) => {
+    for (const el of [...w.document.querySelectorAll(".Slid_CTA, [data-action='contact']")]) el.remove();
+  });
+
+  const items = await scrape(sb, win);
+  const mc = createMatchClicker({ win, log: () => {}, getProducts: () => ["pvc pipe"] });
+  await mc.processCycle(items, 1);
+
+  assert.deepEqual(clicked, []);
+  assert.equal(sb.readJSON("Reports/matchclick.json")[0].status, "fail");
+});
+
+test("without scraped items the cards are read with the profile's row title candidates", async (t) => {
+  const sb = createSandbox();
+  t.after(() => sb.cleanup());
+  const fs = require("node:fs");
+  const path = require("node:path");
+  fs.mkdirSync(path.join(sb.dir, "List"), { recursive: true });
+  fs.writeFileSync(path.join(sb.dir, "List", "selectors.json"), JSON.stringify({
+    fields: { "buylead.rowTitle": ["#list{i} .newTitle", "#list{i} h2"] }
+  }));
+  const { createMatchClicker } = sb.require("matchclicker.js");
+  // Titles moved out of the headings into a markup no built-in candidate knows
+  const { win, clicked } = bltxnWindow((w) => {
+    for (const h of [...w.document.querySelectorAll("h2")]) {
+      const p = w.document.createElement("p");
+      p.className = "newTitle";
+      p.textContent = h.textContent;
+      h.replaceWith(p);
+    }
+  });
+
+  const mc = createMatchClicker({ win, log: () => {}, getProducts: () => ["pvc pipe"] });
+  await mc.processCycle([], 1);
+
+  assert.deepEqual(clicked, ["contact-2"]);
+  assert.equal(sb.readJSON("Reports/matchclick.json")[0].title, "PVC Pipe 4 inch");
+});
+
+test("a -term excludes the title and the log says which rule did it", async (t) => {
+  const sb = createSandbox();
+  t.after(() => sb.cleanup());
+  const { createMatchClicker } = sb.require("matchclicker.js");
+  const { win, clicked } = bltxnWindow();
+
+  const items = await scrape(sb, win);
+  const logs = [];
+  const mc = createMatchClicker({ win, log: (l, m) => logs.push(m), getProducts: () => ["conveyor belt -packaging"] });
+  await mc.processCycle(items, 1);
+
+  assert.deepEqual(clicked, ["contact-3"]);
+  assert.ok(logs.some(m => m.includes('"Conveyor Belt for Packaging Line"') &&
+    m.includes('Matched: no (excluded by "-packaging" in conveyor belt -packaging)')), logs.join("\n"));
+});
+
+test("a title with none of a group's terms is skipped", async (t) => {
+  const sb = createSandbox();
+  t.after(() => sb.cleanup());
+  const { createMatchClicker } = sb.require("matchclicker.js");
+  const { win, clicked } = bltxnWindow();
+
+  const items = await scrape(sb, win);
+  const mc = createMatchClicker({ win, log: () => {}, getProducts: () => ["conveyor belt (rubber nylon)"] });
+  await mc.processCycle(items, 1);
+
+  // #1 is a conveyor belt too, but neither rubber nor nylon
+  assert.deepEqual(clicked, ["contact-3"]);
+  assert.deepEqual(sb.readJSON("Reports/matchclick.json").map(r => r.title), ["Rubber Conveyor Belt Heavy Duty"]);
+});
+
+test("the higher-scored rule wins and a score under @N is no match", async (t) => {
+  const sb = createSandbox();
+  t.after(() => sb.cleanup());
+  const { createMatchClicker } = sb.require("matchclicker.js");
+  const { win, clicked } = bltxnWindow();
+
+  const items = await scrape(sb, win);
+  const logs = [];
+  const mc = createMatchClicker({
+    win,
+    log: (l, m) => logs.push(m),
+    getProducts: () => ["conveyor belt", "conveyor belt +heavy_duty@3", "pvc pipe @2"]
+  });
+  await mc.processCycle(items, 1);
+
+  assert.deepEqual(clicked.sort(), ["contact-1", "contact-3"]);
+  const byTitle = Object.fromEntries(sb.readJSON("Reports/matchclick.json").map(r => [r.title, r.matched]));
+  assert.deepEqual(byTitle, {
+    "Conveyor Belt for Packaging Line": "conveyor belt",
+    "Rubber Conveyor Belt Heavy Duty": "conveyor belt +heavy_duty@3"
+  });
+  assert.ok(logs.some(m => m.includes("Score 4") && m.includes("+heavy duty@3")), logs.join("\n"));
+  assert.ok(logs.some(m => m.includes('"PVC Pipe 4 inch"') && m.includes("Matched: no")));
+});
+
+test("shadowed matches are reported, never clicked, also for rules with flags", async (t) => {
+  const sb = createSandbox();
+  t.after(() => sb.cleanup());
+  const { createMatchClicker } = sb.require("matchclicker.js");
+  const { createShadowMode } = sb.require("shadow.js");
+  const { win, clicked } = bltxnWindow();
+
+  // Toggled from the Manager on the bare phrase; the rule carries flags
+  const shadow = createShadowMode({ file: require("node:path").join(sb.dir, "List", "shadow.json") });
+  shadow.setProduct("pvc pipe", true);
+
+  const items = await scrape(sb, win);
+  const mc = createMatchClicker({
+    win,
+    log: () => {},
+    isShadow: shadow.isShadow,
+    getProducts: () => ["pvc pipe -used @fuzzy", "rubber conveyor belt"]
+  });
+  await mc.processCycle(items, 1);
+  await mc.processCycle(items, 2);
+
+  assert.deepEqual(clicked, ["contact-3"]);
+  // clickContactBtnForIndex ran for the belt only
+  assert.equal(win.webContents.calls.filter(c => c.includes("r.el.click()")).length, 1);
+  const shadowRows = sb.readJSON("Reports/shadow_matches.json");
+  assert.equal(shadowRows.length, 1);
+  assert.equal(shadowRows[0].title, "PVC Pipe 4 inch");
+  assert.equal(shadowRows[0].matched, "pvc pipe -used @fuzzy");
+  assert.deepEqual(sb.readJSON("Reports/matchclick.json").map(r => r.title), ["Rubber Conveyor Belt Heavy Duty"]);
+});
+
+test("a failed click is retried every cycle but reported once", async (t) => {
+  const sb = createSandbox();
+  t.after(() => sb.cleanup());
+  const { createMatchClicker } = sb.require("matchclicker.js");
+  const { win, clicked } = bltxnWindow((w) => {
+    for (const el of [...w.document.querySelectorAll(".Slid_CTA, [data-action='contact']")]) el.remove();
+  });
+
+  const items = await scrape(sb, win);
+  const added = [];
+  const errors = [];
+  const mc = createMatchClicker({
+    win,
+    log: (l, m) => { if (l === "error") errors.push(m); },
+    db: { addClick: (m) => added.push(m) },
+    getProducts: () => ["pvc pipe"]
+  });
+  for (let c = 1; c <= 4; c++) await mc.processCycle(items, c);
+
+  assert.deepEqual(clicked, []);
+  assert.equal(sb.readJSON("Reports/matchclick.json").length, 1);
+  assert.equal(added.length, 1);
+  assert.equal(errors.filter(m => m.includes("Button not Found")).length, 1);
+});
+
+test("budget skips are retried once quiet hours end; caps key on the base phrase", async (t) => {
+  const sb = createSandbox();
+  t.after(() => sb.cleanup());
+  const { createMatchClicker } = sb.require("matchclicker.js");
+  const { createClickBudget } = sb.require("clickbudget.js");
+  const { win, clicked } = bltxnWindow();
+
+  const clock = { t: "23:30" };
+  const budget = createClickBudget({
+    file: require("node:path").join(sb.dir, "List", "click_budget.json"),
+    dayKey: () => "2026-10-19",
+    nowHHMM: () => clock.t
+  });
+  budget.setQuiet(["23:00-07:00"]);
+  budget.setProduct("conveyor belt", 1);
+
+  const items = await scrape(sb, win);
+  const mc = createMatchClicker({ win, log: () => {}, budget, getProducts: () => ["conveyor belt -used @1"] });
+  await mc.processCycle(items, 1);
+  assert.deepEqual(clicked, []);
+
+  clock.t = "07:05";
+  await mc.processCycle(items, 2);
+  // One of the two belts, then the cap set on "conveyor belt" holds the other
+  assert.equal(clicked.length, 1);
+  assert.equal(budget.getState().usage.perProduct["conveyor belt"], 1);
+
+  budget.setProduct("conveyor belt", 2);
+  await mc.processCycle(items, 3);
+  assert.deepEqual(clicked.sort(), ["contact-1", "contact-3"]);
+});
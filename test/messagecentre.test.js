@@ -0,0 +1,170 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { createSandbox, fixture } = require("./helpers/sandbox");
+const { createFakeWindow } = require("./helpers/fakeWindow");
+const { wireMessageCentre } = require("./helpers/pageWiring");
+
+const MC_URL = "https://seller.indiamart.com/messagecentre/";
+
+function setup(t) {
+  const sb = createSandbox();
+  t.after(() => sb.cleanup());
+  const windows = [];
+  sb.electron.createWindow = () => {
+    const w = createFakeWindow({ file: fixture("messagecentre.html"), url: "about:blank", onLoad: wireMessageCentre(sb.electron.clipboard) });
+    windows.push(w);
+    return w;
+  };
+  return { sb, windows };
+}
+
+test("enqueue opens each contact and sends one Telegram lead per buyer", async (t) => {
+  const { sb, windows } = setup(t);
+  const { createMessageCentre } = sb.require("messagecentre.js");
+
+  const sent = [];
+  const mc = createMessageCentre({
+    url: MC_URL,
+    maxBlocks: 3,                 // third contact does not exist
+    clickTimeoutMs: 300,
+    betweenClicksMs: 10,
+    panelReadyTimeoutMs: 200,
+    readFreshMs: 300,
+    send: async (text) => { sent.push(text); }
+  });
+
+  assert.equal(await mc.enqueue({ reason: "test" }), true);
+  assert.equal(windows.length, 1);
+  assert.equal(windows[0].isDestroyed(), true);
+
+  assert.equal(sent.length, 2);
+  const [sunita, ramesh] = sent;
+  assert.match(sunita, /Sunita Rao/);
+  assert.match(sunita, /\+919123456780/);
+  assert.match(sunita, /PVC Pipe 4 inch/);
+  assert.doesNotMatch(sunita, /Email/);
+
+  assert.match(ramesh, /Ramesh Patel/);
+  assert.match(ramesh, /Patel Packaging Pvt Ltd/);
+  assert.match(ramesh, /ramesh@patelpack\.in/);
+  assert.match(ramesh, /24AAACP1234F1Z5 · ⚠️ checksum fails · Gujarat · PAN AAACP1234F \(Company\)/);
+  assert.match(ramesh, /Plot 12, GIDC Vatva, Ahmedabad/);
+
+  await new Promise((r) => setTimeout(r, 200)); // LeadStore flush is debounced
+  const rows = sb.readJSON("Reports/messagecentre_log.json");
+  assert.equal(rows.length, 2);
+  assert.equal(rows.find(r => r.buyer === "Ramesh Patel").time, "10:42 AM");
+  assert.deepEqual(["gstState", "gstPan", "gstCheck"].map(k => rows.find(r => r.buyer === "Ramesh Patel")[k]), ["Gujarat", "AAACP1234F", "invalid"]);
+  assert.equal(rows.find(r => r.buyer === "Sunita Rao").gstCheck, "");
+  assert.deepEqual(["phoneType", "phoneCheck", "phoneE164"].map(k => rows.find(r => r.buyer === "Ramesh Patel")[k]), ["mobile", "ok", "+919876543210"]);
+});
+
+test("readTextFields falls through candidates and reports which one hit", async (t) => {
+  const { sb } = setup(t);
+  const { readTextFields } = sb.require("messagecentre.js");
+  const win = sb.electron.createWindow();
+  await win.loadURL(MC_URL);
+  win.document.querySelector(".contactRow").click();
+
+  const res = await readTextFields(win, [
+    { key: "buyer", sels: ["#buyer-name", '//*[@id="left-name"]'] },
+    { key: "mobile", sels: ["#headerMobile > div:nth-child(1) > span:nth-child(2)"] },
+    { key: "fax", sels: ["#headerFax"] }
+  ]);
+  assert.deepEqual(res.values, { buyer: "Ramesh Patel", mobile: "+91-9876543210", fax: "---" });
+  assert.deepEqual(res.via, { buyer: 1, mobile: 0, fax: -1 });
+});
+
+test("clickAny skips hidden candidates and stays inside its scope", async (t) => {
+  const { sb } = setup(t);
+  const { clickAny } = sb.require("messagecentre.js");
+  const win = sb.electron.createWindow();
+  await win.loadURL(MC_URL);
+  const doc = win.document;
+  doc.querySelector(".contactRow").click();
+
+  const hits = [];
+  doc.querySelector("#headerEmail svg").addEventListener("click", () => hits.push("email"));
+  doc.querySelector("#headerCompany svg").addEventListener("click", () => hits.push("company"));
+  doc.querySelector("#headerEmail > div").setAttribute("hidden", "");
+
+  assert.equal(await clickAny(win, ["div:nth-child(1) svg path:nth-child(1)"], ["#headerEmail"]), -1);
+  assert.equal(await clickAny(win, ["svg.missing", "div:nth-child(1) svg path:nth-child(1)"], ["#nope", "#headerCompany"]), 1);
+  assert.deepEqual(hits, ["company"]);
+  assert.equal(sb.electron.clipboard.readText(), "Patel Packaging Pvt Ltd");
+});
+
+test("lead notifications carry WhatsApp template links and a .vcf sent once per card", async (t) => {
+  const { sb } = setup(t);
+  const fs = require("node:fs");
+  const path = require("node:path");
+  fs.mkdirSync(path.join(sb.dir, "List"), { recursive: true });
+  fs.writeFileSync(path.join(sb.dir, "List", "whatsapp_templates.json"), JSON.stringify({
+    templates: [{ name: "Intro", text: "Namaste {buyer} ji, about {product}[ in {city}]." }]
+  }));
+  const { createMessageCentre } = sb.require("messagecentre.js");
+
+  const sent = [], files = [];
+  const mc = createMessageCentre({
+    url: MC_URL,
+    maxBlocks: 3,
+    clickTimeoutMs: 300,
+    betweenClicksMs: 10,
+    panelReadyTimeoutMs: 200,
+    readFreshMs: 300,
+    send: async (text) => { sent.push(text); },
+    sendFile: async (bytes, name, caption) => { files.push({ text: bytes.toString("utf8"), name, caption }); }
+  });
+
+  assert.equal(await mc.enqueue({ reason: "test" }), true);
+  const ramesh = sent.find(s => /Ramesh Patel/.test(s));
+  const href = ramesh.match(/<a href="(https:\/\/wa\.me\/91\d{10}\?text=[^"]+)">Intro<\/a>/)[1];
+  assert.equal(decodeURIComponent(href.split("?text=")[1]), "Namaste Ramesh Patel ji, about Conveyor Belt for Packaging Line in Ahmedabad.");
+
+  assert.equal(files.length, 2);
+  const card = files.find(f => /Ramesh/.test(f.name));
+  assert.match(card.name, /^lead\d+_Ramesh_Patel\.vcf$/);
+  assert.match(card.caption, /Ramesh Patel #\d+/);
+  assert.match(card.text, /^BEGIN:VCARD\r\nVERSION:3\.0\r\nFN:Ramesh Patel\r\nN:Patel;Ramesh;;;\r\n/);
+  assert.match(card.text, /\r\nORG:Patel Packaging Pvt Ltd\r\n/);
+  assert.match(card.text, /\r\nEMAIL;TYPE=INTERNET:ramesh@patelpack\.in\r\n/);
+
+  // Same buyers again: nothing new to say, no second card
+  await mc.enqueue({ reason: "again" });
+  assert.equal(files.length, 2);
+});
+
+test("a new lead from a buyer seen in the archives says so", async (t) => {
+  const { sb } = setup(t);
+  const fs = require("node:fs");
+  const path = require("node:path");
+  const archived = path.join(sb.dir, "reports_archive", "2026-10-12_0800", "messagecentre_log.json");
+  fs.mkdirSync(path.dirname(archived), { recursive: true });
+  fs.writeFileSync(archived, JSON.stringify([
+    { timestamp: "2026-10-12 07:10:00", product: "Belt Conveyor", buyer: "R. Patel", email: "RAMESH@patelpack.in" }
+  ]));
+  const { createMessageCentre } = sb.require("messagecentre.js");
+  const { createBuyerIndex } = sb.require("buyerindex.js");
+
+  const sent = [], events = [];
+  const mc = createMessageCentre({
+    url: MC_URL,
+    maxBlocks: 3,
+    clickTimeoutMs: 300,
+    betweenClicksMs: 10,
+    panelReadyTimeoutMs: 200,
+    readFreshMs: 300,
+    buyers: createBuyerIndex({ reportsDir: path.join(sb.dir, "Reports"), archiveDir: path.join(sb.dir, "reports_archive") }),
+    emit: (type, data) => events.push(data),
+    send: async (text) => { sent.push(text); }
+  });
+
+  assert.equal(await mc.enqueue({ reason: "test" }), true);
+  assert.match(sent.find(s => /Ramesh Patel/.test(s)), /♻️ <b>Returning buyer – 1 previous enquiry \(last: 12 Oct, Belt Conveyor\)<\/b>/);
+  assert.doesNotMatch(sent.find(s => /Sunita Rao/.test(s)), /Returning/);
+  assert.equal(events.find(e => e.buyer === "Ramesh Patel").returning.count, 1);
+
+  await new Promise((r) => setTimeout(r, 200));
+  const rows = sb.readJSON("Reports/messagecentre_log.json");
+  assert.equal(rows.find(r => r.buyer === "Ramesh Patel").returning.lastProduct, "Belt Conveyor");
+});
@@ -0,0 +1,147 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { createSandbox } = require("./helpers/sandbox");
+const { createFakeWindow } = require("./helpers/fakeWindow");
+const { createFakeTelegram } = require("./helpers/fakeTelegram");
+const { createMockSeller, SAMPLE_LEADS } = require("./helpers/mockSeller");
+const { wireMessageCentre } = require("./helpers/pageWiring");
+
+const fetchHtml = (u) => fetch(u).then((r) => r.text());
+const post = (base, p, body = {}) => fetch(base + p, {
+  method: "POST",
+  headers: { "Content-Type": "application/json" },
+  body: JSON.stringify(body)
+}).then((r) => r.json());
+
+async function startMock(t, opts) {
+  const mock = createMockSeller(opts);
+  await mock.listen();
+  t.after(() => mock.close());
+  return mock;
+}
+
+// Contact buttons call the mock the way its inline page script does
+function leadsWindow(mock) {
+  return createFakeWindow({
+    fetchHtml,
+    url: `${mock.baseUrl}/bltxn/?pref=recent`,
+    onLoad: (w) => {
+      for (const el of w.document.querySelectorAll("[data-lead-id].cta, button[data-action='contact']")) {
+        el.addEventListener("click", () => mock.contact(el.dataset.leadId));
+      }
+    }
+  });
+}
+
+test("logged-out pages show the login form until the OTP is verified", async (t) => {
+  const mock = await startMock(t, { loggedIn: false, leads: SAMPLE_LEADS.slice(0, 1) });
+  const base = mock.baseUrl;
+
+  assert.match(await fetchHtml(`${base}/bltxn/?pref=recent`), /id="mobNo"/);
+  assert.match(await fetchHtml(`${base}/messagecentre/`), /id="sbmtbtnOtp"/);
+
+  await post(base, "/__mock/otp/request", { mobile: "9876543210" });
+  assert.equal((await post(base, "/__mock/otp/verify", { otp: "0000" })).ok, false);
+  assert.equal((await post(base, "/__mock/otp/verify", { otp: "1234" })).ok, true);
+
+  const html = await fetchHtml(`${base}/bltxn/?pref=recent`);
+  assert.match(html, /id="selsout"/);
+  assert.match(html, /Conveyor Belt for Packaging Line/);
+  assert.equal(mock.state.otpRequests, 1);
+});
+
+test("a scripted lead goes through scrape, click, Message Centre and Telegram", async (t) => {
+  const mock = await startMock(t, { leads: [SAMPLE_LEADS[1], SAMPLE_LEADS[0]] });
+  const fake = createFakeTelegram();
+  await fake.listen();
+  t.after(() => fake.close());
+  const sb = createSandbox();
+  t.after(() => sb.cleanup());
+
+  const { createProductScraper } = sb.require("productScraper.js");
+  const { createMatchClicker } = sb.require("matchclicker.js");
+  const { createMessageCentre } = sb.require("messagecentre.js");
+  const { createTelegramClient } = sb.require("telegram.js");
+
+  const win = leadsWindow(mock);
+  let items = [];
+  const scraper = createProductScraper({ win, url: `${mock.baseUrl}/bltxn/?pref=recent`, onItems: (it) => { items = it; } });
+  await scraper.scrapeOnce(1);
+  assert.deepEqual(items.map((i) => i.title), ["Conveyor Belt for Packaging Line", "PVC Pipe 4 inch"]);
+
+  // A new lead arrives between refreshes, over the control API
+  await post(mock.baseUrl, "/__mock/leads", {
+    title: "PVC Pipe 6 inch Agricultural", city: "Nashik", state: "Maharashtra", quantity: "300 Meter", value: "Rs. 60,000 to 80,000", gstVerified: true,
+    buyer: { name: "Kiran Deshmukh", mobile: "9822012345", company: "Deshmukh Agro", address: "Satpur MIDC, Nashik" }
+  });
+  win.webContents.reloadIgnoringCache();
+  await scraper.scrapeOnce(2);
+  assert.equal(items[0].title, "PVC Pipe 6 inch Agricultural");
+  assert.equal(items[0].quantity, 300);
+
+  const matcher = createMatchClicker({ win, log: () => {}, getProducts: () => ["pvc pipe @gst"] });
+  await matcher.processCycle(items, 2);
+  assert.deepEqual(mock.state.contacts.map((c) => c.name), ["Kiran Deshmukh"]);
+
+  const tg = createTelegramClient({ token: fake.token, chatId: fake.chatId, apiBase: fake.apiBase });
+  sb.electron.createWindow = () => createFakeWindow({ fetchHtml, url: "about:blank", onLoad: wireMessageCentre(sb.electron.clipboard) });
+  const mc = createMessageCentre({
+    url: `${mock.baseUrl}/messagecentre/`,
+    maxBlocks: 2,
+    clickTimeoutMs: 300,
+    betweenClicksMs: 10,
+    panelReadyTimeoutMs: 200,
+    readFreshMs: 300,
+    send: (text, extra) => tg.send(text, extra)
+  });
+  assert.equal(await mc.enqueue({ reason: "matchclick" }), true);
+
+  const sent = fake.sent();
+  assert.equal(sent.length, 1);
+  assert.match(sent[0], /Kiran Deshmukh/);
+  assert.match(sent[0], /Deshmukh Agro/);
+  assert.match(sent[0], /PVC Pipe 6 inch Agricultural/);
+  await new Promise((r) => setTimeout(r, 200)); // LeadStore flush is debounced
+});
+
+test("logouts and failed loads can be triggered on demand", async (t) => {
+  const mock = await startMock(t, { leads: SAMPLE_LEADS.slice(0, 2) });
+  const sb = createSandbox();
+  t.after(() => sb.cleanup());
+  const { createProductScraper } = sb.require("productScraper.js");
+
+  const win = leadsWindow(mock);
+  const failed = [];
+  win.webContents.on("did-fail-load", (_e, code, desc) => failed.push({ code, desc }));
+  let items = null;
+  const scraper = createProductScraper({ win, url: `${mock.baseUrl}/bltxn/?pref=recent`, onItems: (it) => { items = it; } });
+
+  mock.logout();
+  win.webContents.reloadIgnoringCache();
+  await scraper.scrapeOnce(1);
+  assert.deepEqual(items, []);
+  assert.ok(win.document.getElementById("mobNo"));
+  mock.login();
+
+  mock.failNext(1, "reset");
+  win.webContents.reloadIgnoringCache();
+  await scraper.scrapeOnce(2);
+  assert.equal(failed.length, 1);
+  win.webContents.reloadIgnoringCache();
+  await scraper.scrapeOnce(3);
+  assert.equal(items.length, 2);
+
+  await post(mock.baseUrl, "/__mock/fail", { mode: "dns" });
+  const res = await fetch(`${mock.baseUrl}/bltxn/`, { redirect: "manual" });
+  assert.equal(res.status, 302);
+  assert.match(res.headers.get("location"), /\.invalid\//);
+
+  await post(mock.baseUrl, "/__mock/fail", { mode: "http500" });
+  assert.equal((await fetch(`${mock.baseUrl}/bltxn/`)).status, 500);
+
+  // Offline takes the favicon probe down with the pages
+  mock.setOffline(true);
+  await assert.rejects(fetch(`${mock.baseUrl}/favicon.ico`));
+  mock.setOffline(false);
+  assert.equal((await fetch(`${mock.baseUrl}/favicon.ico`)).status, 204);
+});
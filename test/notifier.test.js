@@ -0,0 +1,121 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const http = require("node:http");
+const path = require("node:path");
+const { createSandbox } = require("./helpers/sandbox");
+
+// A local receiver that answers with whatever status the test sets next
+async function startReceiver(t) {
+  const hits = [];
+  const state = { status: 200 };
+  const server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (c) => { body += c; });
+    req.on("end", () => {
+      hits.push({ headers: req.headers, body, status: state.status });
+      res.writeHead(state.status, { "Content-Type": "text/plain" });
+      res.end("ok");
+    });
+  });
+  await new Promise((r) => server.listen(0, "127.0.0.1", r));
+  t.after(() => new Promise((r) => server.close(r)));
+  return { url: `http://127.0.0.1:${server.address().port}/hook`, hits, state };
+}
+
+const until = async (fn, ms = 3000) => {
+  const end = Date.now() + ms;
+  while (!fn()) {
+    if (Date.now() > end) throw new Error("timed out waiting");
+    await new Promise((r) => setTimeout(r, 10));
+  }
+};
+
+function setup(t, rx, sinks) {
+  const sb = createSandbox();
+  t.after(() => sb.cleanup());
+  const { createNotifier } = sb.require("notifier.js");
+  const { sign } = sb.require("webhook.js");
+  const file = path.join(sb.dir, "List", "notifiers.json");
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify({ sinks }));
+  const clock = { now: Date.UTC(2026, 9, 19, 8, 0) };
+  const timers = new Set();
+  const open = () => createNotifier({
+    file,
+    env: { NOTIFY_URL: rx.url, NOTIFY_SECRET: "s3cret", NOTIFY_TOKEN: "tok" },
+    now: () => clock.now,
+    setTimer: (fn, ms) => { const h = { fn, ms }; timers.add(h); return h; },
+    clearTimer: (h) => timers.delete(h)
+  });
+  return { sb, sign, clock, timers, open };
+}
+
+test("events are POSTed signed to the sinks that asked for them", async (t) => {
+  const rx = await startReceiver(t);
+  const { sign, open } = setup(t, rx, [
+    { kind: "webhook", name: "crm", url: "${NOTIFY_URL}", secret: "$NOTIFY_SECRET",
+      headers: { Authorization: "Bearer $NOTIFY_TOKEN" }, events: ["lead"] },
+    { kind: "carrier-pigeon", name: "coo" }
+  ]);
+  const n = open();
+  n.start();
+  assert.deepEqual(n.list().map(s => s.name), ["crm"]);
+
+  assert.equal(n.emit("match", { serial: 3, keyword: "pipe" }), null);
+  const ev = n.emit("lead", { buyer: "Sunita Rao", mobile: "9876543210" }, { account: "pune" });
+  await until(() => rx.hits.length === 1);
+
+  const [hit] = rx.hits;
+  const body = JSON.parse(hit.body);
+  assert.deepEqual(body, { id: ev.id, type: "lead", at: "2026-10-19T08:00:00.000Z", account: "pune", data: { buyer: "Sunita Rao", mobile: "9876543210" } });
+  assert.equal(hit.headers["x-niyati-event"], "lead");
+  assert.equal(hit.headers["x-niyati-delivery"], ev.id);
+  assert.equal(hit.headers.authorization, "Bearer tok");
+  assert.equal(hit.headers["x-niyati-signature"], sign("s3cret", hit.headers["x-niyati-timestamp"], hit.body));
+  await until(() => n.list()[0].sent === 1);
+  n.stop();
+});
+
+test("failed deliveries wait on disk in order and go out on retry; refused ones are dropped", async (t) => {
+  const rx = await startReceiver(t);
+  const { sb, clock, timers, open } = setup(t, rx, [{ kind: "webhook", name: "crm", url: "$NOTIFY_URL" }]);
+  const queueFile = path.join(sb.dir, "List", "webhook_queue_crm.json");
+
+  const first = open();
+  first.start();
+  rx.state.status = 503;
+  first.emit("lead", { buyer: "A" });
+  await until(() => first.list()[0].queued === 1);
+  // Anything behind a queued event waits its turn without a request
+  first.emit("click", { title: "PVC Pipe" });
+  await until(() => first.list()[0].queued === 2);
+  assert.equal(rx.hits.length, 1);
+  assert.deepEqual(sb.readJSON("List/webhook_queue_crm.json").map(q => q.event.type), ["lead", "click"]);
+  assert.deepEqual([...timers].map(h => h.ms), [30000]);
+  first.stop();
+  assert.equal(timers.size, 0);
+
+  // Restart: the queue is picked up and retried when the backoff is over
+  clock.now += 60000;
+  rx.state.status = 200;
+  const second = open();
+  second.start();
+  assert.equal(second.list()[0].queued, 2);
+  const [timer] = [...timers];
+  assert.equal(timer.ms, 0);
+  timers.delete(timer);
+  await timer.fn();
+  await until(() => second.list()[0].queued === 0);
+  assert.deepEqual(rx.hits.slice(1).map(h => JSON.parse(h.body).type), ["lead", "click"]);
+  assert.equal(fs.existsSync(queueFile), false);
+
+  // A 4xx other than 408/429 means the receiver won't take it
+  rx.state.status = 400;
+  second.emit("match", { serial: 1 });
+  await until(() => second.list()[0].dropped === 1);
+  assert.equal(second.list()[0].queued, 0);
+  assert.equal(second.list()[0].lastError, "HTTP 400");
+  assert.equal(fs.existsSync(queueFile), false);
+  second.stop();
+});
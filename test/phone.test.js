@@ -0,0 +1,69 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { parsePhone, phoneKey, phoneFields, phoneLine } = require("../phone");
+
+const pick = (p) => ({ cc: p.cc, national: p.national, check: p.check, type: p.type, wa: p.wa });
+const esc = (s) => String(s);
+
+test("Indian numbers in every shape IndiaMART prints them", () => {
+  for (const raw of ["+91-9876543210", "09876543210", "919876543210", "98765 43210", "+91 98765-43210"]) {
+    assert.deepEqual(pick(parsePhone(raw)), { cc: "91", national: "9876543210", check: "ok", type: "mobile", wa: "919876543210" }, raw);
+  }
+  assert.equal(parsePhone("+91-9876543210").e164, "+919876543210");
+  assert.equal(parsePhone("9876543210, 9123456780").national, "9876543210");
+
+  const land = parsePhone("011-23456789");
+  assert.deepEqual(pick(land), { cc: "91", national: "1123456789", check: "ok", type: "landline", wa: "" });
+  assert.equal(land.e164, "+911123456789");
+  assert.equal(parsePhone("1800-123-4567").type, "tollfree");
+
+  assert.equal(parsePhone("9999999999").check, "invalid");
+  assert.equal(parsePhone("98765432").reason, "too short");
+  assert.equal(parsePhone("---").check, "");
+  assert.equal(parsePhone("").type, "");
+});
+
+test("landlines whose STD code starts 6-9 are told apart by their grouping", () => {
+  for (const [raw, national] of [
+    ["0712-2345678", "7122345678"],   // Nagpur
+    ["0755 2345678", "7552345678"],   // Bhopal
+    ["0891-2345678", "8912345678"],   // Visakhapatnam
+    ["080-23456789", "8023456789"],   // Bengaluru
+    ["(080) 23456789", "8023456789"]
+  ]) {
+    assert.deepEqual(pick(parsePhone(raw)), { cc: "91", national, check: "ok", type: "landline", wa: "" }, raw);
+  }
+  assert.equal(phoneLine(parsePhone("0712-2345678"), esc), "☎️ <b>Landline:</b> +917122345678");
+
+  // Neither one block nor 5+5 digits: could be either, so no WhatsApp link
+  const odd = parsePhone("+91 80 2345 6789");
+  assert.deepEqual(pick(odd), { cc: "91", national: "8023456789", check: "ok", type: "unknown", wa: "" });
+  assert.equal(odd.e164, "+918023456789");
+  assert.equal(phoneLine(odd, esc), "📞 <b>Phone:</b> +918023456789");
+  assert.equal(parsePhone("0 98765 43210").type, "mobile");
+});
+
+test("masked numbers are kept apart from broken ones and never linked", () => {
+  const m = parsePhone("+91-98XXXXXX12");
+  assert.deepEqual(pick(m), { cc: "91", national: "98XXXXXX12", check: "masked", type: "mobile", wa: "" });
+  assert.equal(m.e164, "");
+  assert.equal(parsePhone("+91-98******12").national, "98XXXXXX12");
+  assert.equal(parsePhone("+91-98XXXX12").check, "incomplete");
+  assert.equal(phoneKey("+91-98XXXXXX12"), "98XXXXXX12");
+  assert.equal(phoneLine(m, esc), "📞 <b>Mobile:</b> +9198XXXXXX12 · ⚠️ masked by IndiaMART");
+});
+
+test("foreign numbers keep their own country code", () => {
+  const ae = parsePhone("+971 50 123 4567");
+  assert.deepEqual(pick(ae), { cc: "971", national: "501234567", check: "ok", type: "mobile", wa: "971501234567" });
+  assert.equal(phoneKey("+971 50 123 4567"), "971501234567");
+  assert.equal(phoneLine(ae, esc), "📞 <b>Mobile:</b> +971501234567 (AE)");
+  assert.equal(parsePhone("+44 20 7946 0958").type, "landline");
+  assert.equal(parsePhone("00 1 415 555 0100").cc, "1");
+  assert.equal(parsePhone("+999 123456").check, "invalid");
+  assert.equal(parsePhone("+971 50 123").reason, "too short");
+
+  // Indian keys stay the bare 10 digits, as they always were
+  assert.equal(phoneKey("+91-9876543210"), "9876543210");
+  assert.deepEqual(phoneFields({ mobile: "022 2345 6789" }), { phoneE164: "+912223456789", phoneType: "landline", phoneCheck: "ok" });
+});
@@ -0,0 +1,150 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { createSandbox } = require("./helpers/sandbox");
+const { createFakeTelegram } = require("./helpers/fakeTelegram");
+
+const TZ = "Asia/Kolkata";
+// 13:30 IST
+const T0 = Date.UTC(2026, 9, 19, 8, 0);
+const HOUR = 3600e3;
+const ROW = { buyer: "Sunita Rao", product: "PVC Pipe 4 inch", mobile: "9876543210" };
+
+// Reminders on a hand-driven clock; the armed timer is recorded, not run
+function setup(t) {
+  const sb = createSandbox();
+  t.after(() => sb.cleanup());
+  const mod = sb.require("reminders.js");
+  const clock = { now: T0 };
+  const timers = new Set();
+  const open = (opts = {}) => mod.createReminders({
+    tz: TZ,
+    now: () => clock.now,
+    setTimer: (fn, ms) => { const h = { fn, ms }; timers.add(h); return h; },
+    clearTimer: (h) => timers.delete(h),
+    ...opts
+  });
+  return { sb, ...mod, clock, timers, open };
+}
+
+test("new leads get the default reminders, which survive a restart and skip leads that moved on", async (t) => {
+  const { sb, parseWhen, clock, timers, open } = setup(t);
+
+  assert.equal(parseWhen("+2h", T0, TZ), T0 + 2 * HOUR);
+  assert.equal(parseWhen("30m", T0, TZ), T0 + HOUR / 2);
+  assert.equal(parseWhen("tomorrow 10.00", T0, TZ), Date.UTC(2026, 9, 20, 4, 30));
+  assert.equal(parseWhen("tomorrow", T0, TZ), Date.UTC(2026, 9, 20, 4, 30));
+  // Next time the clock shows it: 10:00 has passed today, 18:00 has not
+  assert.equal(parseWhen("10:00", T0, TZ), Date.UTC(2026, 9, 20, 4, 30));
+  assert.equal(parseWhen("1800", T0, TZ), Date.UTC(2026, 9, 19, 12, 30));
+  assert.equal(parseWhen("25.00", T0, TZ), null);
+  assert.equal(parseWhen("soon", T0, TZ), null);
+
+  const settled = new Set();
+  const first = open();
+  first.start();
+  assert.deepEqual(first.scheduleLead({ id: 1, account: "", row: ROW }).map(r => r.dueAt), [T0 + 2 * HOUR, Date.UTC(2026, 9, 20, 4, 30)]);
+  // Captured again before anyone called: nothing new
+  assert.deepEqual(first.scheduleLead({ id: 1, account: "", row: ROW }), []);
+  first.scheduleLead({ id: 2, account: "pune", row: { ...ROW, buyer: "Amit" } });
+  assert.deepEqual([...timers].map(h => h.ms), [2 * HOUR]);
+  first.stop();
+  assert.equal(timers.size, 0);
+
+  // Restart three hours later; lead 2 was contacted meanwhile
+  settled.add(2);
+  clock.now = T0 + 3 * HOUR;
+  const sent = [];
+  const second = open({
+    send: async (text, extra) => { sent.push({ text, extra }); },
+    card: (r) => `⏰ Lead #${r.lead} ${r.row.buyer}`,
+    isSettled: (r) => settled.has(r.lead)
+  });
+  second.start();
+  assert.deepEqual([...timers].map(h => h.ms), [0]);
+  await second.tick();
+
+  assert.equal(sent.length, 1);
+  assert.match(sent[0].text, /^⏰ Lead #1 Sunita Rao\n\n📞 <b>Call back\?<\/b> \(due /);
+  assert.deepEqual(sent[0].extra.reply_markup.inline_keyboard.flat().map(b => b.callback_data), ["rm:d:1", "rm:s:1", "rm:t:1"]);
+  assert.deepEqual(second.list().map(r => [r.lead, r.account]), [[1, ""], [2, "pune"]]);
+  // Never armed further out than 6h
+  assert.deepEqual([...timers].map(h => h.ms), [6 * HOUR]);
+
+  const saved = sb.readJSON("List/reminders.json").reminders;
+  assert.deepEqual(saved.map(r => [r.id, r.status]), [[1, "sent"], [2, "pending"], [3, "cancelled"], [4, "pending"]]);
+  assert.equal(saved[0].row.buyer, "Sunita Rao");
+  second.stop();
+});
+
+test("Done and Snooze taps, and /remind from Telegram", async (t) => {
+  const { sb, clock, open } = setup(t);
+  const fake = createFakeTelegram();
+  await fake.listen();
+  const { createTelegramClient, buildDefaultCommands } = sb.require("telegram.js");
+
+  const done = [];
+  let rem = null;
+  const tg = createTelegramClient({
+    token: fake.token,
+    chatId: fake.chatId,
+    apiBase: fake.apiBase,
+    pollTimeoutSec: 1,
+    commands: buildDefaultCommands({
+      remindCommand: (text, { account, by }) => rem.command(text, { account: account || "", by, getLead: (id) => (id === 7 ? { ...ROW, buyer: "Neha" } : null) })
+    }),
+    onCallback: (ctx) => rem.handle(ctx)
+  });
+  rem = open({
+    send: (text, extra) => tg.notify("lead", text, extra),
+    onDone: (r, by) => done.push([r.lead, by])
+  });
+  t.after(async () => {
+    rem.stop();
+    tg.stop();
+    await fake.close();
+  });
+  tg.start();
+  rem.start();
+  await fake.waitFor(() => fake.sent().some(s => /Niyati Browser Connected/.test(s)));
+
+  const answers = () => fake.calls.filter(c => c.method === "answerCallbackQuery");
+  const tap = async (data) => {
+    const before = answers().length;
+    fake.pushCallback(data);
+    await fake.waitFor(() => answers().length > before);
+    return answers().at(-1).body.text;
+  };
+  const ask = async (text) => {
+    const before = fake.sent().length;
+    fake.pushText(text);
+    await fake.waitFor(() => fake.sent().length > before);
+    return fake.sent().at(-1);
+  };
+
+  rem.scheduleLead({ id: 1, account: "", row: ROW });
+  clock.now = T0 + 2 * HOUR;
+  await rem.tick();
+  assert.ok(fake.calls.some(c => c.method === "sendMessage" && c.body.reply_markup?.inline_keyboard?.[0]?.[0]?.callback_data === "rm:d:1"));
+
+  assert.match(await tap("rm:s:1"), /^💤 Snoozed until /);
+  assert.equal(rem.list()[0].dueAt, clock.now + HOUR);
+  await fake.waitFor(() => fake.calls.some(c => c.method === "editMessageReplyMarkup"));
+  const snoozed = fake.calls.filter(c => c.method === "editMessageReplyMarkup").at(-1).body.reply_markup.inline_keyboard.flat();
+  assert.deepEqual(snoozed.map(b => b.callback_data), ["rm:i:1"]);
+
+  clock.now += HOUR;
+  await rem.tick();
+  assert.equal(await tap("rm:d:1"), "✅ Done");
+  assert.equal(await tap("rm:d:1"), "✅ Done by Test");
+  assert.deepEqual(done, [[1, "Test"]]);
+  // The lead's "tomorrow 10:00" reminder went with it
+  assert.deepEqual(rem.list(), []);
+  assert.equal(await tap("rm:d:99"), "⌛ This reminder is no longer on record.");
+
+  assert.match(await ask("/remind 7 +3h"), /⏰ Lead #7 – Neha: reminder at /);
+  assert.match(await ask("/remind 8 +3h"), /❌ No lead #8/);
+  assert.match(await ask("/remind 7 later"), /Can't read "later"/);
+  assert.match(await ask("/remind"), /Reminders<\/b> \(1\)\n• .* – #7 Neha – PVC Pipe 4 inch/);
+  assert.match(await ask("/remind 7 off"), /Cancelled 1 reminder\(s\) for lead #7/);
+  assert.equal(await ask("/remind"), "⏰ No reminders waiting.");
+});
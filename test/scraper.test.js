@@ -0,0 +1,149 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { createSandbox, fixture } = require("./helpers/sandbox");
+const { createFakeWindow } = require("./helpers/fakeWindow");
+
+const BLTXN = "https://seller.indiamart.com/bltxn/?pref=recent";
+
+test("scrapeOnce reads titles, locations and card fields from the bltxn fixture", async (t) => {
+  const sb = createSandbox();
+  t.after(() => sb.cleanup());
+  const { createProductScraper } = sb.require("productScraper.js");
+
+  const win = createFakeWindow({ file: fixture("bltxn.html"), url: BLTXN });
+  let seen = null;
+  const scraper = createProductScraper({ win, onItems: (items) => { seen = items; } });
+
+  const res = await scraper.scrapeOnce(1);
+  assert.equal(res.ran, true);
+  assert.equal(seen.length, 3);
+
+  const [a, b, c] = seen;
+  assert.equal(a.title, "Conveyor Belt for Packaging Line");
+  assert.equal(a.city, "Pune");
+  assert.equal(a.state, "Maharashtra");
+  assert.equal(a.quantity, 500);
+  assert.equal(a.quantityUnit, "piece");
+  assert.equal(a.orderValueMin, 50000);
+  assert.equal(a.orderValueMax, 100000);
+  assert.equal(a.gstVerified, true);
+  assert.equal(a.mobileVerified, true);
+  assert.equal(a.memberMonths, 36);
+  assert.equal(a.postedMins, 120);
+
+  // No city/state spans: falls back to the nested location span
+  assert.equal(b.city, "");
+  assert.equal(b.location, "Ahmedabad, Gujarat");
+  assert.equal(b.orderValueMax, 5000);
+
+  // New markup only matches the second title candidate
+  assert.equal(c.title, "Rubber Conveyor Belt Heavy Duty");
+  assert.equal(c.quantity, 20);
+  assert.equal(c.postedMins, 15);
+
+  const log = sb.readJSON("Reports/products_log.json");
+  assert.equal(log.length, 3);
+  assert.equal(log.find(r => r.name === a.title).location, "Pune, Maharashtra");
+  assert.equal(log.find(r => r.name === a.title).quantity, 500);
+});
+
+test("scrapeOnce reports a logged-out page without items", async (t) => {
+  const sb = createSandbox();
+  t.after(() => sb.cleanup());
+  const { createProductScraper } = sb.require("productScraper.js");
+
+  const win = createFakeWindow({
+    file: fixture("bltxn.html"),
+    url: BLTXN,
+    onLoad: (w) => w.document.getElementById("selsout").remove()
+  });
+  let seen = null;
+  const scraper = createProductScraper({ win, onItems: (items) => { seen = items; } });
+
+  await scraper.scrapeOnce(1);
+  assert.deepEqual(seen, []);
+});
+
+test("title selector drift raises one alert with a DOM snapshot", async (t) => {
+  const sb = createSandbox();
+  t.after(() => sb.cleanup());
+  const { createProductScraper } = sb.require("productScraper.js");
+  const { createSelectorProfile } = sb.require("selectors.js");
+
+  const alerts = [];
+  const selectors = createSelectorProfile({ driftAfter: 2, onDrift: (a) => alerts.push(a) });
+  // Every <h2> renamed: no title candidate can match any more
+  const win = createFakeWindow({
+    file: fixture("bltxn.html"),
+    url: BLTXN,
+    onLoad: (w) => {
+      for (const h of [...w.document.querySelectorAll("h2")]) {
+        const h3 = w.document.createElement("h3");
+        h3.textContent = h.textContent;
+        h.replaceWith(h3);
+      }
+    }
+  });
+  const scraper = createProductScraper({ win, selectors, onItems: () => {} });
+
+  for (let i = 1; i <= 3; i++) await scraper.scrapeOnce(i);
+  await new Promise((r) => setTimeout(r, 50));
+
+  assert.equal(alerts.length, 1);
+  assert.equal(alerts[0].field, "buylead.title");
+  assert.ok(alerts[0].snapshot.endsWith(".html"));
+  assert.match(sb.read(alerts[0].snapshot.slice(sb.dir.length + 1)), /Rubber Conveyor Belt/);
+  assert.equal(selectors.getState().fields.find(f => f.name === "buylead.title").drifted, true);
+});
+
+test("cards without a city or state are not selector drift", async (t) => {
+  const sb = createSandbox();
+  t.after(() => sb.cleanup());
+  const { createProductScraper } = sb.require("productScraper.js");
+  const { createSelectorProfile } = sb.require("selectors.js");
+
+  const alerts = [];
+  const selectors = createSelectorProfile({ driftAfter: 2, onDrift: (a) => alerts.push(a) });
+  // No card on this page shows a location at all
+  const win = createFakeWindow({
+    file: fixture("bltxn.html"),
+    url: BLTXN,
+    onLoad: (w) => { for (const p of [...w.document.querySelectorAll("strong > p")]) p.remove(); }
+  });
+  const scraper = createProductScraper({ win, selectors, onItems: () => {} });
+
+  for (let i = 1; i <= 3; i++) await scraper.scrapeOnce(i);
+  await new Promise((r) => setTimeout(r, 50));
+
+  assert.deepEqual(alerts, []);
+  const fields = selectors.getState().fields;
+  for (const name of ["buylead.city", "buylead.state", "buylead.location"]) {
+    assert.equal(fields.find(f => f.name === name).misses, 0, name);
+  }
+  assert.equal(fields.find(f => f.name === "buylead.title").misses, 0);
+});
+
+test("a List/selectors.json override is picked up and its hit recorded", async (t) => {
+  const sb = createSandbox();
+  t.after(() => sb.cleanup());
+  const fs = require("node:fs");
+  const path = require("node:path");
+  fs.mkdirSync(path.join(sb.dir, "List"), { recursive: true });
+  fs.writeFileSync(path.join(sb.dir, "List", "selectors.json"), JSON.stringify({
+    version: 2,
+    fields: { "buylead.title": ["#list{i} h3.newTitle", "#list{i} h2"] }
+  }));
+  const { createProductScraper } = sb.require("productScraper.js");
+  const { createSelectorProfile } = sb.require("selectors.js");
+
+  const selectors = createSelectorProfile();
+  const win = createFakeWindow({ file: fixture("bltxn.html"), url: BLTXN });
+  let seen = null;
+  const scraper = createProductScraper({ win, selectors, onItems: (items) => { seen = items; } });
+
+  await scraper.scrapeOnce(1);
+  assert.equal(seen.length, 3);
+  const st = selectors.getState();
+  assert.equal(st.version, 2);
+  assert.equal(st.fields.find(f => f.name === "buylead.title").lastVia, 1);
+});
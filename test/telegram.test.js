@@ -0,0 +1,224 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const path = require("node:path");
+const { createSandbox } = require("./helpers/sandbox");
+const { createFakeTelegram } = require("./helpers/fakeTelegram");
+
+async function setup(t, deps = {}, { chatConfig, ...clientOpts } = {}) {
+  const sb = createSandbox();
+  const fake = createFakeTelegram();
+  await fake.listen();
+  const { createTelegramClient, buildDefaultCommands } = sb.require("telegram.js");
+  let roles = null;
+  if (chatConfig) {
+    fs.mkdirSync(path.join(sb.dir, "List"), { recursive: true });
+    fs.writeFileSync(path.join(sb.dir, "List", "telegram_chats.json"), JSON.stringify(chatConfig));
+    roles = sb.require("chatroles.js").createChatRoles({ chatId: fake.chatId });
+  }
+
+  const commands = {
+    ...buildDefaultCommands(deps),
+    ping: { desc: "Reply pong", handler: ({ send }) => send("pong") }
+  };
+  const tg = createTelegramClient({
+    token: fake.token,
+    chatId: fake.chatId,
+    apiBase: fake.apiBase,
+    pollTimeoutSec: 1,
+    commands,
+    roles,
+    ...clientOpts
+  });
+  t.after(async () => {
+    tg.stop();
+    await fake.close();
+    sb.cleanup();
+  });
+
+  tg.start();
+  await fake.waitFor(() => fake.sent().some(s => /Niyati Browser Connected/.test(s)));
+  return { fake, tg };
+}
+
+const lastSent = (fake) => fake.sent().at(-1);
+
+test("start syncs the command menu and announces the connection", async (t) => {
+  const { fake } = await setup(t);
+  const sets = fake.calls.filter(c => c.method === "setMyCommands");
+  assert.equal(sets.length, 3);
+  const names = sets[0].body.commands.map(c => c.command);
+  assert.ok(names.includes("ping"));
+  assert.ok(names.includes("addprod"));
+});
+
+test("commands from the configured chat reach their handler", async (t) => {
+  const products = [];
+  const { fake } = await setup(t, {
+    addProduct: (p) => { products.push(p); return true; },
+    listProducts: () => products
+  });
+
+  fake.pushText("/ping");
+  await fake.waitFor(() => lastSent(fake) === "pong");
+
+  fake.pushText("/addprod pvc pipe");
+  await fake.waitFor(() => /Product Saved: pvc pipe/.test(lastSent(fake)));
+
+  fake.pushText("/prodlist");
+  await fake.waitFor(() => /Products \(1\)/.test(lastSent(fake)));
+  assert.deepEqual(products, ["pvc pipe"]);
+});
+
+test("unsafe arguments are sanitized and reported", async (t) => {
+  const products = [];
+  const { fake } = await setup(t, { addProduct: (p) => { products.push(p); return true; } });
+
+  fake.pushText("/addprod pipe;rm -rf $(x)");
+  await fake.waitFor(() => fake.sent().some(s => /Product Saved/.test(s)));
+  assert.ok(fake.sent().some(s => /Input was Sanitized/.test(s)));
+  assert.equal(products.length, 1);
+  assert.doesNotMatch(products[0], /[;$]/);
+});
+
+test("unknown commands get a hint and other chats are ignored", async (t) => {
+  const { fake } = await setup(t);
+
+  fake.pushText("/ping", { fromChat: 999 });
+  fake.pushText("/nosuchcmd");
+  await fake.waitFor(() => /Unknown Command/.test(lastSent(fake)));
+  assert.ok(!fake.sent().includes("pong"));
+});
+
+test("a leading account id routes the command to that account", async (t) => {
+  const calls = [];
+  const { fake } = await setup(t, {
+    resolveAccount: (id) => (id.toLowerCase() === "pune" ? "pune" : null),
+    addProduct: (p, account) => { calls.push(["add", p, account]); return true; },
+    sendStatus: (account) => { calls.push(["status", account]); return true; }
+  });
+
+  fake.pushText("/addprod pune pvc pipe");
+  await fake.waitFor(() => /Product Saved \[pune\]: pvc pipe/.test(lastSent(fake)));
+  // Only a known id counts; anything else stays part of the name
+  fake.pushText("/addprod punefix belt");
+  await fake.waitFor(() => /Product Saved: punefix belt/.test(lastSent(fake)));
+  fake.pushText("/status PUNE");
+  await fake.waitFor(() => /Status Shared/.test(lastSent(fake)));
+
+  assert.deepEqual(calls, [["add", "pvc pipe", "pune"], ["add", "punefix belt", null], ["status", "pune"]]);
+});
+
+test("/budget shows and edits the named account's budget", async (t) => {
+  const calls = [];
+  const { fake } = await setup(t, {
+    resolveAccount: (id) => (id.toLowerCase() === "pune" ? "pune" : null),
+    fmtBudget: (account) => `Budget of ${account || "main"}`,
+    setBudget: (...a) => { calls.push(a); return true; }
+  });
+
+  fake.pushText("/budget pune product pvc pipe 3");
+  await fake.waitFor(() => lastSent(fake) === "Budget of pune");
+  fake.pushText("/budget global 50");
+  await fake.waitFor(() => lastSent(fake) === "Budget of main");
+  fake.pushText("/budget pune");
+  await fake.waitFor(() => fake.sent().filter(s => s === "Budget of pune").length === 2);
+
+  assert.deepEqual(calls, [["product", 3, "pvc pipe", "pune"], ["global", 50, null, null]]);
+});
+
+test("operators and viewers only run what their role allows", async (t) => {
+  const calls = [];
+  const { fake } = await setup(t, {
+    addProduct: (p) => { calls.push(["add", p]); return true; },
+    quitApp: () => { calls.push(["quit"]); return true; }
+  }, {
+    chatConfig: {
+      chats: [
+        { id: 7001, role: "operator", label: "Desk" },
+        { id: -7002, role: "viewer", label: "Sales group" }
+      ]
+    }
+  });
+
+  fake.pushText("/addprod pvc pipe", { fromChat: 7001 });
+  await fake.waitFor(() => /Product Saved: pvc pipe/.test(fake.sentTo(7001).at(-1)));
+  fake.pushText("/quit", { fromChat: 7001 });
+  await fake.waitFor(() => /\/quit is for admins only/.test(fake.sentTo(7001).at(-1)));
+  fake.pushText("/unlock user,pass", { fromChat: 7001 });
+  await fake.waitFor(() => /\/unlock is for admins only/.test(fake.sentTo(7001).at(-1)));
+  fake.pushText("/prodlist", { fromChat: -7002 });
+  await fake.waitFor(() => /only receives notifications/.test(fake.sentTo(-7002).at(-1)));
+
+  // Replies stay in the asking chat
+  assert.ok(!fake.sentTo(fake.chatId).some(s => /Product Saved/.test(s)));
+  assert.deepEqual(calls, [["add", "pvc pipe"]]);
+
+  // Operators get a trimmed command menu of their own
+  const menu = fake.calls.find(c => c.method === "setMyCommands" && c.body.scope?.chat_id === "7001");
+  const names = menu.body.commands.map(c => c.command);
+  assert.ok(names.includes("addprod"));
+  assert.ok(!names.includes("quit"));
+});
+
+test("notifications follow the routes for their type", async (t) => {
+  const { fake, tg } = await setup(t, {}, {
+    chatConfig: {
+      chats: [{ id: -7002, role: "viewer", label: "Sales group" }],
+      routes: { error: ["admin"], lead: ["all"] }
+    }
+  });
+
+  await tg.notify("lead", "🧾 New buyer: Kiran");
+  await tg.notify("error", "🧭 Selector drift");
+  await tg.send("🚪 Quitting…");
+
+  assert.deepEqual(fake.sentTo(-7002), ["🧾 New buyer: Kiran"]);
+  const admin = fake.sentTo(fake.chatId);
+  assert.ok(admin.includes("🧾 New buyer: Kiran"));
+  assert.ok(admin.includes("🧭 Selector drift"));
+  assert.ok(admin.includes("🚪 Quitting…"));
+});
+
+test("destructive commands wait for a Confirm tap from the sender", async (t) => {
+  const calls = [];
+  const { fake } = await setup(t, {
+    cleanAll: () => { calls.push("cleanall"); return true; },
+    quitApp: () => { calls.push("quit"); },
+    restartApp: () => { calls.push("restart"); }
+  }, { confirmTimeoutMs: 300 });
+
+  const prompt = async (cmd) => {
+    const before = fake.calls.length;
+    fake.pushText(`/${cmd}`);
+    await fake.waitFor(() => fake.calls.slice(before).some(c => c.body.reply_markup));
+    const msg = fake.calls.slice(before).find(c => c.body.reply_markup);
+    const [confirm, cancel] = msg.body.reply_markup.inline_keyboard[0].map(b => b.callback_data);
+    return { confirm, cancel };
+  };
+  const answered = (text) => fake.waitFor(() => fake.calls.some(c => c.method === "answerCallbackQuery" && c.body.text === text));
+  const edited = (re) => fake.waitFor(() => fake.calls.some(c => c.method === "editMessageText" && re.test(c.body.text)));
+
+  const clean = await prompt("cleanall");
+  assert.deepEqual(calls, []);
+  fake.pushCallback(clean.cancel);
+  await edited(/\/cleanall cancelled/);
+
+  const quit = await prompt("quit");
+  fake.pushCallback(quit.confirm, { fromUser: 31337 });
+  await answered("🚫 Only the sender can confirm.");
+  assert.deepEqual(calls, []);
+  fake.pushCallback(quit.confirm);
+  await edited(/\/quit confirmed/);
+  await fake.waitFor(() => /Quitting/.test(lastSent(fake)));
+  assert.deepEqual(calls, ["quit"]);
+
+  const restart = await prompt("restart");
+  await edited(/\/restart not confirmed/);
+  fake.pushCallback(restart.confirm);
+  await answered("⌛ Expired – send the command again.");
+  // A second tap on the spent cleanall prompt does nothing either
+  fake.pushCallback(clean.confirm);
+  await fake.waitFor(() => fake.calls.filter(c => c.method === "answerCallbackQuery" && /Expired/.test(c.body.text)).length === 2);
+  assert.deepEqual(calls, ["quit"]);
+});
@@ -0,0 +1,217 @@
+// webhook.js
+// JSON webhook sink for notifier.js: each event is POSTed as
+//   { id, type, at, account, data }
+// with X-Niyati-Event / -Delivery / -Timestamp headers and, when a secret is
+// set, X-Niyati-Signature: sha256=<hex HMAC of "<timestamp>.<body>">.
+// Events that can't be delivered (network error, timeout, 5xx, 408, 429) wait
+// in a queue file and are retried in order with backoff; other 4xx answers
+// mean the receiver refused the event, which is dropped and logged.
+
+const fs = require("node:fs");
+const path = require("node:path");
+const crypto = require("node:crypto");
+
+const DEFAULT_TIMEOUT_MS = 10000;
+const BACKOFF_BASE_MS = 30 * 1000;
+const BACKOFF_MAX_MS = 60 * 60 * 1000;
+const MAX_QUEUE = 1000;
+const MAX_AGE_MS = 3 * 24 * 60 * 60 * 1000;
+
+const sign = (secret, ts, body) => "sha256=" + crypto.createHmac("sha256", secret).update(`${ts}.${body}`).digest("hex");
+
+class WebhookError extends Error {
+  constructor(message, { status = 0, retry = true } = {}) {
+    super(message);
+    this.name = "WebhookError";
+    this.status = status;
+    this.retry = retry;
+  }
+}
+
+function createWebhookSink({
+  name = "webhook",
+  url,
+  headers = {},
+  secret = "",
+  events = null,
+  timeoutMs = DEFAULT_TIMEOUT_MS,
+  queueFile = path.join(__dirname, "List", `webhook_queue_${name}.json`),
+  fetchImpl = (...a) => fetch(...a),
+  now = () => Date.now(),
+  setTimer = setTimeout,
+  clearTimer = clearTimeout,
+  maxQueue = MAX_QUEUE,
+  maxAgeMs = MAX_AGE_MS,
+  log = () => {}
+}) {
+  if (!/^https?:\/\//i.test(String(url || ""))) throw new Error(`webhook ${name}: url must be http(s)`);
+  const types = Array.isArray(events) && events.length ? new Set(events.map(String)) : null;
+
+  let queue = [];
+  try {
+    const j = JSON.parse(fs.readFileSync(queueFile, "utf8"));
+    if (Array.isArray(j)) queue = j.filter(q => q?.event?.id);
+  } catch (e) {
+    if (e.code !== "ENOENT") log("error", `Webhook ${name}: ${path.basename(queueFile)} unreadable – ${e.message}`);
+  }
+
+  let timer = null, flushing = false, stopped = false;
+  const stats = { sent: 0, failed: 0, dropped: 0, lastError: "", lastOkAt: null };
+
+  function saveQueue() {
+    try {
+      if (!queue.length) { fs.rmSync(queueFile, { force: true }); return; }
+      fs.mkdirSync(path.dirname(queueFile), { recursive: true });
+      const tmp = queueFile + ".tmp";
+      fs.writeFileSync(tmp, JSON.stringify(queue, null, 2));
+      fs.renameSync(tmp, queueFile);
+    } catch (e) {
+      log("error", `Webhook ${name}: queue save failed – ${e.message}`);
+    }
+  }
+
+  async function post(event) {
+    const body = JSON.stringify(event);
+    const ts = String(Math.floor(now() / 1000));
+    const h = {
+      ...headers,
+      "Content-Type": "application/json",
+      "User-Agent": "NiyatiBrowser-Webhook/1",
+      "X-Niyati-Event": event.type,
+      "X-Niyati-Delivery": event.id,
+      "X-Niyati-Timestamp": ts
+    };
+    if (secret) h["X-Niyati-Signature"] = sign(secret, ts, body);
+
+    const ac = new AbortController();
+    const t = setTimeout(() => ac.abort(), timeoutMs);
+    let res;
+    try {
+      res = await fetchImpl(url, { method: "POST", headers: h, body, signal: ac.signal });
+    } catch (e) {
+      throw new WebhookError(ac.signal.aborted ? `timed out after ${timeoutMs}ms` : (e.cause?.code || e.message));
+    } finally {
+      clearTimeout(t);
+    }
+    try { await res.text(); } catch {}
+    if (res.ok) return;
+    const retry = res.status >= 500 || res.status === 408 || res.status === 429;
+    throw new WebhookError(`HTTP ${res.status}`, { status: res.status, retry });
+  }
+
+  function schedule() {
+    if (timer) { clearTimer(timer); timer = null; }
+    if (stopped || !queue.length) return;
+    timer = setTimer(() => { timer = null; flush(); }, Math.max(0, queue[0].nextAt - now()), `webhook:${name}`);
+  }
+
+  const backoff = (attempts) => Math.min(BACKOFF_MAX_MS, BACKOFF_BASE_MS * 2 ** Math.max(0, attempts - 1));
+
+  // Oldest first; stops at the first failure so events arrive in order
+  async function flush() {
+    if (flushing || stopped) return;
+    flushing = true;
+    try {
+      while (queue.length && queue[0].nextAt <= now()) {
+        const item = queue[0];
+        if (now() - item.firstAt > maxAgeMs) {
+          queue.shift();
+          stats.dropped++;
+          log("error", `Webhook ${name}: gave up on ${item.event.type} ${item.event.id} after ${item.attempts} attempts – ${item.lastError}`);
+          continue;
+        }
+        try {
+          await post(item.event);
+          queue.shift();
+          stats.sent++;
+          stats.lastOkAt = now();
+          log("info", `Webhook ${name}: delivered queued ${item.event.type} ${item.event.id}`);
+        } catch (e) {
+          stats.failed++;
+          stats.lastError = e.message;
+          if (!e.retry) {
+            queue.shift();
+            stats.dropped++;
+            log("error", `Webhook ${name}: ${item.event.type} ${item.event.id} refused – ${e.message}`);
+            continue;
+          }
+          item.attempts++;
+          item.lastError = e.message;
+          item.nextAt = now() + backoff(item.attempts);
+          break;
+        }
+      }
+    } finally {
+      saveQueue();
+      flushing = false;
+      schedule();
+    }
+  }
+
+  function enqueue(event, error) {
+    queue.push({ event, attempts: 1, firstAt: now(), nextAt: now() + backoff(1), lastError: error });
+    if (queue.length > maxQueue) {
+      const over = queue.splice(0, queue.length - maxQueue);
+      stats.dropped += over.length;
+      log("error", `Webhook ${name}: queue full, dropped ${over.length} oldest event(s)`);
+    }
+    saveQueue();
+    schedule();
+  }
+
+  async function deliver(event) {
+    if (stopped) return false;
+    // Anything already waiting goes first
+    if (queue.length) { enqueue(event, "queued behind earlier events"); return false; }
+    try {
+      await post(event);
+      stats.sent++;
+      stats.lastOkAt = now();
+      return true;
+    } catch (e) {
+      stats.failed++;
+      stats.lastError = e.message;
+      if (!e.retry) {
+        stats.dropped++;
+        log("error", `Webhook ${name}: ${event.type} ${event.id} refused – ${e.message}`);
+        return false;
+      }
+      log("warning", `Webhook ${name}: ${event.type} ${event.id} failed (${e.message}) – queued for retry`);
+      enqueue(event, e.message);
+      return false;
+    }
+  }
+
+  return {
+    name,
+    kind: "webhook",
+    accepts: (type) => !types || types.has(type),
+    deliver,
+    start() {
+      stopped = false;
+      if (queue.length) log("info", `Webhook ${name}: ${queue.length} queued event(s) to retry`);
+      schedule();
+    },
+    stop() {
+      stopped = true;
+      if (timer) { clearTimer(timer); timer = null; }
+    },
+    // Retry now, ignoring backoff (/notify retry)
+    retryNow() {
+      for (const q of queue) q.nextAt = now();
+      return flush();
+    },
+    getState: () => ({
+      name,
+      kind: "webhook",
+      target: url.replace(/^(https?:\/\/[^/?#]+).*$/i, "$1/…"),
+      events: types ? [...types] : ["all"],
+      signed: !!secret,
+      queued: queue.length,
+      nextRetryAt: queue[0]?.nextAt || null,
+      ...stats
+    })
+  };
+}
+
+module.exports = { createWebhookSink, sign, WebhookError };